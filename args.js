@@ -4,5 +4,6 @@ module.exports = [
         "0x0000000000000000000000000000000000000001",
         "0x0000000000000000000000000000000000000002"
     ],
-    [50, 30, 20]
+    [50, 30, 20],
+    "0x4200000000000000000000000000000000000006" // WETH on Base
 ];
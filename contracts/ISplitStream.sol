@@ -1,32 +1,164 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./ISplitStreamCore.sol";
+
 /**
  * @title ISplitStream
  * @notice Interface for SplitStream payment splitter contract
+ * @dev Every SplitStream implements this full interface, but advertises only the frozen
+ * {ISplitStreamCore} through ERC-165, since this ID would change whenever a function is
+ * added here. Optional features have extension interfaces with their own IDs, such as
+ * {ISplitStreamRenounceable} and {ISplitStreamRecoverable}.
  */
-interface ISplitStream {
+interface ISplitStream is ISplitStreamCore {
     /// @notice Emitted when a payment is received
     event PaymentReceived(address indexed from, uint256 amount);
     
+    /// @notice Emitted with {PaymentReceived} when a payment is made through pay() with a reference, such as an invoice ID
+    event PaymentReference(address indexed from, bytes32 indexed ref, uint256 amount);
+    
     /// @notice Emitted when a payee withdraws their share
     event PaymentReleased(address indexed to, uint256 amount);
     
-    /// @notice Returns the total shares
-    function totalShares() external view returns (uint256);
+    /// @notice Emitted when a payee withdraws their share of an ERC20 token
+    event ERC20PaymentReleased(IERC20 indexed token, address indexed to, uint256 amount);
+    
+    /// @notice Emitted when a released ETH payment is sent to an address other than the payee
+    event PaymentRedirected(address indexed account, address indexed recipient, uint256 amount);
+    
+    /// @notice Emitted when a released ERC20 payment is sent to an address other than the payee
+    event ERC20PaymentRedirected(IERC20 indexed token, address indexed account, address indexed recipient, uint256 amount);
+    
+    /// @notice Emitted when a payee sets (or clears, with the zero address) their payment recipient
+    event RecipientSet(address indexed account, address indexed recipient);
+    
+    /// @notice Emitted when a payee moves their shares and payment history to a new address
+    event PayeeTransferred(address indexed previousAccount, address indexed newAccount);
+    
+    /// @notice Emitted with {PaymentReleased} when the recipient rejected ETH and the payment was sent as WETH
+    event PaymentWrapped(address indexed account, address indexed recipient, uint256 amount);
+    
+    /// @notice Emitted when distribute() cannot send a payee's payment and holds it in escrow
+    event DistributionFailed(address indexed account, address indexed recipient, uint256 amount);
+    
+    /// @notice Emitted when a relayer submits a payee's signed release and is paid a fee
+    event ReleaseRelayed(address indexed account, address indexed relayer, uint256 fee);
+    
+    /// @notice Emitted when release() is called for another payee and the caller is paid a keeper fee
+    event KeeperFeePaid(address indexed account, address indexed keeper, uint256 fee);
+    
+    /// @notice The payees and shares arrays have different lengths
+    error PayeesLengthMismatch(uint256 payees, uint256 shares);
+    
+    /// @notice No payees were given
+    error NoPayees();
+    
+    /// @notice A payee address is the zero address
+    error ZeroAddressPayee();
+    
+    /// @notice A payee was given 0 shares
+    error ZeroShares(address account);
+    
+    /// @notice An address is already a payee
+    error DuplicatePayee(address account);
+    
+    /// @notice An address is not a payee
+    error NoShares(address account);
+    
+    /// @notice A payee has nothing to release
+    error NothingDue(address account);
+    
+    /// @notice A payee has no ETH in escrow
+    error NoEscrow(address account);
+    
+    /// @notice Payments cannot be sent to this address (the zero address or the splitter)
+    error InvalidRecipient(address recipient);
+    
+    /// @notice A payee index range is empty or out of bounds
+    error InvalidRange(uint256 start, uint256 end);
+    
+    /// @notice The caller's gas limit starved an ETH send of a release or {distribute}, or a
+    /// tracked-token balance check in a SplitStreamTokenized share transfer
+    error InsufficientGas();
+    
+    /// @notice A signed release is past its deadline
+    error SignatureExpired(uint256 deadline);
+    
+    /// @notice A signed release does not use the payee's next nonce
+    error InvalidNonce(address account, uint256 nonce);
+    
+    /// @notice A signed release was not signed by its payee
+    error InvalidSignature();
+    
+    /// @notice A payee is not owed more than the relayer fee
+    error FeeNotCovered(uint256 payment, uint256 maxFee);
+    
+    /// @notice Release payment to every payee with a pending amount
+    function releaseAll() external;
+    
+    /// @notice Release payment to payees in the index range [start, end)
+    function releaseRange(uint256 start, uint256 end) external;
+    
+    /// @notice Push payment to every payee, holding failed sends in escrow
+    function distribute() external;
+    
+    /// @notice Returns the ETH held in escrow for a payee after failed distribute() sends
+    function escrowed(address account) external view returns (uint256);
+    
+    /// @notice Send the caller's escrowed ETH to an address
+    function claimEscrow(address payable to) external;
+    
+    /// @notice Returns the total amount of an ERC20 token released
+    function totalReleased(IERC20 token) external view returns (uint256);
+    
+    /// @notice Returns the amount of an ERC20 token released to a specific payee
+    function released(IERC20 token, address payee) external view returns (uint256);
+    
+    /// @notice Returns the amount of an ERC20 token a payee can currently release
+    function releasable(IERC20 token, address payee) external view returns (uint256);
+    
+    /// @notice Release ERC20 token payment to a specific payee
+    function release(IERC20 token, address account) external;
+    
+    /// @notice Release ERC20 token payment to every payee with a pending amount
+    function releaseAll(IERC20 token) external;
+    
+    /// @notice Release ERC20 token payment to payees in the index range [start, end)
+    function releaseRange(IERC20 token, uint256 start, uint256 end) external;
+    
+    /// @notice Returns the address that receives a payee's releases
+    function recipient(address account) external view returns (address);
+    
+    /// @notice Set the address that receives the caller's future releases
+    function setRecipient(address newRecipient) external;
+    
+    /// @notice Release the caller's ETH payment to another address
+    function releaseTo(address payable to) external;
+    
+    /// @notice Release the caller's ERC20 token payment to another address
+    function releaseTo(IERC20 token, address to) external;
     
-    /// @notice Returns the shares of a specific payee
-    function shares(address payee) external view returns (uint256);
+    /// @notice Returns the EIP-712 domain separator used for signed releases
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
     
-    /// @notice Returns the total amount released
-    function totalReleased() external view returns (uint256);
+    /// @notice Returns the nonce a payee's next signed release must use
+    function nonces(address account) external view returns (uint256);
     
-    /// @notice Returns the amount released to a specific payee
-    function released(address payee) external view returns (uint256);
+    /// @notice Release a payee's ETH payment using their EIP-712 signature, paying the caller a fee
+    function releaseWithSig(
+        address account,
+        address payable to,
+        uint256 maxFee,
+        uint256 deadline,
+        uint256 nonce,
+        bytes calldata signature
+    ) external;
     
-    /// @notice Returns payee at given index
-    function payee(uint256 index) external view returns (address);
+    /// @notice Move the caller's shares, release history and payee slot to a new address
+    function transferPayee(address newAccount) external;
     
-    /// @notice Release payment to a specific payee
-    function release(address payable account) external;
+    /// @notice Pay ETH into the splitter, tagged with a reference such as an invoice ID
+    function pay(bytes32 ref) external payable;
 }
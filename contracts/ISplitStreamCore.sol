@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+
+/**
+ * @title ISplitStreamCore
+ * @notice The functions every SplitStream has had, which integrators detect a splitter by
+ * @dev Every SplitStream advertises `type(ISplitStreamCore).interfaceId` (0xbe3b9f9f)
+ * through ERC-165. The ID covers the functions declared here, so they are frozen: add new
+ * functions to {ISplitStream} or to an extension interface with its own ID instead.
+ */
+interface ISplitStreamCore is IERC165 {
+    /// @notice Returns the total shares
+    function totalShares() external view returns (uint256);
+
+    /// @notice Returns the shares of a specific payee
+    function shares(address payee) external view returns (uint256);
+
+    /// @notice Returns the total amount released
+    function totalReleased() external view returns (uint256);
+
+    /// @notice Returns the amount released to a specific payee
+    function released(address payee) external view returns (uint256);
+
+    /// @notice Returns payee at given index
+    function payee(uint256 index) external view returns (address);
+
+    /// @notice Returns the number of payees
+    function payeeCount() external view returns (uint256);
+
+    /// @notice Returns the amount of ETH a payee can currently release
+    function releasable(address payee) external view returns (uint256);
+
+    /// @notice Release payment to a specific payee
+    function release(address payable account) external;
+}
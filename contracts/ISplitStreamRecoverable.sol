@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ISplitStream.sol";
+
+/**
+ * @title ISplitStreamRecoverable
+ * @notice Interface of splitters whose payees can name a backup to take over their slot
+ * @dev Advertised through ERC-165 by {SplitStreamRecoverable}, next to {ISplitStreamCore}.
+ * The ID covers only the functions declared here.
+ */
+interface ISplitStreamRecoverable is ISplitStream {
+    /// @notice Emitted when a payee sets (or clears, with the zero address) their backup beneficiary
+    event BackupSet(address indexed account, address indexed beneficiary, uint256 inactivityPeriod);
+
+    /// @notice Emitted when a payee with a backup shows activity, restarting their inactivity period
+    event Heartbeat(address indexed account);
+
+    /// @notice Emitted when a backup beneficiary takes over the slot of an inactive payee
+    event SlotClaimed(address indexed account, address indexed beneficiary);
+
+    /// @notice A backup beneficiary cannot be the payee itself or the splitter
+    error InvalidBackup(address beneficiary);
+
+    /// @notice A backup was registered with an inactivity period of 0
+    error ZeroInactivityPeriod();
+
+    /// @notice The caller is not the backup beneficiary of the payee
+    error NotBackup(address account, address caller);
+
+    /// @notice The payee was active too recently for their backup to claim the slot
+    error PayeeStillActive(address account, uint256 claimableAt);
+
+    /// @notice Returns a payee's backup beneficiary, inactivity period and when the backup can claim the slot
+    function backup(address account) external view returns (
+        address beneficiary,
+        uint256 inactivityPeriod,
+        uint256 claimableAt
+    );
+
+    /// @notice Set (or clear, with the zero address) who can claim the caller's slot after `inactivityPeriod` seconds of inactivity
+    function setBackup(address beneficiary, uint64 inactivityPeriod) external;
+
+    /// @notice Show the caller is still active, restarting their inactivity period
+    function heartbeat() external;
+
+    /// @notice Take over the slot of an inactive payee that named the caller as their backup
+    function claimSlot(address account) external;
+}
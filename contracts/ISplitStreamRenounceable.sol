@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ISplitStream.sol";
+
+/**
+ * @title ISplitStreamRenounceable
+ * @notice Interface of splitters whose payees can give up their shares
+ * @dev Advertised through ERC-165 by {SplitStreamRenounceable}, next to {ISplitStreamCore}.
+ * The ID covers only the functions declared here.
+ */
+interface ISplitStreamRenounceable is ISplitStream {
+    /// @notice Emitted when a payee gives up their shares to the remaining payees
+    event SharesRenounced(address indexed account, uint256 shares);
+
+    /// @notice The payee holds every remaining share, so they cannot renounce them
+    error LastShareholder(address account);
+
+    /// @notice Release the caller's ETH and give up their shares to the remaining payees
+    function renounceShares() external;
+
+    /// @notice Release the caller's ETH and `tokens`, and give up their shares to the remaining payees
+    function renounceShares(IERC20[] calldata tokens) external;
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IWETH
+ * @notice Interface of the canonical wrapped ETH contract (WETH9)
+ */
+interface IWETH is IERC20 {
+    /// @notice Wraps the ETH sent with the call into the same amount of WETH for the caller
+    function deposit() external payable;
+
+    /// @notice Unwraps `amount` WETH of the caller and sends them the ETH
+    function withdraw(uint256 amount) external;
+}
@@ -0,0 +1,1126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Context.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import "./ISplitStream.sol";
+import "./IWETH.sol";
+
+/**
+ * @title SplitStreamBase
+ * @dev Shared implementation of a payment splitter that allows splitting incoming ETH
+ * payments among multiple payees according to their assigned shares.
+ * 
+ * ERC20 tokens sent to the contract are split using the same shares. Each token is
+ * accounted for separately from ETH and from every other token.
+ * 
+ * This contract follows the pull payment pattern where payees must call release()
+ * to withdraw their share of the accumulated funds.
+ * 
+ * Payees are set once through {_setupPayees}: by the constructor in {SplitStream},
+ * or by `initialize` in {SplitStreamClone}.
+ * 
+ * Payees can also sign an EIP-712 release authorization that anyone may submit
+ * through {releaseWithSig}, so a payee without ETH for gas can still be paid.
+ * 
+ * {distribute} pushes ETH to every payee instead. Sends that fail are kept in
+ * escrow for the payee to claim with {claimEscrow}, so one payee cannot block the rest.
+ * Other releases to a recipient that rejects ETH pay it as WETH instead, if the
+ * splitter was deployed with a WETH contract (see {weth}).
+ * 
+ * Every variant advertises the frozen {ISplitStreamCore} interface through ERC-165, so
+ * integrators can check that an address is a splitter before sending it funds.
+ */
+abstract contract SplitStreamBase is Context, ERC165, ISplitStream {
+    using SafeERC20 for IERC20;
+
+    /// @dev EIP-712 domain type hash
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    /// @dev EIP-712 domain name hash
+    bytes32 private constant NAME_HASH = keccak256("SplitStream");
+
+    /// @dev EIP-712 domain version hash
+    bytes32 private constant VERSION_HASH = keccak256("1");
+
+    /// @dev EIP-712 type hash of the release authorization signed for {releaseWithSig}
+    bytes32 private constant RELEASE_TYPEHASH = keccak256(
+        "Release(address account,address to,uint256 maxFee,uint256 deadline,uint256 nonce)"
+    );
+
+    /// @dev Gas forwarded with each send in {distribute}. Enough for smart wallets that
+    /// log or forward on receive, too little for a payee to burn the caller's gas.
+    uint256 public constant DISTRIBUTE_GAS_STIPEND = 30000;
+
+    /// @dev WETH contract that ETH payments are wrapped into when the recipient rejects
+    /// ETH, or the zero address to never wrap
+    IWETH private immutable _wethToken;
+
+    /// @dev Total number of shares across all payees
+    uint256 private _totalShares;
+    
+    /// @dev Total amount of ETH that has been released to payees
+    uint256 private _totalReleased;
+    
+    /// @dev Mapping from payee address to their number of shares
+    mapping(address => uint256) private _shares;
+    
+    /// @dev Mapping from payee address to the amount of ETH they have already released
+    mapping(address => uint256) private _released;
+    
+    /// @dev Array of all payee addresses
+    address[] private _payees;
+    
+    /// @dev Mapping from token to the total amount of that token released to payees
+    mapping(IERC20 => uint256) private _erc20TotalReleased;
+    
+    /// @dev Mapping from token to ledger key to the amount of that token already released to the payee
+    mapping(IERC20 => mapping(address => uint256)) private _erc20Released;
+    
+    /// @dev Mapping from payee address to the key their ERC20 releases are recorded under.
+    /// Unset means the payee's own address; set when a payee slot is transferred, since
+    /// the per-token history cannot be enumerated and copied.
+    mapping(address => address) private _ledgerKeys;
+
+    /// @dev Number of fresh ledger keys handed out by {_transferPayee}
+    uint256 private _ledgerKeyCount;
+    
+    /// @dev Mapping from payee address to the address their releases are sent to (unset: the payee)
+    mapping(address => address) private _recipients;
+    
+    /// @dev Mapping from payee address to the nonce of their next release authorization
+    mapping(address => uint256) private _nonces;
+    
+    /// @dev Mapping from payee address to ETH that {distribute} failed to send them.
+    /// Already counted in `_released`, but not in `_totalReleased` until claimed.
+    mapping(address => uint256) private _escrow;
+
+    /// @dev Payees added through {_addUnsharedPayee}, which are paid by a variant's own
+    /// rules instead of holding shares
+    mapping(address => bool) private _unsharedPayees;
+
+    /// @dev Payees without shares that {_unlistPayee} removed from `_payees`
+    mapping(address => bool) private _unlistedPayees;
+
+    /**
+     * @dev Sets the WETH contract that ETH payments are wrapped into when the recipient
+     * rejects ETH. Payees are set separately, through {_setupPayees}.
+     * @param weth_ The chain's canonical WETH contract, or the zero address to never wrap
+     */
+    constructor(IWETH weth_) {
+        _wethToken = weth_;
+    }
+
+    /**
+     * @dev Assigns each account in `payees` the number of shares at the matching
+     * position in the `shares_` array. Must only be called once, during setup.
+     * 
+     * All addresses in `payees` must be non-zero and all values in `shares_` must be non-zero.
+     * Each address can only appear once in the `payees` array.
+     * 
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * 
+     * Requirements:
+     * - `payees` and `shares_` must have the same non-zero length
+     * - All addresses in `payees` must be non-zero
+     * - All values in `shares_` must be non-zero
+     * - No duplicate addresses in `payees`
+     */
+    function _setupPayees(address[] memory payees, uint256[] memory shares_) internal {
+        if (payees.length != shares_.length) revert PayeesLengthMismatch(payees.length, shares_.length);
+        if (payees.length == 0) revert NoPayees();
+
+        for (uint256 i = 0; i < payees.length; i++) {
+            _addPayee(payees[i], shares_[i]);
+        }
+    }
+
+    /**
+     * @dev Adds a new payee to the contract.
+     * @param account The address of the payee to add
+     * @param shares_ The number of shares owned by the payee
+     * 
+     * Requirements:
+     * - `account` cannot be the zero address
+     * - `shares_` must be greater than 0
+     * - `account` must not already be a payee
+     */
+    function _addPayee(address account, uint256 shares_) private {
+        if (account == address(0)) revert ZeroAddressPayee();
+        if (shares_ == 0) revert ZeroShares(account);
+        if (_isPayee(account)) revert DuplicatePayee(account);
+
+        _payees.push(account);
+        _shares[account] = shares_;
+        _totalShares += shares_;
+    }
+
+    /**
+     * @dev Adds a payee that holds no shares. For variants whose {_entitlement} pays
+     * some payees by other rules than the proportional split. Must only be called
+     * during setup, after {_setupPayees}.
+     * @param account The address of the payee to add
+     * 
+     * Requirements:
+     * - `account` cannot be the zero address
+     * - `account` must not already be a payee
+     */
+    function _addUnsharedPayee(address account) internal {
+        if (account == address(0)) revert ZeroAddressPayee();
+        if (_isPayee(account)) revert DuplicatePayee(account);
+
+        _payees.push(account);
+        _unsharedPayees[account] = true;
+    }
+
+    /**
+     * @dev Replaces the share allocation with `shares_` for `payees`. For variants that let
+     * payees change the split after setup; the caller must settle the accounting first,
+     * since {_entitlement} sees the new shares from now on.
+     * 
+     * Payees left out keep their slot and history without shares, like payees added with
+     * {_addUnsharedPayee}. New payees are appended to the payees array.
+     * @param payees Array of addresses that hold shares from now on
+     * @param shares_ Array of share amounts corresponding to each payee
+     * 
+     * Requirements:
+     * - Same as {_setupPayees}
+     */
+    function _reallocateShares(address[] memory payees, uint256[] memory shares_) internal {
+        if (payees.length != shares_.length) revert PayeesLengthMismatch(payees.length, shares_.length);
+        if (payees.length == 0) revert NoPayees();
+
+        for (uint256 i = 0; i < _payees.length; i++) {
+            address account = _payees[i];
+            if (_shares[account] != 0) {
+                delete _shares[account];
+                _unsharedPayees[account] = true;
+            }
+        }
+        _totalShares = 0;
+
+        for (uint256 i = 0; i < payees.length; i++) {
+            address account = payees[i];
+            if (account == address(0)) revert ZeroAddressPayee();
+            if (shares_[i] == 0) revert ZeroShares(account);
+            if (_shares[account] != 0) revert DuplicatePayee(account);
+
+            if (_unsharedPayees[account]) {
+                delete _unsharedPayees[account];
+            } else {
+                _payees.push(account);
+            }
+            _shares[account] = shares_[i];
+            _totalShares += shares_[i];
+        }
+    }
+
+    /**
+     * @dev Moves `amount` shares from `from` to `to`. For variants whose shares change
+     * hands after setup; the caller must settle the accounting first, since
+     * {_entitlement} sees the new shares from now on.
+     *
+     * A payee left without shares keeps their slot and history, like payees added with
+     * {_addUnsharedPayee}. A new `to`, or one removed by {_unlistPayee}, is appended to
+     * the payees array.
+     * @param from The payee giving up the shares
+     * @param to The account receiving the shares
+     * @param amount The number of shares to move
+     *
+     * Requirements:
+     * - `from` must hold at least `amount` shares
+     * - `to` cannot be the zero address
+     */
+    function _transferShares(address from, address to, uint256 amount) internal {
+        if (to == address(0)) revert ZeroAddressPayee();
+        if (amount == 0) {
+            return;
+        }
+
+        _shares[from] -= amount;
+        if (_shares[from] == 0) {
+            _unsharedPayees[from] = true;
+        }
+
+        if (_unsharedPayees[to]) {
+            delete _unsharedPayees[to];
+            if (_unlistedPayees[to]) {
+                delete _unlistedPayees[to];
+                _payees.push(to);
+            }
+        } else if (_shares[to] == 0) {
+            _payees.push(to);
+        }
+        _shares[to] += amount;
+    }
+
+    /**
+     * @dev Removes `account`, the payee at `index`, from the payees array by moving the
+     * last payee into its place. For variants where accounts are left without shares
+     * over and over, so the array and the batch releases stay bounded by the current
+     * shareholders. The account keeps its history and can still {release}, but is no
+     * longer listed by {payee} or paid by the batch releases.
+     * @param account The payee to remove
+     * @param index The position of `account` in the payees array
+     *
+     * Requirements:
+     * - `account` must be at `index`
+     * - `account` must hold no shares; the caller checks this
+     */
+    function _unlistPayee(address account, uint256 index) internal {
+        if (index >= _payees.length || _payees[index] != account) revert InvalidRange(index, index + 1);
+
+        _payees[index] = _payees[_payees.length - 1];
+        _payees.pop();
+        _unsharedPayees[account] = true;
+        _unlistedPayees[account] = true;
+    }
+
+    /**
+     * @dev Removes every share of `account`, which keeps its slot and history like payees
+     * added with {_addUnsharedPayee}. For variants that let payees give up their shares;
+     * the caller must settle the accounting first, since {_entitlement} sees the new
+     * shares from now on.
+     * @param account The payee giving up their shares
+     *
+     * Requirements:
+     * - `account` must hold shares, and not every share; the caller checks this
+     */
+    function _removeShares(address account) internal {
+        _totalShares -= _shares[account];
+        delete _shares[account];
+        _unsharedPayees[account] = true;
+    }
+
+    /**
+     * @dev Getter for the total shares held by payees.
+     * @return The total number of shares
+     */
+    function totalShares() public view override returns (uint256) {
+        return _totalShares;
+    }
+
+    /**
+     * @dev Getter for the number of shares held by an account.
+     * @param payee The address of the payee
+     * @return The number of shares held by the payee
+     */
+    function shares(address payee) public view override returns (uint256) {
+        return _shares[payee];
+    }
+
+    /**
+     * @dev Getter for the total amount of ETH already released.
+     * @return The total amount of ETH released to all payees
+     */
+    function totalReleased() public view override returns (uint256) {
+        return _totalReleased;
+    }
+
+    /**
+     * @dev Getter for the amount of ETH already released to a payee.
+     * @param payee The address of the payee
+     * @return The amount of ETH already released to the payee
+     */
+    function released(address payee) public view override returns (uint256) {
+        return _released[payee];
+    }
+
+    /**
+     * @dev Getter for the address of a payee by index.
+     * @param index The index of the payee in the payees array
+     * @return The address of the payee at the given index
+     */
+    function payee(uint256 index) public view override returns (address) {
+        return _payees[index];
+    }
+
+    /**
+     * @dev Getter for the number of payees.
+     * @return The length of the payees array
+     */
+    function payeeCount() public view override returns (uint256) {
+        return _payees.length;
+    }
+
+    /**
+     * @dev Getter for the amount of ETH a payee can currently release.
+     * 
+     * This is the payee's share of the total accumulated funds (current balance
+     * + already released funds) minus what they have already withdrawn.
+     * 
+     * @param account The address of the payee
+     * @return The amount of ETH the payee is owed right now
+     */
+    function releasable(address account) public view override returns (uint256) {
+        uint256 totalReceived = address(this).balance + _totalReleased;
+        return _pendingPayment(IERC20(address(0)), account, totalReceived, _released[account]);
+    }
+
+    /**
+     * @dev Getter for the total amount of `token` already released.
+     * @param token The address of the ERC20 token contract
+     * @return The total amount of `token` released to all payees
+     */
+    function totalReleased(IERC20 token) public view override returns (uint256) {
+        return _erc20TotalReleased[token];
+    }
+
+    /**
+     * @dev Getter for the amount of `token` already released to a payee.
+     * @param token The address of the ERC20 token contract
+     * @param payee The address of the payee
+     * @return The amount of `token` already released to the payee
+     */
+    function released(IERC20 token, address payee) public view override returns (uint256) {
+        if (!_isPayee(payee)) {
+            return 0;
+        }
+        return _erc20Released[token][_ledgerKey(payee)];
+    }
+
+    /**
+     * @dev Getter for the amount of `token` a payee can currently release.
+     * 
+     * Same calculation as {releasable}, using the contract's `token` balance and
+     * the `token` amounts already released.
+     * 
+     * @param token The address of the ERC20 token contract
+     * @param account The address of the payee
+     * @return The amount of `token` the payee is owed right now
+     */
+    function releasable(IERC20 token, address account) public view override returns (uint256) {
+        uint256 totalReceived = token.balanceOf(address(this)) + _erc20TotalReleased[token];
+        return _pendingPayment(token, account, totalReceived, released(token, account));
+    }
+
+    /**
+     * @dev Getter for the address that receives the releases of a payee.
+     * @param account The address of the payee
+     * @return The recipient set with {setRecipient}, or `account` itself if none is set
+     */
+    function recipient(address account) public view override returns (address) {
+        address to = _recipients[account];
+        return to == address(0) ? account : to;
+    }
+
+    /**
+     * @dev Getter for the ETH held in escrow for a payee after failed {distribute} sends.
+     * @param account The address of the payee
+     * @return The amount of ETH `account` can claim with {claimEscrow}
+     */
+    function escrowed(address account) public view override returns (uint256) {
+        return _escrow[account];
+    }
+
+    /**
+     * @dev Getter for the nonce a payee's next release authorization must use.
+     * @param account The address of the payee
+     * @return The current nonce of `account`
+     */
+    function nonces(address account) public view override returns (uint256) {
+        return _nonces[account];
+    }
+
+    /**
+     * @dev Getter for the WETH contract that ETH payments are wrapped into when the
+     * recipient rejects ETH.
+     * @return The WETH contract, or the zero address if payments are never wrapped
+     */
+    function weth() public view returns (IWETH) {
+        return _weth();
+    }
+
+    /**
+     * @dev Getter for the EIP-712 domain separator of this splitter.
+     * 
+     * Built on every call from the chain id and `address(this)`, so each clone and
+     * each chain has its own domain. Name is "SplitStream" and version is "1".
+     * 
+     * @return The domain separator release authorizations are signed under
+     */
+    function DOMAIN_SEPARATOR() public view override returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, NAME_HASH, VERSION_HASH, block.chainid, address(this)));
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}. Returns true for {ISplitStreamCore} and {IERC165}.
+     * @param interfaceId The ERC-165 interface identifier to check
+     * @return True if the contract implements `interfaceId`
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC165, IERC165) returns (bool) {
+        return interfaceId == type(ISplitStreamCore).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Pays `msg.value` into the splitter like a plain transfer, tagged with `ref`
+     * so the payment can be matched to an invoice or order off-chain. The reference is
+     * only logged; the payment is split like any other.
+     * @param ref Payer-chosen identifier, e.g. an invoice ID encoded as bytes32
+     * 
+     * Emits a {PaymentReceived} event and a {PaymentReference} event.
+     */
+    function pay(bytes32 ref) public payable override {
+        _beforeDeposit();
+        emit PaymentReceived(_msgSender(), msg.value);
+        emit PaymentReference(_msgSender(), ref, msg.value);
+    }
+
+    /**
+     * @dev Triggers a transfer to `account` of the amount of ETH they are owed,
+     * according to their percentage of the total shares and their previous withdrawals.
+     * 
+     * The payment is calculated based on the payee's share of the total accumulated
+     * funds (current balance + already released funds) minus what they have already
+     * withdrawn.
+     * 
+     * The payment is sent to the payee's {recipient}, which is the payee itself
+     * unless they have called {setRecipient}. When the caller is not the payee,
+     * variants with a keeper fee pay the caller part of it first; see {_keeperFee}.
+     * The whole payment is recorded before either transfer, so a caller re-entering
+     * on its fee finds nothing left to release.
+     * 
+     * @param account The address of the payee to release payment to
+     * 
+     * Requirements:
+     * - `account` must be due a payment (payment amount must be greater than 0)
+     * 
+     * Emits a {PaymentReleased} event, and a {PaymentRedirected} event if a recipient is set.
+     * Emits the events of the fee payment and a {KeeperFeePaid} event if a keeper fee is paid.
+     */
+    function release(address payable account) public override {
+        _payeeShares(account);
+        address caller = _msgSender();
+        if (caller == account) {
+            _beforeSelfRelease(account);
+        }
+
+        uint256 payment = releasable(account);
+
+        if (payment == 0) revert NothingDue(account);
+
+        uint256 fee = caller == account ? 0 : _keeperFee(payment);
+        _released[account] += payment;
+
+        if (fee > 0) {
+            _send(account, payable(caller), fee);
+            emit KeeperFeePaid(account, caller, fee);
+        }
+        _send(account, payable(recipient(account)), payment - fee);
+    }
+
+    /**
+     * @dev Releases the ETH owed to every payee in a single transaction.
+     * 
+     * Payees with nothing due are skipped instead of reverting. The whole call
+     * still reverts if any transfer fails, e.g. because a payee contract rejects ETH.
+     * For large payee sets, use {releaseRange} to stay within the block gas limit.
+     * 
+     * Emits a {PaymentReleased} event for each payee that is paid.
+     */
+    function releaseAll() public override {
+        releaseRange(0, _payees.length);
+    }
+
+    /**
+     * @dev Releases the ETH owed to the payees at indices [`start`, `end`).
+     * 
+     * Payees with nothing due are skipped instead of reverting.
+     * 
+     * @param start Index of the first payee to release to
+     * @param end Index one past the last payee to release to
+     * 
+     * Requirements:
+     * - `start` must be less than `end`
+     * - `end` must not exceed the number of payees
+     * 
+     * Emits a {PaymentReleased} event for each payee that is paid.
+     */
+    function releaseRange(uint256 start, uint256 end) public override {
+        _checkRange(start, end);
+
+        for (uint256 i = start; i < end; i++) {
+            address account = _payees[i];
+            uint256 payment = releasable(account);
+
+            if (payment > 0) {
+                _release(account, payable(recipient(account)), payment);
+            }
+        }
+    }
+
+    /**
+     * @dev Pushes the ETH owed to every payee to their {recipient} in one call.
+     * 
+     * Unlike {releaseAll}, a failing payee does not revert the whole call. Each send
+     * forwards at most {DISTRIBUTE_GAS_STIPEND} gas and ignores return data; if it
+     * fails, the payment is moved to the payee's escrow and can be claimed later
+     * with {claimEscrow}. Payees with nothing due are skipped.
+     * 
+     * Requirements:
+     * - The caller must provide enough gas for every send to get its full stipend
+     * 
+     * Emits a {PaymentReleased} event for each payee that is paid, and a
+     * {DistributionFailed} event for each send that fails.
+     */
+    function distribute() public override {
+        for (uint256 i = 0; i < _payees.length; i++) {
+            address account = _payees[i];
+            uint256 payment = releasable(account);
+
+            if (payment > 0) {
+                _distribute(account, payable(recipient(account)), payment);
+            }
+        }
+    }
+
+    /**
+     * @dev Sends the caller's escrowed ETH to `to`.
+     * @param to The address that receives the escrowed payment
+     * 
+     * Requirements:
+     * - The caller must have ETH in escrow
+     * - `to` cannot be the zero address or this contract
+     * 
+     * Emits a {PaymentReleased} event, and a {PaymentRedirected} event if `to` is not the caller.
+     */
+    function claimEscrow(address payable to) public override {
+        address account = _msgSender();
+        uint256 amount = _escrow[account];
+
+        if (amount == 0) revert NoEscrow(account);
+        _checkRecipient(to);
+        _beforeSelfRelease(account);
+
+        delete _escrow[account];
+        _send(account, to, amount);
+    }
+
+    /**
+     * @dev Triggers a transfer to `account` of the amount of `token` they are owed,
+     * according to their percentage of the total shares and their previous withdrawals.
+     * 
+     * @param token The address of the ERC20 token contract
+     * @param account The address of the payee to release payment to
+     * 
+     * Requirements:
+     * - `account` must have shares
+     * - `account` must be due a payment of `token`
+     * 
+     * Emits an {ERC20PaymentReleased} event, and an {ERC20PaymentRedirected} event
+     * if a recipient is set.
+     */
+    function release(IERC20 token, address account) public override {
+        _payeeShares(account);
+        if (_msgSender() == account) {
+            _beforeSelfRelease(account);
+        }
+
+        uint256 payment = releasable(token, account);
+
+        if (payment == 0) revert NothingDue(account);
+
+        _release(token, account, recipient(account), payment);
+    }
+
+    /**
+     * @dev Releases the `token` amount owed to every payee in a single transaction.
+     * 
+     * Payees with nothing due are skipped instead of reverting.
+     * 
+     * @param token The address of the ERC20 token contract
+     * 
+     * Emits an {ERC20PaymentReleased} event for each payee that is paid.
+     */
+    function releaseAll(IERC20 token) public override {
+        releaseRange(token, 0, _payees.length);
+    }
+
+    /**
+     * @dev Releases the `token` amount owed to the payees at indices [`start`, `end`).
+     * 
+     * Payees with nothing due are skipped instead of reverting.
+     * 
+     * @param token The address of the ERC20 token contract
+     * @param start Index of the first payee to release to
+     * @param end Index one past the last payee to release to
+     * 
+     * Requirements:
+     * - `start` must be less than `end`
+     * - `end` must not exceed the number of payees
+     * 
+     * Emits an {ERC20PaymentReleased} event for each payee that is paid.
+     */
+    function releaseRange(IERC20 token, uint256 start, uint256 end) public override {
+        _checkRange(start, end);
+
+        for (uint256 i = start; i < end; i++) {
+            address account = _payees[i];
+            uint256 payment = releasable(token, account);
+
+            if (payment > 0) {
+                _release(token, account, recipient(account), payment);
+            }
+        }
+    }
+
+    /**
+     * @dev Releases the ETH owed to the caller to `to` instead of their {recipient}.
+     * @param to The address that receives the payment
+     * 
+     * Requirements:
+     * - The caller must be a payee and be due a payment
+     * - `to` cannot be the zero address or this contract
+     * 
+     * Emits a {PaymentReleased} event, and a {PaymentRedirected} event if `to` is not the caller.
+     */
+    function releaseTo(address payable to) public override {
+        address account = _msgSender();
+        _payeeShares(account);
+        _checkRecipient(to);
+        _beforeSelfRelease(account);
+
+        uint256 payment = releasable(account);
+
+        if (payment == 0) revert NothingDue(account);
+
+        _release(account, to, payment);
+    }
+
+    /**
+     * @dev Releases the `token` amount owed to the caller to `to` instead of their {recipient}.
+     * @param token The address of the ERC20 token contract
+     * @param to The address that receives the payment
+     * 
+     * Requirements:
+     * - The caller must be a payee and be due a payment of `token`
+     * - `to` cannot be the zero address or this contract
+     * 
+     * Emits an {ERC20PaymentReleased} event, and an {ERC20PaymentRedirected} event
+     * if `to` is not the caller.
+     */
+    function releaseTo(IERC20 token, address to) public override {
+        address account = _msgSender();
+        _payeeShares(account);
+        _checkRecipient(to);
+        _beforeSelfRelease(account);
+
+        uint256 payment = releasable(token, account);
+
+        if (payment == 0) revert NothingDue(account);
+
+        _release(token, account, to, payment);
+    }
+
+    /**
+     * @dev Releases the ETH owed to `account` to `to`, authorized by an EIP-712 signature
+     * from `account`, and pays the caller (the relayer) `maxFee` out of the payment.
+     * 
+     * The signed `Release` message covers `account`, `to`, `maxFee`, `deadline` and
+     * `nonce`, and must be signed by `account`'s own key (EOA signatures only).
+     * The fee is released first as a payment redirected to the caller, then the rest of
+     * what `account` is owed is released to `to`.
+     * 
+     * @param account The payee that signed the authorization
+     * @param to The address that receives the payment minus the fee
+     * @param maxFee The fee paid to the caller, agreed by the payee when signing
+     * @param deadline Timestamp after which the signature can no longer be used
+     * @param nonce The current {nonces} value of `account`
+     * @param signature The EIP-712 signature of `account`
+     * 
+     * Requirements:
+     * - `deadline` must not have passed
+     * - `account` must be a payee and `signature` must be valid for it
+     * - `to` cannot be the zero address or this contract
+     * - `nonce` must be the current nonce of `account`
+     * - The payment owed to `account` must be greater than `maxFee`
+     * 
+     * Emits {PaymentReleased} and {PaymentRedirected} events for the fee and the
+     * payment, and a {ReleaseRelayed} event.
+     */
+    function releaseWithSig(
+        address account,
+        address payable to,
+        uint256 maxFee,
+        uint256 deadline,
+        uint256 nonce,
+        bytes calldata signature
+    ) public override {
+        if (block.timestamp > deadline) revert SignatureExpired(deadline);
+        _payeeShares(account);
+        _checkRecipient(to);
+        if (nonce != _nonces[account]) revert InvalidNonce(account, nonce);
+        _nonces[account] = nonce + 1;
+
+        bytes32 digest = MessageHashUtils.toTypedDataHash(
+            DOMAIN_SEPARATOR(),
+            keccak256(abi.encode(RELEASE_TYPEHASH, account, to, maxFee, deadline, nonce))
+        );
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        if (error != ECDSA.RecoverError.NoError || signer != account) revert InvalidSignature();
+        _beforeSelfRelease(account);
+
+        uint256 payment = releasable(account);
+        if (payment <= maxFee) revert FeeNotCovered(payment, maxFee);
+
+        // Record the whole payment before either transfer, so a re-entrant release finds nothing due
+        _released[account] += payment;
+
+        address payable relayer = payable(_msgSender());
+        if (maxFee > 0) {
+            _send(account, relayer, maxFee);
+        }
+        _send(account, to, payment - maxFee);
+
+        emit ReleaseRelayed(account, relayer, maxFee);
+    }
+
+    /**
+     * @dev Sets the address that receives the caller's ETH and ERC20 releases from now on,
+     * including releases triggered by others through {release} and the batch functions.
+     * @param newRecipient The new recipient, or the zero address to receive payments directly again
+     * 
+     * Requirements:
+     * - The caller must be a payee
+     * - `newRecipient` cannot be this contract
+     * 
+     * Emits a {RecipientSet} event.
+     */
+    function setRecipient(address newRecipient) public override {
+        address account = _msgSender();
+        _payeeShares(account);
+
+        if (newRecipient != address(0)) {
+            _checkRecipient(newRecipient);
+        }
+
+        _recipients[account] = newRecipient;
+        emit RecipientSet(account, newRecipient);
+    }
+
+    /**
+     * @dev Moves the caller's payee slot to `newAccount`.
+     * 
+     * The new address takes over the caller's shares, their ETH and ERC20 release
+     * history and their position in the payees array, so nothing already paid out
+     * can be claimed twice and nothing pending is lost. Meant for rotating away
+     * from a lost or compromised key while it can still sign.
+     * 
+     * Any recipient the caller set is cleared rather than carried over, since it
+     * may have been set with the key being rotated away from.
+     * 
+     * @param newAccount The address that will own the caller's payee slot
+     * 
+     * Requirements:
+     * - The caller must be a payee
+     * - `newAccount` cannot be the zero address
+     * - `newAccount` must not already be a payee
+     * 
+     * Emits a {PayeeTransferred} event.
+     */
+    function transferPayee(address newAccount) public override {
+        _transferPayee(_msgSender(), newAccount);
+    }
+
+    /**
+     * @dev Moves the payee slot of `account` to `newAccount`, for {transferPayee} and for
+     * variants that move slots on a payee's behalf. Variants that keep their own per-payee
+     * data override this to move it with the slot.
+     * @param account The payee whose slot moves
+     * @param newAccount The address that will own the slot
+     */
+    function _transferPayee(address account, address newAccount) internal virtual {
+        uint256 accountShares = _payeeShares(account);
+
+        if (newAccount == address(0)) revert ZeroAddressPayee();
+        if (_isPayee(newAccount)) revert DuplicatePayee(newAccount);
+
+        for (uint256 i = 0; i < _payees.length; i++) {
+            if (_payees[i] == account) {
+                _payees[i] = newAccount;
+                break;
+            }
+        }
+
+        _shares[newAccount] = accountShares;
+        _released[newAccount] = _released[account];
+        _ledgerKeys[newAccount] = _ledgerKey(account);
+
+        if (_unsharedPayees[account]) {
+            _unsharedPayees[newAccount] = true;
+            delete _unsharedPayees[account];
+        }
+        if (_unlistedPayees[account]) {
+            _unlistedPayees[newAccount] = true;
+            delete _unlistedPayees[account];
+        }
+
+        delete _shares[account];
+        delete _released[account];
+        delete _recipients[account];
+
+        // The slot keeps the old ledger key, so `account` gets an unused one in case it
+        // holds a slot again through a variant that adds payees after setup
+        _ledgerKeys[account] = address(uint160(uint256(keccak256(abi.encode(account, ++_ledgerKeyCount)))));
+
+        if (_escrow[account] > 0) {
+            _escrow[newAccount] = _escrow[account];
+            delete _escrow[account];
+        }
+
+        emit PayeeTransferred(account, newAccount);
+    }
+
+    /**
+     * @dev Records an ETH `payment` to `account` and transfers it to `to`.
+     * @param account The address of the payee
+     * @param to The address that receives the payment
+     * @param payment The amount of ETH to release
+     */
+    function _release(address account, address payable to, uint256 payment) private {
+        _released[account] += payment;
+        _send(account, to, payment);
+    }
+
+    /**
+     * @dev Transfers an ETH `payment` already recorded for `account` to `to`.
+     * 
+     * If `to` rejects ETH, e.g. a contract without a `receive` function, the payment is
+     * wrapped and transferred as WETH instead, so the payee's funds are not stuck. Without
+     * a WETH contract, the release reverts with the recipient's error. A send that runs
+     * out of gas reverts with {InsufficientGas} instead, as the caller may have starved it.
+     * 
+     * @param account The address of the payee
+     * @param to The address that receives the payment
+     * @param payment The amount of ETH to send
+     */
+    function _send(address account, address payable to, uint256 payment) private {
+        _beforeRelease(IERC20(address(0)));
+        _totalReleased += payment;
+
+        uint256 gasBefore = gasleft();
+        (bool success, bytes memory returndata) = to.call{value: payment}("");
+        if (success) {
+            _emitReleased(account, to, payment);
+            return;
+        }
+
+        // If the send used up the gas it was given, the caller may have starved it
+        if (gasleft() <= gasBefore / 64) revert InsufficientGas();
+
+        IWETH wethToken = _weth();
+        if (address(wethToken).code.length == 0) {
+            Address.verifyCallResult(success, returndata);
+        }
+        wethToken.deposit{value: payment}();
+        IERC20(wethToken).safeTransfer(to, payment);
+
+        _emitReleased(account, to, payment);
+        emit PaymentWrapped(account, to, payment);
+    }
+
+    /**
+     * @dev Records an ETH `payment` to `account` and tries to push it to `to` with a
+     * bounded gas stipend, moving it to the payee's escrow if the send fails.
+     * @param account The address of the payee
+     * @param to The address that receives the payment
+     * @param payment The amount of ETH to send
+     */
+    function _distribute(address account, address payable to, uint256 payment) private {
+        _beforeRelease(IERC20(address(0)));
+        _released[account] += payment;
+        _totalReleased += payment;
+
+        bool success;
+        // Return data is never copied, so a payee cannot grief with a huge revert reason
+        assembly {
+            success := call(DISTRIBUTE_GAS_STIPEND, to, payment, 0, 0, 0, 0)
+        }
+
+        if (success) {
+            _emitReleased(account, to, payment);
+        } else {
+            // If this frame is nearly out of gas, the send was starved by the caller
+            if (gasleft() <= DISTRIBUTE_GAS_STIPEND / 63) revert InsufficientGas();
+
+            _totalReleased -= payment;
+            _escrow[account] += payment;
+            emit DistributionFailed(account, to, payment);
+        }
+    }
+
+    /**
+     * @dev Emits the events for an ETH `payment` to `account` sent to `to`.
+     * @param account The address of the payee
+     * @param to The address that received the payment
+     * @param payment The amount of ETH sent
+     */
+    function _emitReleased(address account, address to, uint256 payment) private {
+        emit PaymentReleased(account, payment);
+
+        if (to != account) {
+            emit PaymentRedirected(account, to, payment);
+        }
+    }
+
+    /**
+     * @dev Records a `token` `payment` to `account` and transfers it to `to`.
+     * @param token The address of the ERC20 token contract
+     * @param account The address of the payee
+     * @param to The address that receives the payment
+     * @param payment The amount of `token` to release
+     */
+    function _release(IERC20 token, address account, address to, uint256 payment) private {
+        _beforeRelease(token);
+        _erc20Released[token][_ledgerKey(account)] += payment;
+        _erc20TotalReleased[token] += payment;
+
+        token.safeTransfer(to, payment);
+        emit ERC20PaymentReleased(token, account, payment);
+
+        if (to != account) {
+            emit ERC20PaymentRedirected(token, account, to, payment);
+        }
+    }
+
+    /**
+     * @dev Returns the shares of `account`, reverting if it is not a payee.
+     * @param account The address of the payee
+     * @return accountShares The number of shares held by `account` (0 for unshared payees)
+     */
+    function _payeeShares(address account) internal view returns (uint256 accountShares) {
+        accountShares = _shares[account];
+        if (accountShares == 0 && !_unsharedPayees[account]) revert NoShares(account);
+    }
+
+    /**
+     * @dev Returns whether `account` is a payee, with or without shares.
+     * @param account The address to check
+     */
+    function _isPayee(address account) private view returns (bool) {
+        return _shares[account] != 0 || _unsharedPayees[account];
+    }
+
+    /**
+     * @dev Checks that `to` can receive released payments.
+     * @param to The address that would receive payments
+     */
+    function _checkRecipient(address to) private view {
+        if (to == address(0) || to == address(this)) revert InvalidRecipient(to);
+    }
+
+    /**
+     * @dev Checks that [`start`, `end`) is a non-empty range of payee indices.
+     * @param start Index of the first payee
+     * @param end Index one past the last payee
+     */
+    function _checkRange(uint256 start, uint256 end) private view {
+        if (start >= end || end > _payees.length) revert InvalidRange(start, end);
+    }
+
+    /**
+     * @dev Returns the key the ERC20 releases of `account` are recorded under.
+     * @param account The address of the payee
+     * @return The ledger key for `account`
+     */
+    function _ledgerKey(address account) private view returns (address) {
+        address key = _ledgerKeys[account];
+        return key == address(0) ? account : key;
+    }
+
+    /**
+     * @dev Returns the part of an asset's `totalReceived` that `account` may have released
+     * so far. This is their proportional share; variants override it to hold part of
+     * that share back, e.g. until it vests, or to allocate the asset by other rules.
+     * Must never decrease over time. The first argument is the ERC20 token contract,
+     * or the zero address for ETH.
+     * @param account The address of the payee
+     * @param totalReceived Current balance plus everything already released
+     * @return The amount of the asset `account` is entitled to right now
+     */
+    function _entitlement(
+        IERC20 /* token */,
+        address account,
+        uint256 totalReceived
+    ) internal view virtual returns (uint256) {
+        return (totalReceived * _shares[account]) / _totalShares;
+    }
+
+    /**
+     * @dev Hook called before any ETH or ERC20 payment leaves the contract. Does nothing
+     * here; variants override it to revert, e.g. while releases are paused, or to record
+     * the asset's accounting before it changes.
+     * @param token The ERC20 token contract, or the zero address for ETH
+     */
+    function _beforeRelease(IERC20 token) internal virtual {}
+
+    /**
+     * @dev The WETH contract that ETH payments are wrapped into when the recipient rejects
+     * ETH. The one set at deployment; variants can override it. Without a contract at
+     * the address, no payment is wrapped.
+     * @return The WETH contract
+     */
+    function _weth() internal view virtual returns (IWETH) {
+        return _wethToken;
+    }
+
+    /**
+     * @dev Hook called before ETH is accepted through {receive} or {pay}, with `msg.value`
+     * already in the balance. Does nothing here; variants override it to reject deposits
+     * or to record them.
+     */
+    function _beforeDeposit() internal virtual {}
+
+    /**
+     * @dev Hook giving the fee paid to whoever calls {release} for another payee, out of
+     * the `payment` being released. None here; variants override it to reward keepers.
+     * Must stay below `payment`.
+     * @param payment The amount of ETH owed to the payee
+     * @return The part of `payment` paid to the caller
+     */
+    function _keeperFee(uint256 payment) internal view virtual returns (uint256) {}
+
+    /**
+     * @dev Hook called when a payee releases for themselves: {release} called by the
+     * payee, {releaseTo}, {claimEscrow}, or a {releaseWithSig} they signed. Does nothing
+     * here; variants override it to record that the payee is still active.
+     * @param account The address of the payee
+     */
+    function _beforeSelfRelease(address account) internal virtual {}
+
+    /**
+     * @dev Internal logic for computing the pending payment of an `account` given the
+     * asset's historical balance and the amount of it already released to them.
+     * @param token The ERC20 token contract, or the zero address for ETH
+     * @param account The address of the payee
+     * @param totalReceived Current balance plus everything already released
+     * @param alreadyReleased Amount already released to `account`
+     * @return The amount `account` can release
+     */
+    function _pendingPayment(
+        IERC20 token,
+        address account,
+        uint256 totalReceived,
+        uint256 alreadyReleased
+    ) private view returns (uint256) {
+        return _entitlement(token, account, totalReceived) - alreadyReleased;
+    }
+
+    /**
+     * @dev Receive function to accept incoming ETH payments.
+     * 
+     * Emits a {PaymentReceived} event when ETH is received.
+     */
+    receive() external payable {
+        _beforeDeposit();
+        emit PaymentReceived(_msgSender(), msg.value);
+    }
+}
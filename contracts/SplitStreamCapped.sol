@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamCapped
+ * @dev Payment splitter where payees can have a lifetime cap on what they receive,
+ * e.g. collaborators on a fixed fee.
+ *
+ * A capped payee receives their proportional share until their total reaches their
+ * cap. From then on their share of new funds flows to the payees still below their
+ * cap, in proportion to those payees' shares. Payees with a cap of 0 are uncapped, and
+ * at least one payee must be uncapped so that every payment has somewhere to go.
+ *
+ * Caps are denominated in a single asset, {capAsset}: ETH (the zero address) or an
+ * ERC20 token. Other assets sent to the contract are split by plain shares.
+ *
+ * Each allocation recomputes which payees have reached their cap, which costs gas in
+ * the square of the number of payees; keep payee lists short. Caps move with the payee
+ * slot on {transferPayee}.
+ */
+contract SplitStreamCapped is SplitStreamBase {
+    /// @notice Asset the caps are denominated in (the zero address for ETH)
+    IERC20 public immutable capAsset;
+
+    /// @dev Mapping from payee address to their lifetime cap (0: uncapped)
+    mapping(address => uint256) private _caps;
+
+    /// @notice The payees and caps arrays have different lengths
+    error CapsLengthMismatch(uint256 payees, uint256 caps);
+
+    /// @notice Every payee has a cap, so funds above the caps could not be paid out
+    error NoUncappedPayee();
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is assigned the number of
+     * shares and the lifetime cap at the matching position in `shares_` and `caps_`.
+     *
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param caps_ Array of lifetime caps corresponding to each payee, in `capAsset_` (0: uncapped)
+     * @param capAsset_ ERC20 token the caps are denominated in, or the zero address for ETH
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     * - `caps_` must have the same length as `payees`
+     * - At least one cap must be 0
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        uint256[] memory caps_,
+        IERC20 capAsset_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        if (payees.length != caps_.length) revert CapsLengthMismatch(payees.length, caps_.length);
+        _setupPayees(payees, shares_);
+        capAsset = capAsset_;
+
+        bool hasUncapped;
+        for (uint256 i = 0; i < payees.length; i++) {
+            _caps[payees[i]] = caps_[i];
+            if (caps_[i] == 0) {
+                hasUncapped = true;
+            }
+        }
+        if (!hasUncapped) revert NoUncappedPayee();
+    }
+
+    /**
+     * @dev Getter for the lifetime cap of a payee.
+     * @param account The address of the payee
+     * @return The cap of `account` in {capAsset}, or 0 if it is uncapped
+     */
+    function cap(address account) public view returns (uint256) {
+        return _caps[account];
+    }
+
+    /**
+     * @dev Getter for how much more of {capAsset} a payee can receive before reaching
+     * their cap. Amounts already released or releasable count toward the cap.
+     * @param account The address of the payee
+     * @return The rest of the cap of `account`, or `type(uint256).max` if it is uncapped
+     */
+    function remainingCap(address account) public view returns (uint256) {
+        uint256 accountCap = _caps[account];
+        if (accountCap == 0) {
+            return type(uint256).max;
+        }
+
+        uint256 totalReceived = address(capAsset) == address(0)
+            ? address(this).balance + totalReleased()
+            : capAsset.balanceOf(address(this)) + totalReleased(capAsset);
+        return accountCap - _cappedEntitlement(account, totalReceived);
+    }
+
+    /**
+     * @dev Moves the slot of `account` to `newAccount`, together with its cap.
+     * See {SplitStreamBase-_transferPayee}.
+     */
+    function _transferPayee(address account, address newAccount) internal override {
+        super._transferPayee(account, newAccount);
+
+        _caps[newAccount] = _caps[account];
+        delete _caps[account];
+    }
+
+    /**
+     * @dev Applies the caps to the entitlement of {capAsset}.
+     */
+    function _entitlement(
+        IERC20 token,
+        address account,
+        uint256 totalReceived
+    ) internal view override returns (uint256) {
+        if (token != capAsset) {
+            return super._entitlement(token, account, totalReceived);
+        }
+        return _cappedEntitlement(account, totalReceived);
+    }
+
+    /**
+     * @dev Splits `totalReceived` by shares, limiting capped payees to their cap and
+     * sharing the excess among the others.
+     *
+     * A payee is capped out when its cap is at most its proportional share of what the
+     * payees not yet capped out split. Capping a payee out leaves the others a larger
+     * share each, which can cap out more payees, so this repeats until no payee changes.
+     * @param account The address of the payee
+     * @param totalReceived Current balance plus everything already released
+     * @return The amount of {capAsset} `account` is entitled to
+     */
+    function _cappedEntitlement(address account, uint256 totalReceived) private view returns (uint256) {
+        uint256 count = payeeCount();
+        bool[] memory cappedOut = new bool[](count);
+        uint256 remaining = totalReceived;
+        uint256 remainingShares = totalShares();
+
+        bool changed = true;
+        while (changed) {
+            changed = false;
+
+            for (uint256 i = 0; i < count; i++) {
+                if (cappedOut[i]) {
+                    continue;
+                }
+
+                address payee_ = payee(i);
+                uint256 payeeCap = _caps[payee_];
+                uint256 payeeShares = shares(payee_);
+
+                if (payeeCap != 0 && payeeCap * remainingShares <= remaining * payeeShares) {
+                    if (payee_ == account) {
+                        return payeeCap;
+                    }
+                    cappedOut[i] = true;
+                    remaining -= payeeCap;
+                    remainingShares -= payeeShares;
+                    changed = true;
+                }
+            }
+        }
+
+        return (remaining * shares(account)) / remainingShares;
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamClone
+ * @dev SplitStream implementation meant to be used behind EIP-1167 minimal proxies.
+ * 
+ * Each clone is configured once through {initialize} instead of a constructor, which
+ * makes a new splitter far cheaper to deploy. The implementation contract itself is
+ * locked on deployment so it can never be initialized.
+ * 
+ * Clones should be created and initialized in the same transaction, as
+ * {SplitStreamCloneFactory} does, so nobody can initialize them first.
+ *
+ * The WETH contract is an immutable of the implementation, so every clone of it wraps
+ * payments into the same WETH.
+ */
+contract SplitStreamClone is SplitStreamBase, Initializable {
+    /**
+     * @dev Locks the implementation contract.
+     * @param weth_ WETH contract every clone pays recipients that reject ETH in (zero: never wrap)
+     */
+    constructor(IWETH weth_) SplitStreamBase(weth_) {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Sets the payees and shares of a clone. Can only be called once.
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * 
+     * Requirements:
+     * - The contract must not have been initialized before
+     * - Same as the {SplitStream} constructor
+     */
+    function initialize(address[] calldata payees, uint256[] calldata shares_) external initializer {
+        _setupPayees(payees, shares_);
+    }
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./SplitStreamClone.sol";
+
+/**
+ * @title SplitStreamCloneFactory
+ * @dev Deploys splitters as EIP-1167 minimal proxies of a single {SplitStreamClone}
+ * implementation.
+ *
+ * A clone only stores a tiny proxy, so creating one costs a fraction of a full
+ * SplitStream deployment. Clones share the same interface and behaviour as
+ * SplitStream, at the price of a small delegatecall overhead on every call.
+ *
+ * Like {SplitStreamFactory}, clone addresses are deterministic and commit to the
+ * payees and shares, so an address can be shared before the clone exists.
+ */
+contract SplitStreamCloneFactory {
+    /// @notice The SplitStreamClone implementation every clone delegates to
+    address public immutable implementation;
+
+    /// @notice Emitted when a new SplitStream clone is deployed through the factory
+    event SplitStreamCreated(address indexed splitter, address[] payees, uint256[] shares, bytes32 salt);
+
+    /**
+     * @dev Deploys the implementation the clones delegate to.
+     * @param weth_ WETH contract clones pay recipients that reject ETH in (zero: never wrap)
+     */
+    constructor(IWETH weth_) {
+        implementation = address(new SplitStreamClone(weth_));
+    }
+
+    /**
+     * @dev Deploys and initializes a new SplitStream clone.
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param salt Salt used to derive the clone address
+     * @return splitter The address of the new clone
+     *
+     * Requirements:
+     * - Same as the SplitStream constructor
+     * - No clone may already exist for the same `payees`, `shares_` and `salt`
+     *
+     * Emits a {SplitStreamCreated} event.
+     */
+    function createSplitStream(
+        address[] calldata payees,
+        uint256[] calldata shares_,
+        bytes32 salt
+    ) external returns (address splitter) {
+        splitter = Clones.cloneDeterministic(implementation, _cloneSalt(payees, shares_, salt));
+        SplitStreamClone(payable(splitter)).initialize(payees, shares_);
+        emit SplitStreamCreated(splitter, payees, shares_, salt);
+    }
+
+    /**
+     * @dev Computes the address a clone will be deployed to by {createSplitStream}.
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param salt Salt used to derive the clone address
+     * @return The address of the clone for these parameters
+     */
+    function predictAddress(
+        address[] calldata payees,
+        uint256[] calldata shares_,
+        bytes32 salt
+    ) external view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, _cloneSalt(payees, shares_, salt));
+    }
+
+    /**
+     * @dev Binds the clone salt to the configuration, so a predicted address can
+     * only ever be deployed with the payees and shares it was predicted for.
+     */
+    function _cloneSalt(
+        address[] calldata payees,
+        uint256[] calldata shares_,
+        bytes32 salt
+    ) private pure returns (bytes32) {
+        return keccak256(abi.encode(payees, shares_, salt));
+    }
+}
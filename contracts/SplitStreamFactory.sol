@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Create2.sol";
+import "./SplitStream.sol";
+
+/**
+ * @title SplitStreamFactory
+ * @dev Deploys SplitStream contracts with CREATE2 so their addresses are known
+ * before deployment.
+ *
+ * The address of a splitter depends only on this factory, the `salt`, and the
+ * payees and shares it is created with. It can therefore be shared with clients
+ * (and can even receive ETH) before the splitter exists. Anyone may deploy a
+ * predicted splitter, but the result is always the same configuration.
+ */
+contract SplitStreamFactory {
+    /// @notice WETH contract every splitter pays recipients that reject ETH in (zero: never wrap)
+    IWETH public immutable weth;
+
+    /// @notice Emitted when a new SplitStream is deployed through the factory
+    event SplitStreamCreated(address indexed splitter, address[] payees, uint256[] shares, bytes32 salt);
+
+    /**
+     * @param weth_ WETH contract every splitter pays recipients that reject ETH in (zero: never wrap)
+     */
+    constructor(IWETH weth_) {
+        weth = weth_;
+    }
+
+    /**
+     * @dev Deploys a new SplitStream with CREATE2.
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param salt Salt used to derive the splitter address
+     * @return splitter The address of the new SplitStream
+     *
+     * Requirements:
+     * - Same as the SplitStream constructor
+     * - No splitter may already exist for the same `payees`, `shares_` and `salt`
+     *
+     * Emits a {SplitStreamCreated} event.
+     */
+    function createSplitStream(
+        address[] calldata payees,
+        uint256[] calldata shares_,
+        bytes32 salt
+    ) external returns (address splitter) {
+        splitter = address(new SplitStream{salt: salt}(payees, shares_, weth));
+        emit SplitStreamCreated(splitter, payees, shares_, salt);
+    }
+
+    /**
+     * @dev Computes the address a SplitStream will be deployed to by {createSplitStream}.
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param salt Salt used to derive the splitter address
+     * @return The address of the SplitStream for these parameters
+     */
+    function predictAddress(
+        address[] calldata payees,
+        uint256[] calldata shares_,
+        bytes32 salt
+    ) external view returns (address) {
+        bytes32 bytecodeHash = keccak256(
+            abi.encodePacked(type(SplitStream).creationCode, abi.encode(payees, shares_, weth))
+        );
+        return Create2.computeAddress(salt, bytecodeHash);
+    }
+}
@@ -0,0 +1,440 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamGoverned
+ * @dev Payment splitter whose payees can vote to change the split, e.g. a DAO that
+ * wants to rebalance shares without deploying and migrating to a new splitter.
+ *
+ * Any payee can {propose} a new set of payees and shares. Payees {vote} for it with
+ * their shares as weight. Once the votes reach {quorumBps} of the total shares, the
+ * proposal is queued, and after {timelock} anyone can {execute} it.
+ *
+ * Executing a proposal starts a new era. Everything received of ETH and of the tokens
+ * listed in the proposal is settled under the old shares at that block: each payee
+ * keeps what they were owed, releasable as before, and only funds received afterwards
+ * are split by the new shares. Of tokens not listed, only the amounts already released
+ * are settled; their unreleased balance is split by the new shares. Payees left out of
+ * the new set keep their slot without shares.
+ *
+ * Executing a proposal supersedes every other proposal of the same era. Shares only
+ * change through proposals; a payee leaves by proposing a set without them.
+ */
+contract SplitStreamGoverned is SplitStreamBase {
+    /**
+     * @dev Lifecycle of a proposal. Active proposals collect votes; queued ones have
+     * reached the quorum and can be executed once their timelock ends.
+     */
+    enum ProposalState {
+        Active,
+        Queued,
+        Executed,
+        Superseded
+    }
+
+    /**
+     * @dev A proposed share allocation and the votes cast for it.
+     */
+    struct Proposal {
+        address proposer;
+        uint64 era;
+        uint64 eta;
+        bool executed;
+        uint256 votes;
+        address[] payees;
+        uint256[] shares;
+        IERC20[] tokens;
+    }
+
+    /**
+     * @dev An asset's accounting at the start of an era: the amount settled under earlier
+     * shares. Each payee slot's part of it is in `_baselines`.
+     */
+    struct Snapshot {
+        uint64 era;
+        uint256 settled;
+    }
+
+    /// @notice Denominator of {quorumBps} (10000 = 100% of the shares)
+    uint256 public constant QUORUM_DENOMINATOR = 10000;
+
+    /// @dev Most tokens a proposal can settle, bounding the gas of {execute}
+    uint256 public constant MAX_SETTLED_TOKENS = 16;
+
+    /// @dev Key ETH is recorded under, next to ERC20 tokens
+    IERC20 private constant ETH = IERC20(address(0));
+
+    /// @notice Share of the total shares that must vote for a proposal, in basis points
+    uint256 public immutable quorumBps;
+
+    /// @notice Delay in seconds between a proposal reaching the quorum and its execution
+    uint64 public immutable timelock;
+
+    /// @dev Number of proposals executed so far
+    uint64 private _era;
+
+    /// @dev Every proposal, by ID
+    Proposal[] private _proposals;
+
+    /// @dev Mapping from proposal ID to payee index to whether that payee slot voted
+    mapping(uint256 => mapping(uint256 => bool)) private _voted;
+
+    /// @dev Mapping from payee address to its index in the payees array plus one
+    mapping(address => uint256) private _slots;
+
+    /// @dev Mapping from asset to its accounting at the start of the era it was recorded in
+    mapping(IERC20 => Snapshot) private _snapshots;
+
+    /// @dev Mapping from asset to payee index to the amount settled to that slot
+    mapping(IERC20 => mapping(uint256 => uint256)) private _baselines;
+
+    /// @notice Emitted when a payee proposes a new share allocation
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address[] payees,
+        uint256[] shares,
+        IERC20[] tokens
+    );
+
+    /// @notice Emitted when a payee votes for a proposal with `weight` shares
+    event VoteCast(uint256 indexed proposalId, address indexed voter, uint256 weight);
+
+    /// @notice Emitted when a proposal reaches the quorum and can be executed from `eta`
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+
+    /// @notice Emitted when a proposal's allocation takes effect, starting era `era`
+    event ProposalExecuted(uint256 indexed proposalId, uint256 era);
+
+    /// @notice The quorum is 0 or above {QUORUM_DENOMINATOR}
+    error InvalidQuorum(uint256 quorumBps);
+
+    /// @notice A proposal lists more than {MAX_SETTLED_TOKENS} tokens
+    error TooManyTokens(uint256 count);
+
+    /// @notice No proposal has this ID
+    error UnknownProposal(uint256 proposalId);
+
+    /// @notice The proposal was executed or superseded
+    error ProposalNotActive(uint256 proposalId);
+
+    /// @notice The payee slot already voted for the proposal
+    error AlreadyVoted(uint256 proposalId, address account);
+
+    /// @notice The proposal has not reached the quorum, or its timelock has not ended
+    error ProposalNotReady(uint256 proposalId, uint256 eta);
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is assigned the number of
+     * shares at the matching position in `shares_`, and can vote to change them.
+     *
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param quorumBps_ Share of the total shares that must vote for a proposal, in basis points
+     * @param timelock_ Delay in seconds between a proposal reaching the quorum and its execution
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     * - `quorumBps_` must be between 1 and {QUORUM_DENOMINATOR}
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        uint256 quorumBps_,
+        uint64 timelock_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        if (quorumBps_ == 0 || quorumBps_ > QUORUM_DENOMINATOR) revert InvalidQuorum(quorumBps_);
+        quorumBps = quorumBps_;
+        timelock = timelock_;
+
+        _setupPayees(payees, shares_);
+        for (uint256 i = 0; i < payees.length; i++) {
+            _slots[payees[i]] = i + 1;
+        }
+    }
+
+    /**
+     * @dev Getter for the current era, the number of proposals executed so far.
+     * @return The current era
+     */
+    function era() public view returns (uint64) {
+        return _era;
+    }
+
+    /**
+     * @dev Getter for the number of proposals.
+     * @return The length of the proposals array
+     */
+    function proposalCount() public view returns (uint256) {
+        return _proposals.length;
+    }
+
+    /**
+     * @dev Getter for a proposal by ID.
+     * @param proposalId The ID of the proposal
+     * @return The proposal, with `eta` 0 until it reaches the quorum
+     */
+    function proposal(uint256 proposalId) public view returns (Proposal memory) {
+        return _proposal(proposalId);
+    }
+
+    /**
+     * @dev Getter for the state of a proposal.
+     * @param proposalId The ID of the proposal
+     * @return The proposal's current state
+     */
+    function state(uint256 proposalId) public view returns (ProposalState) {
+        Proposal storage proposal_ = _proposal(proposalId);
+
+        if (proposal_.executed) {
+            return ProposalState.Executed;
+        }
+        if (proposal_.era != _era) {
+            return ProposalState.Superseded;
+        }
+        return proposal_.eta == 0 ? ProposalState.Active : ProposalState.Queued;
+    }
+
+    /**
+     * @dev Getter for the votes a proposal needs to be queued.
+     * @return The share weight that reaches {quorumBps} of the total shares
+     */
+    function quorum() public view returns (uint256) {
+        return Math.ceilDiv(totalShares() * quorumBps, QUORUM_DENOMINATOR);
+    }
+
+    /**
+     * @dev Getter for whether a payee's slot voted for a proposal. Follows the slot on
+     * {transferPayee}, so a slot cannot vote twice from different addresses.
+     * @param proposalId The ID of the proposal
+     * @param account The address of the payee
+     * @return Whether the slot of `account` voted for the proposal
+     */
+    function hasVoted(uint256 proposalId, address account) public view returns (bool) {
+        uint256 slot = _slots[account];
+        return slot != 0 && _voted[proposalId][slot - 1];
+    }
+
+    /**
+     * @dev Proposes to replace the payees and shares with `payees` and `shares_`.
+     * @param payees Array of addresses that will hold shares
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param tokens ERC20 tokens to settle under the current shares on execution
+     * @return proposalId The ID of the new proposal
+     *
+     * Requirements:
+     * - The caller must hold shares
+     * - `payees` and `shares_` must be valid as for the constructor
+     * - At most {MAX_SETTLED_TOKENS} tokens
+     *
+     * Emits a {ProposalCreated} event.
+     */
+    function propose(
+        address[] calldata payees,
+        uint256[] calldata shares_,
+        IERC20[] calldata tokens
+    ) public returns (uint256 proposalId) {
+        address account = _msgSender();
+        if (shares(account) == 0) revert NoShares(account);
+        if (tokens.length > MAX_SETTLED_TOKENS) revert TooManyTokens(tokens.length);
+        _checkAllocation(payees, shares_);
+
+        proposalId = _proposals.length;
+        Proposal storage proposal_ = _proposals.push();
+        proposal_.proposer = account;
+        proposal_.era = _era;
+        proposal_.payees = payees;
+        proposal_.shares = shares_;
+        proposal_.tokens = tokens;
+
+        emit ProposalCreated(proposalId, account, payees, shares_, tokens);
+    }
+
+    /**
+     * @dev Votes for a proposal with the caller's shares. Queues the proposal once its
+     * votes reach the {quorum}.
+     * @param proposalId The ID of the proposal
+     *
+     * Requirements:
+     * - The proposal must be active or queued
+     * - The caller must hold shares
+     * - The caller's payee slot must not have voted for it
+     *
+     * Emits a {VoteCast} event, and a {ProposalQueued} event if the quorum is reached.
+     */
+    function vote(uint256 proposalId) public {
+        Proposal storage proposal_ = _proposal(proposalId);
+        if (proposal_.executed || proposal_.era != _era) revert ProposalNotActive(proposalId);
+
+        address account = _msgSender();
+        uint256 weight = shares(account);
+        if (weight == 0) revert NoShares(account);
+
+        uint256 slot = _slots[account] - 1;
+        if (_voted[proposalId][slot]) revert AlreadyVoted(proposalId, account);
+
+        _voted[proposalId][slot] = true;
+        proposal_.votes += weight;
+        emit VoteCast(proposalId, account, weight);
+
+        if (proposal_.eta == 0 && proposal_.votes >= quorum()) {
+            proposal_.eta = uint64(block.timestamp) + timelock;
+            emit ProposalQueued(proposalId, proposal_.eta);
+        }
+    }
+
+    /**
+     * @dev Executes a queued proposal once its timelock has ended. Settles ETH and the
+     * proposal's tokens under the current shares, then applies the proposed shares.
+     * Anyone can call it.
+     * @param proposalId The ID of the proposal
+     *
+     * Requirements:
+     * - The proposal must be queued and its timelock must have ended
+     *
+     * Emits a {ProposalExecuted} event.
+     */
+    function execute(uint256 proposalId) public {
+        Proposal storage proposal_ = _proposal(proposalId);
+        if (proposal_.executed || proposal_.era != _era) revert ProposalNotActive(proposalId);
+        if (proposal_.eta == 0 || block.timestamp < proposal_.eta) {
+            revert ProposalNotReady(proposalId, proposal_.eta);
+        }
+
+        proposal_.executed = true;
+        uint64 next = _era + 1;
+
+        _settle(ETH, address(this).balance + totalReleased(), next);
+        IERC20[] memory tokens = proposal_.tokens;
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] != ETH) {
+                _settle(tokens[i], tokens[i].balanceOf(address(this)) + totalReleased(tokens[i]), next);
+            }
+        }
+        _era = next;
+
+        uint256 count = payeeCount();
+        _reallocateShares(proposal_.payees, proposal_.shares);
+        for (uint256 i = count; i < payeeCount(); i++) {
+            _slots[payee(i)] = i + 1;
+        }
+
+        emit ProposalExecuted(proposalId, next);
+    }
+
+    /**
+     * @dev Moves the slot of `account` to `newAccount`, together with its votes and
+     * settled amounts. See {SplitStreamBase-_transferPayee}.
+     */
+    function _transferPayee(address account, address newAccount) internal override {
+        super._transferPayee(account, newAccount);
+
+        _slots[newAccount] = _slots[account];
+        delete _slots[account];
+    }
+
+    /**
+     * @dev What a slot was settled at the start of the era, plus its share of what was
+     * received since.
+     */
+    function _entitlement(
+        IERC20 token,
+        address account,
+        uint256 totalReceived
+    ) internal view override returns (uint256) {
+        if (_era == 0) {
+            return super._entitlement(token, account, totalReceived);
+        }
+
+        uint256 settled;
+        uint256 baseline;
+        Snapshot memory snapshot = _snapshots[token];
+        if (snapshot.era == _era) {
+            settled = snapshot.settled;
+            uint256 slot = _slots[account];
+            baseline = slot == 0 ? 0 : _baselines[token][slot - 1];
+        } else {
+            // Nothing of this token was released since the era started, so only what
+            // was already released is settled
+            settled = totalReleased(token);
+            baseline = released(token, account);
+        }
+
+        return baseline + ((totalReceived - settled) * shares(account)) / totalShares();
+    }
+
+    /**
+     * @dev Records a token's accounting before its first release of the era, while it
+     * still matches the start of the era.
+     */
+    function _beforeRelease(IERC20 token) internal override {
+        if (_era > 0 && _snapshots[token].era != _era) {
+            uint256 count = payeeCount();
+            for (uint256 i = 0; i < count; i++) {
+                _baselines[token][i] = released(token, payee(i));
+            }
+            _snapshots[token] = Snapshot(_era, totalReleased(token));
+        }
+    }
+
+    /**
+     * @dev Settles everything received of `asset` under the current shares, recording
+     * what each payee slot is owed as its baseline for era `next`.
+     * @param asset The ERC20 token contract, or the zero address for ETH
+     * @param totalReceived Current balance plus everything already released
+     * @param next The era that starts with this settlement
+     */
+    function _settle(IERC20 asset, uint256 totalReceived, uint64 next) private {
+        // Listed twice
+        if (_snapshots[asset].era == next) {
+            return;
+        }
+
+        // Compute every baseline before writing any, since they are read from the
+        // current snapshot
+        uint256 count = payeeCount();
+        uint256[] memory baselines = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            address account = payee(i);
+            baselines[i] = asset == ETH
+                ? released(account) + releasable(account)
+                : released(asset, account) + releasable(asset, account);
+        }
+
+        for (uint256 i = 0; i < count; i++) {
+            _baselines[asset][i] = baselines[i];
+        }
+        _snapshots[asset] = Snapshot(next, totalReceived);
+    }
+
+    /**
+     * @dev Getter for a proposal that must exist.
+     */
+    function _proposal(uint256 proposalId) private view returns (Proposal storage) {
+        if (proposalId >= _proposals.length) revert UnknownProposal(proposalId);
+        return _proposals[proposalId];
+    }
+
+    /**
+     * @dev Checks a proposed allocation against the constructor's rules, so a proposal
+     * that could never be executed is rejected up front.
+     */
+    function _checkAllocation(address[] calldata payees, uint256[] calldata shares_) private pure {
+        if (payees.length != shares_.length) revert PayeesLengthMismatch(payees.length, shares_.length);
+        if (payees.length == 0) revert NoPayees();
+
+        for (uint256 i = 0; i < payees.length; i++) {
+            if (payees[i] == address(0)) revert ZeroAddressPayee();
+            if (shares_[i] == 0) revert ZeroShares(payees[i]);
+
+            for (uint256 j = 0; j < i; j++) {
+                if (payees[j] == payees[i]) revert DuplicatePayee(payees[i]);
+            }
+        }
+    }
+}
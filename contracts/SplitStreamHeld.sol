@@ -0,0 +1,217 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamHeld
+ * @dev Payment splitter that holds each ETH deposit for a fixed window before it can be
+ * released, e.g. for client payments that can still be disputed.
+ *
+ * Every deposit through {receive} or {pay}, and any ETH sent with the constructor, is
+ * recorded with the time it settles: {holdPeriod} seconds after it arrives. Until then it
+ * is pending and does not count toward {releasable}; once settled it is split by shares
+ * as usual. Deposits settle in the order they arrive.
+ *
+ * Checks look past at most {MAX_SETTLE_COUNT} settled deposits at a time, so a flood of
+ * small deposits cannot make releases run out of gas. If more deposits than that settle
+ * between two transactions, the rest stay pending until they are moved out in later
+ * releases and deposits, or by anyone calling {settle}.
+ *
+ * Recording a deposit writes storage, so ETH must be sent with more than the 2300 gas
+ * forwarded by Solidity's `transfer` and `send`.
+ *
+ * ERC20 tokens and ETH that arrives without a call, e.g. from `selfdestruct`, are not
+ * held.
+ */
+contract SplitStreamHeld is SplitStreamBase {
+    /**
+     * @dev An ETH deposit and the time it stops being pending.
+     */
+    struct Deposit {
+        uint128 amount;
+        uint64 settledAt;
+    }
+
+    /// @dev Key ETH is recorded under, next to ERC20 tokens
+    IERC20 private constant ETH = IERC20(address(0));
+
+    /// @notice Most settled deposits a release, a deposit or a view looks past at once
+    uint256 public constant MAX_SETTLE_COUNT = 50;
+
+    /// @notice Seconds each deposit stays pending after it arrives
+    uint64 public immutable holdPeriod;
+
+    /// @dev Every deposit, by ID
+    Deposit[] private _deposits;
+
+    /// @dev ID of the first deposit that was still pending when last settled
+    uint256 private _firstPending;
+
+    /// @dev Sum of the deposits from `_firstPending` on
+    uint256 private _pendingTotal;
+
+    /// @notice Emitted when a deposit is recorded, with the time it settles
+    event PaymentHeld(uint256 indexed depositId, uint256 amount, uint256 settledAt);
+
+    /// @notice No deposit has this ID
+    error UnknownDeposit(uint256 depositId);
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is assigned the number of
+     * shares at the matching position in `shares_`, holding deposits for `holdPeriod_`.
+     *
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param holdPeriod_ Seconds each deposit stays pending after it arrives
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        uint64 holdPeriod_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        _setupPayees(payees, shares_);
+        holdPeriod = holdPeriod_;
+
+        if (msg.value > 0) {
+            _hold(msg.value);
+        }
+    }
+
+    /**
+     * @dev Getter for the number of deposits recorded so far.
+     * @return The number of deposits; IDs run from 0 to this minus one
+     */
+    function depositCount() public view returns (uint256) {
+        return _deposits.length;
+    }
+
+    /**
+     * @dev Getter for a deposit.
+     * @param depositId The ID of the deposit
+     * @return The deposit's amount and the time it settles
+     */
+    function deposit(uint256 depositId) public view returns (Deposit memory) {
+        if (depositId >= _deposits.length) revert UnknownDeposit(depositId);
+        return _deposits[depositId];
+    }
+
+    /**
+     * @dev Getter for the time a deposit stops being pending.
+     * @param depositId The ID of the deposit
+     * @return The timestamp from which the deposit counts toward {releasable}
+     */
+    function settledAt(uint256 depositId) public view returns (uint256) {
+        return deposit(depositId).settledAt;
+    }
+
+    /**
+     * @dev Getter for the ID of the first deposit that has not been settled yet.
+     * @return The deposit ID, or {depositCount} if every deposit is settled
+     */
+    function firstPending() public view returns (uint256) {
+        return _firstPending;
+    }
+
+    /**
+     * @dev Getter for the ETH that is not split yet: deposits inside their hold window,
+     * plus any settled deposits beyond the first {MAX_SETTLE_COUNT} not yet {settle}d.
+     * @return pending The sum of the deposits that are still pending
+     */
+    function pendingBalance() public view returns (uint256 pending) {
+        (, pending) = _settled(MAX_SETTLE_COUNT);
+    }
+
+    /**
+     * @dev Moves up to `maxCount` deposits that are past their hold window out of the
+     * pending balance, for when more have settled than releases move on their own.
+     * @param maxCount The most deposits to settle
+     * @return count The number of deposits settled
+     */
+    function settle(uint256 maxCount) public returns (uint256 count) {
+        uint256 first = _firstPending;
+        _settle(maxCount);
+        return _firstPending - first;
+    }
+
+    /**
+     * @dev Leaves pending deposits out of what the payees split.
+     */
+    function _entitlement(
+        IERC20 token,
+        address account,
+        uint256 totalReceived
+    ) internal view override returns (uint256) {
+        if (token != ETH) {
+            return super._entitlement(token, account, totalReceived);
+        }
+        return super._entitlement(token, account, totalReceived - pendingBalance());
+    }
+
+    /**
+     * @dev Moves past the deposits that have settled, so later checks skip them.
+     */
+    function _beforeRelease(IERC20 token) internal override {
+        if (token == ETH) {
+            _settle(MAX_SETTLE_COUNT);
+        }
+    }
+
+    /**
+     * @dev Records the incoming deposit.
+     */
+    function _beforeDeposit() internal override {
+        _settle(MAX_SETTLE_COUNT);
+        if (msg.value > 0) {
+            _hold(msg.value);
+        }
+    }
+
+    /**
+     * @dev Records a deposit of `amount` that settles after {holdPeriod}.
+     * @param amount The amount of ETH deposited
+     *
+     * Emits a {PaymentHeld} event.
+     */
+    function _hold(uint256 amount) private {
+        uint64 settles = SafeCast.toUint64(block.timestamp + holdPeriod);
+        _deposits.push(Deposit(SafeCast.toUint128(amount), settles));
+        _pendingTotal += amount;
+
+        emit PaymentHeld(_deposits.length - 1, amount, settles);
+    }
+
+    /**
+     * @dev Drops up to `maxCount` deposits that have settled from the pending total.
+     * @param maxCount The most deposits to settle
+     */
+    function _settle(uint256 maxCount) private {
+        (_firstPending, _pendingTotal) = _settled(maxCount);
+    }
+
+    /**
+     * @dev Computes the pending total after settling up to `maxCount` deposits.
+     * @param maxCount The most deposits to look past
+     * @return first ID of the first deposit left pending
+     * @return pending Sum of the deposits from `first` on
+     */
+    function _settled(uint256 maxCount) private view returns (uint256 first, uint256 pending) {
+        first = _firstPending;
+        pending = _pendingTotal;
+
+        uint256 end = _deposits.length;
+        if (end - first > maxCount) {
+            end = first + maxCount;
+        }
+        while (first < end && _deposits[first].settledAt <= block.timestamp) {
+            pending -= _deposits[first].amount;
+            first++;
+        }
+    }
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamIncentivized
+ * @dev Payment splitter that pays a keeper fee to whoever releases a payee's ETH for them,
+ * so payees do not have to remember to release or run their own automation.
+ *
+ * When {release} is called by anyone other than the payee, the caller receives
+ * {keeperFeeBps} basis points of the payment, at most {keeperFeeCap} wei. The fee is
+ * taken out of the payee's payment, and the rest goes to the payee as usual. A payee
+ * releasing for themselves pays no fee.
+ *
+ * Only single ETH releases pay a fee. ERC20 releases, {releaseAll}, {releaseRange} and
+ * {distribute} stay free, so a batch call cannot charge every payee at once.
+ */
+contract SplitStreamIncentivized is SplitStreamBase {
+    /// @notice Highest keeper fee that can be set, in basis points (5%)
+    uint256 public constant MAX_KEEPER_FEE_BPS = 500;
+
+    /// @dev Basis points in a whole payment
+    uint256 private constant BPS = 10_000;
+
+    /// @notice Part of each payment paid to the keeper, in basis points
+    uint256 public immutable keeperFeeBps;
+
+    /// @notice Most a keeper is paid for a single release, in wei
+    uint256 public immutable keeperFeeCap;
+
+    /// @notice The keeper fee is above {MAX_KEEPER_FEE_BPS}
+    error KeeperFeeTooHigh(uint256 feeBps);
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is assigned the number of
+     * shares at the matching position in `shares_`, paying keepers `keeperFeeBps_` of each
+     * release up to `keeperFeeCap_`.
+     *
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param keeperFeeBps_ Part of each payment paid to the keeper, in basis points
+     * @param keeperFeeCap_ Most a keeper is paid for a single release, in wei
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     * - `keeperFeeBps_` must not exceed {MAX_KEEPER_FEE_BPS}
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        uint256 keeperFeeBps_,
+        uint256 keeperFeeCap_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        if (keeperFeeBps_ > MAX_KEEPER_FEE_BPS) revert KeeperFeeTooHigh(keeperFeeBps_);
+        _setupPayees(payees, shares_);
+        keeperFeeBps = keeperFeeBps_;
+        keeperFeeCap = keeperFeeCap_;
+    }
+
+    /**
+     * @dev Getter for the fee a keeper would be paid for releasing `account` right now.
+     * @param account The address of the payee
+     * @return The fee in wei, or 0 if nothing is due
+     */
+    function keeperFee(address account) public view returns (uint256) {
+        return _keeperFee(releasable(account));
+    }
+
+    /**
+     * @dev {keeperFeeBps} of the payment, at most {keeperFeeCap}.
+     */
+    function _keeperFee(uint256 payment) internal view override returns (uint256) {
+        uint256 fee = (payment * keeperFeeBps) / BPS;
+        return fee < keeperFeeCap ? fee : keeperFeeCap;
+    }
+}
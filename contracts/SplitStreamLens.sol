@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./ISplitStream.sol";
+
+/**
+ * @title SplitStreamLens
+ * @dev Stateless helper that reads the full state of one or more splitters in a single
+ * `eth_call`, instead of several calls per payee.
+ *
+ * Works with every SplitStream variant, since it only reads through {ISplitStream}.
+ * Amounts are in ETH when `token` is the zero address, and in `token` otherwise.
+ *
+ * The lens holds no funds and has no owner, so a single deployment per chain can be
+ * shared by every app and script. It is only meant to be called off-chain: reading a
+ * splitter with many payees can take more gas than a transaction allows.
+ */
+contract SplitStreamLens {
+    /// @notice A payee's shares and amounts of one asset
+    struct PayeeState {
+        address account;
+        uint256 shares;
+        uint256 released;
+        uint256 releasable;
+        address recipient;
+    }
+
+    /// @notice A splitter's totals of one asset, and every payee's state
+    struct SplitterState {
+        ISplitStream splitter;
+        IERC20 token;
+        uint256 balance;
+        uint256 totalShares;
+        uint256 totalReleased;
+        uint256 totalReceived;
+        PayeeState[] payees;
+    }
+
+    /**
+     * @dev Reads the state of every splitter in `splitters`.
+     * @param splitters The splitters to read
+     * @param token The ERC20 token contract, or the zero address for ETH
+     * @return states The state of each splitter, in the same order
+     */
+    function getStates(
+        ISplitStream[] calldata splitters,
+        IERC20 token
+    ) external view returns (SplitterState[] memory states) {
+        states = new SplitterState[](splitters.length);
+        for (uint256 i = 0; i < splitters.length; i++) {
+            states[i] = getState(splitters[i], token);
+        }
+    }
+
+    /**
+     * @dev Reads the totals and every payee of `splitter`.
+     * @param splitter The splitter to read
+     * @param token The ERC20 token contract, or the zero address for ETH
+     * @return state The splitter's state
+     */
+    function getState(ISplitStream splitter, IERC20 token) public view returns (SplitterState memory state) {
+        state.splitter = splitter;
+        state.token = token;
+        state.totalShares = splitter.totalShares();
+
+        if (address(token) == address(0)) {
+            state.balance = address(splitter).balance;
+            state.totalReleased = splitter.totalReleased();
+        } else {
+            state.balance = token.balanceOf(address(splitter));
+            state.totalReleased = splitter.totalReleased(token);
+        }
+        state.totalReceived = state.balance + state.totalReleased;
+
+        uint256 count = splitter.payeeCount();
+        if (count > 0) {
+            state.payees = getPayees(splitter, token, 0, count);
+        }
+    }
+
+    /**
+     * @dev Reads the payees of `splitter` from index `start` up to, but not including,
+     * `end`, for splitters with too many payees to read at once.
+     * @param splitter The splitter to read
+     * @param token The ERC20 token contract, or the zero address for ETH
+     * @param start Index of the first payee
+     * @param end Index one past the last payee
+     * @return payees The state of each payee in the range
+     *
+     * Requirements:
+     * - `start` must be lower than `end`, and `end` at most the payee count
+     */
+    function getPayees(
+        ISplitStream splitter,
+        IERC20 token,
+        uint256 start,
+        uint256 end
+    ) public view returns (PayeeState[] memory payees) {
+        if (start >= end || end > splitter.payeeCount()) revert ISplitStream.InvalidRange(start, end);
+
+        payees = new PayeeState[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            address account = splitter.payee(i);
+            PayeeState memory payee = payees[i - start];
+
+            payee.account = account;
+            payee.shares = splitter.shares(account);
+            payee.recipient = splitter.recipient(account);
+            if (address(token) == address(0)) {
+                payee.released = splitter.released(account);
+                payee.releasable = splitter.releasable(account);
+            } else {
+                payee.released = splitter.released(token, account);
+                payee.releasable = splitter.releasable(token, account);
+            }
+        }
+    }
+}
@@ -0,0 +1,224 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamPausable
+ * @dev Payment splitter with a guardian, such as a multisig, that can pause releases
+ * while an incident is investigated.
+ *
+ * While paused, no ETH or ERC20 payment leaves the contract: {release}, {releaseTo},
+ * the batch releases, {distribute}, {claimEscrow} and {releaseWithSig} all revert.
+ * If enabled at deployment, the guardian can also choose to reject new ETH deposits
+ * for the duration of the pause. ERC20 transfers and forced ETH sends cannot be
+ * rejected and are split as usual.
+ *
+ * Checking for a deposit pause reads storage, which does not fit in the 2300 gas that
+ * Solidity's `transfer` and `send` forward. Splitters that can pause deposits therefore
+ * reject ETH sent that way at all times; the others accept it like {SplitStream}.
+ *
+ * The guardian's power is limited so it cannot freeze funds:
+ * - A pause lasts at most {MAX_PAUSE_DURATION} and ends on its own, without a transaction
+ * - A running pause cannot be extended
+ * - After a pause ends, early or not, a new one cannot start for {PAUSE_COOLDOWN}
+ * - The guardian cannot move funds or change shares, and is fixed at deployment
+ *
+ * Payees can still {setRecipient} and {transferPayee} while paused, e.g. to move
+ * their slot away from a compromised key.
+ */
+contract SplitStreamPausable is SplitStreamBase {
+    /// @dev Longest a single pause can last
+    uint256 public constant MAX_PAUSE_DURATION = 7 days;
+
+    /// @dev Time after a pause ends before the guardian can pause again
+    uint256 public constant PAUSE_COOLDOWN = 7 days;
+
+    /// @dev Address allowed to pause and unpause
+    address private immutable _guardian;
+
+    /// @dev Whether the guardian can reject ETH deposits while paused
+    bool private immutable _canPauseDeposits;
+
+    /// @dev Timestamp the current or last pause ends at
+    uint64 private _pausedUntil;
+
+    /// @dev Timestamp from which the guardian can pause again
+    uint64 private _nextPauseAt;
+
+    /// @dev Whether the current or last pause rejects ETH deposits
+    bool private _rejectDeposits;
+
+    /// @notice Emitted when the guardian pauses releases until `until`
+    event Paused(address indexed guardian, uint256 until, bool depositsPaused);
+
+    /// @notice Emitted when the guardian ends a pause early
+    event Unpaused(address indexed guardian);
+
+    /// @notice The caller is not the guardian
+    error NotGuardian(address caller);
+
+    /// @notice The guardian is the zero address
+    error ZeroAddressGuardian();
+
+    /// @notice Releases are paused until `until`
+    error ReleasesPaused(uint256 until);
+
+    /// @notice ETH deposits are rejected until `until`
+    error DepositsPaused(uint256 until);
+
+    /// @notice The guardian asked to reject deposits, but this splitter cannot pause them
+    error DepositPausingDisabled();
+
+    /// @notice Releases are not paused
+    error NotPaused();
+
+    /// @notice The guardian cannot pause again before `nextPauseAt`
+    error PauseCooldown(uint256 nextPauseAt);
+
+    /// @notice A pause duration is 0 or longer than {MAX_PAUSE_DURATION}
+    error InvalidPauseDuration(uint256 duration);
+
+    /**
+     * @dev Throws if called by any account other than the guardian.
+     */
+    modifier onlyGuardian() {
+        if (_msgSender() != _guardian) revert NotGuardian(_msgSender());
+        _;
+    }
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is assigned the number of
+     * shares at the matching position in `shares_`, and `guardian_` can pause releases.
+     *
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param guardian_ Address allowed to pause releases
+     * @param canPauseDeposits_ Whether a pause can also reject ETH deposits. If true,
+     * ETH can no longer be sent with `transfer` or `send`, even while not paused.
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     * - `guardian_` cannot be the zero address
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        address guardian_,
+        bool canPauseDeposits_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        if (guardian_ == address(0)) revert ZeroAddressGuardian();
+        _setupPayees(payees, shares_);
+        _guardian = guardian_;
+        _canPauseDeposits = canPauseDeposits_;
+    }
+
+    /**
+     * @dev Getter for the address allowed to pause releases.
+     * @return The guardian address
+     */
+    function guardian() public view returns (address) {
+        return _guardian;
+    }
+
+    /**
+     * @dev Returns true if the guardian can reject ETH deposits while paused.
+     */
+    function canPauseDeposits() public view returns (bool) {
+        return _canPauseDeposits;
+    }
+
+    /**
+     * @dev Returns true while releases are paused.
+     */
+    function paused() public view returns (bool) {
+        return block.timestamp < _pausedUntil;
+    }
+
+    /**
+     * @dev Returns true while ETH deposits are rejected.
+     */
+    function depositsPaused() public view returns (bool) {
+        return _rejectDeposits && paused();
+    }
+
+    /**
+     * @dev Getter for the timestamp the current or last pause ends at.
+     * @return The end of the current pause, or of the last one if not paused (0 if never paused)
+     */
+    function pausedUntil() public view returns (uint256) {
+        return _pausedUntil;
+    }
+
+    /**
+     * @dev Getter for the earliest time the guardian can pause again.
+     * @return Timestamp from which {pause} is allowed
+     */
+    function nextPauseAt() public view returns (uint256) {
+        return _nextPauseAt;
+    }
+
+    /**
+     * @dev Pauses releases for `duration` seconds.
+     * @param duration How long the pause lasts
+     * @param rejectDeposits Whether {receive} and {pay} reject ETH while paused
+     *
+     * Requirements:
+     * - The caller must be the guardian
+     * - Releases must not be paused already
+     * - The cooldown after the last pause must have passed
+     * - `duration` must be non-zero and at most {MAX_PAUSE_DURATION}
+     * - `rejectDeposits` can only be true if {canPauseDeposits}
+     *
+     * Emits a {Paused} event.
+     */
+    function pause(uint256 duration, bool rejectDeposits) public onlyGuardian {
+        if (paused()) revert ReleasesPaused(_pausedUntil);
+        if (block.timestamp < _nextPauseAt) revert PauseCooldown(_nextPauseAt);
+        if (duration == 0 || duration > MAX_PAUSE_DURATION) revert InvalidPauseDuration(duration);
+        if (rejectDeposits && !_canPauseDeposits) revert DepositPausingDisabled();
+
+        uint256 until = block.timestamp + duration;
+        _pausedUntil = uint64(until);
+        _nextPauseAt = uint64(until + PAUSE_COOLDOWN);
+        _rejectDeposits = rejectDeposits;
+
+        emit Paused(_msgSender(), until, rejectDeposits);
+    }
+
+    /**
+     * @dev Ends the current pause early. The cooldown before the next pause starts now.
+     *
+     * Requirements:
+     * - The caller must be the guardian
+     * - Releases must be paused
+     *
+     * Emits an {Unpaused} event.
+     */
+    function unpause() public onlyGuardian {
+        if (!paused()) revert NotPaused();
+
+        _pausedUntil = uint64(block.timestamp);
+        _nextPauseAt = uint64(block.timestamp + PAUSE_COOLDOWN);
+
+        emit Unpaused(_msgSender());
+    }
+
+    /**
+     * @dev Blocks every payment while paused.
+     */
+    function _beforeRelease(IERC20 /* token */) internal view override {
+        if (paused()) revert ReleasesPaused(_pausedUntil);
+    }
+
+    /**
+     * @dev Rejects ETH sent through {receive} or {pay} while the guardian pauses deposits.
+     * Skips every storage read when deposits cannot be paused, so plain `transfer`s
+     * still fit in their gas stipend.
+     */
+    function _beforeDeposit() internal view override {
+        if (_canPauseDeposits && depositsPaused()) revert DepositsPaused(_pausedUntil);
+    }
+}
@@ -0,0 +1,185 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SplitStreamBase.sol";
+import "./ISplitStreamRecoverable.sol";
+
+/**
+ * @title SplitStreamRecoverable
+ * @dev Payment splitter whose payees can name a backup beneficiary with {setBackup}.
+ * If a payee then shows no activity for their inactivity period, the backup can
+ * {claimSlot} and take the slot over, so funds owed to a payee who died or lost their
+ * key are not stuck forever.
+ *
+ * Activity is a {heartbeat}, a new {setBackup}, or a release the payee makes for
+ * themselves: {release} called by the payee, {releaseTo}, {claimEscrow}, or a
+ * {releaseWithSig} they signed. Releases others trigger for the payee do not count.
+ */
+contract SplitStreamRecoverable is SplitStreamBase, ISplitStreamRecoverable {
+    /**
+     * @dev A payee's backup beneficiary, the inactivity after which it can claim the
+     * slot, and the last time the payee showed activity.
+     */
+    struct Backup {
+        address beneficiary;
+        uint64 inactivityPeriod;
+        uint64 lastActive;
+    }
+
+    /// @dev Mapping from payee address to their backup beneficiary
+    mapping(address => Backup) private _backups;
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is assigned the number of
+     * shares at the matching position in `shares_`, and can name a backup later.
+     *
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        _setupPayees(payees, shares_);
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}. Also returns true for {ISplitStreamRecoverable}.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override(SplitStreamBase, IERC165) returns (bool) {
+        return interfaceId == type(ISplitStreamRecoverable).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Getter for a payee's backup beneficiary.
+     * @param account The address of the payee
+     * @return beneficiary The backup, or the zero address if none is set
+     * @return inactivityPeriod Seconds without activity after which the backup can claim the slot
+     * @return claimableAt The time from which the backup can {claimSlot}, or 0 if none is set
+     */
+    function backup(address account) public view override returns (
+        address beneficiary,
+        uint256 inactivityPeriod,
+        uint256 claimableAt
+    ) {
+        Backup memory backup_ = _backups[account];
+        if (backup_.beneficiary == address(0)) {
+            return (address(0), 0, 0);
+        }
+        return (
+            backup_.beneficiary,
+            backup_.inactivityPeriod,
+            uint256(backup_.lastActive) + backup_.inactivityPeriod
+        );
+    }
+
+    /**
+     * @dev Names `beneficiary` as the caller's backup: if the caller shows no activity for
+     * `inactivityPeriod` seconds, `beneficiary` can take over their slot with {claimSlot}.
+     * Replaces any earlier backup and restarts the inactivity period.
+     *
+     * @param beneficiary The backup, or the zero address to remove it
+     * @param inactivityPeriod Seconds without activity after which the backup can claim the slot
+     *
+     * Requirements:
+     * - The caller must be a payee
+     * - `beneficiary` cannot be the caller or this contract
+     * - `inactivityPeriod` must be greater than 0 unless the backup is removed
+     *
+     * Emits a {BackupSet} event.
+     */
+    function setBackup(address beneficiary, uint64 inactivityPeriod) public override {
+        address account = _msgSender();
+        _payeeShares(account);
+
+        if (beneficiary == address(0)) {
+            delete _backups[account];
+            emit BackupSet(account, address(0), 0);
+            return;
+        }
+
+        if (beneficiary == account || beneficiary == address(this)) revert InvalidBackup(beneficiary);
+        if (inactivityPeriod == 0) revert ZeroInactivityPeriod();
+
+        _backups[account] = Backup(beneficiary, inactivityPeriod, uint64(block.timestamp));
+        emit BackupSet(account, beneficiary, inactivityPeriod);
+    }
+
+    /**
+     * @dev Shows the caller is still active, restarting their inactivity period so their
+     * backup cannot claim the slot yet. Does nothing for payees without a backup.
+     *
+     * Requirements:
+     * - The caller must be a payee
+     *
+     * Emits a {Heartbeat} event if the caller has a backup.
+     */
+    function heartbeat() public override {
+        address account = _msgSender();
+        _payeeShares(account);
+        _touch(account);
+    }
+
+    /**
+     * @dev Moves the slot of `account` to the caller, its backup beneficiary, once `account`
+     * has shown no activity for their inactivity period. The caller takes over the slot
+     * like a {transferPayee}: shares, release history, escrow and pending payments.
+     * @param account The inactive payee
+     *
+     * Requirements:
+     * - The caller must be the backup of `account`
+     * - `account` must have shown no activity for their inactivity period
+     * - The caller must not already be a payee
+     *
+     * Emits a {PayeeTransferred} event and a {SlotClaimed} event.
+     */
+    function claimSlot(address account) public override {
+        address beneficiary = _msgSender();
+        Backup memory backup_ = _backups[account];
+
+        if (backup_.beneficiary == address(0) || backup_.beneficiary != beneficiary) {
+            revert NotBackup(account, beneficiary);
+        }
+        uint256 claimableAt = uint256(backup_.lastActive) + backup_.inactivityPeriod;
+        if (block.timestamp < claimableAt) revert PayeeStillActive(account, claimableAt);
+
+        _transferPayee(account, beneficiary);
+        emit SlotClaimed(account, beneficiary);
+    }
+
+    /**
+     * @dev Clears the backup of `account` rather than carrying it over, like its
+     * recipient, since it may have been set with the key being rotated away from.
+     * See {SplitStreamBase-_transferPayee}.
+     */
+    function _transferPayee(address account, address newAccount) internal override {
+        super._transferPayee(account, newAccount);
+        delete _backups[account];
+    }
+
+    /**
+     * @dev Counts a release the payee makes for themselves as activity.
+     */
+    function _beforeSelfRelease(address account) internal override {
+        _touch(account);
+    }
+
+    /**
+     * @dev Records activity of `account` if it has a backup, restarting its inactivity period.
+     * @param account The address of the payee
+     */
+    function _touch(address account) private {
+        Backup storage backup_ = _backups[account];
+        if (backup_.beneficiary != address(0)) {
+            backup_.lastActive = uint64(block.timestamp);
+            emit Heartbeat(account);
+        }
+    }
+}
@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SplitStreamBase.sol";
+import "./ISplitStreamRenounceable.sol";
+
+/**
+ * @title SplitStreamRenounceable
+ * @dev Payment splitter whose payees can leave with {renounceShares}: they are paid what
+ * they are owed, and funds received afterwards are split among the remaining payees only.
+ *
+ * Amounts already received stay split as before. Everything released to renounced payees
+ * is set aside from what the remaining payees split, so their past entitlements do not
+ * change when someone leaves. Setting it aside loops over the renounced payees, so each
+ * one adds a little to every later release.
+ *
+ * A renounced payee keeps their index in the payees array with 0 shares, and {released}
+ * still returns their history. Their slot cannot be transferred or taken over.
+ */
+contract SplitStreamRenounceable is SplitStreamBase, ISplitStreamRenounceable {
+    /// @dev Payees that renounced their shares, in order
+    address[] private _renouncedPayees;
+
+    /// @dev Mapping from payee address to whether they renounced their shares
+    mapping(address => bool) private _renounced;
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is assigned the number of
+     * shares at the matching position in `shares_`, and can renounce them later.
+     *
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        _setupPayees(payees, shares_);
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}. Also returns true for {ISplitStreamRenounceable}.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override(SplitStreamBase, IERC165) returns (bool) {
+        return interfaceId == type(ISplitStreamRenounceable).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Getter for whether `account` renounced their shares.
+     * @param account The address of the payee
+     * @return True if `account` renounced their shares
+     */
+    function renounced(address account) public view returns (bool) {
+        return _renounced[account];
+    }
+
+    /**
+     * @dev Releases the ETH owed to the caller and gives up their shares, so funds
+     * received from now on are split among the remaining payees only.
+     *
+     * ERC20 tokens are not settled; use the overload that takes a token list for those,
+     * or the caller's unreleased part of them goes to the remaining payees. Afterwards
+     * the caller cannot release anything, except ETH already in their escrow through
+     * {claimEscrow}.
+     *
+     * Requirements:
+     * - The caller must hold shares
+     * - The caller must not hold every remaining share
+     *
+     * Emits a {SharesRenounced} event, and a {PaymentReleased} event if ETH is owed.
+     */
+    function renounceShares() public override {
+        _renounceShares(new IERC20[](0));
+    }
+
+    /**
+     * @dev Releases the ETH and the `tokens` owed to the caller and gives up their shares.
+     * See {renounceShares}.
+     * @param tokens The ERC20 tokens to settle before renouncing
+     *
+     * Emits a {SharesRenounced} event, and a release event for each asset owed.
+     */
+    function renounceShares(IERC20[] calldata tokens) public override {
+        _renounceShares(tokens);
+    }
+
+    /**
+     * @dev Keeps renounced slots where they are, so their release history stays set aside.
+     *
+     * Requirements:
+     * - `account` must not have renounced their shares
+     * - `newAccount` must not have renounced their shares
+     */
+    function _transferPayee(address account, address newAccount) internal virtual override {
+        if (_renounced[account]) revert NoShares(account);
+        if (_renounced[newAccount]) revert DuplicatePayee(newAccount);
+        super._transferPayee(account, newAccount);
+    }
+
+    /**
+     * @dev The proportional share of what is left after setting aside everything released
+     * to renounced payees. Renounced payees are entitled to exactly what they were released.
+     */
+    function _entitlement(
+        IERC20 token,
+        address account,
+        uint256 totalReceived
+    ) internal view virtual override returns (uint256) {
+        if (_renounced[account]) {
+            return address(token) == address(0) ? released(account) : released(token, account);
+        }
+        return super._entitlement(token, account, totalReceived - _renouncedReleased(token));
+    }
+
+    /**
+     * @dev Settles the caller's `tokens` and ETH, then removes their shares.
+     * @param tokens The ERC20 tokens to settle before renouncing
+     */
+    function _renounceShares(IERC20[] memory tokens) private {
+        address account = _msgSender();
+        uint256 accountShares = shares(account);
+
+        if (accountShares == 0) revert NoShares(account);
+        if (accountShares == totalShares()) revert LastShareholder(account);
+
+        // Settle while the caller's shares still count
+        if (releasable(account) > 0) {
+            release(payable(account));
+        }
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (releasable(tokens[i], account) > 0) {
+                release(tokens[i], account);
+            }
+        }
+
+        _renouncedPayees.push(account);
+        _renounced[account] = true;
+        _removeShares(account);
+
+        emit SharesRenounced(account, accountShares);
+    }
+
+    /**
+     * @dev Returns the part of an asset released to payees that renounced their shares.
+     * @param token The ERC20 token contract, or the zero address for ETH
+     * @return amount The amount released to renounced payees
+     */
+    function _renouncedReleased(IERC20 token) private view returns (uint256 amount) {
+        for (uint256 i = 0; i < _renouncedPayees.length; i++) {
+            address account = _renouncedPayees[i];
+            amount += address(token) == address(0) ? released(account) : released(token, account);
+        }
+    }
+}
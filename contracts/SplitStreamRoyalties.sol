@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./SplitStreamCloneFactory.sol";
+
+/**
+ * @title SplitStreamRoyalties
+ * @dev Sets up SplitStream clones as EIP-2981 royalty receivers for NFT collections.
+ *
+ * EIP-2981 royalties are paid by marketplaces to the `receiver` returned by a
+ * collection's `royaltyInfo`. A SplitStream accepts ETH and ERC20 royalties like any
+ * other payment, so pointing that receiver at a splitter shares every royalty
+ * between the collection's creators without further integration.
+ *
+ * For each collection this contract deploys a dedicated splitter through a
+ * {SplitStreamCloneFactory} and records the royalty rate next to it. Collections
+ * then either copy the config into their own EIP-2981 storage (e.g. OpenZeppelin's
+ * `_setDefaultRoyalty(splitter, royaltyBps)`), or answer `royaltyInfo` by calling
+ * {royaltyInfo} here.
+ *
+ * Only the collection itself or its `owner()` can configure it, so nobody else can
+ * redirect a collection's royalties.
+ */
+contract SplitStreamRoyalties {
+    /// @notice Denominator of royalty rates, as in EIP-2981 implementations (10000 = 100%)
+    uint96 public constant FEE_DENOMINATOR = 10000;
+
+    /// @notice Factory the royalty splitters are cloned through
+    SplitStreamCloneFactory public immutable factory;
+
+    struct RoyaltyConfig {
+        address splitter;
+        uint96 royaltyBps;
+    }
+
+    /// @dev Royalty config of each collection
+    mapping(address => RoyaltyConfig) private _configs;
+
+    /// @notice Emitted when a collection's royalties are routed to a new splitter
+    event RoyaltySplitterCreated(
+        address indexed collection,
+        address indexed splitter,
+        uint96 royaltyBps,
+        address[] payees,
+        uint256[] shares
+    );
+
+    /// @notice The collection is the zero address
+    error ZeroAddressCollection();
+
+    /// @notice The caller is neither the collection nor its owner
+    error NotCollectionOwner(address collection, address caller);
+
+    /// @notice The royalty rate is above {FEE_DENOMINATOR}
+    error RoyaltyTooHigh(uint96 royaltyBps);
+
+    /// @notice The collection has no royalty splitter
+    error NoRoyaltySplitter(address collection);
+
+    constructor(SplitStreamCloneFactory factory_) {
+        factory = factory_;
+    }
+
+    /**
+     * @dev Deploys a splitter for `collection`'s royalties and records it with `royaltyBps`.
+     * Calling again replaces the collection's config; a previous splitter keeps working
+     * for royalties already sent to it. If the splitter was already cloned, e.g. by a
+     * direct call to the factory, it is reused.
+     * @param collection The NFT collection
+     * @param payees Array of addresses that share the royalties
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param royaltyBps Royalty rate of the collection's sales, in basis points
+     * @return splitter The address of the new splitter
+     *
+     * Requirements:
+     * - The caller must be `collection` or its `owner()`
+     * - `royaltyBps` must not exceed {FEE_DENOMINATOR}
+     * - Same as the SplitStream constructor
+     *
+     * Emits a {RoyaltySplitterCreated} event.
+     */
+    function createRoyaltySplitter(
+        address collection,
+        address[] calldata payees,
+        uint256[] calldata shares_,
+        uint96 royaltyBps
+    ) external returns (address splitter) {
+        _checkCollectionOwner(collection);
+        if (royaltyBps > FEE_DENOMINATOR) revert RoyaltyTooHigh(royaltyBps);
+
+        bytes32 salt = _salt(collection, royaltyBps);
+        splitter = factory.predictAddress(payees, shares_, salt);
+        if (splitter.code.length == 0) {
+            factory.createSplitStream(payees, shares_, salt);
+        }
+        _configs[collection] = RoyaltyConfig(splitter, royaltyBps);
+
+        emit RoyaltySplitterCreated(collection, splitter, royaltyBps, payees, shares_);
+    }
+
+    /**
+     * @dev Computes the address {createRoyaltySplitter} will deploy the splitter to.
+     * @param collection The NFT collection
+     * @param payees Array of addresses that share the royalties
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param royaltyBps Royalty rate of the collection's sales, in basis points
+     * @return The address of the splitter for these parameters
+     */
+    function predictRoyaltySplitter(
+        address collection,
+        address[] calldata payees,
+        uint256[] calldata shares_,
+        uint96 royaltyBps
+    ) external view returns (address) {
+        return factory.predictAddress(payees, shares_, _salt(collection, royaltyBps));
+    }
+
+    /**
+     * @dev Getter for the royalty config of `collection`.
+     * @param collection The NFT collection
+     * @return splitter The splitter receiving the royalties (zero address if none)
+     * @return royaltyBps The royalty rate, in basis points
+     */
+    function royaltyConfig(address collection) external view returns (address splitter, uint96 royaltyBps) {
+        RoyaltyConfig memory config = _configs[collection];
+        return (config.splitter, config.royaltyBps);
+    }
+
+    /**
+     * @dev EIP-2981 royalty of a `collection` sale, for collections that delegate their
+     * `royaltyInfo` here. The same rate applies to every token of the collection.
+     * @param collection The NFT collection
+     * @param salePrice The sale price, in any currency
+     * @return receiver The splitter to pay the royalty to
+     * @return royaltyAmount The royalty owed, in the sale currency
+     *
+     * Requirements:
+     * - `collection` must have a royalty splitter
+     */
+    function royaltyInfo(
+        address collection,
+        uint256 salePrice
+    ) external view returns (address receiver, uint256 royaltyAmount) {
+        RoyaltyConfig memory config = _configs[collection];
+        if (config.splitter == address(0)) revert NoRoyaltySplitter(collection);
+
+        return (config.splitter, (salePrice * config.royaltyBps) / FEE_DENOMINATOR);
+    }
+
+    /**
+     * @dev Checks that the caller may configure `collection`.
+     */
+    function _checkCollectionOwner(address collection) private view {
+        if (collection == address(0)) revert ZeroAddressCollection();
+        if (msg.sender == collection) return;
+
+        // Decoding an empty return value would revert outside the try, so skip accounts
+        // without code
+        if (collection.code.length > 0) {
+            try Ownable(collection).owner() returns (address owner) {
+                if (owner == msg.sender) return;
+            } catch {}
+        }
+
+        revert NotCollectionOwner(collection, msg.sender);
+    }
+
+    /**
+     * @dev Binds the clone salt to the collection and rate, so each collection gets its
+     * own splitter even when payees and shares match another collection's.
+     */
+    function _salt(address collection, uint96 royaltyBps) private pure returns (bytes32) {
+        return keccak256(abi.encode(collection, royaltyBps));
+    }
+}
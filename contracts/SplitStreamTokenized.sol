@@ -0,0 +1,268 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamTokenized
+ * @dev Payment splitter whose shares are an ERC20 token, so payees can trade or pledge
+ * their revenue share.
+ *
+ * Each share is one token unit, minted to the payees at deployment; no more are ever
+ * minted or burned. {shares}, {payee} and the other SplitStream reads follow the token
+ * balances: an account that receives shares becomes a payee, and one that sends all of
+ * them leaves the payees listed by {payee}, so the batch releases only loop over current
+ * holders. It keeps its history and can still {release} what it accrued.
+ *
+ * A transfer checkpoints what has accrued so far: the sender keeps everything received
+ * before the transfer, releasable as before, and the receiver only earns from funds
+ * received afterwards. Checkpoints cover ETH and the tracked ERC20 tokens. Nothing of an
+ * untracked token is releasable until a shareholder calls {trackToken}; the balance it
+ * has received by then is split by the holdings at that moment. A tracked token whose
+ * `balanceOf` reverts or uses more than {BALANCE_GAS_LIMIT} is skipped by the
+ * checkpoints, so it cannot block transfers.
+ *
+ * Rounding leaves at most one unit of each asset per holder in the contract, which is
+ * paid out as more funds arrive. Shares only change hands by transfer.
+ */
+contract SplitStreamTokenized is SplitStreamBase, ERC20 {
+    /// @dev Most ERC20 tokens that can be tracked, bounding the gas of share transfers
+    uint256 public constant MAX_TRACKED_TOKENS = 16;
+
+    /// @dev Most gas a tracked token's `balanceOf` may use in a share transfer checkpoint
+    uint256 public constant BALANCE_GAS_LIMIT = 50_000;
+
+    /// @dev Key ETH is recorded under, next to ERC20 tokens
+    IERC20 private constant ETH = IERC20(address(0));
+
+    /// @dev ERC20 tokens checkpointed on share transfers
+    IERC20[] private _trackedTokens;
+
+    /// @dev Mapping from token to whether it is in `_trackedTokens`
+    mapping(IERC20 => bool) private _tracked;
+
+    /// @dev Mapping from holder to their position in the payees array plus one (0: not listed)
+    mapping(address => uint256) private _payeeIndexes;
+
+    /// @dev Mapping from asset to account to the correction of its entitlement, scaled by
+    /// the total shares. Transfers move what accrued to the moved shares back to the sender.
+    mapping(IERC20 => mapping(address => int256)) private _corrections;
+
+    /// @notice Emitted when share transfers start checkpointing `token`
+    event TokenTracked(IERC20 indexed token);
+
+    /// @notice {MAX_TRACKED_TOKENS} tokens are already tracked
+    error TooManyTokens(uint256 count);
+
+    /// @notice The token is already tracked
+    error TokenAlreadyTracked(IERC20 token);
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is minted the number of
+     * share tokens at the matching position in `shares_`.
+     *
+     * @param name_ Name of the share token
+     * @param symbol_ Symbol of the share token
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param tokens_ ERC20 tokens to track from the start
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     * - `tokens_` must not repeat a token or hold more than {MAX_TRACKED_TOKENS}
+     */
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        address[] memory payees,
+        uint256[] memory shares_,
+        IERC20[] memory tokens_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) ERC20(name_, symbol_) {
+        _setupPayees(payees, shares_);
+        for (uint256 i = 0; i < payees.length; i++) {
+            _mint(payees[i], shares_[i]);
+            _payeeIndexes[payees[i]] = i + 1;
+        }
+
+        for (uint256 i = 0; i < tokens_.length; i++) {
+            _trackToken(tokens_[i]);
+        }
+    }
+
+    /**
+     * @dev Shares are whole units.
+     */
+    function decimals() public pure override returns (uint8) {
+        return 0;
+    }
+
+    /**
+     * @dev Getter for the ERC20 tokens checkpointed on share transfers.
+     * @return The tracked tokens, in the order they were added
+     */
+    function trackedTokens() public view returns (IERC20[] memory) {
+        return _trackedTokens;
+    }
+
+    /**
+     * @dev Starts checkpointing `token` on share transfers, which makes it releasable.
+     * What the contract has received of `token` so far is split by the current holdings.
+     * @param token The ERC20 token to track
+     *
+     * Requirements:
+     * - The caller must hold shares
+     * - `token` must not be the zero address or already tracked
+     * - Fewer than {MAX_TRACKED_TOKENS} tokens may be tracked
+     *
+     * Emits a {TokenTracked} event.
+     */
+    function trackToken(IERC20 token) public {
+        if (balanceOf(_msgSender()) == 0) revert NoShares(_msgSender());
+        _trackToken(token);
+    }
+
+    /**
+     * @dev Moves the slot of `account` to `newAccount`, together with its share tokens
+     * and checkpoints. See {SplitStreamBase-_transferPayee}.
+     */
+    function _transferPayee(address account, address newAccount) internal override {
+        super._transferPayee(account, newAccount);
+
+        // Shares already moved in the SplitStream accounting
+        ERC20._update(account, newAccount, balanceOf(account));
+
+        _payeeIndexes[newAccount] = _payeeIndexes[account];
+        delete _payeeIndexes[account];
+
+        _moveCorrection(ETH, account, newAccount);
+        for (uint256 i = 0; i < _trackedTokens.length; i++) {
+            _moveCorrection(_trackedTokens[i], account, newAccount);
+        }
+    }
+
+    /**
+     * @dev Checkpoints every tracked asset and moves the shares with the tokens.
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+
+        // Minted in the constructor, next to {_setupPayees}
+        if (from == address(0)) {
+            return;
+        }
+        if (to == address(this)) revert ERC20InvalidReceiver(to);
+
+        _checkpoint(ETH, from, to, value);
+        for (uint256 i = 0; i < _trackedTokens.length; i++) {
+            _checkpoint(_trackedTokens[i], from, to, value);
+        }
+        _transferShares(from, to, value);
+
+        if (value > 0) {
+            // A new holder was appended to the payees array
+            if (_payeeIndexes[to] == 0) {
+                _payeeIndexes[to] = payeeCount();
+            }
+            if (balanceOf(from) == 0) {
+                _unlist(from);
+            }
+        }
+    }
+
+    /**
+     * @dev The proportional share of what was received, corrected by the checkpoints
+     * of past transfers. Nothing for untracked tokens.
+     */
+    function _entitlement(
+        IERC20 token,
+        address account,
+        uint256 totalReceived
+    ) internal view override returns (uint256) {
+        if (token != ETH && !_tracked[token]) {
+            return 0;
+        }
+
+        int256 accrued = SafeCast.toInt256(totalReceived * shares(account)) + _corrections[token][account];
+        return SafeCast.toUint256(accrued) / totalShares();
+    }
+
+    /**
+     * @dev Starts checkpointing `token`. See {trackToken}.
+     */
+    function _trackToken(IERC20 token) private {
+        if (address(token) == address(0) || _tracked[token]) revert TokenAlreadyTracked(token);
+        if (_trackedTokens.length == MAX_TRACKED_TOKENS) revert TooManyTokens(MAX_TRACKED_TOKENS + 1);
+
+        _trackedTokens.push(token);
+        _tracked[token] = true;
+
+        emit TokenTracked(token);
+    }
+
+    /**
+     * @dev Removes `account`, which sent all its shares, from the payees array.
+     */
+    function _unlist(address account) private {
+        uint256 index = _payeeIndexes[account] - 1;
+        address last = payee(payeeCount() - 1);
+
+        _unlistPayee(account, index);
+        _payeeIndexes[last] = index + 1;
+        delete _payeeIndexes[account];
+    }
+
+    /**
+     * @dev Keeps what `value` shares accrued of `asset` so far with `from` rather than `to`.
+     * Skips a token whose `balanceOf` fails or uses more than {BALANCE_GAS_LIMIT}.
+     * @param asset The ERC20 token contract, or the zero address for ETH
+     * @param from The account sending the shares
+     * @param to The account receiving the shares
+     * @param value The number of shares moved
+     */
+    function _checkpoint(IERC20 asset, address from, address to, uint256 value) private {
+        uint256 totalReceived;
+        if (asset == ETH) {
+            totalReceived = address(this).balance + totalReleased();
+        } else {
+            (bool success, uint256 balance) = _balanceOf(asset);
+            if (!success) {
+                return;
+            }
+            totalReceived = balance + totalReleased(asset);
+        }
+
+        int256 accrued = SafeCast.toInt256(totalReceived * value);
+        _corrections[asset][from] += accrued;
+        _corrections[asset][to] -= accrued;
+    }
+
+    /**
+     * @dev Reads the contract's balance of `token` with at most {BALANCE_GAS_LIMIT} gas,
+     * copying no more than one word of return data.
+     * @return success Whether the call succeeded and returned a balance
+     * @return amount The balance, if `success`
+     */
+    function _balanceOf(IERC20 token) private view returns (bool success, uint256 amount) {
+        bytes memory data = abi.encodeCall(IERC20.balanceOf, (address(this)));
+        assembly {
+            success := staticcall(BALANCE_GAS_LIMIT, token, add(data, 0x20), mload(data), 0, 0x20)
+            success := and(success, gt(returndatasize(), 0x1f))
+            amount := mload(0)
+        }
+
+        // If this frame is nearly out of gas, the call was starved by the caller
+        if (!success && gasleft() <= BALANCE_GAS_LIMIT / 63) revert InsufficientGas();
+    }
+
+    /**
+     * @dev Moves the checkpoints of `asset` from `account` to `newAccount`.
+     */
+    function _moveCorrection(IERC20 asset, address account, address newAccount) private {
+        _corrections[asset][newAccount] = _corrections[asset][account];
+        delete _corrections[asset][account];
+    }
+}
@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamVesting
+ * @dev Payment splitter where each payee's share unlocks over a vesting schedule
+ * instead of immediately.
+ *
+ * Every payee has a schedule of `start`, `cliff` and `duration` set at deployment.
+ * Nothing is unlocked before `start + cliff`; after that the payee's share of all
+ * funds received so far unlocks linearly from `start` until `start + duration`,
+ * when it is fully unlocked. Funds received later are unlocked by the same
+ * fraction, so a payment arriving mid-schedule is partly claimable straight away.
+ *
+ * - Linear vesting: `cliff` of 0
+ * - Linear vesting with a cliff: `cliff` between 0 and `duration`
+ * - Cliff only (everything unlocks at once): `cliff` equal to `duration`
+ * - No vesting: `duration` of 0 (fully unlocked from `start`)
+ *
+ * The schedule applies to ETH and to every ERC20 token alike. It moves with the
+ * payee slot on {transferPayee}.
+ */
+contract SplitStreamVesting is SplitStreamBase {
+    /**
+     * @dev Vesting schedule of a payee. `cliff` and `duration` are in seconds from `start`.
+     */
+    struct VestingSchedule {
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+    }
+
+    /// @dev Mapping from payee address to their vesting schedule
+    mapping(address => VestingSchedule) private _schedules;
+
+    /// @notice The payees and schedules arrays have different lengths
+    error SchedulesLengthMismatch(uint256 payees, uint256 schedules);
+
+    /// @notice A schedule's cliff is longer than its duration
+    error CliffExceedsDuration(address account, uint64 cliff, uint64 duration);
+
+    /**
+     * @dev Creates a SplitStream where each account in `payees` is assigned the number of
+     * shares and the vesting schedule at the matching position in `shares_` and `schedules`.
+     *
+     * @param payees Array of addresses that will receive payments
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param schedules Array of vesting schedules corresponding to each payee
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     * - `schedules` must have the same length as `payees`
+     * - Each schedule's `cliff` must not exceed its `duration`
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        VestingSchedule[] memory schedules,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        if (payees.length != schedules.length) revert SchedulesLengthMismatch(payees.length, schedules.length);
+        _setupPayees(payees, shares_);
+
+        for (uint256 i = 0; i < payees.length; i++) {
+            if (schedules[i].cliff > schedules[i].duration) {
+                revert CliffExceedsDuration(payees[i], schedules[i].cliff, schedules[i].duration);
+            }
+            _schedules[payees[i]] = schedules[i];
+        }
+    }
+
+    /**
+     * @dev Getter for the vesting schedule of a payee.
+     * @param account The address of the payee
+     * @return The schedule of `account` (all zero for non-payees)
+     */
+    function vestingSchedule(address account) public view returns (VestingSchedule memory) {
+        return _schedules[account];
+    }
+
+    /**
+     * @dev Getter for the amount of ETH vested to a payee at `timestamp`, out of
+     * everything received so far. Includes amounts already released.
+     * @param account The address of the payee
+     * @param timestamp The time to compute the vested amount at
+     * @return The amount of ETH vested to `account` at `timestamp`
+     */
+    function vestedAmount(address account, uint64 timestamp) public view returns (uint256) {
+        uint256 totalReceived = address(this).balance + totalReleased();
+        return _vestedAmount(account, super._entitlement(IERC20(address(0)), account, totalReceived), timestamp);
+    }
+
+    /**
+     * @dev Getter for the amount of `token` vested to a payee at `timestamp`, out of
+     * everything received so far. Includes amounts already released.
+     * @param token The address of the ERC20 token contract
+     * @param account The address of the payee
+     * @param timestamp The time to compute the vested amount at
+     * @return The amount of `token` vested to `account` at `timestamp`
+     */
+    function vestedAmount(IERC20 token, address account, uint64 timestamp) public view returns (uint256) {
+        uint256 totalReceived = token.balanceOf(address(this)) + totalReleased(token);
+        return _vestedAmount(account, super._entitlement(token, account, totalReceived), timestamp);
+    }
+
+    /**
+     * @dev Moves the slot of `account` to `newAccount`, together with its vesting schedule.
+     * See {SplitStreamBase-_transferPayee}.
+     */
+    function _transferPayee(address account, address newAccount) internal override {
+        super._transferPayee(account, newAccount);
+
+        _schedules[newAccount] = _schedules[account];
+        delete _schedules[account];
+    }
+
+    /**
+     * @dev Limits a payee's entitlement to the part vested at the current block.
+     */
+    function _entitlement(
+        IERC20 token,
+        address account,
+        uint256 totalReceived
+    ) internal view override returns (uint256) {
+        return _vestedAmount(account, super._entitlement(token, account, totalReceived), uint64(block.timestamp));
+    }
+
+    /**
+     * @dev Applies the vesting schedule of `account` to `allocation` at `timestamp`.
+     * @param account The address of the payee
+     * @param allocation The payee's full share of the asset received so far
+     * @param timestamp The time to compute the vested amount at
+     * @return The vested part of `allocation`
+     */
+    function _vestedAmount(
+        address account,
+        uint256 allocation,
+        uint64 timestamp
+    ) private view returns (uint256) {
+        VestingSchedule memory schedule = _schedules[account];
+
+        if (timestamp < uint256(schedule.start) + schedule.cliff) {
+            return 0;
+        }
+        if (timestamp >= uint256(schedule.start) + schedule.duration) {
+            return allocation;
+        }
+        return (allocation * (timestamp - schedule.start)) / schedule.duration;
+    }
+}
@@ -0,0 +1,345 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./SplitStreamBase.sol";
+
+/**
+ * @title SplitStreamWaterfall
+ * @dev Payment splitter that pays fixed amounts in priority order before splitting
+ * the rest by shares.
+ *
+ * Funds received fill a series of tranches like a waterfall: the first tranche gets up
+ * to its `cap`, then the second up to its cap, and so on. What is left after the last
+ * tranche is the residual, split among the payees in proportion to their shares. For
+ * example, a tranche `(contractor, 2 ether)` with payees `[alice, bob]` and shares
+ * `[60, 40]` pays the first 2 ETH to the contractor and splits the rest 60/40.
+ *
+ * With a non-zero {periodLength}, the caps apply per period: each period's receipts fill
+ * the tranches again from the top, and unused caps do not carry over. With a
+ * {periodLength} of 0 they apply once, over the splitter's whole lifetime.
+ *
+ * Funds count toward the period in which the splitter records them. ETH sent through
+ * {receive} or {pay} is recorded on arrival. ERC20 transfers and forced ETH sends do not
+ * call the splitter; they count toward the open period until someone calls {checkpoint},
+ * which closes it. Call {checkpoint} at the start of each period, before that period's
+ * tokens arrive. Recording a new period writes to storage, so with a non-zero
+ * {periodLength}, ETH must be sent with more gas than Solidity's `transfer` and `send` forward.
+ *
+ * Tranche recipients that are not among the payees become payees without shares. A payee
+ * can hold shares and any number of tranches; the tranches move with the payee slot on
+ * {transferPayee}. The tranches apply to ETH and to every ERC20 token alike, each
+ * allocated separately.
+ */
+contract SplitStreamWaterfall is SplitStreamBase {
+    /**
+     * @dev A fixed-priority payout: `recipient` gets up to `cap` of each period's
+     * receipts, once the tranches before it are full.
+     */
+    struct Tranche {
+        address recipient;
+        uint256 cap;
+    }
+
+    /**
+     * @dev The period an asset's receipts are recorded in, and the asset's total received
+     * when that period was opened.
+     */
+    struct Checkpoint {
+        uint64 period;
+        uint256 opening;
+    }
+
+    /// @dev Most tranches a splitter can have, bounding the gas of every release
+    uint256 public constant MAX_TRANCHES = 16;
+
+    /// @dev Key ETH is recorded under, next to ERC20 tokens
+    IERC20 private constant ETH = IERC20(address(0));
+
+    /// @notice Length of a period in seconds (0: the caps apply once, over the splitter's lifetime)
+    uint64 public immutable periodLength;
+
+    /// @notice Timestamp the first period starts at
+    uint64 public immutable periodStart;
+
+    /// @dev Tranches, in priority order
+    Tranche[] private _tranches;
+
+    /// @dev Mapping from asset to the period its receipts are recorded in
+    mapping(IERC20 => Checkpoint) private _checkpoints;
+
+    /// @dev Mapping from asset to tranche index to the amount allocated to it in closed periods
+    mapping(IERC20 => mapping(uint256 => uint256)) private _closedTranches;
+
+    /// @dev Mapping from asset to the residual allocated in closed periods
+    mapping(IERC20 => uint256) private _closedResidual;
+
+    /// @notice Emitted when a period is closed with `received` of `token` (the zero address for ETH)
+    event PeriodClosed(IERC20 indexed token, uint256 indexed period, uint256 received);
+
+    /// @notice More tranches than {MAX_TRANCHES}
+    error TooManyTranches(uint256 count);
+
+    /// @notice A tranche has a cap of 0
+    error ZeroTrancheCap(uint256 index);
+
+    /**
+     * @dev Creates a SplitStream that pays `tranches` in order, then splits the residual
+     * among `payees` by `shares_`.
+     *
+     * @param payees Array of addresses that share the residual
+     * @param shares_ Array of share amounts corresponding to each payee
+     * @param tranches Array of tranches, in priority order
+     * @param periodLength_ Length of a period in seconds, or 0 for lifetime caps
+     * @param weth_ WETH contract to pay recipients that reject ETH in (zero: never wrap)
+     *
+     * Requirements:
+     * - Same as the {SplitStream} constructor
+     * - At most {MAX_TRANCHES} tranches
+     * - Tranche recipients must be non-zero and caps must be non-zero
+     */
+    constructor(
+        address[] memory payees,
+        uint256[] memory shares_,
+        Tranche[] memory tranches,
+        uint64 periodLength_,
+        IWETH weth_
+    ) payable SplitStreamBase(weth_) {
+        if (tranches.length > MAX_TRANCHES) revert TooManyTranches(tranches.length);
+        periodLength = periodLength_;
+        periodStart = uint64(block.timestamp);
+
+        _setupPayees(payees, shares_);
+
+        for (uint256 i = 0; i < tranches.length; i++) {
+            Tranche memory tranche_ = tranches[i];
+            if (tranche_.cap == 0) revert ZeroTrancheCap(i);
+
+            if (shares(tranche_.recipient) == 0 && !_holdsTranche(tranche_.recipient)) {
+                _addUnsharedPayee(tranche_.recipient);
+            }
+            _tranches.push(tranche_);
+        }
+    }
+
+    /**
+     * @dev Getter for the number of tranches.
+     * @return The length of the tranches array
+     */
+    function trancheCount() public view returns (uint256) {
+        return _tranches.length;
+    }
+
+    /**
+     * @dev Getter for a tranche by index.
+     * @param index The index of the tranche, in priority order
+     * @return The tranche at `index`
+     */
+    function tranche(uint256 index) public view returns (Tranche memory) {
+        return _tranches[index];
+    }
+
+    /**
+     * @dev Getter for the index of the current period, counted from {periodStart}.
+     * @return The current period (always 0 with lifetime caps)
+     */
+    function currentPeriod() public view returns (uint64) {
+        if (periodLength == 0) {
+            return 0;
+        }
+        return uint64((block.timestamp - periodStart) / periodLength);
+    }
+
+    /**
+     * @dev Getter for the period ETH receipts are recorded in and the ETH received in it.
+     * Until the next {checkpoint} or deposit, this can be a past period.
+     * @return period Index of the open period
+     * @return received Amount of ETH received in it so far
+     */
+    function openPeriod() public view returns (uint64 period, uint256 received) {
+        return _openPeriod(ETH, address(this).balance + totalReleased());
+    }
+
+    /**
+     * @dev Getter for the period `token` receipts are recorded in and the amount received in it.
+     * Until the next {checkpoint}, this can be a past period.
+     * @param token The address of the ERC20 token contract
+     * @return period Index of the open period
+     * @return received Amount of `token` received in it so far
+     */
+    function openPeriod(IERC20 token) public view returns (uint64 period, uint256 received) {
+        return _openPeriod(token, token.balanceOf(address(this)) + totalReleased(token));
+    }
+
+    /**
+     * @dev Getter for how the ETH received so far is allocated, including amounts
+     * already released.
+     * @return trancheAmounts Amount allocated to each tranche, in priority order
+     * @return residual Amount split among the payees by shares
+     */
+    function allocation() public view returns (uint256[] memory trancheAmounts, uint256 residual) {
+        return _allocation(ETH, address(this).balance + totalReleased());
+    }
+
+    /**
+     * @dev Getter for how the `token` received so far is allocated, including amounts
+     * already released.
+     * @param token The address of the ERC20 token contract
+     * @return trancheAmounts Amount allocated to each tranche, in priority order
+     * @return residual Amount split among the payees by shares
+     */
+    function allocation(IERC20 token) public view returns (uint256[] memory trancheAmounts, uint256 residual) {
+        return _allocation(token, token.balanceOf(address(this)) + totalReleased(token));
+    }
+
+    /**
+     * @dev Closes the open ETH period if a new period has started, so ETH received from
+     * now on counts toward the current period. Anyone can call it.
+     *
+     * Emits a {PeriodClosed} event if a period is closed.
+     */
+    function checkpoint() public {
+        _checkpoint(ETH, address(this).balance + totalReleased());
+    }
+
+    /**
+     * @dev Closes the open `token` period if a new period has started, so `token` received
+     * from now on counts toward the current period. Anyone can call it.
+     * @param token The address of the ERC20 token contract
+     *
+     * Emits a {PeriodClosed} event if a period is closed.
+     */
+    function checkpoint(IERC20 token) public {
+        _checkpoint(token, token.balanceOf(address(this)) + totalReleased(token));
+    }
+
+    /**
+     * @dev Moves the slot of `account` to `newAccount`, together with its tranches.
+     * See {SplitStreamBase-_transferPayee}.
+     */
+    function _transferPayee(address account, address newAccount) internal override {
+        super._transferPayee(account, newAccount);
+
+        for (uint256 i = 0; i < _tranches.length; i++) {
+            if (_tranches[i].recipient == account) {
+                _tranches[i].recipient = newAccount;
+            }
+        }
+    }
+
+    /**
+     * @dev A payee's tranche allocations plus their share of the residual.
+     */
+    function _entitlement(
+        IERC20 token,
+        address account,
+        uint256 totalReceived
+    ) internal view override returns (uint256 amount) {
+        (uint256[] memory trancheAmounts, uint256 residual) = _allocation(token, totalReceived);
+
+        for (uint256 i = 0; i < trancheAmounts.length; i++) {
+            if (_tranches[i].recipient == account) {
+                amount += trancheAmounts[i];
+            }
+        }
+
+        amount += super._entitlement(token, account, residual);
+    }
+
+    /**
+     * @dev Records incoming ETH in the current period. Skips every storage read when
+     * there are no periods, so plain `transfer`s still fit in their gas stipend.
+     */
+    function _beforeDeposit() internal override {
+        if (periodLength > 0) {
+            _checkpoint(ETH, address(this).balance - msg.value + totalReleased());
+        }
+    }
+
+    /**
+     * @dev Closes the open period of `token` if a new period has started, moving its
+     * receipts into the closed totals.
+     * @param token The ERC20 token contract, or the zero address for ETH
+     * @param totalReceived Everything received of `token` so far, up to the new period
+     */
+    function _checkpoint(IERC20 token, uint256 totalReceived) private {
+        if (periodLength == 0) {
+            return;
+        }
+
+        Checkpoint memory open = _checkpoints[token];
+        uint64 period = currentPeriod();
+        if (open.period == period) {
+            return;
+        }
+
+        uint256 received = totalReceived - open.opening;
+        (uint256[] memory trancheAmounts, uint256 residual) = _fill(received);
+
+        for (uint256 i = 0; i < trancheAmounts.length; i++) {
+            if (trancheAmounts[i] > 0) {
+                _closedTranches[token][i] += trancheAmounts[i];
+            }
+        }
+        _closedResidual[token] += residual;
+        _checkpoints[token] = Checkpoint(period, totalReceived);
+
+        emit PeriodClosed(token, open.period, received);
+    }
+
+    /**
+     * @dev Allocation of everything received of `token`: the closed periods plus the
+     * open period.
+     * @param token The ERC20 token contract, or the zero address for ETH
+     * @param totalReceived Current balance plus everything already released
+     * @return trancheAmounts Amount allocated to each tranche
+     * @return residual Amount left for the proportional split
+     */
+    function _allocation(
+        IERC20 token,
+        uint256 totalReceived
+    ) private view returns (uint256[] memory trancheAmounts, uint256 residual) {
+        (trancheAmounts, residual) = _fill(totalReceived - _checkpoints[token].opening);
+
+        for (uint256 i = 0; i < trancheAmounts.length; i++) {
+            trancheAmounts[i] += _closedTranches[token][i];
+        }
+        residual += _closedResidual[token];
+    }
+
+    /**
+     * @dev Fills the tranches in order with one period's `received`.
+     * @param received Amount received in the period
+     * @return trancheAmounts Amount allocated to each tranche
+     * @return residual Amount left after the last tranche
+     */
+    function _fill(uint256 received) private view returns (uint256[] memory trancheAmounts, uint256 residual) {
+        trancheAmounts = new uint256[](_tranches.length);
+        residual = received;
+
+        for (uint256 i = 0; i < trancheAmounts.length && residual > 0; i++) {
+            trancheAmounts[i] = Math.min(residual, _tranches[i].cap);
+            residual -= trancheAmounts[i];
+        }
+    }
+
+    /**
+     * @dev Getter for an asset's open period and the amount received in it.
+     */
+    function _openPeriod(IERC20 token, uint256 totalReceived) private view returns (uint64, uint256) {
+        Checkpoint memory open = _checkpoints[token];
+        return (open.period, totalReceived - open.opening);
+    }
+
+    /**
+     * @dev Returns whether `account` is the recipient of any tranche.
+     */
+    function _holdsTranche(address account) private view returns (bool) {
+        for (uint256 i = 0; i < _tranches.length; i++) {
+            if (_tranches[i].recipient == account) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
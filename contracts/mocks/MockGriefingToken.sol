@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockGriefingToken
+ * @dev Token whose every call, including `balanceOf`, reverts or burns all the gas it is
+ * given depending on its mode, used to test that tracked tokens cannot block transfers.
+ * Not for production use.
+ */
+contract MockGriefingToken {
+    enum Mode {
+        Revert,
+        BurnGas
+    }
+
+    Mode public mode;
+
+    constructor(Mode mode_) {
+        mode = mode_;
+    }
+
+    fallback() external {
+        if (mode == Mode.Revert) {
+            revert("MockGriefingToken: rejected");
+        }
+        while (true) {}
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+
+/**
+ * @title MockMarketplace
+ * @dev Minimal marketplace that pays EIP-2981 royalties on each sale the way
+ * marketplaces do, used to test royalty splitters. Not for production use.
+ */
+contract MockMarketplace {
+    /// @dev Buys `tokenId` for `msg.value`, paying the royalty and the rest to the seller
+    function buy(IERC721 collection, uint256 tokenId) external payable {
+        address seller = collection.ownerOf(tokenId);
+        (address receiver, uint256 royalty) = IERC2981(address(collection)).royaltyInfo(tokenId, msg.value);
+
+        collection.transferFrom(seller, msg.sender, tokenId);
+
+        (bool paid, ) = receiver.call{value: royalty}("");
+        require(paid, "MockMarketplace: royalty failed");
+        (paid, ) = seller.call{value: msg.value - royalty}("");
+        require(paid, "MockMarketplace: payment failed");
+    }
+
+    /// @dev Buys `tokenId` for `price` of `currency`, paying the royalty and the rest to the seller
+    function buyWithToken(IERC721 collection, uint256 tokenId, IERC20 currency, uint256 price) external {
+        address seller = collection.ownerOf(tokenId);
+        (address receiver, uint256 royalty) = IERC2981(address(collection)).royaltyInfo(tokenId, price);
+
+        collection.transferFrom(seller, msg.sender, tokenId);
+
+        currency.transferFrom(msg.sender, receiver, royalty);
+        currency.transferFrom(msg.sender, seller, price - royalty);
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ISplitStream.sol";
+
+/**
+ * @title MockPayee
+ * @dev Contract payee that accepts, rejects or griefs incoming ETH depending on its
+ * mode, used to test push distributions. Not for production use.
+ */
+contract MockPayee {
+    enum Mode {
+        Accept,
+        Revert,
+        BurnGas,
+        ReturnBomb
+    }
+
+    Mode public mode;
+
+    constructor(Mode mode_) {
+        mode = mode_;
+    }
+
+    function setMode(Mode mode_) external {
+        mode = mode_;
+    }
+
+    function claimEscrow(ISplitStream splitStream, address payable to) external {
+        splitStream.claimEscrow(to);
+    }
+
+    receive() external payable {
+        Mode current = mode;
+
+        if (current == Mode.Revert) {
+            revert("MockPayee: rejected");
+        } else if (current == Mode.BurnGas) {
+            while (true) {}
+        } else if (current == Mode.ReturnBomb) {
+            assembly {
+                revert(0, 100000)
+            }
+        }
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockPayer
+ * @dev Contract that pays with Solidity's `transfer` and `send`, which forward only
+ * the 2300 gas stipend, the way many older contracts pay out. Not for production use.
+ */
+contract MockPayer {
+    function payWithTransfer(address payable to) external payable {
+        to.transfer(msg.value);
+    }
+
+    function payWithSend(address payable to) external payable {
+        require(to.send(msg.value), "MockPayer: send failed");
+    }
+}
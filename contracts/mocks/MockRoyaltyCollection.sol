@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+
+/**
+ * @title MockRoyaltyCollection
+ * @dev Freely mintable ERC721 collection with EIP-2981 royalties set by its owner,
+ * used in tests. Not for production use.
+ */
+contract MockRoyaltyCollection is ERC721, ERC2981, Ownable {
+    constructor() ERC721("Mock Collection", "MOCK") Ownable(msg.sender) {}
+
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) external onlyOwner {
+        _setDefaultRoyalty(receiver, feeNumerator);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
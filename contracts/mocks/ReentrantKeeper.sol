@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ISplitStream.sol";
+
+/**
+ * @title ReentrantKeeper
+ * @dev Keeper that calls back into the splitter every time it receives a fee, to test
+ * that a keeper-triggered release pays a single fee and cannot pay a payee twice.
+ * Not for production use.
+ */
+contract ReentrantKeeper {
+    ISplitStream private immutable _splitStream;
+    address private _account;
+
+    constructor(ISplitStream splitStream_) {
+        _splitStream = splitStream_;
+    }
+
+    function keep(address account) external {
+        _account = account;
+        _splitStream.release(payable(account));
+        _account = address(0);
+    }
+
+    receive() external payable {
+        // Re-enter on every fee for as long as the splitter reports anything due
+        address account = _account;
+        if (account != address(0) && _splitStream.releasable(account) > 0) {
+            _splitStream.release(payable(account));
+        }
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ISplitStream.sol";
+
+/**
+ * @title ReentrantRelayer
+ * @dev Relayer that calls back into the splitter when it receives its fee, to test
+ * that a signed release cannot pay a payee twice. Not for production use.
+ */
+contract ReentrantRelayer {
+    ISplitStream private immutable _splitStream;
+    address private _account;
+
+    constructor(ISplitStream splitStream_) {
+        _splitStream = splitStream_;
+    }
+
+    function relay(
+        address account,
+        address payable to,
+        uint256 maxFee,
+        uint256 deadline,
+        uint256 nonce,
+        bytes calldata signature
+    ) external {
+        _account = account;
+        _splitStream.releaseWithSig(account, to, maxFee, deadline, nonce, signature);
+        _account = address(0);
+    }
+
+    receive() external payable {
+        if (_account != address(0) && _splitStream.releasable(_account) > 0) {
+            _splitStream.release(payable(_account));
+        }
+    }
+}
@@ -35,7 +35,10 @@
  *     "base-sepolia": {
  *       "rpc": "https://sepolia.base.org",
  *       "chainId": 84532,
- *       "explorer": "https://sepolia.basescan.org"
+ *       "explorer": "https://sepolia.basescan.org",
+ *       "factory": "0xYourSplitStreamFactoryAddress",
+ *       "royalties": "0xYourSplitStreamRoyaltiesAddress",
+ *       "lens": "0xYourSplitStreamLensAddress"
  *     }
  *   },
  *   "contracts": {
@@ -46,6 +49,12 @@
  * }
  * ```
  * 
+ * A network's "lens" (a deployed SplitStreamLens) lets `info`, `balance` and `release --all`
+ * read every payee in one call. Without it they read each payee separately.
+ * 
+ * Without a "factory", `deploy` deploys one whose splitters pay recipients that reject
+ * ETH in the network's WETH, looked up by chain ID in `lib/weth.js` (or WETH_ADDRESS).
+ * 
  * 2. Create `.env` file with your private key (for transactions):
  * 
  * ```env
@@ -58,22 +67,46 @@
  * # Show help
  * node cli-tool.js --help
  * 
- * # Deploy new contract
+ * # Deploy new contract (through SplitStreamFactory, address is predicted first)
+ * node cli-tool.js deploy --network base-sepolia \
+ *   --payees "0x123,0x456" --shares "50,50" --salt "client-acme"
+ * 
+ * # Only print the address a deployment would get
  * node cli-tool.js deploy --network base-sepolia \
- *   --payees "0x123,0x456" --shares "50,50"
+ *   --payees "0x123,0x456" --shares "50,50" --salt "client-acme" --dry-run
  * 
  * # Get contract info
  * node cli-tool.js info 0xContractAddress --network base
  * 
+ * # Show the EIP-2981 royalty parameters of an NFT collection
+ * node cli-tool.js royalty 0xCollectionAddress --network base
+ * 
  * # Check balances
  * node cli-tool.js balance 0xContractAddress --network base
  * 
+ * # Check ERC20 token balances (e.g. USDC)
+ * node cli-tool.js balance 0xContractAddress --token 0xTokenAddress --network base
+ * 
  * # Send payment
  * node cli-tool.js send 0xContractAddress --amount 0.1 --network base
  * 
+ * # Send payment for an invoice (the ID is logged with the payment)
+ * node cli-tool.js send 0xContractAddress --amount 0.1 --reference INV-2024-001 --network base
+ * 
  * # Release payment
  * node cli-tool.js release 0xContractAddress 0xPayeeAddress --network base
  * 
+ * # Release ERC20 token payment
+ * node cli-tool.js release 0xContractAddress 0xPayeeAddress --token 0xTokenAddress --network base
+ * 
+ * # Propose new shares on a SplitStreamGoverned, settling USDC under the current ones
+ * node cli-tool.js propose 0xContractAddress --payees "0x123,0x456" --shares "60,40" \
+ *   --tokens 0xUsdcAddress --network base
+ * 
+ * # Vote for a proposal, then execute it once its timelock has ended
+ * node cli-tool.js vote 0xContractAddress 0 --network base
+ * node cli-tool.js execute 0xContractAddress 0 --network base
+ * 
  * # View history
  * node cli-tool.js history 0xContractAddress --network base --limit 20
  * 
@@ -109,6 +142,11 @@ const Table = require('cli-table3');
 const fs = require('fs');
 const path = require('path');
 const { createObjectCsvWriter } = require('csv-writer');
+const { formatRevert, decodeRevert } = require('../lib/revertDecoder');
+const { encodeReference } = require('../lib/paymentReference');
+const { assertSplitStream } = require('../lib/interfaceDetection');
+const { readSplitter } = require('../lib/lens');
+const { getWethAddress } = require('../lib/weth');
 
 // ============================================================================
 // CONFIGURATION
@@ -169,8 +207,81 @@ const CONTRACT_ABI = [
     "function payee(uint256 index) view returns (address)",
     "function payeeCount() view returns (uint256)",
     "function release(address account) nonpayable",
+    "function totalReleased(address token) view returns (uint256)",
+    "function released(address token, address account) view returns (uint256)",
+    "function releasable(address token, address account) view returns (uint256)",
+    "function release(address token, address account) nonpayable",
+    "function releaseAll() nonpayable",
+    "function releaseAll(address token) nonpayable",
+    "function transferPayee(address newAccount) nonpayable",
+    "function pay(bytes32 ref) payable",
     "event PaymentReceived(address indexed from, uint256 amount)",
-    "event PaymentReleased(address indexed to, uint256 amount)"
+    "event PaymentReference(address indexed from, bytes32 indexed ref, uint256 amount)",
+    "event PaymentReleased(address indexed to, uint256 amount)",
+    "event ERC20PaymentReleased(address indexed token, address indexed to, uint256 amount)",
+    "event PayeeTransferred(address indexed previousAccount, address indexed newAccount)",
+    "event SharesRenounced(address indexed account, uint256 shares)"
+];
+
+/**
+ * SplitStreamFactory ABI (minimal for CREATE2 deployments)
+ */
+const FACTORY_ABI = [
+    "constructor(address weth_)",
+    "function weth() view returns (address)",
+    "function createSplitStream(address[] payees, uint256[] shares_, bytes32 salt) returns (address splitter)",
+    "function predictAddress(address[] payees, uint256[] shares_, bytes32 salt) view returns (address)",
+    "event SplitStreamCreated(address indexed splitter, address[] payees, uint256[] shares, bytes32 salt)"
+];
+
+/**
+ * SplitStreamRoyalties ABI (minimal for royalty configs)
+ */
+const ROYALTIES_ABI = [
+    "function royaltyConfig(address collection) view returns (address splitter, uint96 royaltyBps)",
+    "function royaltyInfo(address collection, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)",
+    "function FEE_DENOMINATOR() view returns (uint96)"
+];
+
+/**
+ * SplitStreamGoverned ABI (minimal for share reallocation proposals)
+ */
+const GOVERNED_ABI = [
+    "function propose(address[] payees, uint256[] shares_, address[] tokens) returns (uint256 proposalId)",
+    "function vote(uint256 proposalId)",
+    "function execute(uint256 proposalId)",
+    "function proposal(uint256 proposalId) view returns (tuple(address proposer, uint64 era, uint64 eta, bool executed, uint256 votes, address[] payees, uint256[] shares, address[] tokens))",
+    "function state(uint256 proposalId) view returns (uint8)",
+    "function hasVoted(uint256 proposalId, address account) view returns (bool)",
+    "function quorum() view returns (uint256)",
+    "function quorumBps() view returns (uint256)",
+    "function timelock() view returns (uint64)",
+    "function era() view returns (uint64)",
+    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, address[] payees, uint256[] shares, address[] tokens)",
+    "event ProposalQueued(uint256 indexed proposalId, uint256 eta)",
+    "event ProposalExecuted(uint256 indexed proposalId, uint256 era)"
+];
+
+/**
+ * Names of SplitStreamGoverned.ProposalState values, by index
+ */
+const PROPOSAL_STATES = ['Active', 'Queued', 'Executed', 'Superseded'];
+
+/**
+ * EIP-2981 ABI (for comparing a collection's own royalty info)
+ */
+const ERC2981_ABI = [
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)"
+];
+
+/**
+ * ERC20 ABI (minimal for token balances and display)
+ */
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address account) view returns (uint256)"
 ];
 
 // ============================================================================
@@ -220,6 +331,149 @@ function getContract(address, networkName, needsSigner = false) {
     return new ethers.Contract(address, CONTRACT_ABI, runnerOrProvider);
 }
 
+/**
+ * Get contract instance after checking through ERC-165 that the address is a SplitStream
+ */
+async function getSplitStream(address, networkName, needsSigner = false) {
+    const contract = getContract(address, networkName, needsSigner);
+    await assertSplitStream(address, contract.runner);
+    return contract;
+}
+
+/**
+ * Resolve the asset to operate on: ETH, or the ERC20 token at tokenAddress
+ */
+async function getAsset(tokenAddress, provider) {
+    if (!tokenAddress) {
+        return { address: null, token: null, symbol: 'ETH', decimals: 18 };
+    }
+
+    if (!ethers.isAddress(tokenAddress)) {
+        throw new Error(`Invalid token address: ${tokenAddress}`);
+    }
+
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+
+    return { address: tokenAddress, token, symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Format an asset amount for display
+ */
+function formatAmount(amount, asset) {
+    return ethers.formatUnits(amount, asset.decimals);
+}
+
+/**
+ * Get released and releasable amounts of an asset for a payee
+ */
+async function getPayeeAmounts(contract, payeeAddress, asset) {
+    if (asset.address) {
+        const [released, releasable] = await Promise.all([
+            contract['released(address,address)'](asset.address, payeeAddress),
+            contract['releasable(address,address)'](asset.address, payeeAddress)
+        ]);
+        return { released, releasable };
+    }
+
+    const [released, releasable] = await Promise.all([
+        contract['released(address)'](payeeAddress),
+        contract['releasable(address)'](payeeAddress)
+    ]);
+    return { released, releasable };
+}
+
+/**
+ * Read the totals and every payee of a splitter in an asset, in one call on networks
+ * with a "lens" configured
+ */
+async function getSplitterState(contract, networkName, asset) {
+    return await readSplitter(await contract.getAddress(), contract.runner, {
+        lens: config.networks[networkName]?.lens,
+        token: asset.address
+    });
+}
+
+/**
+ * Release an asset to a payee
+ */
+async function releaseAsset(contract, payeeAddress, asset) {
+    if (asset.address) {
+        return contract['release(address,address)'](asset.address, payeeAddress);
+    }
+    return contract['release(address)'](payeeAddress);
+}
+
+/**
+ * Get a SplitStreamGoverned instance, checking that the address is a governed splitter
+ */
+async function getGoverned(address, networkName, needsSigner = false) {
+    const splitStream = await getSplitStream(address, networkName, needsSigner);
+    const governed = new ethers.Contract(address, GOVERNED_ABI, splitStream.runner);
+
+    try {
+        await governed.quorumBps();
+    } catch {
+        throw new Error(`${address} is a SplitStream, but not a SplitStreamGoverned`);
+    }
+
+    return governed;
+}
+
+/**
+ * Print a proposal's allocation, votes and state
+ */
+async function printProposal(governed, proposalId) {
+    const [proposal, state, quorum] = await Promise.all([
+        governed.proposal(proposalId),
+        governed.state(proposalId),
+        governed.quorum()
+    ]);
+
+    const table = new Table({
+        head: ['#', 'Address', 'Shares', '%'],
+        style: { head: ['cyan'] }
+    });
+
+    const totalShares = proposal.shares.reduce((a, b) => a + b, 0n);
+    proposal.payees.forEach((address, i) => {
+        table.push([
+            i + 1,
+            formatAddress(address),
+            proposal.shares[i].toString(),
+            `${(Number(proposal.shares[i] * 10000n / totalShares) / 100).toFixed(2)}%`
+        ]);
+    });
+
+    console.log(`${chalk.bold('Proposal:')} #${proposalId} by ${formatAddress(proposal.proposer)}`);
+    console.log(`${chalk.bold('State:')} ${PROPOSAL_STATES[Number(state)]}`);
+    console.log(`${chalk.bold('Votes:')} ${proposal.votes} of ${quorum} shares needed`);
+    if (proposal.eta > 0n) {
+        console.log(`${chalk.bold('Executable from:')} ${new Date(Number(proposal.eta) * 1000).toISOString()}`);
+    }
+    if (proposal.tokens.length > 0) {
+        console.log(`${chalk.bold('Settles tokens:')} ${proposal.tokens.map(formatAddress).join(', ')}`);
+    }
+    console.log(table.toString());
+
+    return { proposal, state: Number(state) };
+}
+
+/**
+ * Turn a --salt value into a bytes32 salt: 32-byte hex is used as-is,
+ * any other string is hashed, and no value gives a random salt
+ */
+function parseSalt(value) {
+    if (!value) {
+        return ethers.hexlify(ethers.randomBytes(32));
+    }
+    if (ethers.isHexString(value, 32)) {
+        return value;
+    }
+    return ethers.id(value);
+}
+
 /**
  * Format address for display
  */
@@ -264,6 +518,18 @@ async function confirmAction(message, network) {
     return answers.confirmed;
 }
 
+/**
+ * Print a failed command's error, decoding SplitStream reverts into readable messages
+ */
+function printError(label, error) {
+    console.error(chalk.red(`\n❌ ${label}`), formatRevert(error));
+
+    const hint = decodeRevert(error)?.hint;
+    if (hint) {
+        console.log(chalk.gray(`   ${hint}`));
+    }
+}
+
 /**
  * Wait for transaction with spinner
  */
@@ -290,7 +556,9 @@ program
     .option('-n, --network <network>', 'Network to deploy on', config.defaultNetwork)
     .option('-p, --payees <addresses>', 'Comma-separated list of payee addresses')
     .option('-s, --shares <shares>', 'Comma-separated list of shares (must match payees)')
-    .option('--dry-run', 'Simulate deployment without actually deploying')
+    .option('-f, --factory <address>', 'SplitStreamFactory address (defaults to the network\'s "factory" config)')
+    .option('--salt <salt>', 'Label or 32-byte hex salt for the CREATE2 address (random if omitted)')
+    .option('--dry-run', 'Predict the address without actually deploying')
     .action(async (options) => {
         try {
             console.log(chalk.bold.cyan('\n🚀 SplitStream Contract Deployment\n'));
@@ -369,6 +637,43 @@ program
             console.log(table.toString());
             console.log(chalk.dim(`Total shares: ${totalShares}\n`));
 
+            // Resolve factory and predict the splitter address
+            const factoryAddress = options.factory || config.networks[options.network]?.factory;
+            const salt = parseSalt(options.salt);
+
+            if (factoryAddress && !ethers.isAddress(factoryAddress)) {
+                throw new Error(`Invalid factory address: ${factoryAddress}`);
+            }
+
+            let predictedAddress = null;
+            if (factoryAddress) {
+                const provider = getProvider(options.network);
+                if ((await provider.getCode(factoryAddress)) === '0x') {
+                    throw new Error(`No SplitStreamFactory found at ${factoryAddress} on ${options.network}`);
+                }
+
+                const readFactory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+                predictedAddress = await readFactory.predictAddress(payees, shares, salt);
+
+                console.log(`${chalk.bold('Factory:')} ${factoryAddress}`);
+                console.log(`${chalk.bold('Salt:')} ${salt}`);
+                console.log(`${chalk.bold('Predicted Address:')} ${chalk.cyan(predictedAddress)}\n`);
+
+                if ((await provider.getCode(predictedAddress)) !== '0x') {
+                    throw new Error(`A SplitStream is already deployed at ${predictedAddress} for this salt`);
+                }
+            } else {
+                console.log(chalk.yellow('No factory configured - a new SplitStreamFactory will be deployed first.\n'));
+            }
+
+            if (options.dryRun) {
+                console.log(chalk.yellow('🏃 Dry run mode - skipping actual deployment'));
+                if (!predictedAddress) {
+                    console.log(chalk.dim('Pass --factory to predict the splitter address.'));
+                }
+                return;
+            }
+
             // Confirm
             const confirmed = await confirmAction(
                 `Deploy to ${options.network}?`,
@@ -380,40 +685,66 @@ program
                 return;
             }
 
-            if (options.dryRun) {
-                console.log(chalk.yellow('\n🏃 Dry run mode - skipping actual deployment'));
-                return;
+            const signer = getSigner(options.network);
+            let factory;
+
+            // Deploy the factory if none is configured
+            if (factoryAddress) {
+                factory = new ethers.Contract(factoryAddress, FACTORY_ABI, signer);
+            } else {
+                const factorySpinner = ora('Deploying SplitStreamFactory...').start();
+                const SplitStreamFactory = new ethers.ContractFactory(
+                    FACTORY_ABI,
+                    require('../artifacts/contracts/SplitStreamFactory.sol/SplitStreamFactory.json').bytecode,
+                    signer
+                );
+
+                // Splitters pay recipients that reject ETH in the network's WETH
+                const weth = getWethAddress(config.networks[options.network].chainId);
+                factory = await SplitStreamFactory.deploy(weth);
+                await factory.waitForDeployment();
+                factorySpinner.succeed(chalk.green(`Factory deployed at ${await factory.getAddress()}`));
+
+                predictedAddress = await factory.predictAddress(payees, shares, salt);
+                console.log(`${chalk.bold('Predicted Address:')} ${chalk.cyan(predictedAddress)}\n`);
             }
 
             // Deploy
-            const spinner = ora('Deploying contract...').start();
-
-            const signer = getSigner(options.network);
-            const factory = new ethers.ContractFactory(
-                CONTRACT_ABI,
-                require('../artifacts/contracts/SplitStream.sol/SplitStream.json').bytecode,
-                signer
-            );
+            const spinner = ora('Deploying contract via factory...').start();
 
-            const contract = await factory.deploy(payees, shares);
+            const tx = await factory.createSplitStream(payees, shares, salt);
             spinner.text = 'Waiting for deployment confirmation...';
 
-            await contract.waitForDeployment();
-            const address = await contract.getAddress();
+            const receipt = await tx.wait();
+            const created = receipt.logs
+                .map(log => factory.interface.parseLog(log))
+                .find(parsed => parsed && parsed.name === 'SplitStreamCreated');
+            const address = created.args.splitter;
+
+            if (address !== predictedAddress) {
+                spinner.fail(chalk.red('Deployed address does not match prediction'));
+                throw new Error(`Deployed at ${address}, predicted ${predictedAddress}`);
+            }
 
             spinner.succeed(chalk.green('Contract deployed successfully!'));
 
             console.log(chalk.bold('\n📋 Deployment Details:\n'));
             console.log(`${chalk.bold('Contract Address:')} ${chalk.cyan(address)}`);
+            console.log(`${chalk.bold('Factory:')} ${await factory.getAddress()}`);
+            console.log(`${chalk.bold('Salt:')} ${salt}`);
+            console.log(`${chalk.bold('Transaction Hash:')} ${tx.hash}`);
             console.log(`${chalk.bold('Network:')} ${options.network}`);
             console.log(`${chalk.bold('Explorer:')} ${getExplorerUrl(options.network, 'address', address)}`);
 
             // Save to config
             console.log(chalk.dim('\n💡 Tip: Add this to your .splitstream.json:'));
             console.log(chalk.dim(`"contracts": { "latest": "${address}" }`));
+            if (!factoryAddress) {
+                console.log(chalk.dim(`"networks": { "${options.network}": { "factory": "${await factory.getAddress()}" } }`));
+            }
 
         } catch (error) {
-            console.error(chalk.red('\n❌ Deployment failed:'), error.message);
+            printError('Deployment failed:', error);
             process.exit(1);
         }
     });
@@ -426,6 +757,7 @@ program
     .command('info <address>')
     .description('Show contract information')
     .option('-n, --network <network>', 'Network name', config.defaultNetwork)
+    .option('--from-block <number>', 'Start block for payee rotation history', '0')
     .action(async (address, options) => {
         try {
             console.log(chalk.bold.cyan('\n📊 Contract Information\n'));
@@ -433,33 +765,14 @@ program
             const spinner = ora('Fetching contract data...').start();
 
             const provider = getProvider(options.network);
-            const contract = getContract(address, options.network);
+            const contract = await getSplitStream(address, options.network);
 
             // Fetch all data
-            const [
-                totalShares,
-                totalReleased,
-                payeeCount,
-                balance,
-                code
-            ] = await Promise.all([
-                contract.totalShares(),
-                contract.totalReleased(),
-                contract.payeeCount(),
-                provider.getBalance(address),
-                provider.getCode(address)
-            ]);
-
-            // Verify it's a contract
-            if (code === '0x') {
-                throw new Error('No contract found at this address');
-            }
+            const state = await getSplitterState(contract, options.network, await getAsset(null));
 
             spinner.succeed('Data fetched');
 
             // Display basic info
-            const totalReceived = balance + totalReleased;
-
             const infoTable = new Table({
                 style: { head: ['cyan'] }
             });
@@ -467,11 +780,11 @@ program
             infoTable.push(
                 ['Contract Address', address],
                 ['Network', options.network],
-                ['Current Balance', `${ethers.formatEther(balance)} ETH`],
-                ['Total Released', `${ethers.formatEther(totalReleased)} ETH`],
-                ['Total Received', `${ethers.formatEther(totalReceived)} ETH`],
-                ['Total Shares', totalShares.toString()],
-                ['Number of Payees', payeeCount.toString()]
+                ['Current Balance', `${ethers.formatEther(state.balance)} ETH`],
+                ['Total Released', `${ethers.formatEther(state.totalReleased)} ETH`],
+                ['Total Received', `${ethers.formatEther(state.totalReceived)} ETH`],
+                ['Total Shares', state.totalShares.toString()],
+                ['Number of Payees', state.payees.length.toString()]
             );
 
             console.log(infoTable.toString());
@@ -484,30 +797,196 @@ program
                 style: { head: ['cyan'] }
             });
 
-            for (let i = 0; i < payeeCount; i++) {
-                const payeeAddress = await contract.payee(i);
-                const shares = await contract.shares(payeeAddress);
-                const released = await contract.released(payeeAddress);
-                const releasable = await contract.releasable(payeeAddress);
-
-                const percentage = Number((shares * 100n) / totalShares);
+            state.payees.forEach((payee, i) => {
+                const percentage = Number((payee.shares * 100n) / state.totalShares);
 
                 payeeTable.push([
                     i + 1,
-                    formatAddress(payeeAddress),
-                    shares.toString(),
+                    formatAddress(payee.account),
+                    payee.shares.toString(),
                     `${percentage.toFixed(1)}%`,
-                    `${ethers.formatEther(released)} ETH`,
-                    chalk.green(`${ethers.formatEther(releasable)} ETH`)
+                    `${ethers.formatEther(payee.released)} ETH`,
+                    chalk.green(`${ethers.formatEther(payee.releasable)} ETH`)
                 ]);
-            }
+            });
 
             console.log(payeeTable.toString());
 
+            // Fetch and display payee rotations
+            console.log(chalk.bold('\n🔑 Payee Rotation History:\n'));
+
+            const currentBlock = await provider.getBlockNumber();
+            const fromBlock = parseInt(options.fromBlock) || Math.max(0, currentBlock - 10000);
+            const rotations = await contract.queryFilter(contract.filters.PayeeTransferred(), fromBlock, 'latest');
+
+            if (rotations.length === 0) {
+                console.log(chalk.dim(`No payee rotations since block ${fromBlock}`));
+            } else {
+                const rotationTable = new Table({
+                    head: ['Block', 'Previous Address', 'New Address', 'Transaction'],
+                    style: { head: ['cyan'] }
+                });
+
+                for (const rotation of rotations) {
+                    rotationTable.push([
+                        rotation.blockNumber,
+                        formatAddress(rotation.args.previousAccount),
+                        formatAddress(rotation.args.newAccount),
+                        formatAddress(rotation.transactionHash)
+                    ]);
+                }
+
+                console.log(rotationTable.toString());
+            }
+
+            // Fetch and display payees that left the split (SplitStreamRenounceable only)
+            const renunciations = await contract.queryFilter(contract.filters.SharesRenounced(), fromBlock, 'latest');
+
+            if (renunciations.length > 0) {
+                console.log(chalk.bold('\n👋 Renounced Shares:\n'));
+
+                const renunciationTable = new Table({
+                    head: ['Block', 'Payee', 'Shares', 'Transaction'],
+                    style: { head: ['cyan'] }
+                });
+
+                for (const renunciation of renunciations) {
+                    renunciationTable.push([
+                        renunciation.blockNumber,
+                        formatAddress(renunciation.args.account),
+                        renunciation.args.shares.toString(),
+                        formatAddress(renunciation.transactionHash)
+                    ]);
+                }
+
+                console.log(renunciationTable.toString());
+            }
+
             console.log(chalk.dim(`\n🔗 Explorer: ${getExplorerUrl(options.network, 'address', address)}\n`));
 
         } catch (error) {
-            console.error(chalk.red('\n❌ Error:'), error.message);
+            printError('Error:', error);
+            process.exit(1);
+        }
+    });
+
+// ============================================================================
+// COMMAND: ROYALTY
+// ============================================================================
+
+program
+    .command('royalty <collection>')
+    .description('Show the EIP-2981 royalty parameters of an NFT collection')
+    .option('-n, --network <network>', 'Network name', config.defaultNetwork)
+    .option('--registry <address>', 'SplitStreamRoyalties address (defaults to the network config)')
+    .option('-p, --price <amount>', 'Sale price to quote the royalty for', '1')
+    .action(async (collection, options) => {
+        try {
+            console.log(chalk.bold.cyan('\n👑 Royalty Configuration\n'));
+
+            if (!ethers.isAddress(collection)) {
+                throw new Error(`Invalid collection address: ${collection}`);
+            }
+
+            const registryAddress = options.registry || config.networks[options.network]?.royalties;
+            if (!registryAddress) {
+                throw new Error(`No SplitStreamRoyalties address for ${options.network}; pass --registry or set "royalties" in the network config`);
+            }
+            if (!ethers.isAddress(registryAddress)) {
+                throw new Error(`Invalid registry address: ${registryAddress}`);
+            }
+
+            const spinner = ora('Fetching royalty config...').start();
+
+            const provider = getProvider(options.network);
+            if ((await provider.getCode(registryAddress)) === '0x') {
+                spinner.fail('Registry not found');
+                throw new Error(`No SplitStreamRoyalties found at ${registryAddress} on ${options.network}`);
+            }
+
+            const registry = new ethers.Contract(registryAddress, ROYALTIES_ABI, provider);
+            const [splitter, royaltyBps] = await registry.royaltyConfig(collection);
+
+            if (splitter === ethers.ZeroAddress) {
+                spinner.fail('No royalty splitter');
+                throw new Error(`Collection ${collection} has no royalty splitter; create one with createRoyaltySplitter()`);
+            }
+
+            const salePrice = ethers.parseEther(options.price);
+            const [, royaltyAmount] = await registry.royaltyInfo(collection, salePrice);
+            const feeDenominator = await registry.FEE_DENOMINATOR();
+
+            spinner.succeed('Royalty config fetched');
+
+            const infoTable = new Table({
+                style: { head: ['cyan'] }
+            });
+
+            infoTable.push(
+                ['Collection', collection],
+                ['Network', options.network],
+                ['Receiver (splitter)', splitter],
+                ['Fee Numerator', `${royaltyBps} / ${feeDenominator}`],
+                ['Royalty Rate', `${(Number(royaltyBps) / 100).toFixed(2)}%`],
+                [`Royalty on a ${options.price} sale`, ethers.formatEther(royaltyAmount)]
+            );
+
+            console.log(infoTable.toString());
+
+            // Compare with what the collection itself reports to marketplaces
+            const collectionContract = new ethers.Contract(collection, ERC2981_ABI, provider);
+            let reported = null;
+            try {
+                if (await collectionContract.supportsInterface('0x2a55205a')) {
+                    reported = await collectionContract.royaltyInfo(0, feeDenominator);
+                }
+            } catch {
+                // Not an ERC-165 contract
+            }
+
+            if (!reported) {
+                console.log(chalk.yellow('\n⚠️  The collection does not implement EIP-2981 royaltyInfo'));
+            } else if (reported[0] === splitter && reported[1] === royaltyBps) {
+                console.log(chalk.green('\n✅ The collection reports this royalty config to marketplaces'));
+            } else {
+                console.log(chalk.yellow(
+                    `\n⚠️  The collection reports ${reported[1]} basis points to ${reported[0]}, not this config`
+                ));
+            }
+
+            // Show how the royalties are shared
+            console.log(chalk.bold('\n👥 Royalty Payees:\n'));
+
+            const splitStream = getContract(splitter, options.network);
+            const [totalShares, payeeCount] = await Promise.all([
+                splitStream.totalShares(),
+                splitStream.payeeCount()
+            ]);
+
+            const payeeTable = new Table({
+                head: ['#', 'Address', 'Shares', '%'],
+                style: { head: ['cyan'] }
+            });
+
+            for (let i = 0; i < payeeCount; i++) {
+                const payeeAddress = await splitStream.payee(i);
+                const shares = await splitStream.shares(payeeAddress);
+                const percentage = Number((shares * 10000n) / totalShares) / 100;
+
+                payeeTable.push([i + 1, formatAddress(payeeAddress), shares.toString(), `${percentage.toFixed(2)}%`]);
+            }
+
+            console.log(payeeTable.toString());
+
+            console.log(chalk.bold('\n📋 EIP-2981 parameters:\n'));
+            console.log(`   receiver:     ${splitter}`);
+            console.log(`   feeNumerator: ${royaltyBps}`);
+            console.log(chalk.dim(`\n   e.g. _setDefaultRoyalty(${splitter}, ${royaltyBps});`));
+
+            console.log(chalk.dim(`\n🔗 Explorer: ${getExplorerUrl(options.network, 'address', splitter)}\n`));
+
+        } catch (error) {
+            printError('Error:', error);
             process.exit(1);
         }
     });
@@ -521,6 +1000,7 @@ program
     .description('Check balances and pending payments for all payees')
     .option('-n, --network <network>', 'Network name', config.defaultNetwork)
     .option('-a, --address <payee>', 'Check specific payee address only')
+    .option('-t, --token <token>', 'ERC20 token address (defaults to ETH)')
     .action(async (contractAddress, options) => {
         try {
             console.log(chalk.bold.cyan('\n💰 Balance Information\n'));
@@ -528,29 +1008,28 @@ program
             const spinner = ora('Fetching balances...').start();
 
             const provider = getProvider(options.network);
-            const contract = getContract(contractAddress, options.network);
+            const contract = await getSplitStream(contractAddress, options.network);
+            const asset = await getAsset(options.token, provider);
 
-            const balance = await provider.getBalance(contractAddress);
-            const totalReleased = await contract.totalReleased();
+            const state = await getSplitterState(contract, options.network, asset);
 
             spinner.succeed('Balances fetched');
 
             console.log(chalk.bold('Contract Balance:'));
-            console.log(`  ${chalk.green(ethers.formatEther(balance))} ETH\n`);
+            console.log(`  ${chalk.green(formatAmount(state.balance, asset))} ${asset.symbol}\n`);
 
             // If specific address requested
             if (options.address) {
                 const payeeAddress = options.address;
-                const shares = await contract.shares(payeeAddress);
+                const payee = state.payees.find(p => p.account.toLowerCase() === payeeAddress.toLowerCase());
 
-                if (shares === 0n) {
+                if (!payee || payee.shares === 0n) {
                     console.log(chalk.yellow(`Address ${payeeAddress} is not a payee.`));
                     return;
                 }
 
-                const released = await contract.released(payeeAddress);
-                const releasable = await contract.releasable(payeeAddress);
-                const totalShares = await contract.totalShares();
+                const { shares, released, releasable } = payee;
+                const totalShares = state.totalShares;
 
                 const table = new Table({
                     style: { head: ['cyan'] }
@@ -559,16 +1038,13 @@ program
                 table.push(
                     ['Address', payeeAddress],
                     ['Shares', `${shares} (${Number(shares * 100n / totalShares).toFixed(2)}%)`],
-                    ['Already Released', `${ethers.formatEther(released)} ETH`],
-                    ['Currently Releasable', chalk.green(`${ethers.formatEther(releasable)} ETH`)]
+                    ['Already Released', `${formatAmount(released, asset)} ${asset.symbol}`],
+                    ['Currently Releasable', chalk.green(`${formatAmount(releasable, asset)} ${asset.symbol}`)]
                 );
 
                 console.log(table.toString());
             } else {
                 // Show all payees
-                const payeeCount = await contract.payeeCount();
-                const totalShares = await contract.totalShares();
-
                 const table = new Table({
                     head: ['Address', 'Shares', '%', 'Released', 'Releasable'],
                     style: { head: ['cyan'] }
@@ -576,31 +1052,26 @@ program
 
                 let totalReleasable = 0n;
 
-                for (let i = 0; i < payeeCount; i++) {
-                    const address = await contract.payee(i);
-                    const shares = await contract.shares(address);
-                    const released = await contract.released(address);
-                    const releasable = await contract.releasable(address);
-
-                    totalReleasable += releasable;
+                for (const payee of state.payees) {
+                    totalReleasable += payee.releasable;
 
                     table.push([
-                        formatAddress(address),
-                        shares.toString(),
-                        `${Number(shares * 100n / totalShares).toFixed(1)}%`,
-                        ethers.formatEther(released),
-                        chalk.green(ethers.formatEther(releasable))
+                        formatAddress(payee.account),
+                        payee.shares.toString(),
+                        `${Number(payee.shares * 100n / state.totalShares).toFixed(1)}%`,
+                        formatAmount(payee.released, asset),
+                        chalk.green(formatAmount(payee.releasable, asset))
                     ]);
                 }
 
                 console.log(table.toString());
-                console.log(chalk.dim(`\nTotal pending: ${ethers.formatEther(totalReleasable)} ETH`));
+                console.log(chalk.dim(`\nTotal pending: ${formatAmount(totalReleasable, asset)} ${asset.symbol}`));
             }
 
             console.log();
 
         } catch (error) {
-            console.error(chalk.red('\n❌ Error:'), error.message);
+            printError('Error:', error);
             process.exit(1);
         }
     });
@@ -613,15 +1084,21 @@ program
     .command('send <address>')
     .description('Send ETH payment to the contract')
     .requiredOption('-a, --amount <eth>', 'Amount in ETH to send')
+    .option('-r, --reference <id>', 'Invoice or order ID to log with the payment')
     .option('-n, --network <network>', 'Network name', config.defaultNetwork)
     .action(async (address, options) => {
         try {
             console.log(chalk.bold.cyan('\n💸 Send Payment\n'));
 
             const amount = ethers.parseEther(options.amount);
+            const reference = options.reference ? encodeReference(options.reference) : null;
+            await assertSplitStream(address, getProvider(options.network));
 
             console.log(`${chalk.bold('Contract:')} ${address}`);
             console.log(`${chalk.bold('Amount:')} ${chalk.green(options.amount)} ETH`);
+            if (reference) {
+                console.log(`${chalk.bold('Reference:')} ${options.reference}`);
+            }
             console.log(`${chalk.bold('Network:')} ${options.network}\n`);
 
             // Confirm
@@ -647,10 +1124,13 @@ program
 
             console.log(chalk.dim(`Sending from: ${signer.address}\n`));
 
-            const tx = await signer.sendTransaction({
-                to: address,
-                value: amount
-            });
+            // A reference is only logged when paying through pay()
+            const tx = reference
+                ? await getContract(address, options.network).connect(signer).pay(reference, { value: amount })
+                : await signer.sendTransaction({
+                    to: address,
+                    value: amount
+                });
 
             console.log(`${chalk.bold('Transaction Hash:')} ${tx.hash}`);
             console.log(`${chalk.bold('Explorer:')} ${getExplorerUrl(options.network, 'tx', tx.hash)}\n`);
@@ -662,7 +1142,7 @@ program
             console.log(`${chalk.bold('Block:')} ${receipt.blockNumber}\n`);
 
         } catch (error) {
-            console.error(chalk.red('\n❌ Transaction failed:'), error.message);
+            printError('Transaction failed:', error);
             process.exit(1);
         }
     });
@@ -676,30 +1156,36 @@ program
     .description('Release payment to a payee (or all payees if no address specified)')
     .option('-n, --network <network>', 'Network name', config.defaultNetwork)
     .option('--all', 'Release for all payees with pending payments')
+    .option('-t, --token <token>', 'ERC20 token address (defaults to ETH)')
     .action(async (contractAddress, payeeAddress, options) => {
         try {
             console.log(chalk.bold.cyan('\n📤 Release Payment\n'));
 
-            const contract = getContract(contractAddress, options.network, true);
+            const contract = await getSplitStream(contractAddress, options.network, true);
+            const asset = await getAsset(options.token, contract.runner.provider);
 
             // Release for all payees
             if (options.all || !payeeAddress) {
-                const payeeCount = await contract.payeeCount();
+                const state = await getSplitterState(contract, options.network, asset);
 
-                console.log(chalk.bold(`Checking ${payeeCount} payees...\n`));
+                console.log(chalk.bold(`Checking ${state.payees.length} payees...\n`));
 
                 let releasedCount = 0;
                 let totalReleased = 0n;
+                let totalPending = 0n;
 
-                for (let i = 0; i < payeeCount; i++) {
-                    const address = await contract.payee(i);
-                    const releasable = await contract.releasable(address);
-
+                for (const { account, releasable } of state.payees) {
                     if (releasable > 0n) {
-                        console.log(chalk.yellow(`→ ${formatAddress(address)}: ${ethers.formatEther(releasable)} ETH`));
+                        console.log(chalk.yellow(`→ ${formatAddress(account)}: ${formatAmount(releasable, asset)} ${asset.symbol}`));
+                        totalPending += releasable;
                     }
                 }
 
+                if (totalPending === 0n) {
+                    console.log(chalk.yellow('No payments due.'));
+                    return;
+                }
+
                 const confirmed = await confirmAction(
                     'Release all pending payments?',
                     options.network
@@ -712,35 +1198,31 @@ program
 
                 console.log();
 
-                for (let i = 0; i < payeeCount; i++) {
-                    const address = await contract.payee(i);
-                    const releasable = await contract.releasable(address);
-
-                    if (releasable > 0n) {
-                        const spinner = ora(`Releasing to ${formatAddress(address)}...`).start();
-
-                        try {
-                            const tx = await contract.release(address);
-                            await tx.wait();
+                // One releaseAll() transaction pays every payee that is due
+                const tx = asset.address
+                    ? await contract['releaseAll(address)'](asset.address)
+                    : await contract['releaseAll()']();
 
-                            spinner.succeed(`Released ${ethers.formatEther(releasable)} ETH to ${formatAddress(address)}`);
+                console.log(`${chalk.bold('Transaction Hash:')} ${tx.hash}`);
+                console.log(`${chalk.bold('Explorer:')} ${getExplorerUrl(options.network, 'tx', tx.hash)}\n`);
 
-                            releasedCount++;
-                            totalReleased += releasable;
+                const receipt = await waitForTransaction(tx, 'Confirming batch release');
+                const eventName = asset.address ? 'ERC20PaymentReleased' : 'PaymentReleased';
 
-                            // Small delay to avoid nonce issues
-                            await new Promise(resolve => setTimeout(resolve, 2000));
-                        } catch (error) {
-                            spinner.fail(`Failed: ${error.message}`);
-                        }
+                for (const log of receipt.logs) {
+                    const parsed = contract.interface.parseLog(log);
+                    if (parsed && parsed.name === eventName) {
+                        console.log(chalk.green(`✓ Released ${formatAmount(parsed.args.amount, asset)} ${asset.symbol} to ${formatAddress(parsed.args.to)}`));
+                        releasedCount++;
+                        totalReleased += parsed.args.amount;
                     }
                 }
 
-                console.log(chalk.bold.green(`\n✅ Released ${releasedCount} payments totaling ${ethers.formatEther(totalReleased)} ETH\n`));
+                console.log(chalk.bold.green(`\n✅ Released ${releasedCount} payments totaling ${formatAmount(totalReleased, asset)} ${asset.symbol}\n`));
 
             } else {
                 // Release for specific payee
-                const releasable = await contract.releasable(payeeAddress);
+                const { releasable } = await getPayeeAmounts(contract, payeeAddress, asset);
 
                 if (releasable === 0n) {
                     console.log(chalk.yellow('No payment due for this address.'));
@@ -748,7 +1230,7 @@ program
                 }
 
                 console.log(`${chalk.bold('Payee:')} ${payeeAddress}`);
-                console.log(`${chalk.bold('Amount:')} ${chalk.green(ethers.formatEther(releasable))} ETH\n`);
+                console.log(`${chalk.bold('Amount:')} ${chalk.green(formatAmount(releasable, asset))} ${asset.symbol}\n`);
 
                 const confirmed = await confirmAction(
                     'Release payment?',
@@ -760,7 +1242,7 @@ program
                     return;
                 }
 
-                const tx = await contract.release(payeeAddress);
+                const tx = await releaseAsset(contract, payeeAddress, asset);
 
                 console.log(`\n${chalk.bold('Transaction Hash:')} ${tx.hash}`);
                 console.log(`${chalk.bold('Explorer:')} ${getExplorerUrl(options.network, 'tx', tx.hash)}\n`);
@@ -771,7 +1253,194 @@ program
             }
 
         } catch (error) {
-            console.error(chalk.red('\n❌ Release failed:'), error.message);
+            printError('Release failed:', error);
+            process.exit(1);
+        }
+    });
+
+// ============================================================================
+// COMMAND: PROPOSE
+// ============================================================================
+
+program
+    .command('propose <contract>')
+    .description('Propose new payees and shares on a SplitStreamGoverned')
+    .option('-n, --network <network>', 'Network name', config.defaultNetwork)
+    .option('-p, --payees <addresses>', 'Comma-separated list of payee addresses')
+    .option('-s, --shares <shares>', 'Comma-separated list of shares (must match payees)')
+    .option('-t, --tokens <addresses>', 'Comma-separated ERC20 tokens to settle under the current shares')
+    .action(async (contractAddress, options) => {
+        try {
+            console.log(chalk.bold.cyan('\n🗳️  Propose Share Reallocation\n'));
+
+            const payees = options.payees ? options.payees.split(',').map(a => a.trim()) : [];
+            const shares = options.shares ? options.shares.split(',').map(s => BigInt(s.trim())) : [];
+            const tokens = options.tokens ? options.tokens.split(',').map(a => a.trim()) : [];
+
+            if (payees.length === 0) {
+                throw new Error('At least one payee is required (--payees)');
+            }
+            if (payees.length !== shares.length) {
+                throw new Error('Number of payees must match number of shares');
+            }
+            for (const address of [...payees, ...tokens]) {
+                if (!ethers.isAddress(address)) {
+                    throw new Error(`Invalid address: ${address}`);
+                }
+            }
+
+            const governed = await getGoverned(contractAddress, options.network, true);
+            const [quorumBps, timelock] = await Promise.all([governed.quorumBps(), governed.timelock()]);
+
+            const table = new Table({
+                head: ['#', 'Address', 'Shares', '%'],
+                style: { head: ['cyan'] }
+            });
+
+            const totalShares = shares.reduce((a, b) => a + b, 0n);
+            payees.forEach((address, i) => {
+                table.push([
+                    i + 1,
+                    formatAddress(address),
+                    shares[i].toString(),
+                    `${(Number(shares[i] * 10000n / totalShares) / 100).toFixed(2)}%`
+                ]);
+            });
+
+            console.log(chalk.bold('Proposed Allocation:'));
+            console.log(table.toString());
+            console.log(chalk.dim(`ETH${tokens.length > 0 ? ` and ${tokens.length} token(s)` : ''} will be settled under the current shares on execution.`));
+            console.log(chalk.dim(`Needs votes from ${Number(quorumBps) / 100}% of the shares, then a ${timelock}s timelock.\n`));
+
+            const confirmed = await confirmAction('Submit proposal?', options.network);
+
+            if (!confirmed) {
+                console.log(chalk.yellow('Transaction cancelled.'));
+                return;
+            }
+
+            const tx = await governed.propose(payees, shares, tokens);
+
+            console.log(`\n${chalk.bold('Transaction Hash:')} ${tx.hash}`);
+            console.log(`${chalk.bold('Explorer:')} ${getExplorerUrl(options.network, 'tx', tx.hash)}\n`);
+
+            const receipt = await waitForTransaction(tx, 'Confirming proposal');
+
+            for (const log of receipt.logs) {
+                const parsed = governed.interface.parseLog(log);
+                if (parsed && parsed.name === 'ProposalCreated') {
+                    console.log(chalk.bold.green(`\n✅ Created proposal #${parsed.args.proposalId}\n`));
+                }
+            }
+
+        } catch (error) {
+            printError('Proposal failed:', error);
+            process.exit(1);
+        }
+    });
+
+// ============================================================================
+// COMMAND: VOTE
+// ============================================================================
+
+program
+    .command('vote <contract> <proposalId>')
+    .description('Vote for a share reallocation proposal with your shares')
+    .option('-n, --network <network>', 'Network name', config.defaultNetwork)
+    .action(async (contractAddress, proposalId, options) => {
+        try {
+            console.log(chalk.bold.cyan('\n🗳️  Vote on Proposal\n'));
+
+            const governed = await getGoverned(contractAddress, options.network, true);
+            const voter = await governed.runner.getAddress();
+            const { state } = await printProposal(governed, proposalId);
+
+            if (PROPOSAL_STATES[state] !== 'Active' && PROPOSAL_STATES[state] !== 'Queued') {
+                console.log(chalk.yellow(`\nProposal #${proposalId} is ${PROPOSAL_STATES[state].toLowerCase()}; it can no longer be voted on.`));
+                return;
+            }
+            if (await governed.hasVoted(proposalId, voter)) {
+                console.log(chalk.yellow(`\n${formatAddress(voter)} already voted for proposal #${proposalId}.`));
+                return;
+            }
+
+            const confirmed = await confirmAction(`Vote for proposal #${proposalId}?`, options.network);
+
+            if (!confirmed) {
+                console.log(chalk.yellow('Transaction cancelled.'));
+                return;
+            }
+
+            const tx = await governed.vote(proposalId);
+
+            console.log(`\n${chalk.bold('Transaction Hash:')} ${tx.hash}`);
+            console.log(`${chalk.bold('Explorer:')} ${getExplorerUrl(options.network, 'tx', tx.hash)}\n`);
+
+            const receipt = await waitForTransaction(tx, 'Confirming vote');
+
+            console.log(chalk.bold.green('\n✅ Vote cast!\n'));
+
+            for (const log of receipt.logs) {
+                const parsed = governed.interface.parseLog(log);
+                if (parsed && parsed.name === 'ProposalQueued') {
+                    const eta = new Date(Number(parsed.args.eta) * 1000).toISOString();
+                    console.log(chalk.green(`Quorum reached: the proposal can be executed from ${eta}\n`));
+                }
+            }
+
+        } catch (error) {
+            printError('Vote failed:', error);
+            process.exit(1);
+        }
+    });
+
+// ============================================================================
+// COMMAND: EXECUTE
+// ============================================================================
+
+program
+    .command('execute <contract> <proposalId>')
+    .description('Execute a queued share reallocation proposal once its timelock has ended')
+    .option('-n, --network <network>', 'Network name', config.defaultNetwork)
+    .action(async (contractAddress, proposalId, options) => {
+        try {
+            console.log(chalk.bold.cyan('\n⚖️  Execute Proposal\n'));
+
+            const governed = await getGoverned(contractAddress, options.network, true);
+            const { proposal, state } = await printProposal(governed, proposalId);
+
+            if (PROPOSAL_STATES[state] !== 'Queued') {
+                console.log(chalk.yellow(`\nProposal #${proposalId} is ${PROPOSAL_STATES[state].toLowerCase()}, not queued.`));
+                return;
+            }
+
+            const { timestamp } = await governed.runner.provider.getBlock('latest');
+            if (BigInt(timestamp) < proposal.eta) {
+                console.log(chalk.yellow(`\nThe timelock ends in ${proposal.eta - BigInt(timestamp)}s.`));
+                return;
+            }
+
+            const confirmed = await confirmAction(
+                `Execute proposal #${proposalId}? Balances are settled under the current shares.`,
+                options.network
+            );
+
+            if (!confirmed) {
+                console.log(chalk.yellow('Transaction cancelled.'));
+                return;
+            }
+
+            const tx = await governed.execute(proposalId);
+
+            console.log(`\n${chalk.bold('Transaction Hash:')} ${tx.hash}`);
+            console.log(`${chalk.bold('Explorer:')} ${getExplorerUrl(options.network, 'tx', tx.hash)}\n`);
+
+            await waitForTransaction(tx, 'Confirming execution');
+
+            console.log(chalk.bold.green(`\n✅ New shares in effect from era ${await governed.era()}\n`));
+
+        } catch (error) {
+            printError('Execution failed:', error);
             process.exit(1);
         }
     });
@@ -793,7 +1462,7 @@ program
             const spinner = ora('Fetching events...').start();
 
             const provider = getProvider(options.network);
-            const contract = getContract(address, options.network);
+            const contract = await getSplitStream(address, options.network);
 
             const currentBlock = await provider.getBlockNumber();
             const fromBlock = parseInt(options.fromBlock) || Math.max(0, currentBlock - 10000);
@@ -862,7 +1531,7 @@ program
             console.log(chalk.dim(`Showing ${displayEvents.length} of ${allEvents.length} events\n`));
 
         } catch (error) {
-            console.error(chalk.red('\n❌ Error:'), error.message);
+            printError('Error:', error);
             process.exit(1);
         }
     });
@@ -885,7 +1554,7 @@ program
             const spinner = ora('Fetching data...').start();
 
             const provider = getProvider(options.network);
-            const contract = getContract(address, options.network);
+            const contract = await getSplitStream(address, options.network);
 
             const currentBlock = await provider.getBlockNumber();
             const fromBlock = parseInt(options.fromBlock) || Math.max(0, currentBlock - 50000);
@@ -969,7 +1638,7 @@ program
             console.log(chalk.green(`\n✅ Exported ${data.length} events to ${outputFile}\n`));
 
         } catch (error) {
-            console.error(chalk.red('\n❌ Export failed:'), error.message);
+            printError('Export failed:', error);
             process.exit(1);
         }
     });
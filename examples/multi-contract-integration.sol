@@ -36,7 +36,8 @@ pragma solidity ^0.8.23;
 /**
  * @title ISplitStream
  * @notice Minimal interface for interacting with SplitStream contract
- * @dev Use this interface in your contracts to interact with SplitStream
+ * @dev Use this interface in your contracts to interact with SplitStream. It declares the
+ * functions of contracts/ISplitStreamCore.sol, so its interfaceId is the one splitters report.
  */
 interface ISplitStream {
     /**
@@ -85,6 +86,42 @@ interface ISplitStream {
     receive() external payable;
 }
 
+/**
+ * @title IERC165
+ * @notice Standard interface detection (ERC-165), implemented by every SplitStream
+ */
+interface IERC165 {
+    function supportsInterface(bytes4 interfaceId) external view returns (bool);
+}
+
+/**
+ * @title SplitStreamChecker
+ * @notice Verifies that an address is a SplitStream before funds are routed to it
+ * @dev Follows the ERC-165 detection rules.
+ */
+library SplitStreamChecker {
+    /// @notice type(ISplitStreamCore).interfaceId of contracts/ISplitStreamCore.sol (0xbe3b9f9f)
+    bytes4 internal constant INTERFACE_ID = type(ISplitStream).interfaceId;
+
+    /**
+     * @notice Returns true if `account` is a contract that reports the ISplitStream interface
+     */
+    function isSplitStream(address account) internal view returns (bool) {
+        return account.code.length > 0
+            && _supports(account, type(IERC165).interfaceId)
+            && !_supports(account, 0xffffffff)
+            && _supports(account, INTERFACE_ID);
+    }
+
+    function _supports(address account, bytes4 interfaceId) private view returns (bool) {
+        try IERC165(account).supportsInterface{gas: 30000}(interfaceId) returns (bool supported) {
+            return supported;
+        } catch {
+            return false;
+        }
+    }
+}
+
 // ============================================================================
 // PATTERN 1: REVENUE SHARER
 // ============================================================================
@@ -130,11 +167,10 @@ contract RevenueSharer {
     constructor(address _splitStream) {
         if (_splitStream == address(0)) revert InvalidSplitStream();
         
-        // Verify it's a valid SplitStream contract by checking interface
-        ISplitStream stream = ISplitStream(_splitStream);
-        require(stream.totalShares() > 0, "Invalid SplitStream contract");
+        // Verify it's a SplitStream contract through ERC-165
+        if (!SplitStreamChecker.isSplitStream(_splitStream)) revert InvalidSplitStream();
         
-        splitStream = stream;
+        splitStream = ISplitStream(payable(_splitStream));
         owner = msg.sender;
     }
     
@@ -286,12 +322,11 @@ contract DAOTreasury {
         if (distributionLocked) revert DistributionIsLocked();
         if (_splitStream == address(0)) revert InvalidAddress();
         
-        // Verify it's a valid SplitStream
-        ISplitStream stream = ISplitStream(_splitStream);
-        require(stream.totalShares() > 0, "Invalid SplitStream");
+        // Verify it's a SplitStream through ERC-165
+        require(SplitStreamChecker.isSplitStream(_splitStream), "Invalid SplitStream");
         
         address oldSplitStream = address(splitStream);
-        splitStream = stream;
+        splitStream = ISplitStream(payable(_splitStream));
         
         emit SplitStreamUpdated(oldSplitStream, _splitStream);
     }
@@ -424,11 +459,10 @@ contract NFTMarketplace {
     function setRoyaltySplitter(address collection, address splitter) external {
         // In production, add access control (collection owner, etc.)
         if (splitter != address(0)) {
-            ISplitStream stream = ISplitStream(splitter);
-            require(stream.totalShares() > 0, "Invalid splitter");
+            require(SplitStreamChecker.isSplitStream(splitter), "Invalid splitter");
         }
         
-        collectionRoyaltySplitter[collection] = ISplitStream(splitter);
+        collectionRoyaltySplitter[collection] = ISplitStream(payable(splitter));
         emit RoyaltySplitterSet(collection, splitter);
     }
     
@@ -543,7 +577,7 @@ contract StakingRewards {
     
     constructor(address _rewardSplitter) {
         require(_rewardSplitter != address(0), "Invalid splitter");
-        rewardSplitter = ISplitStream(_rewardSplitter);
+        rewardSplitter = ISplitStream(payable(_rewardSplitter));
         admin = msg.sender;
     }
     
@@ -601,7 +635,7 @@ contract StakingRewards {
      */
     function updateRewardSplitter(address newSplitter) external onlyAdmin {
         require(newSplitter != address(0), "Invalid splitter");
-        rewardSplitter = ISplitStream(newSplitter);
+        rewardSplitter = ISplitStream(payable(newSplitter));
         emit RewardSplitterUpdated(newSplitter);
     }
     
@@ -670,7 +704,8 @@ contract StakingRewards {
  *   const SplitStream = await ethers.getContractFactory("SplitStream");
  *   const payees = ["0xAlice", "0xBob"];
  *   const shares = [60, 40];
- *   const splitter = await SplitStream.deploy(payees, shares);
+ *   const weth = "0x4200000000000000000000000000000000000006"; // WETH on Base
+ *   const splitter = await SplitStream.deploy(payees, shares, weth);
  *   await splitter.waitForDeployment();
  *   
  *   console.log("SplitStream deployed:", await splitter.getAddress());
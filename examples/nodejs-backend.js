@@ -6,9 +6,10 @@
  * 
  * - Real-time event monitoring
  * - Automated payment releases
- * - Payment history tracking
+ * - Payment history tracking, with lookup by invoice reference
  * - Webhook notifications
  * - Analytics and reporting
+ * - Relaying payees' signed (gasless) releases
  * 
  * DEPENDENCIES:
  * ```bash
@@ -27,6 +28,8 @@
  * 
  * # Contract Configuration
  * SPLITSTREAM_CONTRACT_ADDRESS=0xYourContractAddress
+ * # SplitStreamLens for single-call reports (optional - reads each payee without it)
+ * LENS_ADDRESS=0xYourLensAddress
  * 
  * # Private Key for Automated Releases (Optional - only if automating releases)
  * PRIVATE_KEY=0xYourPrivateKey
@@ -42,19 +45,45 @@
  * POLL_INTERVAL_MS=5000
  * AUTO_RELEASE_ENABLED=false
  * AUTO_RELEASE_SCHEDULE=0 0 * * *
+ * AUTO_RELEASE_BATCH_SIZE=0
+ * 
+ * # Relayer (node nodejs-backend.js relay - requires PRIVATE_KEY)
+ * RELAYER_PORT=8787
+ * RELAYER_MIN_FEE=0.00001
  * 
  * # Logging
  * LOG_LEVEL=info
  * LOG_FILE=splitstream-monitor.log
  * ```
  * 
- * 2. Place your `SplitStream.json` ABI file in the same directory
+ * 2. Place your `SplitStream.json` ABI file in the same directory, and keep
+ *    `lib/revertDecoder.js`, `lib/releaseAuthorization.js`, `lib/paymentReference.js`,
+ *    `lib/interfaceDetection.js` and `lib/lens.js` from this repository next to it (one level up)
  * 
  * 3. Run the service:
  * ```bash
  * node nodejs-backend.js
  * ```
  * 
+ * RELAYER MODE:
+ * 
+ * Payees without ETH for gas sign a release with `signRelease()` from
+ * `lib/releaseAuthorization.js` and POST it to the relayer, which pays the gas
+ * and is paid the signed `maxFee` out of the payee's payment:
+ * ```bash
+ * node nodejs-backend.js relay
+ * curl http://localhost:8787/quote
+ * curl -X POST http://localhost:8787/relay -d @signed-release.json
+ * ```
+ * 
+ * INVOICE LOOKUP:
+ * 
+ * Clients that pay through `pay(ref)` (e.g. `cli-tool.js send --reference INV-2024-001`)
+ * have the invoice ID stored with their payment:
+ * ```bash
+ * node nodejs-backend.js invoice INV-2024-001
+ * ```
+ * 
  * PRODUCTION DEPLOYMENT:
  * 
  * Use PM2 for process management:
@@ -72,7 +101,13 @@ const winston = require('winston');
 const cron = require('node-cron');
 const axios = require('axios');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
+const { parseRelease, verifyRelease, getReleaseDomain, toReleaseArgs } = require('../lib/releaseAuthorization');
+const { formatRevert, decodeRevert } = require('../lib/revertDecoder');
+const { encodeReference, decodeReference } = require('../lib/paymentReference');
+const { assertSplitStream } = require('../lib/interfaceDetection');
+const { readSplitter } = require('../lib/lens');
 
 // ============================================================================
 // CONFIGURATION
@@ -85,6 +120,7 @@ const CONFIG = {
 
     // Contract
     contractAddress: process.env.SPLITSTREAM_CONTRACT_ADDRESS,
+    lensAddress: process.env.LENS_ADDRESS,
 
     // Keys (optional - only for automated releases)
     privateKey: process.env.PRIVATE_KEY,
@@ -99,6 +135,11 @@ const CONFIG = {
     // Auto-release (cron format: minute hour day month weekday)
     autoReleaseEnabled: process.env.AUTO_RELEASE_ENABLED === 'true',
     autoReleaseSchedule: process.env.AUTO_RELEASE_SCHEDULE || '0 0 * * *', // Daily at midnight
+    autoReleaseBatchSize: parseInt(process.env.AUTO_RELEASE_BATCH_SIZE || '0'), // 0 = all payees in one tx
+
+    // Relayer for signed releases
+    relayerPort: parseInt(process.env.RELAYER_PORT || '8787'),
+    relayerMinFee: ethers.parseEther(process.env.RELAYER_MIN_FEE || '0'),
 
     // Logging
     logLevel: process.env.LOG_LEVEL || 'info',
@@ -168,8 +209,15 @@ try {
             "function payee(uint256 index) view returns (address)",
             "function payeeCount() view returns (uint256)",
             "function release(address account) nonpayable",
+            "function releaseAll() nonpayable",
+            "function releaseRange(uint256 start, uint256 end) nonpayable",
+            "function recipient(address account) view returns (address)",
+            "function nonces(address account) view returns (uint256)",
+            "function releaseWithSig(address account, address to, uint256 maxFee, uint256 deadline, uint256 nonce, bytes signature) nonpayable",
             "event PaymentReceived(address indexed from, uint256 amount)",
-            "event PaymentReleased(address indexed to, uint256 amount)"
+            "event PaymentReference(address indexed from, bytes32 indexed ref, uint256 amount)",
+            "event PaymentReleased(address indexed to, uint256 amount)",
+            "event ReleaseRelayed(address indexed account, address indexed relayer, uint256 fee)"
         ];
         logger.warn('SplitStream.json not found, using minimal ABI');
     }
@@ -243,6 +291,8 @@ class PaymentDatabase {
             blockNumber: event.blockNumber,
             transactionHash: event.transactionHash,
             timestamp: new Date().toISOString(),
+            reference: null,
+            referenceHex: null,
         };
 
         // Check for duplicates
@@ -256,6 +306,45 @@ class PaymentDatabase {
         return null;
     }
 
+    /**
+     * Attach the reference of a pay() call to its payment.
+     * pay() emits PaymentReceived right before PaymentReference, so the payment
+     * is the log just before this one in the same transaction.
+     */
+    async addPaymentReference(event) {
+        const id = `${event.transactionHash}-${event.logIndex - 1}`;
+        let payment = this.data.payments.find(p => p.id === id);
+
+        if (!payment) {
+            payment = {
+                id,
+                from: event.args.from,
+                amount: event.args.amount.toString(),
+                amountEth: ethers.formatEther(event.args.amount),
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+                timestamp: new Date().toISOString(),
+            };
+            this.data.payments.push(payment);
+        } else if (payment.referenceHex) {
+            return null;
+        }
+
+        payment.referenceHex = event.args.ref;
+        payment.reference = decodeReference(event.args.ref);
+        this.save();
+        logger.info(`Payment ${payment.id} matched to reference ${payment.reference}`);
+        return payment;
+    }
+
+    /**
+     * Get the payments made for an invoice or order ID
+     */
+    getPaymentsByReference(invoiceId) {
+        const referenceHex = encodeReference(invoiceId);
+        return this.data.payments.filter(p => p.referenceHex === referenceHex);
+    }
+
     async addPaymentReleased(event) {
         const release = {
             id: `${event.transactionHash}-${event.logIndex}`,
@@ -403,6 +492,31 @@ function monitorPaymentReceived() {
     logger.info('✅ Monitoring PaymentReceived events');
 }
 
+/**
+ * Monitor PaymentReference events (payments made through pay() with an invoice ID)
+ */
+function monitorPaymentReference() {
+    contract.on('PaymentReference', async (from, ref, amount, event) => {
+        try {
+            const payment = await db.addPaymentReference(event);
+
+            if (payment) {
+                await sendWebhook('payment.referenced', {
+                    from,
+                    amount: ethers.formatEther(amount),
+                    reference: payment.reference,
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber,
+                });
+            }
+        } catch (error) {
+            logger.error('Error processing PaymentReference event:', error);
+        }
+    });
+
+    logger.info('✅ Monitoring PaymentReference events');
+}
+
 /**
  * Monitor PaymentReleased events
  */
@@ -456,6 +570,14 @@ async function fetchHistoricalEvents() {
             await db.addPaymentReceived(event);
         }
 
+        // Fetch PaymentReference events to match payments to invoices
+        const referenceFilter = contract.filters.PaymentReference();
+        const referenceEvents = await contract.queryFilter(referenceFilter, fromBlock, currentBlock);
+
+        for (const event of referenceEvents) {
+            await db.addPaymentReference(event);
+        }
+
         // Fetch PaymentReleased events
         const releasedFilter = contract.filters.PaymentReleased();
         const releasedEvents = await contract.queryFilter(releasedFilter, fromBlock, currentBlock);
@@ -478,6 +600,10 @@ async function fetchHistoricalEvents() {
 
 /**
  * Automatically release payments for all payees
+ *
+ * Uses the contract's releaseAll() so every payee is paid in one transaction,
+ * or releaseRange() pages when AUTO_RELEASE_BATCH_SIZE is set. Payees with
+ * nothing due are skipped on-chain.
  */
 async function autoReleasePayments() {
     if (!contractWithSigner) {
@@ -488,39 +614,47 @@ async function autoReleasePayments() {
     logger.info('🤖 Starting automated payment release...');
 
     try {
-        const payeeCount = await contract.payeeCount();
+        const state = await readSplitter(CONFIG.contractAddress, provider, { lens: CONFIG.lensAddress });
+        const payeeCount = state.payees.length;
         logger.info(`Found ${payeeCount} payees`);
 
-        let releasedCount = 0;
-        let totalReleased = 0n;
+        // Skip the transaction entirely if nobody is due
+        const pendingTotal = state.payees.reduce((sum, payee) => sum + payee.releasable, 0n);
 
-        for (let i = 0; i < payeeCount; i++) {
-            const payeeAddress = await contract.payee(i);
-            const releasable = await contract.releasable(payeeAddress);
+        if (pendingTotal === 0n) {
+            logger.info('No payments due, skipping release');
+            return;
+        }
 
-            if (releasable > 0n) {
-                try {
-                    logger.info(`Releasing ${ethers.formatEther(releasable)} ETH to ${payeeAddress}...`);
+        const batchSize = CONFIG.autoReleaseBatchSize > 0 ? CONFIG.autoReleaseBatchSize : payeeCount;
 
-                    const tx = await contractWithSigner.release(payeeAddress, {
-                        gasLimit: 200000, // Set appropriate gas limit
-                    });
+        let releasedCount = 0;
+        let totalReleased = 0n;
 
-                    logger.info(`Transaction sent: ${tx.hash}`);
+        for (let start = 0; start < payeeCount; start += batchSize) {
+            const end = Math.min(start + batchSize, payeeCount);
 
-                    const receipt = await tx.wait();
-                    logger.info(`✅ Released successfully. Gas used: ${receipt.gasUsed}`);
+            try {
+                const tx = end - start === payeeCount
+                    ? await contractWithSigner['releaseAll()']()
+                    : await contractWithSigner['releaseRange(uint256,uint256)'](start, end);
 
-                    releasedCount++;
-                    totalReleased += releasable;
+                logger.info(`Transaction sent for payees ${start}-${end - 1}: ${tx.hash}`);
 
-                    // Small delay between releases to avoid nonce issues
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                } catch (error) {
-                    logger.error(`Failed to release for ${payeeAddress}:`, error.message);
+                const receipt = await tx.wait();
+
+                for (const log of receipt.logs) {
+                    const parsed = contract.interface.parseLog(log);
+                    if (parsed && parsed.name === 'PaymentReleased') {
+                        logger.info(`Released ${ethers.formatEther(parsed.args.amount)} ETH to ${parsed.args.to}`);
+                        releasedCount++;
+                        totalReleased += parsed.args.amount;
+                    }
                 }
-            } else {
-                logger.debug(`No payment due for ${payeeAddress}`);
+
+                logger.info(`✅ Batch released successfully. Gas used: ${receipt.gasUsed}`);
+            } catch (error) {
+                logger.error(`Failed to release for payees ${start}-${end - 1}: ${formatRevert(error)}`);
             }
         }
 
@@ -535,12 +669,15 @@ async function autoReleasePayments() {
             });
         }
     } catch (error) {
-        logger.error('Auto-release failed:', error);
+        logger.error(`Auto-release failed: ${formatRevert(error)}`);
     }
 }
 
 /**
  * Schedule automated releases using cron
+ *
+ * The server pays the gas of these releases. On a SplitStreamIncentivized splitter,
+ * third-party keepers (see scripts/keeper.js) are paid to release instead.
  */
 function scheduleAutoRelease() {
     if (!CONFIG.autoReleaseEnabled) {
@@ -563,6 +700,161 @@ function scheduleAutoRelease() {
     logger.info('✅ Auto-release scheduler active');
 }
 
+// ============================================================================
+// RELAYER (SIGNED RELEASES)
+// ============================================================================
+
+/**
+ * Estimate what relaying a release costs the relayer right now
+ */
+async function estimateRelayCost(args) {
+    const [gas, feeData] = await Promise.all([
+        contractWithSigner.releaseWithSig.estimateGas(...args),
+        provider.getFeeData(),
+    ]);
+
+    return gas * (feeData.maxFeePerGas || feeData.gasPrice || 0n);
+}
+
+/**
+ * Validate and submit a payee's signed release
+ *
+ * Checks everything that can be checked off-chain first (signature, deadline,
+ * nonce, fee), then simulates the call so a bad request never costs gas.
+ */
+async function relaySignedRelease(data) {
+    if (!contractWithSigner) {
+        throw new Error('Cannot relay: No signer configured');
+    }
+
+    const release = parseRelease(data);
+    const { message } = release;
+    const args = toReleaseArgs(release);
+
+    const domain = await getReleaseDomain(contract);
+    if (!verifyRelease(domain, message, release.signature)) {
+        throw new Error('Signature does not match the payee');
+    }
+
+    const block = await provider.getBlock('latest');
+    if (message.deadline < BigInt(block.timestamp)) {
+        throw new Error('Signature expired');
+    }
+
+    const nonce = await contract.nonces(message.account);
+    if (message.nonce !== nonce) {
+        throw new Error(`Invalid nonce: expected ${nonce}`);
+    }
+
+    const releasable = await contract.releasable(message.account);
+    if (releasable <= message.maxFee) {
+        throw new Error(`Payment of ${ethers.formatEther(releasable)} ETH does not cover the fee`);
+    }
+
+    // Reverts here with the contract's custom error instead of on-chain
+    await contractWithSigner.releaseWithSig.staticCall(...args);
+
+    const cost = await estimateRelayCost(args);
+    const minFee = cost > CONFIG.relayerMinFee ? cost : CONFIG.relayerMinFee;
+    if (message.maxFee < minFee) {
+        throw new Error(`Fee too low: at least ${ethers.formatEther(minFee)} ETH required`);
+    }
+
+    const tx = await contractWithSigner.releaseWithSig(...args);
+    logger.info(`🛰️  Relaying release for ${message.account}: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+    const result = {
+        account: message.account,
+        to: message.to,
+        fee: ethers.formatEther(message.maxFee),
+        amount: ethers.formatEther(releasable - message.maxFee),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+    };
+
+    logger.info(`✅ Relayed ${result.amount} ETH to ${result.to} (fee ${result.fee} ETH)`);
+    await sendWebhook('release.relayed', result);
+
+    return result;
+}
+
+/**
+ * Read a JSON request body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 10000) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Start the relayer HTTP server
+ *
+ * GET  /quote - the relayer address, minimum fee and EIP-712 domain
+ * POST /relay - submit a signed release (output of serializeRelease())
+ */
+async function startRelayer() {
+    if (!contractWithSigner) {
+        throw new Error('Cannot start relayer: No signer configured');
+    }
+
+    await assertSplitStream(CONFIG.contractAddress, provider);
+
+    const domain = await getReleaseDomain(contract);
+
+    const server = http.createServer(async (req, res) => {
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+
+        try {
+            if (req.method === 'GET' && req.url === '/quote') {
+                return send(200, {
+                    relayer: signer.address,
+                    minFee: ethers.formatEther(CONFIG.relayerMinFee),
+                    domain: { ...domain, chainId: domain.chainId.toString() },
+                });
+            }
+
+            if (req.method === 'POST' && req.url === '/relay') {
+                const data = await readJsonBody(req);
+                return send(200, await relaySignedRelease(data));
+            }
+
+            send(404, { error: 'Not found' });
+        } catch (error) {
+            const revert = decodeRevert(error);
+            logger.warn(`Relay rejected: ${formatRevert(error)}`);
+            send(400, { error: formatRevert(error), code: revert?.name });
+        }
+    });
+
+    server.listen(CONFIG.relayerPort, () => {
+        logger.info(`🛰️  Relayer listening on port ${CONFIG.relayerPort} as ${signer.address}`);
+        logger.info(`Minimum fee: ${ethers.formatEther(CONFIG.relayerMinFee)} ETH (or the gas cost, if higher)`);
+    });
+
+    return server;
+}
+
 // ============================================================================
 // REPORTING & ANALYTICS
 // ============================================================================
@@ -574,40 +866,29 @@ async function generateReport() {
     logger.info('📊 Generating payment report...');
 
     try {
-        // Get on-chain data
-        const contractBalance = await provider.getBalance(CONFIG.contractAddress);
-        const totalShares = await contract.totalShares();
-        const totalReleased = await contract.totalReleased();
-        const payeeCount = await contract.payeeCount();
+        // Get on-chain data, in a single call when a lens is configured
+        const state = await readSplitter(CONFIG.contractAddress, provider, { lens: CONFIG.lensAddress });
 
         // Get database stats
         const dbStats = db.getStats();
 
         // Build payee breakdown
-        const payees = [];
-        for (let i = 0; i < payeeCount; i++) {
-            const address = await contract.payee(i);
-            const shares = await contract.shares(address);
-            const released = await contract.released(address);
-            const releasable = await contract.releasable(address);
-
-            payees.push({
-                address,
-                shares: shares.toString(),
-                percentage: Number((shares * 100n) / totalShares),
-                released: ethers.formatEther(released),
-                releasable: ethers.formatEther(releasable),
-            });
-        }
+        const payees = state.payees.map(payee => ({
+            address: payee.account,
+            shares: payee.shares.toString(),
+            percentage: Number((payee.shares * 100n) / state.totalShares),
+            released: ethers.formatEther(payee.released),
+            releasable: ethers.formatEther(payee.releasable),
+        }));
 
         const report = {
             generatedAt: new Date().toISOString(),
             contract: {
                 address: CONFIG.contractAddress,
-                balance: ethers.formatEther(contractBalance),
-                totalShares: totalShares.toString(),
-                totalReleased: ethers.formatEther(totalReleased),
-                totalReceived: ethers.formatEther(contractBalance + totalReleased),
+                balance: ethers.formatEther(state.balance),
+                totalShares: state.totalShares.toString(),
+                totalReleased: ethers.formatEther(state.totalReleased),
+                totalReceived: ethers.formatEther(state.totalReceived),
             },
             database: dbStats,
             payees,
@@ -751,6 +1032,9 @@ async function main() {
             throw new Error('SPLITSTREAM_CONTRACT_ADDRESS not configured');
         }
 
+        // Fail early if the configured address is not a SplitStream on this network
+        await assertSplitStream(CONFIG.contractAddress, provider);
+
         // Initial health check
         const healthy = await healthCheck();
         if (!healthy) {
@@ -766,6 +1050,7 @@ async function main() {
 
         // Start event monitoring
         monitorPaymentReceived();
+        monitorPaymentReference();
         monitorPaymentReleased();
 
         // Schedule automated tasks
@@ -833,6 +1118,14 @@ if (require.main === module) {
                 });
             break;
 
+        case 'relay':
+            // Relay payees' signed releases
+            startRelayer().catch(error => {
+                logger.error('Relayer failed:', error);
+                process.exit(1);
+            });
+            break;
+
         case 'status':
             // Get current status
             getContractStatus()
@@ -849,6 +1142,24 @@ if (require.main === module) {
                 });
             break;
 
+        case 'invoice': {
+            // Look up the payments made for an invoice ID
+            const invoiceId = args[1];
+            if (!invoiceId) {
+                console.error('Usage: node nodejs-backend.js invoice <invoice-id>');
+                process.exit(1);
+            }
+
+            const payments = db.getPaymentsByReference(invoiceId);
+            const total = payments.reduce((sum, p) => sum + BigInt(p.amount), 0n);
+
+            console.log(`Payments for ${invoiceId}:`);
+            console.log(JSON.stringify(payments, null, 2));
+            console.log(`\nTotal: ${ethers.formatEther(total)} ETH in ${payments.length} payment(s)`);
+            process.exit(0);
+            break;
+        }
+
         default:
             // Default: start monitoring service
             console.log('SplitStream Node.js Backend Service\n');
@@ -859,6 +1170,8 @@ if (require.main === module) {
             console.log('  report   - Generate payment report');
             console.log('  release  - Manually release all payments');
             console.log('  status   - Show current contract status');
+            console.log('  relay    - Start the relayer for signed releases');
+            console.log('  invoice  - Show the payments made for an invoice ID (from the local history)');
             console.log('');
 
             if (!command) {
@@ -881,6 +1194,8 @@ module.exports = {
     getContractStatus,
     generateReport,
     autoReleasePayments,
+    relaySignedRelease,
+    startRelayer,
     sendWebhook,
 };
 
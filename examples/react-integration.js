@@ -53,12 +53,27 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useAccount, useReadContract, useWriteContract, useWatchContractEvent, usePublicClient } from 'wagmi';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
-import { formatEther, parseAbiItem } from 'viem';
+import { formatEther, parseAbi, parseAbiItem } from 'viem';
 
 // Import your contract ABI
 // You can generate this from: artifacts/contracts/SplitStream.sol/SplitStream.json
 import SplitStreamABI from './splitstream-abi.json';
 
+// Share reallocation proposals, only present on SplitStreamGoverned contracts
+const GovernedABI = parseAbi([
+    'function proposalCount() view returns (uint256)',
+    'function proposal(uint256 proposalId) view returns ((address proposer, uint64 era, uint64 eta, bool executed, uint256 votes, address[] payees, uint256[] shares, address[] tokens))',
+    'function state(uint256 proposalId) view returns (uint8)',
+    'function hasVoted(uint256 proposalId, address account) view returns (bool)',
+    'function quorum() view returns (uint256)',
+    'function quorumBps() view returns (uint256)',
+    'function era() view returns (uint64)',
+    'function vote(uint256 proposalId)',
+    'function execute(uint256 proposalId)',
+]);
+
+const PROPOSAL_STATES = ['Active', 'Queued', 'Executed', 'Superseded'];
+
 /**
  * Main SplitStream Dashboard Component
  * 
@@ -87,6 +102,10 @@ export default function SplitStreamDashboard({ contractAddress }) {
                         userAddress={address}
                         onRelease={() => setIsReleasing(true)}
                     />
+                    <GovernanceStatus
+                        contractAddress={contractAddress}
+                        userAddress={address}
+                    />
                     <PaymentHistory
                         contractAddress={contractAddress}
                         events={paymentHistory}
@@ -569,6 +588,230 @@ function PayeeStatus({ contractAddress, userAddress, onRelease }) {
     );
 }
 
+/**
+ * Governance Status Component
+ * Shows the share reallocation proposals of a SplitStreamGoverned contract,
+ * with their votes against the quorum and when they can be executed.
+ * Renders nothing for other SplitStream contracts.
+ */
+function GovernanceStatus({ contractAddress, userAddress }) {
+    const publicClient = usePublicClient();
+    const [proposals, setProposals] = useState([]);
+    const [now, setNow] = useState(BigInt(Math.floor(Date.now() / 1000)));
+
+    // Only SplitStreamGoverned has a quorum
+    const { data: quorumBps, isError: isNotGoverned } = useReadContract({
+        address: contractAddress,
+        abi: GovernedABI,
+        functionName: 'quorumBps',
+    });
+
+    const { data: quorum } = useReadContract({
+        address: contractAddress,
+        abi: GovernedABI,
+        functionName: 'quorum',
+        query: { enabled: quorumBps !== undefined },
+    });
+
+    const { data: era } = useReadContract({
+        address: contractAddress,
+        abi: GovernedABI,
+        functionName: 'era',
+        query: { enabled: quorumBps !== undefined },
+    });
+
+    const { writeContract, isPending, isSuccess } = useWriteContract();
+
+    // Load every proposal, most recent first
+    useEffect(() => {
+        async function fetchProposals() {
+            const count = await publicClient.readContract({
+                address: contractAddress,
+                abi: GovernedABI,
+                functionName: 'proposalCount',
+            });
+
+            const loaded = [];
+            for (let id = count - 1n; id >= 0n; id--) {
+                const [proposal, state, voted] = await Promise.all([
+                    publicClient.readContract({ address: contractAddress, abi: GovernedABI, functionName: 'proposal', args: [id] }),
+                    publicClient.readContract({ address: contractAddress, abi: GovernedABI, functionName: 'state', args: [id] }),
+                    publicClient.readContract({ address: contractAddress, abi: GovernedABI, functionName: 'hasVoted', args: [id, userAddress] }),
+                ]);
+                loaded.push({ id, ...proposal, state: PROPOSAL_STATES[state], voted });
+            }
+
+            setProposals(loaded);
+            setNow(BigInt(Math.floor(Date.now() / 1000)));
+        }
+
+        if (publicClient && contractAddress && quorumBps !== undefined) {
+            fetchProposals().catch(error => console.error('Error fetching proposals:', error));
+        }
+    }, [publicClient, contractAddress, userAddress, quorumBps, isSuccess]);
+
+    if (isNotGoverned || quorumBps === undefined) {
+        return null;
+    }
+
+    const handleAction = (functionName, id) => {
+        writeContract({
+            address: contractAddress,
+            abi: GovernedABI,
+            functionName,
+            args: [id],
+        });
+    };
+
+    return (
+        <div className="governance-status">
+            <h2>🗳️ Share Proposals</h2>
+            <p className="summary">
+                Era {era?.toString() || '0'} · proposals need votes from {Number(quorumBps) / 100}% of the shares
+                ({quorum?.toString() || '...'} shares), then wait out the timelock.
+            </p>
+
+            {proposals.length === 0 ? (
+                <div className="no-proposals">No proposals yet.</div>
+            ) : (
+                <div className="proposals-list">
+                    {proposals.map(proposal => {
+                        const totalShares = proposal.shares.reduce((a, b) => a + b, 0n);
+                        const progress = quorum ? Math.min(100, Number((proposal.votes * 100n) / quorum)) : 0;
+                        const ready = proposal.state === 'Queued' && now >= proposal.eta;
+
+                        return (
+                            <div key={proposal.id.toString()} className={`proposal ${proposal.state.toLowerCase()}`}>
+                                <div className="proposal-header">
+                                    <strong>#{proposal.id.toString()}</strong>
+                                    <span className="badge">{proposal.state}</span>
+                                    <span className="proposer">by {formatAddress(proposal.proposer)}</span>
+                                </div>
+
+                                <ul className="allocation">
+                                    {proposal.payees.map((payee, i) => (
+                                        <li key={payee}>
+                                            {formatAddress(payee)}: {proposal.shares[i].toString()} shares
+                                            ({Number((proposal.shares[i] * 10000n) / totalShares) / 100}%)
+                                        </li>
+                                    ))}
+                                </ul>
+
+                                <div className="votes">
+                                    <div className="bar"><div className="fill" style={{ width: `${progress}%` }} /></div>
+                                    <small>{proposal.votes.toString()} / {quorum?.toString()} shares voted</small>
+                                </div>
+
+                                {proposal.state === 'Queued' && (
+                                    <small className="eta">
+                                        {ready
+                                            ? 'Timelock ended, ready to execute'
+                                            : `Executable from ${new Date(Number(proposal.eta) * 1000).toLocaleString()}`}
+                                    </small>
+                                )}
+
+                                <div className="actions">
+                                    {(proposal.state === 'Active' || proposal.state === 'Queued') && !proposal.voted && (
+                                        <button onClick={() => handleAction('vote', proposal.id)} disabled={isPending}>
+                                            Vote
+                                        </button>
+                                    )}
+                                    {ready && (
+                                        <button onClick={() => handleAction('execute', proposal.id)} disabled={isPending}>
+                                            Execute
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <style jsx>{`
+        .governance-status {
+          background: white;
+          padding: 2rem;
+          border-radius: 12px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          margin-bottom: 2rem;
+        }
+        h2 {
+          margin-top: 0;
+          color: #333;
+        }
+        .summary, .no-proposals {
+          color: #666;
+        }
+        .proposals-list {
+          display: flex;
+          flex-direction: column;
+          gap: 1rem;
+        }
+        .proposal {
+          padding: 1rem;
+          border: 1px solid #dee2e6;
+          border-left: 4px solid #667eea;
+          border-radius: 8px;
+        }
+        .proposal.executed {
+          border-left-color: #51cf66;
+        }
+        .proposal.superseded {
+          border-left-color: #adb5bd;
+          opacity: 0.7;
+        }
+        .proposal-header {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .badge {
+          padding: 0.125rem 0.5rem;
+          background: #f1f3f5;
+          border-radius: 999px;
+          font-size: 0.75rem;
+        }
+        .proposer, .eta {
+          color: #888;
+          font-size: 0.875rem;
+        }
+        .allocation {
+          font-family: monospace;
+          font-size: 0.875rem;
+        }
+        .bar {
+          height: 8px;
+          background: #f1f3f5;
+          border-radius: 4px;
+          overflow: hidden;
+        }
+        .fill {
+          height: 100%;
+          background: #667eea;
+        }
+        .actions {
+          display: flex;
+          gap: 0.5rem;
+          margin-top: 0.75rem;
+        }
+        .actions button {
+          padding: 0.5rem 1rem;
+          background: #667eea;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        .actions button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+      `}</style>
+        </div>
+    );
+}
+
 /**
  * Payment History Component
  * Displays all payment events (received and released)
@@ -0,0 +1,179 @@
+/**
+ * SplitStream Interface Detection
+ *
+ * Checks through ERC-165 that an address is a SplitStream splitter before a
+ * script or app sends it funds or transactions, so a mistyped address (an EOA,
+ * a token, a contract on another network) fails early with a clear error.
+ *
+ * USAGE:
+ * ```js
+ * const { isSplitStream, assertSplitStream } = require("./lib/interfaceDetection");
+ *
+ * if (await isSplitStream(address, provider)) {
+ *     // ...
+ * }
+ *
+ * // Or throw a readable error
+ * await assertSplitStream(address, provider);
+ *
+ * // Optional features have their own interface IDs
+ * await supportsInterface(address, provider, SPLITSTREAM_RECOVERABLE_INTERFACE_ID);
+ * ```
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * Functions declared in contracts/ISplitStreamCore.sol, whose selectors make up the
+ * interface ID every splitter reports. Frozen: new functions go in extension interfaces.
+ */
+const ISPLITSTREAM_CORE_FUNCTIONS = [
+    "function totalShares() view returns (uint256)",
+    "function shares(address payee) view returns (uint256)",
+    "function totalReleased() view returns (uint256)",
+    "function released(address payee) view returns (uint256)",
+    "function payee(uint256 index) view returns (address)",
+    "function payeeCount() view returns (uint256)",
+    "function releasable(address payee) view returns (uint256)",
+    "function release(address account)",
+];
+
+/**
+ * Functions declared in contracts/ISplitStreamRenounceable.sol, the interface of
+ * splitters whose payees can give up their shares
+ */
+const ISPLITSTREAM_RENOUNCEABLE_FUNCTIONS = [
+    "function renounceShares()",
+    "function renounceShares(address[] tokens)",
+];
+
+/**
+ * Functions declared in contracts/ISplitStreamRecoverable.sol, the interface of
+ * splitters whose payees can name a backup to take over their slot
+ */
+const ISPLITSTREAM_RECOVERABLE_FUNCTIONS = [
+    "function backup(address account) view returns (address beneficiary, uint256 inactivityPeriod, uint256 claimableAt)",
+    "function setBackup(address beneficiary, uint64 inactivityPeriod)",
+    "function heartbeat()",
+    "function claimSlot(address account)",
+];
+
+/**
+ * Compute an ERC-165 interface ID: the XOR of the selectors of its functions
+ * @param {string[]} functions - Human-readable function fragments
+ * @returns {string} The bytes4 interface ID
+ */
+function computeInterfaceId(functions) {
+    let id = 0n;
+    new ethers.Interface(functions).forEachFunction((fragment) => {
+        id ^= BigInt(fragment.selector);
+    });
+    return ethers.toBeHex(id, 4);
+}
+
+/**
+ * ERC-165 interface ID of IERC165 itself
+ */
+const ERC165_INTERFACE_ID = "0x01ffc9a7";
+
+/**
+ * ERC-165 interface ID every splitter reports: type(ISplitStreamCore).interfaceId, the XOR
+ * of ISPLITSTREAM_CORE_FUNCTIONS. Written out so that it never changes.
+ */
+const SPLITSTREAM_INTERFACE_ID = "0xbe3b9f9f";
+
+/**
+ * ERC-165 interface ID of ISplitStreamRenounceable, reported by SplitStreamRenounceable
+ */
+const SPLITSTREAM_RENOUNCEABLE_INTERFACE_ID = computeInterfaceId(ISPLITSTREAM_RENOUNCEABLE_FUNCTIONS);
+
+/**
+ * ERC-165 interface ID of ISplitStreamRecoverable, reported by SplitStreamRecoverable
+ */
+const SPLITSTREAM_RECOVERABLE_INTERFACE_ID = computeInterfaceId(ISPLITSTREAM_RECOVERABLE_FUNCTIONS);
+
+const ERC165_ABI = ["function supportsInterface(bytes4 interfaceId) view returns (bool)"];
+
+/**
+ * Check whether a contract supports an interface, following the ERC-165 detection rules
+ * @param {string} address - Contract address
+ * @param {ethers.ContractRunner} runner - Provider or signer
+ * @param {string} interfaceId - The bytes4 interface ID to check
+ * @returns {Promise<boolean>}
+ */
+async function supportsInterface(address, runner, interfaceId) {
+    const contract = new ethers.Contract(address, ERC165_ABI, runner);
+
+    try {
+        return (
+            (await contract.supportsInterface(ERC165_INTERFACE_ID)) &&
+            !(await contract.supportsInterface("0xffffffff")) &&
+            (await contract.supportsInterface(interfaceId))
+        );
+    } catch (error) {
+        // Contracts without supportsInterface revert or return nothing. Hardhat's
+        // in-process network throws its own error, which carries the revert data.
+        if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA" || typeof error.data === "string") {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Check whether an address is a SplitStream splitter
+ * @param {string} address - Address to check
+ * @param {ethers.ContractRunner} runner - Provider or signer
+ * @returns {Promise<boolean>} False for malformed addresses, accounts without code
+ *          and contracts that do not report the ISplitStreamCore interface
+ */
+async function isSplitStream(address, runner) {
+    if (!ethers.isAddress(address)) {
+        return false;
+    }
+
+    const provider = runner.provider || runner;
+    if ((await provider.getCode(address)) === "0x") {
+        return false;
+    }
+
+    return supportsInterface(address, runner, SPLITSTREAM_INTERFACE_ID);
+}
+
+/**
+ * Throw a readable error unless an address is a SplitStream splitter
+ * @param {string} address - Address to check
+ * @param {ethers.ContractRunner} runner - Provider or signer
+ * @throws {Error} If the address is malformed, has no code or is not a splitter
+ */
+async function assertSplitStream(address, runner) {
+    if (!ethers.isAddress(address)) {
+        throw new Error(`Invalid contract address format: ${address}`);
+    }
+
+    const provider = runner.provider || runner;
+    if ((await provider.getCode(address)) === "0x") {
+        throw new Error(`No contract found at ${address}. Check the address and the network.`);
+    }
+
+    if (!(await supportsInterface(address, runner, SPLITSTREAM_INTERFACE_ID))) {
+        throw new Error(
+            `${address} is not a SplitStream contract (it does not report the ISplitStreamCore interface). ` +
+            "Check the address and the network."
+        );
+    }
+}
+
+module.exports = {
+    ISPLITSTREAM_CORE_FUNCTIONS,
+    ISPLITSTREAM_RENOUNCEABLE_FUNCTIONS,
+    ISPLITSTREAM_RECOVERABLE_FUNCTIONS,
+    ERC165_INTERFACE_ID,
+    SPLITSTREAM_INTERFACE_ID,
+    SPLITSTREAM_RENOUNCEABLE_INTERFACE_ID,
+    SPLITSTREAM_RECOVERABLE_INTERFACE_ID,
+    computeInterfaceId,
+    supportsInterface,
+    isSplitStream,
+    assertSplitStream,
+};
@@ -0,0 +1,174 @@
+/**
+ * SplitStream Keeper
+ *
+ * Finds the releases a keeper is paid to make on SplitStreamIncentivized splitters
+ * and makes those whose keeper fee covers the gas. A release made for another payee
+ * pays the caller `keeperFee(account)` out of the payee's payment.
+ *
+ * USAGE:
+ * ```js
+ * const { quoteReleases, keepSplitter } = require("./lib/keeper");
+ *
+ * // See what each payee's release would earn
+ * const quotes = await quoteReleases(splitterAddress, keeperWallet);
+ *
+ * // Release every payee whose fee covers the gas plus a 20% margin
+ * const results = await keepSplitter(splitterAddress, keeperWallet, { marginBps: 2000n });
+ * ```
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * Functions of SplitStreamIncentivized used by the keeper
+ */
+const KEEPER_ABI = [
+    "function keeperFeeBps() view returns (uint256)",
+    "function keeperFee(address account) view returns (uint256)",
+    "function payeeCount() view returns (uint256)",
+    "function payee(uint256 index) view returns (address)",
+    "function release(address account)",
+    "event KeeperFeePaid(address indexed account, address indexed keeper, uint256 fee)",
+];
+
+/**
+ * Default margin the fee must clear above the gas cost, in basis points (20%)
+ */
+const DEFAULT_MARGIN_BPS = 2000n;
+
+/**
+ * Get the gas price a keeper should budget for: the max fee per gas on EIP-1559
+ * networks, the legacy gas price otherwise
+ * @param {ethers.Provider} provider - Provider of the network
+ * @returns {Promise<bigint>} Gas price in wei
+ */
+async function getGasPrice(provider) {
+    const feeData = await provider.getFeeData();
+    return feeData.maxFeePerGas ?? feeData.gasPrice;
+}
+
+/**
+ * Check whether a fee covers a gas cost plus a margin
+ * @param {bigint} fee - Keeper fee in wei
+ * @param {bigint} gasCost - Estimated gas cost in wei
+ * @param {bigint} [marginBps] - Margin above the gas cost, in basis points
+ * @returns {boolean} True if the release is worth making
+ */
+function isProfitable(fee, gasCost, marginBps = DEFAULT_MARGIN_BPS) {
+    return fee * 10000n > gasCost * (10000n + BigInt(marginBps));
+}
+
+/**
+ * Quote the release of every payee of a splitter that pays a keeper fee.
+ *
+ * Payees with nothing due and the keeper's own slot are left out. Splitters that
+ * do not pay keeper fees, e.g. plain SplitStream contracts, have no quotes.
+ *
+ * A payee whose release would revert, e.g. because their recipient rejects ETH and the
+ * splitter has no WETH, is quoted with the error and is never profitable, so one
+ * payee cannot stop the others from being released.
+ *
+ * @param {string} address - Splitter address
+ * @param {ethers.Signer} keeper - Signer that would make the releases
+ * @param {Object} [options]
+ * @param {bigint} [options.gasPrice] - Gas price to budget for (default: the network's)
+ * @param {bigint} [options.marginBps] - Margin the fee must clear above the gas cost
+ * @returns {Promise<Array<{account: string, fee: bigint, gasLimit: bigint, gasCost: bigint, profitable: boolean, error?: Error}>>}
+ */
+async function quoteReleases(address, keeper, options = {}) {
+    const splitter = new ethers.Contract(address, KEEPER_ABI, keeper);
+    const keeperAddress = await keeper.getAddress();
+
+    try {
+        await splitter.keeperFeeBps();
+    } catch (error) {
+        return [];
+    }
+
+    const gasPrice = options.gasPrice ?? await getGasPrice(keeper.provider);
+    const count = await splitter.payeeCount();
+    const quotes = [];
+
+    for (let i = 0n; i < count; i++) {
+        const account = await splitter.payee(i);
+        if (account === keeperAddress) {
+            continue;
+        }
+
+        const fee = await splitter.keeperFee(account);
+        if (fee === 0n) {
+            continue;
+        }
+
+        let gasLimit;
+        try {
+            gasLimit = await splitter.release.estimateGas(account);
+        } catch (error) {
+            quotes.push({ account, fee, gasLimit: 0n, gasCost: 0n, profitable: false, error });
+            continue;
+        }
+        const gasCost = gasLimit * gasPrice;
+
+        quotes.push({
+            account,
+            fee,
+            gasLimit,
+            gasCost,
+            profitable: isProfitable(fee, gasCost, options.marginBps),
+        });
+    }
+
+    return quotes;
+}
+
+/**
+ * Release every payee of a splitter whose keeper fee covers the gas.
+ *
+ * Releases that revert, e.g. because someone else released the payee first, are
+ * reported with their error instead of stopping the others, as are payees whose
+ * release could not be quoted.
+ *
+ * @param {string} address - Splitter address
+ * @param {ethers.Signer} keeper - Signer that makes the releases and is paid the fees
+ * @param {Object} [options] - Same as {@link quoteReleases}
+ * @returns {Promise<Array<{account: string, fee: bigint, gasCost: bigint, receipt?: Object, error?: Error}>>}
+ */
+async function keepSplitter(address, keeper, options = {}) {
+    const splitter = new ethers.Contract(address, KEEPER_ABI, keeper);
+    const quotes = await quoteReleases(address, keeper, options);
+    const results = quotes
+        .filter(q => q.error)
+        .map(q => ({ account: q.account, fee: 0n, gasCost: 0n, error: q.error }));
+
+    for (const quote of quotes.filter(q => q.profitable)) {
+        try {
+            const tx = await splitter.release(quote.account, { gasLimit: quote.gasLimit * 12n / 10n });
+            const receipt = await tx.wait();
+
+            // The fee actually paid, which can differ from the quote if funds arrived meanwhile
+            const paid = receipt.logs
+                .map(log => splitter.interface.parseLog(log))
+                .find(parsed => parsed !== null && parsed.name === "KeeperFeePaid");
+
+            results.push({
+                account: quote.account,
+                fee: paid ? paid.args.fee : 0n,
+                gasCost: receipt.gasUsed * receipt.gasPrice,
+                receipt,
+            });
+        } catch (error) {
+            results.push({ account: quote.account, fee: 0n, gasCost: 0n, error });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    KEEPER_ABI,
+    DEFAULT_MARGIN_BPS,
+    getGasPrice,
+    isProfitable,
+    quoteReleases,
+    keepSplitter,
+};
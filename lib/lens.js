@@ -0,0 +1,174 @@
+/**
+ * SplitStream Lens
+ *
+ * Reads every payee of one or more splitters, with shares, released and releasable
+ * amounts plus the contract totals, in a single `eth_call` to a deployed
+ * SplitStreamLens. Without a lens address it falls back to reading each payee
+ * directly, which takes several calls per payee but returns the same data.
+ *
+ * USAGE:
+ * ```js
+ * const { readSplitter, readSplitters } = require("./lib/lens");
+ *
+ * const state = await readSplitter(splitterAddress, provider, { lens: process.env.LENS_ADDRESS });
+ * for (const payee of state.payees) {
+ *     console.log(payee.account, payee.shares, payee.releasable);
+ * }
+ *
+ * // Several splitters at once, in an ERC20 token instead of ETH
+ * const states = await readSplitters([splitterA, splitterB], provider, { lens, token: usdcAddress });
+ * ```
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * Structs returned by SplitStreamLens
+ */
+const PAYEE_STATE = "tuple(address account, uint256 shares, uint256 released, uint256 releasable, address recipient)";
+const SPLITTER_STATE = "tuple(address splitter, address token, uint256 balance, uint256 totalShares, " +
+    `uint256 totalReleased, uint256 totalReceived, ${PAYEE_STATE}[] payees)`;
+
+/**
+ * Functions of SplitStreamLens
+ */
+const LENS_ABI = [
+    `function getStates(address[] splitters, address token) view returns (${SPLITTER_STATE}[] states)`,
+    `function getState(address splitter, address token) view returns (${SPLITTER_STATE} state)`,
+    `function getPayees(address splitter, address token, uint256 start, uint256 end) view returns (${PAYEE_STATE}[] payees)`,
+];
+
+/**
+ * Functions of SplitStream read by the fallback without a lens
+ */
+const SPLITTER_ABI = [
+    "function totalShares() view returns (uint256)",
+    "function payeeCount() view returns (uint256)",
+    "function payee(uint256 index) view returns (address)",
+    "function shares(address payee) view returns (uint256)",
+    "function recipient(address account) view returns (address)",
+    "function totalReleased() view returns (uint256)",
+    "function released(address payee) view returns (uint256)",
+    "function releasable(address payee) view returns (uint256)",
+    "function totalReleased(address token) view returns (uint256)",
+    "function released(address token, address payee) view returns (uint256)",
+    "function releasable(address token, address payee) view returns (uint256)",
+];
+
+const ERC20_BALANCE_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+/**
+ * Convert a SplitterState returned by the lens to a plain object
+ */
+function toSplitterState(state) {
+    return {
+        address: state.splitter,
+        token: state.token === ethers.ZeroAddress ? null : state.token,
+        balance: state.balance,
+        totalShares: state.totalShares,
+        totalReleased: state.totalReleased,
+        totalReceived: state.totalReceived,
+        payees: state.payees.map(payee => ({
+            account: payee.account,
+            shares: payee.shares,
+            released: payee.released,
+            releasable: payee.releasable,
+            recipient: payee.recipient,
+        })),
+    };
+}
+
+/**
+ * Read a splitter one call at a time, for networks without a lens
+ */
+async function readDirectly(address, runner, token) {
+    const splitter = new ethers.Contract(address, SPLITTER_ABI, runner);
+    const provider = runner.provider ?? runner;
+
+    const [totalShares, count, balance, totalReleased] = await Promise.all([
+        splitter.totalShares(),
+        splitter.payeeCount(),
+        token
+            ? new ethers.Contract(token, ERC20_BALANCE_ABI, runner).balanceOf(address)
+            : provider.getBalance(address),
+        token
+            ? splitter["totalReleased(address)"](token)
+            : splitter["totalReleased()"](),
+    ]);
+
+    const payees = [];
+    for (let i = 0n; i < count; i++) {
+        const account = await splitter.payee(i);
+        const [shares, recipient, released, releasable] = await Promise.all([
+            splitter.shares(account),
+            splitter.recipient(account),
+            token
+                ? splitter["released(address,address)"](token, account)
+                : splitter["released(address)"](account),
+            token
+                ? splitter["releasable(address,address)"](token, account)
+                : splitter["releasable(address)"](account),
+        ]);
+
+        payees.push({ account, shares, released, releasable, recipient });
+    }
+
+    return {
+        address,
+        token: token || null,
+        balance,
+        totalShares,
+        totalReleased,
+        totalReceived: balance + totalReleased,
+        payees,
+    };
+}
+
+/**
+ * Read the totals and every payee of several splitters.
+ *
+ * With a lens, all splitters are read in one call, which reverts if any of them is
+ * not a SplitStream. Check the addresses first with `lib/interfaceDetection`.
+ *
+ * @param {string[]} addresses - Splitter addresses
+ * @param {ethers.Provider|ethers.Signer} runner - Provider, or signer with a provider
+ * @param {Object} [options]
+ * @param {string} [options.lens] - Address of a deployed SplitStreamLens (default: read each payee directly)
+ * @param {string} [options.token] - ERC20 token to read amounts in (default: ETH)
+ * @returns {Promise<Array<{address: string, token: string|null, balance: bigint, totalShares: bigint,
+ *   totalReleased: bigint, totalReceived: bigint,
+ *   payees: Array<{account: string, shares: bigint, released: bigint, releasable: bigint, recipient: string}>}>>}
+ */
+async function readSplitters(addresses, runner, options = {}) {
+    const token = options.token || null;
+
+    if (!options.lens) {
+        const states = [];
+        for (const address of addresses) {
+            states.push(await readDirectly(address, runner, token));
+        }
+        return states;
+    }
+
+    const lens = new ethers.Contract(options.lens, LENS_ABI, runner);
+    const states = await lens.getStates(addresses, token || ethers.ZeroAddress);
+    return states.map(toSplitterState);
+}
+
+/**
+ * Read the totals and every payee of a splitter
+ * @param {string} address - Splitter address
+ * @param {ethers.Provider|ethers.Signer} runner - Provider, or signer with a provider
+ * @param {Object} [options] - Same as {@link readSplitters}
+ * @returns {Promise<Object>} The splitter's state, as returned by {@link readSplitters}
+ */
+async function readSplitter(address, runner, options = {}) {
+    const [state] = await readSplitters([address], runner, options);
+    return state;
+}
+
+module.exports = {
+    LENS_ABI,
+    readSplitters,
+    readSplitter,
+};
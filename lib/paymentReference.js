@@ -0,0 +1,87 @@
+/**
+ * SplitStream Payment References
+ *
+ * Converts invoice or order IDs to and from the bytes32 references accepted by
+ * SplitStream's pay(), and finds the payments made for a given ID.
+ *
+ * USAGE:
+ * ```js
+ * const { encodeReference, findPayments } = require("./lib/paymentReference");
+ *
+ * // Payer side
+ * await splitStream.pay(encodeReference("INV-2024-001"), { value: amount });
+ *
+ * // Reconciliation side
+ * const payments = await findPayments(splitStream, "INV-2024-001");
+ * ```
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * Encode an invoice ID as a bytes32 payment reference.
+ *
+ * IDs of up to 31 bytes are stored as text so they can be read back from the
+ * event. A 32-byte hex value is used as is, e.g. for hashed or binary IDs.
+ *
+ * @param {string} id - Invoice or order ID, or a 32-byte hex value
+ * @returns {string} The bytes32 reference
+ */
+function encodeReference(id) {
+    if (typeof id !== "string" || id.length === 0) {
+        throw new Error("Payment reference must be a non-empty string");
+    }
+
+    if (ethers.isHexString(id, 32)) {
+        return id.toLowerCase();
+    }
+
+    if (ethers.toUtf8Bytes(id).length > 31) {
+        throw new Error(`Payment reference "${id}" is longer than 31 bytes; pass a 32-byte hex value instead`);
+    }
+
+    return ethers.encodeBytes32String(id);
+}
+
+/**
+ * Decode a bytes32 payment reference back to the invoice ID it was made from
+ * @param {string} reference - The bytes32 reference from a PaymentReference event
+ * @returns {string} The text ID, or the hex reference if it does not hold text
+ */
+function decodeReference(reference) {
+    try {
+        return ethers.decodeBytes32String(reference);
+    } catch {
+        return reference;
+    }
+}
+
+/**
+ * Find the payments made to a SplitStream with a given reference
+ * @param {ethers.Contract} splitStream - SplitStream contract with a provider
+ * @param {string} id - Invoice or order ID, or a 32-byte hex value
+ * @param {number|string} [fromBlock=0] - First block to search
+ * @returns {Promise<Array<{from: string, amount: bigint, reference: string, blockNumber: number, transactionHash: string}>>}
+ */
+async function findPayments(splitStream, id, fromBlock = 0) {
+    const reference = encodeReference(id);
+    const events = await splitStream.queryFilter(
+        splitStream.filters.PaymentReference(null, reference),
+        fromBlock,
+        "latest"
+    );
+
+    return events.map((event) => ({
+        from: event.args.from,
+        amount: event.args.amount,
+        reference: decodeReference(event.args.ref),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+    }));
+}
+
+module.exports = {
+    encodeReference,
+    decodeReference,
+    findPayments,
+};
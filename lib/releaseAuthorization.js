@@ -0,0 +1,213 @@
+/**
+ * SplitStream Release Authorizations
+ *
+ * Builds, signs and verifies the EIP-712 `Release` messages accepted by
+ * SplitStream's releaseWithSig(). A payee signs a message off-chain and any
+ * relayer can submit it, receiving `maxFee` out of the payee's payment.
+ *
+ * USAGE:
+ * ```js
+ * const { signRelease, submitRelease } = require("./lib/releaseAuthorization");
+ *
+ * // Payee side (no ETH needed)
+ * const release = await signRelease(payeeWallet, splitStream, {
+ *     maxFee: ethers.parseEther("0.0001"),
+ * });
+ *
+ * // Relayer side
+ * const tx = await submitRelease(splitStream.connect(relayerWallet), release);
+ * ```
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * EIP-712 domain name and version used by SplitStream
+ */
+const DOMAIN_NAME = "SplitStream";
+const DOMAIN_VERSION = "1";
+
+/**
+ * EIP-712 types of the release authorization
+ */
+const RELEASE_TYPES = {
+    Release: [
+        { name: "account", type: "address" },
+        { name: "to", type: "address" },
+        { name: "maxFee", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+    ],
+};
+
+/**
+ * Default validity of a signed release, in seconds
+ */
+const DEFAULT_VALIDITY = 3600;
+
+/**
+ * Get the EIP-712 domain of a SplitStream contract (each splitter and clone has its own)
+ * @param {ethers.Contract} splitStream - SplitStream contract with a provider
+ * @returns {Promise<Object>} The typed-data domain
+ */
+async function getReleaseDomain(splitStream) {
+    const network = await splitStream.runner.provider.getNetwork();
+
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId: network.chainId,
+        verifyingContract: await splitStream.getAddress(),
+    };
+}
+
+/**
+ * Build a release message, filling in defaults from the contract
+ * @param {ethers.Contract} splitStream - SplitStream contract with a provider
+ * @param {Object} options
+ * @param {string} options.account - Payee that will sign the message
+ * @param {string} [options.to] - Address paid (defaults to the payee's recipient)
+ * @param {bigint} [options.maxFee] - Fee paid to the relayer in wei (defaults to 0)
+ * @param {bigint} [options.deadline] - Unix timestamp the signature expires at (defaults to one hour from now)
+ * @param {bigint} [options.nonce] - Payee nonce (defaults to the current on-chain nonce)
+ * @returns {Promise<Object>} The `Release` message
+ */
+async function buildRelease(splitStream, { account, to, maxFee, deadline, nonce }) {
+    if (!ethers.isAddress(account)) {
+        throw new Error(`Invalid payee address: ${account}`);
+    }
+
+    if (deadline === undefined) {
+        const block = await splitStream.runner.provider.getBlock("latest");
+        deadline = BigInt(block.timestamp + DEFAULT_VALIDITY);
+    }
+
+    return {
+        account: ethers.getAddress(account),
+        to: ethers.getAddress(to ?? await splitStream.recipient(account)),
+        maxFee: BigInt(maxFee ?? 0),
+        deadline: BigInt(deadline),
+        nonce: BigInt(nonce ?? await splitStream.nonces(account)),
+    };
+}
+
+/**
+ * Build and sign a release message as `signer`
+ * @param {ethers.Signer} signer - The payee's signer
+ * @param {ethers.Contract} splitStream - SplitStream contract with a provider
+ * @param {Object} [options] - Same as buildRelease(), `account` defaults to the signer
+ * @returns {Promise<{domain: Object, message: Object, signature: string}>}
+ */
+async function signRelease(signer, splitStream, options = {}) {
+    const account = options.account ?? await signer.getAddress();
+    const domain = await getReleaseDomain(splitStream);
+    const message = await buildRelease(splitStream, { ...options, account });
+    const signature = await signer.signTypedData(domain, RELEASE_TYPES, message);
+
+    return { domain, message, signature };
+}
+
+/**
+ * Recover the address that signed a release message
+ * @param {Object} domain - The typed-data domain
+ * @param {Object} message - The `Release` message
+ * @param {string} signature - The signature
+ * @returns {string} The recovered signer address
+ */
+function recoverReleaseSigner(domain, message, signature) {
+    return ethers.verifyTypedData(domain, RELEASE_TYPES, message, signature);
+}
+
+/**
+ * Check that a release message was signed by its payee, without a transaction
+ * @param {Object} domain - The typed-data domain
+ * @param {Object} message - The `Release` message
+ * @param {string} signature - The signature
+ * @returns {boolean} True if `message.account` signed it
+ */
+function verifyRelease(domain, message, signature) {
+    try {
+        return recoverReleaseSigner(domain, message, signature) === ethers.getAddress(message.account);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Turn a signed release back into releaseWithSig() arguments
+ * @param {Object} release - Object with `message` and `signature`
+ * @returns {Array} Arguments for releaseWithSig()
+ */
+function toReleaseArgs({ message, signature }) {
+    return [
+        message.account,
+        message.to,
+        message.maxFee,
+        message.deadline,
+        message.nonce,
+        signature,
+    ];
+}
+
+/**
+ * Submit a signed release; the connected signer pays the gas and receives the fee
+ * @param {ethers.Contract} splitStream - SplitStream contract connected to the relayer
+ * @param {Object} release - Object with `message` and `signature`
+ * @returns {Promise<ethers.TransactionResponse>}
+ */
+async function submitRelease(splitStream, release) {
+    return splitStream.releaseWithSig(...toReleaseArgs(release));
+}
+
+/**
+ * Convert a release to JSON-safe values (bigints as strings) for sending to a relayer
+ * @param {Object} release - Object with `message` and `signature`
+ * @returns {Object}
+ */
+function serializeRelease({ message, signature }) {
+    return {
+        message: {
+            account: message.account,
+            to: message.to,
+            maxFee: message.maxFee.toString(),
+            deadline: message.deadline.toString(),
+            nonce: message.nonce.toString(),
+        },
+        signature,
+    };
+}
+
+/**
+ * Parse a release received as JSON back into typed values
+ * @param {Object} data - Output of serializeRelease()
+ * @returns {{message: Object, signature: string}}
+ */
+function parseRelease(data) {
+    const message = data.message || {};
+
+    return {
+        message: {
+            account: ethers.getAddress(message.account),
+            to: ethers.getAddress(message.to),
+            maxFee: BigInt(message.maxFee),
+            deadline: BigInt(message.deadline),
+            nonce: BigInt(message.nonce),
+        },
+        signature: ethers.hexlify(data.signature),
+    };
+}
+
+module.exports = {
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    RELEASE_TYPES,
+    getReleaseDomain,
+    buildRelease,
+    signRelease,
+    recoverReleaseSigner,
+    verifyRelease,
+    toReleaseArgs,
+    submitRelease,
+    serializeRelease,
+    parseRelease,
+};
@@ -0,0 +1,448 @@
+/**
+ * SplitStream Revert Decoder
+ *
+ * Turns the custom errors thrown by SplitStream contracts (and the OpenZeppelin
+ * errors they can bubble up) into readable messages, so scripts and apps do not
+ * have to match selectors or print raw RPC errors.
+ *
+ * USAGE:
+ * ```js
+ * const { formatRevert, decodeRevert } = require("./lib/revertDecoder");
+ *
+ * try {
+ *     await splitStream.release(payee);
+ * } catch (error) {
+ *     console.error(formatRevert(error)); // "No payment is due to 0x..."
+ *
+ *     if (decodeRevert(error)?.name === "NothingDue") {
+ *         // ...
+ *     }
+ * }
+ * ```
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * Every custom error a SplitStream contract can revert with
+ */
+const SPLITSTREAM_ERRORS = [
+    // ISplitStream
+    "error PayeesLengthMismatch(uint256 payees, uint256 shares)",
+    "error NoPayees()",
+    "error ZeroAddressPayee()",
+    "error ZeroShares(address account)",
+    "error DuplicatePayee(address account)",
+    "error NoShares(address account)",
+    "error NothingDue(address account)",
+    "error NoEscrow(address account)",
+    "error InvalidRecipient(address recipient)",
+    "error InvalidRange(uint256 start, uint256 end)",
+    "error InsufficientGas()",
+    "error SignatureExpired(uint256 deadline)",
+    "error InvalidNonce(address account, uint256 nonce)",
+    "error InvalidSignature()",
+    "error FeeNotCovered(uint256 payment, uint256 maxFee)",
+
+    // SplitStreamVesting
+    "error SchedulesLengthMismatch(uint256 payees, uint256 schedules)",
+    "error CliffExceedsDuration(address account, uint64 cliff, uint64 duration)",
+
+    // SplitStreamPausable
+    "error NotGuardian(address caller)",
+    "error ZeroAddressGuardian()",
+    "error ReleasesPaused(uint256 until)",
+    "error DepositsPaused(uint256 until)",
+    "error DepositPausingDisabled()",
+    "error NotPaused()",
+    "error PauseCooldown(uint256 nextPauseAt)",
+    "error InvalidPauseDuration(uint256 duration)",
+
+    // SplitStreamCapped
+    "error CapsLengthMismatch(uint256 payees, uint256 caps)",
+    "error NoUncappedPayee()",
+
+    // SplitStreamWaterfall
+    "error TooManyTranches(uint256 count)",
+    "error ZeroTrancheCap(uint256 index)",
+
+    // SplitStreamGoverned
+    "error InvalidQuorum(uint256 quorumBps)",
+    "error TooManyTokens(uint256 count)",
+    "error UnknownProposal(uint256 proposalId)",
+    "error ProposalNotActive(uint256 proposalId)",
+    "error AlreadyVoted(uint256 proposalId, address account)",
+    "error ProposalNotReady(uint256 proposalId, uint256 eta)",
+
+    // SplitStreamTokenized (TooManyTokens is shared with SplitStreamGoverned)
+    "error TokenAlreadyTracked(address token)",
+
+    // SplitStreamHeld
+    "error UnknownDeposit(uint256 depositId)",
+
+    // SplitStreamIncentivized
+    "error KeeperFeeTooHigh(uint256 feeBps)",
+
+    // SplitStreamRenounceable
+    "error LastShareholder(address account)",
+
+    // SplitStreamRecoverable
+    "error InvalidBackup(address beneficiary)",
+    "error ZeroInactivityPeriod()",
+    "error NotBackup(address account, address caller)",
+    "error PayeeStillActive(address account, uint256 claimableAt)",
+
+    // SplitStreamRoyalties
+    "error ZeroAddressCollection()",
+    "error NotCollectionOwner(address collection, address caller)",
+    "error RoyaltyTooHigh(uint96 royaltyBps)",
+    "error NoRoyaltySplitter(address collection)",
+
+    // OpenZeppelin (Initializable, Address, Clones, SafeERC20, ERC20, SafeCast)
+    "error InvalidInitialization()",
+    "error NotInitializing()",
+    "error InsufficientBalance(uint256 balance, uint256 needed)",
+    "error FailedCall()",
+    "error FailedDeployment()",
+    "error SafeERC20FailedOperation(address token)",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "error ERC20InvalidSender(address sender)",
+    "error ERC20InvalidReceiver(address receiver)",
+    "error ERC20InvalidApprover(address approver)",
+    "error ERC20InvalidSpender(address spender)",
+    "error SafeCastOverflowedUintToInt(uint256 value)",
+    "error SafeCastOverflowedIntToUint(int256 value)",
+    "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+];
+
+const errorInterface = new ethers.Interface(SPLITSTREAM_ERRORS);
+
+/**
+ * Format a unix timestamp (seconds) for messages
+ */
+function formatTime(timestamp) {
+    return new Date(Number(timestamp) * 1000).toISOString().replace("T", " ").substring(0, 19) + " UTC";
+}
+
+/**
+ * Readable message and optional hint for each error, keyed by error name.
+ * Message functions receive the error arguments by name.
+ */
+const ERROR_MESSAGES = {
+    PayeesLengthMismatch: {
+        message: ({ payees, shares }) => `Got ${payees} payees but ${shares} share values`,
+    },
+    NoPayees: {
+        message: () => "At least one payee is required",
+    },
+    ZeroAddressPayee: {
+        message: () => "A payee cannot be the zero address",
+    },
+    ZeroShares: {
+        message: ({ account }) => `${account} was given 0 shares`,
+    },
+    DuplicatePayee: {
+        message: ({ account }) => `${account} is already a payee`,
+        hint: "Each address can hold only one payee slot.",
+    },
+    NoShares: {
+        message: ({ account }) => `${account} is not a payee of this splitter`,
+    },
+    NothingDue: {
+        message: ({ account }) => `No payment is due to ${account}`,
+        hint: "The payee may have already withdrawn all available funds.",
+    },
+    NoEscrow: {
+        message: ({ account }) => `${account} has no escrowed payment to claim`,
+    },
+    InvalidRecipient: {
+        message: ({ recipient }) => `Payments cannot be sent to ${recipient}`,
+        hint: "Use an address other than the zero address or the splitter itself.",
+    },
+    InvalidRange: {
+        message: ({ start, end }) => `Payee range [${start}, ${end}) is empty or out of bounds`,
+    },
+    InsufficientGas: {
+        message: () => "Gas limit too low for an ETH send of a release or distribute(), or a token balance check in a share transfer",
+        hint: "Use the estimateGas result as the gas limit.",
+    },
+    SignatureExpired: {
+        message: ({ deadline }) => `The signed release expired at ${formatTime(deadline)}`,
+        hint: "Ask the payee for a new signature.",
+    },
+    InvalidNonce: {
+        message: ({ account, nonce }) => `Nonce ${nonce} is not the next nonce of ${account}`,
+        hint: "The signature was already used or replaced; sign again with nonces(account).",
+    },
+    InvalidSignature: {
+        message: () => "The release was not signed by the payee, or a signed field was changed",
+    },
+    FeeNotCovered: {
+        message: ({ payment, maxFee }) =>
+            `The payee is owed ${ethers.formatEther(payment)} ETH, not more than the ${ethers.formatEther(maxFee)} ETH fee`,
+        hint: "Wait for more funds or sign with a lower fee.",
+    },
+    SchedulesLengthMismatch: {
+        message: ({ payees, schedules }) => `Got ${payees} payees but ${schedules} vesting schedules`,
+    },
+    CliffExceedsDuration: {
+        message: ({ account, cliff, duration }) =>
+            `Vesting cliff of ${account} (${cliff}s) is longer than its duration (${duration}s)`,
+    },
+    NotGuardian: {
+        message: ({ caller }) => `${caller} is not the guardian of this splitter`,
+    },
+    ZeroAddressGuardian: {
+        message: () => "The guardian cannot be the zero address",
+    },
+    ReleasesPaused: {
+        message: ({ until }) => `Releases are paused by the guardian until ${formatTime(until)}`,
+    },
+    DepositsPaused: {
+        message: ({ until }) => `Deposits are paused by the guardian until ${formatTime(until)}`,
+    },
+    DepositPausingDisabled: {
+        message: () => "This splitter was deployed without the option to pause deposits",
+        hint: "Pause with rejectDeposits set to false.",
+    },
+    NotPaused: {
+        message: () => "Releases are not paused",
+    },
+    PauseCooldown: {
+        message: ({ nextPauseAt }) => `The guardian cannot pause again until ${formatTime(nextPauseAt)}`,
+    },
+    InvalidPauseDuration: {
+        message: ({ duration }) => `A pause of ${duration}s is not allowed`,
+        hint: "Pauses must last between 1 second and MAX_PAUSE_DURATION.",
+    },
+    CapsLengthMismatch: {
+        message: ({ payees, caps }) => `Got ${payees} payees but ${caps} caps`,
+    },
+    NoUncappedPayee: {
+        message: () => "Every payee has a cap, so funds above the caps could not be paid out",
+        hint: "Give at least one payee a cap of 0 (uncapped).",
+    },
+    TooManyTranches: {
+        message: ({ count }) => `Got ${count} tranches, more than a waterfall splitter allows`,
+        hint: "Use at most MAX_TRANCHES tranches.",
+    },
+    ZeroTrancheCap: {
+        message: ({ index }) => `Tranche ${index} has a cap of 0`,
+    },
+    InvalidQuorum: {
+        message: ({ quorumBps }) => `A quorum of ${quorumBps} basis points is not allowed`,
+        hint: "The quorum must be between 1 and 10000 basis points.",
+    },
+    TooManyTokens: {
+        message: ({ count }) => `${count} tokens is more than the splitter allows`,
+        hint: "A governed splitter settles at most MAX_SETTLED_TOKENS tokens per proposal; a tokenized one tracks at most MAX_TRACKED_TOKENS.",
+    },
+    UnknownProposal: {
+        message: ({ proposalId }) => `Proposal ${proposalId} does not exist`,
+    },
+    ProposalNotActive: {
+        message: ({ proposalId }) => `Proposal ${proposalId} was already executed or superseded`,
+    },
+    AlreadyVoted: {
+        message: ({ proposalId, account }) => `${account} already voted for proposal ${proposalId}`,
+    },
+    ProposalNotReady: {
+        message: ({ proposalId, eta }) => eta === 0n
+            ? `Proposal ${proposalId} has not reached the quorum`
+            : `Proposal ${proposalId} cannot be executed until ${formatTime(eta)}`,
+    },
+    TokenAlreadyTracked: {
+        message: ({ token }) => `Token ${token} is already tracked`,
+    },
+    UnknownDeposit: {
+        message: ({ depositId }) => `Deposit ${depositId} does not exist`,
+    },
+    KeeperFeeTooHigh: {
+        message: ({ feeBps }) => `A keeper fee of ${feeBps} basis points is above the 500 basis point maximum`,
+    },
+    LastShareholder: {
+        message: ({ account }) => `${account} holds every remaining share and cannot renounce them`,
+    },
+    InvalidBackup: {
+        message: ({ beneficiary }) => `${beneficiary} cannot be a backup beneficiary`,
+        hint: "Name an address other than yourself and the splitter.",
+    },
+    ZeroInactivityPeriod: {
+        message: () => "The inactivity period of a backup cannot be 0",
+    },
+    NotBackup: {
+        message: ({ account, caller }) => `${caller} is not the backup beneficiary of ${account}`,
+    },
+    PayeeStillActive: {
+        message: ({ account, claimableAt }) =>
+            `${account} was active too recently; their slot can be claimed from ${formatTime(claimableAt)}`,
+    },
+    ZeroAddressCollection: {
+        message: () => "The collection cannot be the zero address",
+    },
+    NotCollectionOwner: {
+        message: ({ collection, caller }) => `${caller} is neither the collection ${collection} nor its owner`,
+        hint: "Send the transaction from the collection's owner() account.",
+    },
+    RoyaltyTooHigh: {
+        message: ({ royaltyBps }) => `A royalty of ${royaltyBps} basis points is more than 100%`,
+    },
+    NoRoyaltySplitter: {
+        message: ({ collection }) => `Collection ${collection} has no royalty splitter`,
+    },
+    InvalidInitialization: {
+        message: () => "This splitter has already been initialized",
+    },
+    NotInitializing: {
+        message: () => "The splitter is not being initialized",
+    },
+    InsufficientBalance: {
+        message: ({ balance, needed }) =>
+            `The splitter holds ${ethers.formatEther(balance)} ETH but needs ${ethers.formatEther(needed)} ETH`,
+    },
+    FailedCall: {
+        message: () => "The recipient rejected the ETH transfer",
+        hint: "Contract recipients must accept ETH; use distribute() to escrow instead, or set an EOA recipient.",
+    },
+    FailedDeployment: {
+        message: () => "Contract deployment failed",
+        hint: "A splitter may already exist for this salt.",
+    },
+    SafeERC20FailedOperation: {
+        message: ({ token }) => `Transfer of token ${token} failed`,
+    },
+    ERC20InsufficientBalance: {
+        message: ({ sender, balance, needed }) => `${sender} holds ${balance} shares but tried to transfer ${needed}`,
+    },
+    ERC20InsufficientAllowance: {
+        message: ({ spender, allowance, needed }) => `${spender} is allowed ${allowance} shares but tried to transfer ${needed}`,
+        hint: "Ask the holder to approve a larger allowance.",
+    },
+    ERC20InvalidSender: {
+        message: ({ sender }) => `Shares cannot be sent from ${sender}`,
+    },
+    ERC20InvalidReceiver: {
+        message: ({ receiver }) => `Shares cannot be sent to ${receiver}`,
+        hint: "Shares cannot be sent to the zero address or to the splitter itself.",
+    },
+    ERC20InvalidApprover: {
+        message: ({ approver }) => `${approver} cannot approve share transfers`,
+    },
+    ERC20InvalidSpender: {
+        message: ({ spender }) => `${spender} cannot be approved to transfer shares`,
+    },
+    SafeCastOverflowedUintToInt: {
+        message: ({ value }) => `${value} is too large for the share accounting`,
+    },
+    SafeCastOverflowedIntToUint: {
+        message: ({ value }) => `${value} is negative where the share accounting expects a positive amount`,
+    },
+    SafeCastOverflowedUintDowncast: {
+        message: ({ bits, value }) => `${value} does not fit in ${bits} bits`,
+    },
+};
+
+/**
+ * Panic codes raised by the Solidity compiler
+ */
+const PANIC_REASONS = {
+    0x01: "assertion failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division by zero",
+    0x32: "array index out of bounds",
+};
+
+/**
+ * Find the revert data in an ethers, Hardhat or JSON-RPC error
+ * @param {Error} error - Error thrown by a call, estimate or transaction
+ * @returns {string|null} The hex revert data, or null if there is none
+ */
+function getRevertData(error) {
+    const seen = new Set();
+    const queue = [error];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== "object" || seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+
+        const { data } = current;
+        if (typeof data === "string" && ethers.isHexString(data) && data.length >= 10) {
+            return data;
+        }
+        if (data && typeof data === "object" && typeof data.data === "string") {
+            queue.push(data);
+        }
+
+        queue.push(current.error, current.info?.error, current.cause);
+    }
+
+    return null;
+}
+
+/**
+ * Decode the revert reason of an error thrown by a SplitStream contract
+ * @param {Error} error - Error thrown by a call, estimate or transaction
+ * @returns {{name: string, args: Object, message: string, hint?: string}|null}
+ *          The decoded error, or null if the error carries no known revert data
+ */
+function decodeRevert(error) {
+    const data = getRevertData(error);
+    if (!data) {
+        return null;
+    }
+
+    const parsed = errorInterface.parseError(data);
+    if (!parsed) {
+        return null;
+    }
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name || i] = parsed.args[i];
+    });
+
+    if (parsed.name === "Error") {
+        return { name: "Error", args, message: parsed.args[0] };
+    }
+
+    if (parsed.name === "Panic") {
+        const code = Number(parsed.args[0]);
+        const reason = PANIC_REASONS[code] || "unknown panic";
+        return { name: "Panic", args, message: `Contract panicked: ${reason} (0x${code.toString(16)})` };
+    }
+
+    const entry = ERROR_MESSAGES[parsed.name];
+    return {
+        name: parsed.name,
+        args,
+        message: entry ? entry.message(args) : parsed.name,
+        hint: entry?.hint,
+    };
+}
+
+/**
+ * Readable one-line description of any error, decoding SplitStream reverts
+ * @param {Error} error - Error thrown by a call, estimate or transaction
+ * @returns {string}
+ */
+function formatRevert(error) {
+    const decoded = decodeRevert(error);
+    if (decoded) {
+        return decoded.message;
+    }
+
+    return error?.shortMessage || error?.reason || error?.message || String(error);
+}
+
+module.exports = {
+    SPLITSTREAM_ERRORS,
+    ERROR_MESSAGES,
+    errorInterface,
+    getRevertData,
+    decodeRevert,
+    formatRevert,
+};
@@ -0,0 +1,55 @@
+/**
+ * SplitStream WETH Addresses
+ *
+ * Gives the WETH contract to deploy splitters with, which releases wrap payments into
+ * when the recipient rejects ETH. Splitters take it as a constructor argument, so a
+ * splitter deployed with the zero address never wraps and reverts instead.
+ *
+ * USAGE:
+ * ```js
+ * const { getWethAddress } = require("./lib/weth");
+ *
+ * const { chainId } = await provider.getNetwork();
+ * await SplitStream.deploy(payees, shares, getWethAddress(chainId));
+ * ```
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * WETH predeploy on Base, Optimism and other OP Stack chains
+ */
+const OP_STACK_WETH = "0x4200000000000000000000000000000000000006";
+
+/**
+ * Canonical WETH contract by chain ID
+ */
+const WETH_ADDRESSES = {
+    1: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+    10: OP_STACK_WETH,
+    8453: OP_STACK_WETH,
+    42161: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
+    84532: OP_STACK_WETH,
+    11155111: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14",
+};
+
+/**
+ * Get the WETH contract to deploy splitters with on a chain.
+ *
+ * The WETH_ADDRESS environment variable takes precedence, e.g. for a chain that is
+ * not listed or a local node with a mock WETH.
+ *
+ * @param {bigint|number} chainId - Chain ID
+ * @returns {string} The WETH address, or the zero address if the chain has none listed
+ */
+function getWethAddress(chainId) {
+    if (process.env.WETH_ADDRESS) {
+        return ethers.getAddress(process.env.WETH_ADDRESS);
+    }
+    return WETH_ADDRESSES[Number(chainId)] ?? ethers.ZeroAddress;
+}
+
+module.exports = {
+    WETH_ADDRESSES,
+    getWethAddress,
+};
@@ -1,11 +1,84 @@
 const hre = require("hardhat");
+const { assertSplitStream } = require("../lib/interfaceDetection");
 
 /**
  * Utility script to check SplitStream contract balance and status
  * Usage: npx hardhat run scripts/checkBalance.js --network base
  * 
  * Set CONTRACT_ADDRESS environment variable or edit the address below
+ * Set TOKEN_ADDRESS=0x... to check an ERC20 token instead of ETH
+ * 
+ * For a SplitStreamVesting contract, each payee's pending amount is also split
+ * into unlocked (claimable now) and locked (still vesting) amounts.
+ * 
+ * For a SplitStreamWaterfall contract, the output also shows how the funds received
+ * fill each tranche, and explains each payee's entitlement by tranche and residual share.
+ * 
+ * For a SplitStreamCapped contract, amounts due respect each payee's lifetime cap, and
+ * the output lists how much of each cap is left.
+ */
+
+// Minimal ERC20 ABI for reading token metadata and balances
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+/**
+ * Check whether the contract is a SplitStreamVesting by reading a payee's schedule
+ */
+async function isVestingContract(vesting, payeeAddress) {
+    try {
+        await vesting.vestingSchedule(payeeAddress);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check whether the contract is a SplitStreamWaterfall by reading its tranche count
  */
+async function isWaterfallContract(waterfall) {
+    try {
+        await waterfall.trancheCount();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the cap asset of a SplitStreamCapped contract, or null for other contracts
+ */
+async function getCapAsset(capped) {
+    try {
+        return await capped.capAsset();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Fill waterfall tranche caps in order with one period's receipts
+ * @returns {bigint[]} Amount of `received` allocated to each tranche
+ */
+function fillTranches(tranches, received) {
+    let remaining = received;
+    return tranches.map(({ cap }) => {
+        const amount = remaining < cap ? remaining : cap;
+        remaining -= amount;
+        return amount;
+    });
+}
+
+/**
+ * Format a Unix timestamp as a UTC date and time
+ */
+function formatTimestamp(timestamp) {
+    return new Date(Number(timestamp) * 1000).toISOString().replace("T", " ").slice(0, 16);
+}
 
 async function main() {
     try {
@@ -23,9 +96,18 @@ async function main() {
             process.exit(1);
         }
 
-        // Validate contract address format
-        if (!hre.ethers.isAddress(contractAddress)) {
-            console.error(`❌ Error: Invalid contract address format: ${contractAddress}\n`);
+        // Verify the address is a SplitStream on this network
+        try {
+            await assertSplitStream(contractAddress, hre.ethers.provider);
+        } catch (error) {
+            console.error(`❌ Error: ${error.message}\n`);
+            process.exit(1);
+        }
+
+        // Validate token address format, if one was given
+        const tokenAddress = process.env.TOKEN_ADDRESS;
+        if (tokenAddress && !hre.ethers.isAddress(tokenAddress)) {
+            console.error(`❌ Error: Invalid token address format: ${tokenAddress}\n`);
             process.exit(1);
         }
 
@@ -48,37 +130,49 @@ async function main() {
         const SplitStream = await hre.ethers.getContractFactory("SplitStream");
         const contract = SplitStream.attach(contractAddress);
 
-        // Verify contract exists
-        const code = await hre.ethers.provider.getCode(contractAddress);
-        if (code === "0x") {
-            console.error(`❌ Error: No contract found at address ${contractAddress}`);
-            console.log("   This address may not be deployed on this network.\n");
-            process.exit(1);
+        console.log("✅ Contract connected successfully!\n");
+
+        // Resolve the asset being checked (ETH unless a token is given)
+        let token = null;
+        let symbol = "ETH";
+        let decimals = 18;
+
+        if (tokenAddress) {
+            token = new hre.ethers.Contract(tokenAddress, ERC20_ABI, hre.ethers.provider);
+            symbol = await token.symbol();
+            decimals = Number(await token.decimals());
         }
 
-        console.log("✅ Contract connected successfully!\n");
+        const formatAmount = (amount) => hre.ethers.formatUnits(amount, decimals);
 
         // Get contract balance
-        const contractBalance = await hre.ethers.provider.getBalance(contractAddress);
-        const contractBalanceEth = hre.ethers.formatEther(contractBalance);
+        const contractBalance = token
+            ? await token.balanceOf(contractAddress)
+            : await hre.ethers.provider.getBalance(contractAddress);
+        const contractBalanceEth = formatAmount(contractBalance);
 
         // Get total shares and total released
         const totalShares = await contract.totalShares();
-        const totalReleased = await contract.totalReleased();
-        const totalReleasedEth = hre.ethers.formatEther(totalReleased);
+        const totalReleased = token
+            ? await contract["totalReleased(address)"](tokenAddress)
+            : await contract["totalReleased()"]();
+        const totalReleasedEth = formatAmount(totalReleased);
 
         // Display contract overview
         console.log("💰 Contract Overview");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        console.log(`Current Balance:   ${contractBalanceEth} ETH`);
+        if (token) {
+            console.log(`Token:             ${symbol} (${tokenAddress})`);
+        }
+        console.log(`Current Balance:   ${contractBalanceEth} ${symbol}`);
         console.log(`Total Shares:      ${totalShares}`);
-        console.log(`Total Released:    ${totalReleasedEth} ETH\n`);
+        console.log(`Total Released:    ${totalReleasedEth} ${symbol}\n`);
 
         // Calculate total ever received
         const totalEverReceived = contractBalance + totalReleased;
-        const totalEverReceivedEth = hre.ethers.formatEther(totalEverReceived);
-        console.log(`Total Ever Received: ${totalEverReceivedEth} ETH`);
-        console.log(`Total Pending:       ${contractBalanceEth} ETH\n`);
+        const totalEverReceivedEth = formatAmount(totalEverReceived);
+        console.log(`Total Ever Received: ${totalEverReceivedEth} ${symbol}`);
+        console.log(`Total Pending:       ${contractBalanceEth} ${symbol}\n`);
 
         // Get all payees information
         console.log("👥 Payee Details");
@@ -103,32 +197,72 @@ async function main() {
         } else {
             console.log(`Found ${payees.length} payee(s):\n`);
 
+            // Waterfall contracts allocate by tranche first, then by shares
+            const waterfall = (await hre.ethers.getContractFactory("SplitStreamWaterfall")).attach(contractAddress);
+            const isWaterfall = await isWaterfallContract(waterfall);
+            const tranches = [];
+            let trancheAmounts = [];
+            let residual = totalEverReceived;
+
+            if (isWaterfall) {
+                const trancheCount = await waterfall.trancheCount();
+                for (let i = 0; i < trancheCount; i++) {
+                    tranches.push(await waterfall.tranche(i));
+                }
+                [trancheAmounts, residual] = token
+                    ? await waterfall["allocation(address)"](tokenAddress)
+                    : await waterfall["allocation()"]();
+            }
+
+            // Capped contracts limit the payees' totals in one asset
+            const capped = (await hre.ethers.getContractFactory("SplitStreamCapped")).attach(contractAddress);
+            const capAsset = await getCapAsset(capped);
+            const isCapped = capAsset !== null &&
+                capAsset.toLowerCase() === (tokenAddress || hre.ethers.ZeroAddress).toLowerCase();
+
             // Table header
-            console.log("┌────┬──────────────────────────────────────────────┬────────┬──────────┬─────────────┬─────────────┬─────────────┐");
-            console.log("│ #  │ Address                                      │ Shares │ Percent  │ Released    │ Pending     │ Total Due   │");
-            console.log("├────┼──────────────────────────────────────────────┼────────┼──────────┼─────────────┼─────────────┼─────────────┤");
+            console.log("┌────┬──────────────────────────────────────────────┬────────┬──────────┬─────────────────┬─────────────────┬─────────────────┐");
+            console.log("│ #  │ Address                                      │ Shares │ Percent  │ Released        │ Pending         │ Total Due       │");
+            console.log("├────┼──────────────────────────────────────────────┼────────┼──────────┼─────────────────┼─────────────────┼─────────────────┤");
 
             let totalPendingAmount = 0n;
+            const payeeRows = [];
 
             for (let i = 0; i < payees.length; i++) {
                 const payeeAddress = payees[i];
                 const payeeShares = await contract.shares(payeeAddress);
-                const payeeReleased = await contract.released(payeeAddress);
+                const payeeReleased = token
+                    ? await contract["released(address,address)"](tokenAddress, payeeAddress)
+                    : await contract["released(address)"](payeeAddress);
 
                 // Calculate percentage
                 const percentage = (Number(payeeShares) * 100 / Number(totalShares)).toFixed(2);
 
                 // Calculate total amount this payee should have based on shares
-                const totalDueToPayee = (totalEverReceived * payeeShares) / totalShares;
+                // (of the residual, plus any tranches, for waterfall contracts)
+                let totalDueToPayee = (residual * payeeShares) / totalShares;
+                tranches.forEach((tranche, t) => {
+                    if (tranche.recipient === payeeAddress) {
+                        totalDueToPayee += trancheAmounts[t];
+                    }
+                });
+                if (isCapped) {
+                    // The excess over a cap goes to the other payees, so ask the contract
+                    const releasable = token
+                        ? await contract["releasable(address,address)"](tokenAddress, payeeAddress)
+                        : await contract["releasable(address)"](payeeAddress);
+                    totalDueToPayee = payeeReleased + releasable;
+                }
 
                 // Calculate pending (total due minus already released)
                 const pendingAmount = totalDueToPayee - payeeReleased;
                 totalPendingAmount += pendingAmount;
+                payeeRows.push({ payeeAddress, payeeShares, payeeReleased, totalDueToPayee });
 
                 // Format amounts
-                const releasedEth = hre.ethers.formatEther(payeeReleased);
-                const pendingEth = hre.ethers.formatEther(pendingAmount);
-                const totalDueEth = hre.ethers.formatEther(totalDueToPayee);
+                const releasedEth = formatAmount(payeeReleased);
+                const pendingEth = formatAmount(pendingAmount);
+                const totalDueEth = formatAmount(totalDueToPayee);
 
                 // Truncate address for display
                 const shortAddress = `${payeeAddress.slice(0, 6)}...${payeeAddress.slice(-4)}`;
@@ -139,28 +273,150 @@ async function main() {
                 const addr = fullAddress.padEnd(44);
                 const share = String(payeeShares).padEnd(6);
                 const pct = `${percentage}%`.padEnd(8);
-                const rel = `${parseFloat(releasedEth).toFixed(4)} ETH`.padEnd(11);
-                const pend = `${parseFloat(pendingEth).toFixed(4)} ETH`.padEnd(11);
-                const tot = `${parseFloat(totalDueEth).toFixed(4)} ETH`.padEnd(11);
+                const rel = `${parseFloat(releasedEth).toFixed(4)} ${symbol}`.padEnd(15);
+                const pend = `${parseFloat(pendingEth).toFixed(4)} ${symbol}`.padEnd(15);
+                const tot = `${parseFloat(totalDueEth).toFixed(4)} ${symbol}`.padEnd(15);
 
                 console.log(`│ ${num} │ ${addr} │ ${share} │ ${pct} │ ${rel} │ ${pend} │ ${tot} │`);
             }
 
-            console.log("└────┴──────────────────────────────────────────────┴────────┴──────────┴─────────────┴─────────────┴─────────────┘");
+            console.log("└────┴──────────────────────────────────────────────┴────────┴──────────┴─────────────────┴─────────────────┴─────────────────┘");
+
+            // Explain waterfall allocations by tranche
+            if (isWaterfall) {
+                const periodLength = await waterfall.periodLength();
+                const [openIndex, openReceived] = token
+                    ? await waterfall["openPeriod(address)"](tokenAddress)
+                    : await waterfall["openPeriod()"]();
+                const periodFill = fillTranches(tranches, openReceived);
+                const fmt = (amount) => `${parseFloat(formatAmount(amount)).toFixed(4)} ${symbol}`;
+
+                console.log("\n🌊 Waterfall Tranches");
+                if (periodLength > 0n) {
+                    console.log(`   Caps apply per period of ${Number(periodLength) / 86400} day(s)`);
+                    console.log(`   Open period: #${openIndex}, ${fmt(openReceived)} received so far`);
+                    if (openIndex < (await waterfall.currentPeriod())) {
+                        console.log("   ⚠️  A new period has started; call checkpoint() before this period's funds arrive");
+                    }
+                } else {
+                    console.log("   Caps apply once, over the contract's lifetime");
+                }
+                console.log("┌────┬──────────────────────────────────────────────┬─────────────────┬─────────────────┬─────────────────┐");
+                console.log("│ #  │ Recipient                                    │ Cap             │ This Period     │ Allocated Total │");
+                console.log("├────┼──────────────────────────────────────────────┼─────────────────┼─────────────────┼─────────────────┤");
+
+                tranches.forEach((tranche, t) => {
+                    const num = String(t + 1).padEnd(2);
+                    const addr = tranche.recipient.padEnd(44);
+                    const cap = fmt(tranche.cap).padEnd(15);
+                    const filled = (periodFill[t] === tranche.cap ? `${fmt(periodFill[t])} ✓` : fmt(periodFill[t])).padEnd(15);
+                    const total = fmt(trancheAmounts[t]).padEnd(15);
+
+                    console.log(`│ ${num} │ ${addr} │ ${cap} │ ${filled} │ ${total} │`);
+                });
+
+                console.log("└────┴──────────────────────────────────────────────┴─────────────────┴─────────────────┴─────────────────┘");
+                console.log(`   Residual (split by shares): ${fmt(residual)}`);
+
+                console.log("\n🧾 Entitlement by Tranche");
+                for (const { payeeAddress, payeeShares, payeeReleased, totalDueToPayee } of payeeRows) {
+                    console.log(`   ${payeeAddress}`);
+                    tranches.forEach((tranche, t) => {
+                        if (tranche.recipient === payeeAddress) {
+                            console.log(`      Tranche ${t + 1}:`.padEnd(30) + fmt(trancheAmounts[t]));
+                        }
+                    });
+                    if (payeeShares > 0n) {
+                        const pct = (Number(payeeShares) * 100 / Number(totalShares)).toFixed(2);
+                        console.log(`      Residual (${pct}%):`.padEnd(30) + fmt((residual * payeeShares) / totalShares));
+                    }
+                    console.log(`      Total due:`.padEnd(30) + fmt(totalDueToPayee));
+                    console.log(`      Released:`.padEnd(30) + fmt(payeeReleased));
+                }
+            }
+
+            // List how much of each payee's cap is left
+            if (isCapped) {
+                console.log(`\n🧢 Payout Caps (in ${symbol})`);
+                for (const { payeeAddress } of payeeRows) {
+                    const cap = await capped.cap(payeeAddress);
+                    const remaining = await capped.remainingCap(payeeAddress);
+                    const status = cap === 0n
+                        ? "uncapped"
+                        : remaining === 0n
+                            ? `${formatAmount(cap)} ${symbol} (reached; new funds go to the other payees)`
+                            : `${formatAmount(cap)} ${symbol} (${formatAmount(remaining)} ${symbol} left)`;
+                    console.log(`   ${payeeAddress}  ${status}`);
+                }
+            }
+
+            // Split pending amounts into unlocked and locked for vesting contracts
+            const vesting = (await hre.ethers.getContractFactory("SplitStreamVesting")).attach(contractAddress);
+            const isVesting = await isVestingContract(vesting, payees[0]);
+            let totalUnlocked = totalPendingAmount;
+            let totalLocked = 0n;
+
+            if (isVesting) {
+                const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+                totalUnlocked = 0n;
+
+                console.log(`\n🔒 Vesting Schedules (as of ${formatTimestamp(now)} UTC)`);
+                console.log("┌────┬──────────────────────────────────────────────┬──────────────────┬──────────────────┬──────────────────┬─────────────────┬─────────────────┐");
+                console.log("│ #  │ Address                                      │ Start            │ Cliff            │ End              │ Unlocked        │ Locked          │");
+                console.log("├────┼──────────────────────────────────────────────┼──────────────────┼──────────────────┼──────────────────┼─────────────────┼─────────────────┤");
+
+                for (let i = 0; i < payeeRows.length; i++) {
+                    const { payeeAddress, payeeReleased, totalDueToPayee } = payeeRows[i];
+                    const schedule = await vesting.vestingSchedule(payeeAddress);
+                    const vested = token
+                        ? await vesting["vestedAmount(address,address,uint64)"](tokenAddress, payeeAddress, now)
+                        : await vesting["vestedAmount(address,uint64)"](payeeAddress, now);
+
+                    // Unlocked is what the payee can release now, locked is still vesting
+                    const unlocked = vested - payeeReleased;
+                    const locked = totalDueToPayee - vested;
+                    totalUnlocked += unlocked;
+                    totalLocked += locked;
+
+                    const num = String(i + 1).padEnd(2);
+                    const addr = payeeAddress.padEnd(44);
+                    const startAt = formatTimestamp(schedule.start).padEnd(16);
+                    const cliffAt = formatTimestamp(schedule.start + schedule.cliff).padEnd(16);
+                    const endAt = formatTimestamp(schedule.start + schedule.duration).padEnd(16);
+                    const unl = `${parseFloat(formatAmount(unlocked)).toFixed(4)} ${symbol}`.padEnd(15);
+                    const lck = `${parseFloat(formatAmount(locked)).toFixed(4)} ${symbol}`.padEnd(15);
+
+                    console.log(`│ ${num} │ ${addr} │ ${startAt} │ ${cliffAt} │ ${endAt} │ ${unl} │ ${lck} │`);
+                }
+
+                console.log("└────┴──────────────────────────────────────────────┴──────────────────┴──────────────────┴──────────────────┴─────────────────┴─────────────────┘");
+            }
 
             // Summary
-            const totalPendingEth = hre.ethers.formatEther(totalPendingAmount);
+            const totalPendingEth = formatAmount(totalPendingAmount);
             console.log(`\n📊 Summary:`);
             console.log(`   Total Payees:         ${payees.length}`);
-            console.log(`   Total Pending:        ${parseFloat(totalPendingEth).toFixed(4)} ETH`);
-            console.log(`   Available to Claim:   ${contractBalanceEth} ETH\n`);
+            console.log(`   Total Pending:        ${parseFloat(totalPendingEth).toFixed(4)} ${symbol}`);
+            if (isVesting) {
+                console.log(`   Unlocked:             ${parseFloat(formatAmount(totalUnlocked)).toFixed(4)} ${symbol}`);
+                console.log(`   Locked (vesting):     ${parseFloat(formatAmount(totalLocked)).toFixed(4)} ${symbol}`);
+                console.log(`   Available to Claim:   ${formatAmount(totalUnlocked)} ${symbol}\n`);
+            } else {
+                console.log(`   Available to Claim:   ${contractBalanceEth} ${symbol}\n`);
+            }
 
             // Check if any payee has claimable funds
-            const hasClaimableFunds = totalPendingAmount > 0n;
+            const hasClaimableFunds = totalUnlocked > 0n;
             if (hasClaimableFunds) {
                 console.log("💡 Action Items:");
                 console.log("   - Payees can call release() to claim their pending amounts");
-                console.log(`   - Use: await contract.release("PAYEE_ADDRESS")\n`);
+                if (token) {
+                    console.log(`   - Use: await contract["release(address,address)"]("${tokenAddress}", "PAYEE_ADDRESS")\n`);
+                } else {
+                    console.log(`   - Use: await contract.release("PAYEE_ADDRESS")\n`);
+                }
+            } else if (totalLocked > 0n) {
+                console.log("⏳ Nothing is claimable yet. Remaining funds are still vesting.\n");
             } else {
                 console.log("✅ All payees are up to date. No pending claims.\n");
             }
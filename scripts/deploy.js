@@ -1,4 +1,57 @@
 const hre = require("hardhat");
+const { getWethAddress } = require("../lib/weth");
+
+/**
+ * Deploy a SplitStream through SplitStreamFactory (CREATE2)
+ * Usage: npx hardhat run scripts/deploy.js --network base
+ *
+ * Optional environment variables:
+ *   FACTORY_ADDRESS  Existing SplitStreamFactory to use (a new one is deployed if unset)
+ *   SALT             Label or 32-byte hex salt for the splitter address (random if unset)
+ *   PREDICT_ONLY     Set to true to print the predicted address without deploying
+ *   WETH_ADDRESS     WETH for a new factory's splitters to wrap payments into (default: the chain's, see lib/weth.js)
+ */
+
+/**
+ * Turn a SALT value into a bytes32 salt: 32-byte hex is used as-is,
+ * any other string is hashed, and no value gives a random salt
+ */
+function parseSalt(value) {
+    if (!value) {
+        return hre.ethers.hexlify(hre.ethers.randomBytes(32));
+    }
+    if (hre.ethers.isHexString(value, 32)) {
+        return value;
+    }
+    return hre.ethers.id(value);
+}
+
+/**
+ * Attach to the factory at FACTORY_ADDRESS, or deploy a new one
+ */
+async function getOrDeployFactory(factoryAddress) {
+    const SplitStreamFactory = await hre.ethers.getContractFactory("SplitStreamFactory");
+
+    if (factoryAddress) {
+        const code = await hre.ethers.provider.getCode(factoryAddress);
+        if (code === "0x") {
+            throw new Error(`No SplitStreamFactory found at ${factoryAddress}`);
+        }
+        console.log(`🏭 Using SplitStreamFactory at ${factoryAddress}\n`);
+        return { factory: SplitStreamFactory.attach(factoryAddress), deployed: false };
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const weth = getWethAddress(chainId);
+
+    console.log("⏳ No FACTORY_ADDRESS set, deploying SplitStreamFactory...");
+    const factory = await SplitStreamFactory.deploy(weth);
+    await factory.waitForDeployment();
+    console.log(`✅ SplitStreamFactory deployed at ${await factory.getAddress()}`);
+    console.log(`   WETH: ${weth === hre.ethers.ZeroAddress ? "none (payments to recipients rejecting ETH revert)" : weth}\n`);
+
+    return { factory, deployed: true };
+}
 
 async function main() {
     try {
@@ -32,28 +85,59 @@ async function main() {
         });
         console.log(`Total shares: ${shares.reduce((a, b) => a + b, 0)}\n`);
 
-        // Deploy contract
-        console.log("⏳ Deploying SplitStream contract...");
-        const SplitStream = await hre.ethers.getContractFactory("SplitStream");
-        const splitStream = await SplitStream.deploy(payees, shares);
-
-        // Wait for deployment
-        await splitStream.waitForDeployment();
-        const contractAddress = await splitStream.getAddress();
+        // Get factory and salt
+        const { factory, deployed: factoryDeployed } = await getOrDeployFactory(process.env.FACTORY_ADDRESS);
+        const factoryAddress = await factory.getAddress();
+        const weth = await factory.weth();
+        const salt = parseSalt(process.env.SALT);
 
-        console.log("✅ Contract deployed successfully!\n");
+        // Predict the splitter address
+        const predictedAddress = await factory.predictAddress(payees, shares, salt);
 
-        console.log("📋 Deployment Summary:");
+        console.log("🔮 Address Prediction:");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        console.log(`Contract Address: ${contractAddress}`);
-        console.log(`Deployment Transaction: ${splitStream.deploymentTransaction().hash}`);
-        console.log(`Block Number: ${splitStream.deploymentTransaction().blockNumber || 'Pending'}\n`);
+        console.log(`Factory: ${factoryAddress}`);
+        console.log(`Salt: ${salt}`);
+        console.log(`Predicted Address: ${predictedAddress}\n`);
+
+        if (process.env.PREDICT_ONLY === "true") {
+            console.log("💡 PREDICT_ONLY is set - skipping deployment.");
+            console.log("   Funds sent to the predicted address are split once the contract is deployed");
+            console.log("   with the same factory, payees, shares and salt.\n");
+            return;
+        }
+
+        if ((await hre.ethers.provider.getCode(predictedAddress)) !== "0x") {
+            throw new Error(`A SplitStream is already deployed at ${predictedAddress} for this salt`);
+        }
+
+        // Deploy contract through the factory
+        console.log("⏳ Deploying SplitStream contract via factory...");
+        const tx = await factory.createSplitStream(payees, shares, salt);
 
         // Wait for 1 block confirmation
         console.log("⏳ Waiting for 1 block confirmation...");
-        await splitStream.deploymentTransaction().wait(1);
+        const receipt = await tx.wait(1);
         console.log("✅ Deployment confirmed!\n");
 
+        const createdEvent = receipt.logs
+            .map(log => factory.interface.parseLog(log))
+            .find(parsed => parsed && parsed.name === "SplitStreamCreated");
+        const contractAddress = createdEvent.args.splitter;
+
+        if (contractAddress !== predictedAddress) {
+            throw new Error(`Deployed address ${contractAddress} does not match prediction ${predictedAddress}`);
+        }
+
+        const splitStream = await hre.ethers.getContractAt("SplitStream", contractAddress);
+
+        console.log("📋 Deployment Summary:");
+        console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+        console.log(`Contract Address: ${contractAddress}`);
+        console.log(`Deployment Transaction: ${tx.hash}`);
+        console.log(`Block Number: ${receipt.blockNumber}`);
+        console.log(`Gas Used: ${receipt.gasUsed}\n`);
+
         // Verify deployment by checking total shares
         const totalShares = await splitStream.totalShares();
         console.log("🔍 Verification:");
@@ -70,8 +154,13 @@ async function main() {
         console.log("\n📌 Next Steps:");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
         console.log(`1. Verify contract on Basescan:`);
-        console.log(`   npx hardhat verify --network ${hre.network.name} ${contractAddress} "[${payees.map(p => `\\"${p}\\"`).join(',')}]" "[${shares.join(',')}]"`);
+        console.log(`   npx hardhat verify --network ${hre.network.name} ${contractAddress} "[${payees.map(p => `\\"${p}\\"`).join(',')}]" "[${shares.join(',')}]" ${weth}`);
         console.log(`\n2. View on Basescan: https://basescan.org/address/${contractAddress}`);
+        if (factoryDeployed) {
+            console.log(`\n3. Reuse the factory for future deployments:`);
+            console.log(`   FACTORY_ADDRESS=${factoryAddress}`);
+            console.log(`   npx hardhat verify --network ${hre.network.name} ${factoryAddress} ${weth}`);
+        }
 
     } catch (error) {
         console.error("\n❌ Deployment failed!");
@@ -4,6 +4,13 @@
  * This script deploys a SplitStream contract with minimal gas costs
  * Designed to work with balances as low as 0.0002 ETH
  * 
+ * The splitter is deployed through SplitStreamFactory (CREATE2), so its
+ * address is printed before the deployment transaction is sent.
+ * Set FACTORY_ADDRESS to reuse an existing factory and SALT to choose
+ * the splitter address (a label or 32-byte hex; random if unset).
+ * A new factory deploys splitters that pay recipients rejecting ETH in
+ * Base's WETH (set WETH_ADDRESS to use another contract).
+ * 
  * ESTIMATED COST: ~0.000006 ETH (~$0.00001 USD at current Base gas prices)
  * 
  * USAGE:
@@ -18,6 +25,7 @@
  */
 
 const hre = require("hardhat");
+const { getWethAddress } = require("../lib/weth");
 
 async function main() {
     console.log("\n🚀 Economical SplitStream Deployment to Base Mainnet");
@@ -39,7 +47,10 @@ async function main() {
     }
 
     // Check sufficient balance
-    const estimatedGas = 1500000n; // Estimate for deployment
+    const factoryAddress = process.env.FACTORY_ADDRESS;
+    const estimatedGas = factoryAddress
+        ? 1600000n  // Splitter via existing factory
+        : 3400000n; // Factory + splitter
     const feeData = await hre.ethers.provider.getFeeData();
     const gasPrice = feeData.gasPrice || hre.ethers.parseUnits("0.1", "gwei");
     const estimatedCost = estimatedGas * gasPrice;
@@ -68,6 +79,28 @@ async function main() {
     console.log(`   Payee 2: ${payees[1]} (${shares[1]} shares)`);
     console.log(`   Total Shares: ${shares.reduce((a, b) => a + b, 0)}`);
 
+    // Salt: 32-byte hex as-is, any other label hashed, random if unset
+    const saltInput = process.env.SALT;
+    const salt = !saltInput
+        ? hre.ethers.hexlify(hre.ethers.randomBytes(32))
+        : hre.ethers.isHexString(saltInput, 32) ? saltInput : hre.ethers.id(saltInput);
+
+    // Predict the splitter address if the factory already exists
+    const SplitStreamFactory = await hre.ethers.getContractFactory("SplitStreamFactory");
+    let factory = null;
+
+    if (factoryAddress) {
+        if ((await hre.ethers.provider.getCode(factoryAddress)) === "0x") {
+            throw new Error(`❌ No SplitStreamFactory found at ${factoryAddress}`);
+        }
+        factory = SplitStreamFactory.attach(factoryAddress);
+
+        const predicted = await factory.predictAddress(payees, shares, salt);
+        console.log(`\n🔮 Predicted Address: ${predicted}`);
+        console.log(`   Factory: ${factoryAddress}`);
+        console.log(`   Salt: ${salt}`);
+    }
+
     // Warning
     console.log("\n" + "⚠️ ".repeat(30));
     console.log("⚠️  WARNING: Deploying to Base MAINNET!");
@@ -93,26 +126,45 @@ async function main() {
         process.exit(0);
     }
 
-    // Deploy
-    console.log("\n📦 Deploying SplitStream contract...");
+    const startTime = Date.now();
 
-    const SplitStream = await hre.ethers.getContractFactory("SplitStream");
+    // Deploy the factory first if none was given
+    let factoryTx = null;
+    if (!factory) {
+        console.log("\n🏭 Deploying SplitStreamFactory...");
+        factory = await SplitStreamFactory.deploy(getWethAddress(network.chainId));
+        await factory.waitForDeployment();
+        factoryTx = factory.deploymentTransaction();
+        console.log(`   Factory: ${await factory.getAddress()}`);
+
+        const predicted = await factory.predictAddress(payees, shares, salt);
+        console.log(`\n🔮 Predicted Address: ${predicted}`);
+        console.log(`   Salt: ${salt}`);
+    }
 
-    const startTime = Date.now();
-    const contract = await SplitStream.deploy(payees, shares);
+    // Deploy
+    console.log("\n📦 Deploying SplitStream contract via factory...");
+
+    const predictedAddress = await factory.predictAddress(payees, shares, salt);
+    const deployTx = await factory.createSplitStream(payees, shares, salt);
 
     console.log("⏳ Waiting for deployment transaction...");
-    await contract.waitForDeployment();
+    const receipt = await deployTx.wait();
 
-    const address = await contract.getAddress();
+    const createdEvent = receipt.logs
+        .map(log => factory.interface.parseLog(log))
+        .find(parsed => parsed && parsed.name === "SplitStreamCreated");
+    const address = createdEvent.args.splitter;
+
+    if (address !== predictedAddress) {
+        throw new Error(`❌ Deployed address ${address} does not match prediction ${predictedAddress}`);
+    }
+
+    const contract = await hre.ethers.getContractAt("SplitStream", address);
     const deployTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
     console.log(`\n✅ Deployment successful! (${deployTime}s)`);
 
-    // Get deployment transaction
-    const deployTx = contract.deploymentTransaction();
-    const receipt = await deployTx.wait();
-
     const actualGasUsed = receipt.gasUsed;
     const actualGasPrice = receipt.gasPrice || deployTx.gasPrice;
     const actualCost = actualGasUsed * actualGasPrice;
@@ -121,6 +173,8 @@ async function main() {
     console.log("📋 DEPLOYMENT SUMMARY");
     console.log("=".repeat(60));
     console.log(`\n✅ Contract Address: ${address}`);
+    console.log(`🏭 Factory Address: ${await factory.getAddress()}`);
+    console.log(`🧂 Salt: ${salt}`);
     console.log(`📝 Transaction Hash: ${deployTx.hash}`);
     console.log(`⛽ Gas Used: ${actualGasUsed.toLocaleString()}`);
     console.log(`💰 Gas Price: ${hre.ethers.formatUnits(actualGasPrice, "gwei")} gwei`);
@@ -143,6 +197,9 @@ async function main() {
         network: "base",
         chainId: Number(network.chainId),
         address: address,
+        factory: await factory.getAddress(),
+        factoryTransactionHash: factoryTx ? factoryTx.hash : null,
+        salt: salt,
         transactionHash: deployTx.hash,
         blockNumber: receipt.blockNumber,
         deployer: deployer.address,
@@ -166,12 +223,14 @@ async function main() {
     console.log("=".repeat(60));
     console.log(`\n1. Update your .env file:`);
     console.log(`   SPLITSTREAM_CONTRACT=${address}`);
+    console.log(`   FACTORY_ADDRESS=${await factory.getAddress()}`);
     console.log(`\n2. Run on-chain tests:`);
     console.log(`   ONCHAIN_TEST=true npx hardhat test test/SplitStream.onchain.test.js --network base`);
     console.log(`\n3. Verify on Basescan (optional):`);
     console.log(`   npx hardhat verify --network base ${address} \\`);
     console.log(`     '["${payees[0]}", "${payees[1]}"]' \\`);
-    console.log(`     '[${shares[0]}, ${shares[1]}]'`);
+    console.log(`     '[${shares[0]}, ${shares[1]}]' \\`);
+    console.log(`     ${await factory.weth()}`);
 
     console.log("\n✨ Deployment complete!\n");
 }
@@ -188,7 +247,7 @@ main()
  * 
  * Typical Base Mainnet Costs (as of test run):
  * - Gas Price: ~0.004 gwei (extremely low!)
- * - Deployment Gas: ~1.5M gas
+ * - Deployment Gas: ~1.4M gas via an existing factory (~3.1M including the factory)
  * - Total Cost: ~0.000006 ETH (~$0.00001 USD)
  * 
  * Your Balance: 0.00021 ETH
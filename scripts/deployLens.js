@@ -0,0 +1,52 @@
+const hre = require("hardhat");
+
+/**
+ * Deploy SplitStreamLens, the read-only contract scripts and apps use to read every
+ * payee of a splitter in one call
+ * Usage: npx hardhat run scripts/deployLens.js --network base
+ *
+ * The lens is stateless and has no owner, so one deployment per network serves every
+ * splitter. Set LENS_ADDRESS to the printed address (or "lens" in the CLI network
+ * config) for scripts/releasePayment.js, the CLI and the backend example to use it.
+ *
+ * Optional environment variables:
+ *   CONTRACT_ADDRESS  Splitter to read through the new lens, to check it works
+ */
+
+async function main() {
+    console.log("🔭 Deploying SplitStreamLens...\n");
+
+    const [deployer] = await hre.ethers.getSigners();
+    const network = await hre.ethers.provider.getNetwork();
+
+    console.log(`Deployer: ${deployer.address}`);
+    console.log(`Network:  ${hre.network.name} (Chain ID: ${network.chainId})\n`);
+
+    const SplitStreamLens = await hre.ethers.getContractFactory("SplitStreamLens");
+    const lens = await SplitStreamLens.deploy();
+    await lens.waitForDeployment();
+
+    const lensAddress = await lens.getAddress();
+    const receipt = await lens.deploymentTransaction().wait();
+
+    console.log("✅ SplitStreamLens deployed!");
+    console.log(`Address:  ${lensAddress}`);
+    console.log(`Gas Used: ${receipt.gasUsed}\n`);
+
+    const splitterAddress = process.env.CONTRACT_ADDRESS;
+    if (splitterAddress) {
+        const state = await lens.getState(splitterAddress, hre.ethers.ZeroAddress);
+        console.log(`🔍 Read ${state.payees.length} payee(s) of ${splitterAddress}`);
+        console.log(`   Balance: ${hre.ethers.formatEther(state.balance)} ETH\n`);
+    }
+
+    console.log("💡 Next Steps:");
+    console.log(`   Add LENS_ADDRESS=${lensAddress} to your .env\n`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -42,7 +42,8 @@ async function main() {
             // Estimate deployment gas
             const deployTransaction = await SplitStream.getDeployTransaction(
                 scenario.payees,
-                scenario.shares
+                scenario.shares,
+                hre.ethers.ZeroAddress
             );
 
             const gasEstimate = await hre.ethers.provider.estimateGas(deployTransaction);
@@ -84,7 +85,7 @@ async function main() {
     const testShares = [50, 30, 20];
 
     console.log("Deploying test contract for operation estimates...");
-    const testContract = await SplitStream.deploy(testPayees, testShares);
+    const testContract = await SplitStream.deploy(testPayees, testShares, hre.ethers.ZeroAddress);
     await testContract.waitForDeployment();
     console.log("✅ Test contract deployed\n");
 
@@ -0,0 +1,211 @@
+const hre = require("hardhat");
+const { isSplitStream } = require("../lib/interfaceDetection");
+const { formatRevert } = require("../lib/revertDecoder");
+const { DEFAULT_MARGIN_BPS, getGasPrice, quoteReleases, keepSplitter } = require("../lib/keeper");
+
+/**
+ * Keeper bot for SplitStreamIncentivized splitters
+ * Usage: SPLITTERS=0x...,0x... npx hardhat run scripts/keeper.js --network base
+ *
+ * Scans each splitter's payees and calls release(account) for those whose keeper fee
+ * covers the estimated gas plus a margin. The fee is paid to the account running the bot.
+ * Splitters without a keeper fee are skipped.
+ *
+ * Optional settings:
+ *   KEEPER_INTERVAL=300  - Seconds between scans (default 300)
+ *   KEEPER_MARGIN=20     - Percent the fee must exceed the gas cost by (default 20)
+ *   KEEPER_ONCE=true     - Scan once and exit, e.g. when run from cron
+ *   DRY_RUN=true         - Only show the quotes, without sending transactions
+ *
+ * Press Ctrl+C to stop the bot and view its earnings
+ */
+
+// Earnings tracking
+const stats = {
+    scans: 0,
+    releases: 0,
+    failures: 0,
+    feesEarned: 0n,
+    gasSpent: 0n,
+};
+
+let isShuttingDown = false;
+
+/**
+ * Parse the comma-separated SPLITTERS environment variable
+ */
+function getSplitters() {
+    return (process.env.SPLITTERS || "")
+        .split(",")
+        .map(address => address.trim())
+        .filter(address => address.length > 0);
+}
+
+/**
+ * Format an amount of wei as ETH for display
+ */
+function formatEth(amount) {
+    return `${hre.ethers.formatEther(amount)} ETH`;
+}
+
+/**
+ * Shorten an address for display
+ */
+function formatAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Scan one splitter and make the releases worth making
+ */
+async function scanSplitter(address, keeper, options, dryRun) {
+    if (dryRun) {
+        const quotes = await quoteReleases(address, keeper, options);
+
+        for (const quote of quotes) {
+            if (quote.error) {
+                console.log(`   ❌ ${formatAddress(quote.account)}  ${formatRevert(quote.error)}`);
+                continue;
+            }
+            console.log(
+                `   ${quote.profitable ? "✅" : "⏭️ "} ${formatAddress(quote.account)}  ` +
+                `fee ${formatEth(quote.fee)}  gas ~${formatEth(quote.gasCost)}`
+            );
+        }
+        return quotes.length;
+    }
+
+    const results = await keepSplitter(address, keeper, options);
+
+    for (const result of results) {
+        if (result.error) {
+            console.log(`   ❌ ${formatAddress(result.account)}  ${formatRevert(result.error)}`);
+            stats.failures++;
+            continue;
+        }
+
+        console.log(
+            `   💸 ${formatAddress(result.account)}  ` +
+            `earned ${formatEth(result.fee)} for ${formatEth(result.gasCost)} gas  ` +
+            `tx ${formatAddress(result.receipt.hash)}`
+        );
+        stats.releases++;
+        stats.feesEarned += result.fee;
+        stats.gasSpent += result.gasCost;
+    }
+    return results.length;
+}
+
+/**
+ * Scan every splitter once
+ */
+async function scan(splitters, keeper, marginBps, dryRun) {
+    const gasPrice = await getGasPrice(hre.ethers.provider);
+    const options = { gasPrice, marginBps };
+
+    console.log(`🔎 Scan #${stats.scans + 1} at ${new Date().toISOString()} (gas price ${hre.ethers.formatUnits(gasPrice, "gwei")} gwei)`);
+
+    for (const address of splitters) {
+        console.log(`  ${address}`);
+        try {
+            const count = await scanSplitter(address, keeper, options, dryRun);
+            if (count === 0) {
+                console.log("   Nothing worth releasing");
+            }
+        } catch (error) {
+            console.log(`   ⚠️  Scan failed: ${error.message}`);
+        }
+    }
+
+    stats.scans++;
+    console.log();
+}
+
+/**
+ * Display the bot's earnings
+ */
+function displaySummary() {
+    console.log("\n📊 Keeper Summary");
+    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    console.log(`Scans:             ${stats.scans}`);
+    console.log(`Releases:          ${stats.releases} (${stats.failures} failed)`);
+    console.log(`Fees Earned:       ${formatEth(stats.feesEarned)}`);
+    console.log(`Gas Spent:         ${formatEth(stats.gasSpent)}`);
+    console.log(`Net:               ${hre.ethers.formatEther(stats.feesEarned - stats.gasSpent)} ETH\n`);
+}
+
+async function shutdown() {
+    if (isShuttingDown) {
+        return;
+    }
+    isShuttingDown = true;
+
+    displaySummary();
+    process.exit(0);
+}
+
+async function main() {
+    console.log("🤖 SplitStream Keeper\n");
+    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+
+    const splitters = getSplitters();
+    if (splitters.length === 0) {
+        console.error("❌ Error: SPLITTERS not set");
+        console.log("\n💡 Usage:");
+        console.log("   SPLITTERS=0x...,0x... npx hardhat run scripts/keeper.js --network base\n");
+        process.exit(1);
+    }
+
+    // Drop anything that is not a SplitStream on this network
+    const valid = [];
+    for (const address of splitters) {
+        if (await isSplitStream(address, hre.ethers.provider)) {
+            valid.push(address);
+        } else {
+            console.log(`⚠️  Skipping ${address}: not a SplitStream on this network`);
+        }
+    }
+    if (valid.length === 0) {
+        console.error("❌ Error: none of the SPLITTERS is a SplitStream\n");
+        process.exit(1);
+    }
+
+    const interval = parseInt(process.env.KEEPER_INTERVAL || "300", 10);
+    const marginBps = process.env.KEEPER_MARGIN
+        ? BigInt(Math.round(parseFloat(process.env.KEEPER_MARGIN) * 100))
+        : DEFAULT_MARGIN_BPS;
+    const once = process.env.KEEPER_ONCE === "true";
+    const dryRun = process.env.DRY_RUN === "true";
+
+    const keeper = (await hre.ethers.getSigners())[0];
+    const network = await hre.ethers.provider.getNetwork();
+
+    console.log("📋 Configuration");
+    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    console.log(`Network:           ${hre.network.name} (Chain ID: ${network.chainId})`);
+    console.log(`Keeper:            ${keeper.address}`);
+    console.log(`Splitters:         ${valid.length}`);
+    console.log(`Margin:            ${Number(marginBps) / 100}% above gas`);
+    console.log(`Mode:              ${dryRun ? "Dry run" : "Live"}, ${once ? "single scan" : `every ${interval}s`}\n`);
+
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    await scan(valid, keeper, marginBps, dryRun);
+    if (once) {
+        displaySummary();
+        return;
+    }
+
+    while (!isShuttingDown) {
+        await new Promise(resolve => setTimeout(resolve, interval * 1000));
+        await scan(valid, keeper, marginBps, dryRun);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
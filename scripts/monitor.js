@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { assertSplitStream, supportsInterface, SPLITSTREAM_RECOVERABLE_INTERFACE_ID } = require("../lib/interfaceDetection");
 
 /**
  * Real-time event monitoring script for SplitStream contract
@@ -7,9 +8,15 @@ const hre = require("hardhat");
  * Optional flags:
  *   --events=received   - Only monitor PaymentReceived events
  *   --events=released   - Only monitor PaymentReleased events
- *   --events=all        - Monitor both event types (default)
+ *   --events=transferred - Only monitor PayeeTransferred events (payee rotations)
+ *   --events=paused     - Only monitor Paused/Unpaused events (SplitStreamPausable guardian alerts)
+ *   --events=held       - Only monitor PaymentHeld events and settlements (SplitStreamHeld hold window)
+ *   --events=backup     - Only monitor BackupSet, Heartbeat and SlotClaimed events (SplitStreamRecoverable backups)
+ *   --events=all        - Monitor all event types (default)
  * 
  * Set CONTRACT_ADDRESS environment variable or edit the address below
+ * Set HISTORY_FROM_BLOCK to limit how far back the payee rotation history is read
+ * (defaults to block 0; some RPC providers cap the queried block range)
  * Press Ctrl+C to stop monitoring and view summary statistics
  */
 
@@ -32,12 +39,17 @@ const colors = {
     // Background colors
     bgGreen: '\x1b[42m',
     bgBlue: '\x1b[44m',
+    bgRed: '\x1b[41m',
 };
 
 // Statistics tracking
 const stats = {
     paymentsReceivedCount: 0,
     paymentsReleasedCount: 0,
+    payeesTransferredCount: 0,
+    pauseAlertsCount: 0,
+    paymentsHeldCount: 0,
+    backupEventsCount: 0,
     totalAmountReceived: 0n,
     totalAmountReleased: 0n,
     startTime: null,
@@ -47,8 +59,14 @@ const stats = {
 // Track if we're shutting down
 let isShuttingDown = false;
 let contract = null;
+let pauseContract = null;
+let holdContract = null;
+let backupContract = null;
 let provider = null;
 
+// Timers announcing held deposits as they settle, by deposit ID
+const settlementTimers = new Map();
+
 /**
  * Format timestamp for display
  */
@@ -63,6 +81,19 @@ function formatEth(wei) {
     return parseFloat(hre.ethers.formatEther(wei)).toFixed(6);
 }
 
+/**
+ * Format a number of seconds as a rough duration, e.g. "2d 4h" or "15m"
+ */
+function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${Math.max(minutes, 1)}m`;
+}
+
 /**
  * Format address for display (truncated)
  */
@@ -82,7 +113,7 @@ function getEventFilter() {
     }
 
     const filter = eventsArg.split('=')[1].toLowerCase();
-    return ['received', 'released', 'all'].includes(filter) ? filter : 'all';
+    return ['received', 'released', 'transferred', 'paused', 'held', 'backup', 'all'].includes(filter) ? filter : 'all';
 }
 
 /**
@@ -133,9 +164,309 @@ function displayEvent(eventType, eventData, txHash, blockNumber, timestamp) {
 
         stats.paymentsReleasedCount++;
         stats.totalAmountReleased += amount;
+
+    } else if (eventType === 'PayeeTransferred') {
+        const { previousAccount, newAccount } = eventData;
+
+        console.log(
+            `${colors.magenta}${colors.bright}[PAYEE TRANSFERRED]${colors.reset} ` +
+            `${colors.gray}${formatTimestamp(now)}${colors.reset}`
+        );
+        console.log(
+            `  ${colors.magenta}⇄${colors.reset} ` +
+            `From: ${colors.cyan}${formatAddress(previousAccount)}${colors.reset} ` +
+            `To: ${colors.cyan}${formatAddress(newAccount)}${colors.reset}`
+        );
+        console.log(
+            `  Block: ${colors.gray}#${blockNumber}${colors.reset} ` +
+            `Tx: ${colors.gray}${formatAddress(txHash)}${colors.reset}`
+        );
+        console.log();
+
+        stats.payeesTransferredCount++;
+
+    } else if (eventType === 'Paused') {
+        const { guardian, until, depositsPaused } = eventData;
+
+        // Terminal bell so an unattended monitor gets noticed
+        console.log(
+            `\x07${colors.bgRed}${colors.white}${colors.bright} 🚨 ALERT: RELEASES PAUSED ${colors.reset} ` +
+            `${colors.gray}${formatTimestamp(now)}${colors.reset}`
+        );
+        console.log(
+            `  ${colors.red}⏸${colors.reset} ` +
+            `Guardian: ${colors.cyan}${formatAddress(guardian)}${colors.reset} ` +
+            `Until: ${colors.red}${colors.bright}${formatTimestamp(new Date(Number(until) * 1000))}${colors.reset} ` +
+            `Deposits: ${depositsPaused ? `${colors.red}rejected` : `${colors.green}accepted`}${colors.reset}`
+        );
+        console.log(
+            `  Block: ${colors.gray}#${blockNumber}${colors.reset} ` +
+            `Tx: ${colors.gray}${formatAddress(txHash)}${colors.reset}`
+        );
+        console.log();
+
+        stats.pauseAlertsCount++;
+
+    } else if (eventType === 'Unpaused') {
+        const { guardian } = eventData;
+
+        console.log(
+            `${colors.yellow}${colors.bright}[RELEASES UNPAUSED]${colors.reset} ` +
+            `${colors.gray}${formatTimestamp(now)}${colors.reset}`
+        );
+        console.log(
+            `  ${colors.yellow}▶${colors.reset} ` +
+            `Guardian: ${colors.cyan}${formatAddress(guardian)}${colors.reset} ended the pause early`
+        );
+        console.log(
+            `  Block: ${colors.gray}#${blockNumber}${colors.reset} ` +
+            `Tx: ${colors.gray}${formatAddress(txHash)}${colors.reset}`
+        );
+        console.log();
+
+        stats.pauseAlertsCount++;
+
+    } else if (eventType === 'PaymentHeld') {
+        const { depositId, amount, settledAt } = eventData;
+        const settles = new Date(Number(settledAt) * 1000);
+
+        console.log(
+            `${colors.yellow}${colors.bright}[PAYMENT HELD]${colors.reset} ` +
+            `${colors.gray}${formatTimestamp(now)}${colors.reset}`
+        );
+        console.log(
+            `  ${colors.yellow}⏳${colors.reset} ` +
+            `Deposit: ${colors.cyan}#${depositId}${colors.reset} ` +
+            `Amount: ${colors.yellow}${colors.bright}${formatEth(amount)} ETH${colors.reset} ` +
+            `Settles: ${colors.yellow}${formatTimestamp(settles)}${colors.reset} ` +
+            `${colors.gray}(in ${formatDuration(Number(settledAt) - timestamp)})${colors.reset}`
+        );
+        console.log(
+            `  Block: ${colors.gray}#${blockNumber}${colors.reset} ` +
+            `Tx: ${colors.gray}${formatAddress(txHash)}${colors.reset}`
+        );
+        console.log();
+
+        stats.paymentsHeldCount++;
+        scheduleSettlement(depositId, amount, settledAt);
+
+    } else if (eventType === 'PaymentSettled') {
+        const { depositId, amount } = eventData;
+
+        console.log(
+            `${colors.green}${colors.bright}[PAYMENT SETTLED]${colors.reset} ` +
+            `${colors.gray}${formatTimestamp(now)}${colors.reset}`
+        );
+        console.log(
+            `  ${colors.green}✓${colors.reset} ` +
+            `Deposit: ${colors.cyan}#${depositId}${colors.reset} ` +
+            `Amount: ${colors.green}${colors.bright}${formatEth(amount)} ETH${colors.reset} is now releasable`
+        );
+        console.log();
+
+    } else if (eventType === 'BackupSet') {
+        const { account, beneficiary, inactivityPeriod } = eventData;
+        const removed = beneficiary === hre.ethers.ZeroAddress;
+
+        console.log(
+            `${colors.cyan}${colors.bright}[BACKUP ${removed ? 'REMOVED' : 'SET'}]${colors.reset} ` +
+            `${colors.gray}${formatTimestamp(now)}${colors.reset}`
+        );
+        console.log(
+            `  ${colors.cyan}⛑${colors.reset} ` +
+            `Payee: ${colors.cyan}${formatAddress(account)}${colors.reset}` +
+            (removed ? '' :
+                ` Backup: ${colors.cyan}${formatAddress(beneficiary)}${colors.reset} ` +
+                `After: ${colors.yellow}${formatDuration(Number(inactivityPeriod))}${colors.reset} of inactivity`)
+        );
+        console.log(
+            `  Block: ${colors.gray}#${blockNumber}${colors.reset} ` +
+            `Tx: ${colors.gray}${formatAddress(txHash)}${colors.reset}`
+        );
+        console.log();
+
+        stats.backupEventsCount++;
+
+    } else if (eventType === 'Heartbeat') {
+        const { account } = eventData;
+
+        console.log(
+            `${colors.gray}[HEARTBEAT]${colors.reset} ` +
+            `${colors.gray}${formatTimestamp(now)}${colors.reset} ` +
+            `Payee ${colors.cyan}${formatAddress(account)}${colors.reset} is active ` +
+            `${colors.gray}(block #${blockNumber})${colors.reset}`
+        );
+        console.log();
+
+        stats.backupEventsCount++;
+
+    } else if (eventType === 'SlotClaimed') {
+        const { account, beneficiary } = eventData;
+
+        // Terminal bell: a payee lost their slot to their backup
+        console.log(
+            `\x07${colors.bgBlue}${colors.white}${colors.bright} SLOT CLAIMED BY BACKUP ${colors.reset} ` +
+            `${colors.gray}${formatTimestamp(now)}${colors.reset}`
+        );
+        console.log(
+            `  ${colors.cyan}⛑${colors.reset} ` +
+            `From: ${colors.cyan}${formatAddress(account)}${colors.reset} ` +
+            `To: ${colors.cyan}${formatAddress(beneficiary)}${colors.reset}`
+        );
+        console.log(
+            `  Block: ${colors.gray}#${blockNumber}${colors.reset} ` +
+            `Tx: ${colors.gray}${formatAddress(txHash)}${colors.reset}`
+        );
+        console.log();
+
+        stats.backupEventsCount++;
     }
 }
 
+/**
+ * Announce a held deposit once its hold window ends
+ */
+function scheduleSettlement(depositId, amount, settledAt) {
+    const key = depositId.toString();
+    if (settlementTimers.has(key)) {
+        return;
+    }
+
+    // setTimeout cannot wait longer than about 24.8 days; longer holds are shown on restart
+    const delay = Number(settledAt) * 1000 - Date.now();
+    if (delay > 2 ** 31 - 1) {
+        return;
+    }
+
+    settlementTimers.set(key, setTimeout(() => {
+        settlementTimers.delete(key);
+        displayEvent('PaymentSettled', { depositId, amount }, null, null, Math.floor(Date.now() / 1000));
+    }, Math.max(delay, 0)));
+}
+
+/**
+ * Display the hold window of a SplitStreamHeld contract and when each pending deposit settles
+ * @returns {Promise<boolean>} False if the contract has no hold window
+ */
+async function displayHoldStatus(holdContract) {
+    let holdPeriod;
+    try {
+        holdPeriod = await holdContract.holdPeriod();
+    } catch (error) {
+        console.log(`${colors.gray}ℹ️  No hold window on this contract${colors.reset}\n`);
+        return false;
+    }
+
+    const pending = await holdContract.pendingBalance();
+    const count = await holdContract.depositCount();
+    const { timestamp } = await provider.getBlock('latest');
+
+    console.log(`${colors.bright}${colors.yellow}⏳ Hold Window${colors.reset}`);
+    console.log('─'.repeat(80));
+    console.log(`  Hold period: ${colors.cyan}${formatDuration(Number(holdPeriod))}${colors.reset}`);
+    console.log(`  Pending:     ${colors.yellow}${formatEth(pending)} ETH${colors.reset}`);
+
+    // Deposits settle in order, so the pending ones are the most recent
+    const upcoming = [];
+    for (let id = count - 1n; id >= 0n; id--) {
+        const deposit = await holdContract.deposit(id);
+        if (deposit.settledAt <= BigInt(timestamp)) {
+            break;
+        }
+        upcoming.unshift({ id, amount: deposit.amount, settledAt: deposit.settledAt });
+    }
+
+    for (const { id, amount, settledAt } of upcoming) {
+        console.log(
+            `  ${colors.cyan}#${id}${colors.reset} ` +
+            `${colors.yellow}${formatEth(amount)} ETH${colors.reset} settles ` +
+            `${formatTimestamp(new Date(Number(settledAt) * 1000))} ` +
+            `${colors.gray}(in ${formatDuration(Number(settledAt) - timestamp)})${colors.reset}`
+        );
+        scheduleSettlement(id, amount, settledAt);
+    }
+
+    // Releases only move past MAX_SETTLE_COUNT settled deposits at a time
+    const unsettled = count - (await holdContract.firstPending()) - BigInt(upcoming.length);
+    const maxSettleCount = await holdContract.MAX_SETTLE_COUNT();
+    if (unsettled > maxSettleCount) {
+        console.log(
+            `  ${colors.yellow}⚠️  ${unsettled} settled deposits still count as pending; ` +
+            `call settle(${unsettled}) to release them${colors.reset}`
+        );
+    }
+    console.log();
+
+    return true;
+}
+
+/**
+ * Display the current pause state of a SplitStreamPausable contract
+ * @returns {Promise<boolean>} False if the contract has no guardian pause
+ */
+async function displayPauseStatus(pauseContract) {
+    let paused;
+    try {
+        paused = await pauseContract.paused();
+    } catch (error) {
+        console.log(`${colors.gray}ℹ️  No guardian pause on this contract${colors.reset}\n`);
+        return false;
+    }
+
+    const guardian = await pauseContract.guardian();
+
+    if (paused) {
+        const until = await pauseContract.pausedUntil();
+        const depositsPaused = await pauseContract.depositsPaused();
+
+        console.log(`\x07${colors.bgRed}${colors.white}${colors.bright} 🚨 RELEASES ARE PAUSED ${colors.reset}`);
+        console.log(`  Guardian: ${colors.cyan}${guardian}${colors.reset}`);
+        console.log(`  Until:    ${colors.red}${formatTimestamp(new Date(Number(until) * 1000))}${colors.reset}`);
+        console.log(`  Deposits: ${depositsPaused ? `${colors.red}rejected` : `${colors.green}accepted`}${colors.reset}\n`);
+    } else {
+        console.log(`${colors.green}🛡️  Releases active${colors.reset} ${colors.gray}(guardian ${guardian})${colors.reset}\n`);
+    }
+
+    return true;
+}
+
+/**
+ * Display every payee rotation recorded by the contract so far
+ */
+async function displayRotationHistory(contract) {
+    const fromBlock = parseInt(process.env.HISTORY_FROM_BLOCK || '0', 10);
+
+    console.log(`${colors.bright}${colors.magenta}🔑 Payee Rotation History${colors.reset}`);
+    console.log('─'.repeat(80));
+
+    let events;
+    try {
+        events = await contract.queryFilter(contract.filters.PayeeTransferred(), fromBlock);
+    } catch (error) {
+        console.log(`${colors.yellow}⚠️  Could not load rotation history: ${error.message}${colors.reset}`);
+        console.log(`${colors.gray}   Set HISTORY_FROM_BLOCK to a recent block to narrow the query${colors.reset}\n`);
+        return;
+    }
+
+    if (events.length === 0) {
+        console.log(`${colors.gray}No payee rotations since block ${fromBlock}${colors.reset}\n`);
+        return;
+    }
+
+    for (const event of events) {
+        const block = await event.getBlock();
+        const { previousAccount, newAccount } = event.args;
+
+        console.log(
+            `  ${colors.gray}${formatTimestamp(new Date(block.timestamp * 1000))}${colors.reset} ` +
+            `${colors.cyan}${previousAccount}${colors.reset} ${colors.magenta}→${colors.reset} ` +
+            `${colors.cyan}${newAccount}${colors.reset} ` +
+            `${colors.gray}(block #${event.blockNumber})${colors.reset}`
+        );
+    }
+    console.log();
+}
+
 /**
  * Display summary statistics
  */
@@ -153,7 +484,7 @@ function displaySummary() {
     const seconds = Math.floor(duration % 60);
 
     console.log(`${colors.bright}Monitoring Duration:${colors.reset} ${hours}h ${minutes}m ${seconds}s`);
-    console.log(`${colors.bright}Total Events:${colors.reset}        ${stats.paymentsReceivedCount + stats.paymentsReleasedCount}\n`);
+    console.log(`${colors.bright}Total Events:${colors.reset}        ${stats.paymentsReceivedCount + stats.paymentsReleasedCount + stats.payeesTransferredCount + stats.pauseAlertsCount + stats.paymentsHeldCount + stats.backupEventsCount}\n`);
 
     console.log(`${colors.green}${colors.bright}Payments Received:${colors.reset}`);
     console.log(`  Count:  ${colors.green}${stats.paymentsReceivedCount}${colors.reset}`);
@@ -163,6 +494,24 @@ function displaySummary() {
     console.log(`  Count:  ${colors.blue}${stats.paymentsReleasedCount}${colors.reset}`);
     console.log(`  Amount: ${colors.blue}${colors.bright}${formatEth(stats.totalAmountReleased)} ETH${colors.reset}\n`);
 
+    console.log(`${colors.magenta}${colors.bright}Payee Rotations:${colors.reset}`);
+    console.log(`  Count:  ${colors.magenta}${stats.payeesTransferredCount}${colors.reset}\n`);
+
+    if (stats.pauseAlertsCount > 0) {
+        console.log(`${colors.red}${colors.bright}Guardian Alerts:${colors.reset}`);
+        console.log(`  Count:  ${colors.red}${stats.pauseAlertsCount}${colors.reset}\n`);
+    }
+
+    if (stats.paymentsHeldCount > 0) {
+        console.log(`${colors.yellow}${colors.bright}Payments Held:${colors.reset}`);
+        console.log(`  Count:  ${colors.yellow}${stats.paymentsHeldCount}${colors.reset}\n`);
+    }
+
+    if (stats.backupEventsCount > 0) {
+        console.log(`${colors.cyan}${colors.bright}Backup Activity:${colors.reset}`);
+        console.log(`  Count:  ${colors.cyan}${stats.backupEventsCount}${colors.reset}\n`);
+    }
+
     const netFlow = stats.totalAmountReceived - stats.totalAmountReleased;
     const netFlowColor = netFlow >= 0 ? colors.green : colors.red;
 
@@ -187,6 +536,16 @@ async function shutdown() {
     if (contract && provider) {
         try {
             await contract.removeAllListeners();
+            if (pauseContract) {
+                await pauseContract.removeAllListeners();
+            }
+            if (holdContract) {
+                await holdContract.removeAllListeners();
+            }
+            if (backupContract) {
+                await backupContract.removeAllListeners();
+            }
+            settlementTimers.forEach(clearTimeout);
             console.log(`${colors.gray}✓ Event listeners removed${colors.reset}`);
         } catch (error) {
             // Ignore errors during shutdown
@@ -206,6 +565,10 @@ async function shutdown() {
 async function setupEventListeners(contract, eventFilter) {
     const listenToReceived = eventFilter === 'all' || eventFilter === 'received';
     const listenToReleased = eventFilter === 'all' || eventFilter === 'released';
+    const listenToTransferred = eventFilter === 'all' || eventFilter === 'transferred';
+    const listenToPaused = pauseContract !== null && (eventFilter === 'all' || eventFilter === 'paused');
+    const listenToHeld = holdContract !== null && (eventFilter === 'all' || eventFilter === 'held');
+    const listenToBackup = backupContract !== null && (eventFilter === 'all' || eventFilter === 'backup');
 
     if (listenToReceived) {
         contract.on('PaymentReceived', async (sender, amount, event) => {
@@ -230,6 +593,78 @@ async function setupEventListeners(contract, eventFilter) {
         });
         console.log(`${colors.blue}✓ Listening for PaymentReleased events${colors.reset}`);
     }
+
+    if (listenToTransferred) {
+        contract.on('PayeeTransferred', async (previousAccount, newAccount, event) => {
+            try {
+                const block = await event.getBlock();
+                displayEvent('PayeeTransferred', { previousAccount, newAccount }, event.log.transactionHash, event.log.blockNumber, block.timestamp);
+            } catch (error) {
+                console.error(`${colors.red}Error processing PayeeTransferred event:${colors.reset}`, error.message);
+            }
+        });
+        console.log(`${colors.magenta}✓ Listening for PayeeTransferred events${colors.reset}`);
+    }
+
+    if (listenToPaused) {
+        pauseContract.on('Paused', async (guardian, until, depositsPaused, event) => {
+            try {
+                const block = await event.getBlock();
+                displayEvent('Paused', { guardian, until, depositsPaused }, event.log.transactionHash, event.log.blockNumber, block.timestamp);
+            } catch (error) {
+                console.error(`${colors.red}Error processing Paused event:${colors.reset}`, error.message);
+            }
+        });
+        pauseContract.on('Unpaused', async (guardian, event) => {
+            try {
+                const block = await event.getBlock();
+                displayEvent('Unpaused', { guardian }, event.log.transactionHash, event.log.blockNumber, block.timestamp);
+            } catch (error) {
+                console.error(`${colors.red}Error processing Unpaused event:${colors.reset}`, error.message);
+            }
+        });
+        console.log(`${colors.red}✓ Listening for Paused/Unpaused events${colors.reset}`);
+    }
+
+    if (listenToHeld) {
+        holdContract.on('PaymentHeld', async (depositId, amount, settledAt, event) => {
+            try {
+                const block = await event.getBlock();
+                displayEvent('PaymentHeld', { depositId, amount, settledAt }, event.log.transactionHash, event.log.blockNumber, block.timestamp);
+            } catch (error) {
+                console.error(`${colors.red}Error processing PaymentHeld event:${colors.reset}`, error.message);
+            }
+        });
+        console.log(`${colors.yellow}✓ Listening for PaymentHeld events${colors.reset}`);
+    }
+
+    if (listenToBackup) {
+        backupContract.on('BackupSet', async (account, beneficiary, inactivityPeriod, event) => {
+            try {
+                const block = await event.getBlock();
+                displayEvent('BackupSet', { account, beneficiary, inactivityPeriod }, event.log.transactionHash, event.log.blockNumber, block.timestamp);
+            } catch (error) {
+                console.error(`${colors.red}Error processing BackupSet event:${colors.reset}`, error.message);
+            }
+        });
+        backupContract.on('Heartbeat', async (account, event) => {
+            try {
+                const block = await event.getBlock();
+                displayEvent('Heartbeat', { account }, event.log.transactionHash, event.log.blockNumber, block.timestamp);
+            } catch (error) {
+                console.error(`${colors.red}Error processing Heartbeat event:${colors.reset}`, error.message);
+            }
+        });
+        backupContract.on('SlotClaimed', async (account, beneficiary, event) => {
+            try {
+                const block = await event.getBlock();
+                displayEvent('SlotClaimed', { account, beneficiary }, event.log.transactionHash, event.log.blockNumber, block.timestamp);
+            } catch (error) {
+                console.error(`${colors.red}Error processing SlotClaimed event:${colors.reset}`, error.message);
+            }
+        });
+        console.log(`${colors.cyan}✓ Listening for BackupSet/Heartbeat/SlotClaimed events${colors.reset}`);
+    }
 }
 
 /**
@@ -259,12 +694,33 @@ async function monitorConnection() {
                 try {
                     // Remove old listeners
                     await contract.removeAllListeners();
+                    if (pauseContract) {
+                        await pauseContract.removeAllListeners();
+                    }
+                    if (holdContract) {
+                        await holdContract.removeAllListeners();
+                    }
+                    if (backupContract) {
+                        await backupContract.removeAllListeners();
+                    }
 
                     // Get new provider and contract instance
                     provider = hre.ethers.provider;
                     const contractAddress = contract.target || contract.address;
                     const SplitStream = await hre.ethers.getContractFactory("SplitStream");
                     contract = SplitStream.attach(contractAddress);
+                    if (pauseContract) {
+                        const SplitStreamPausable = await hre.ethers.getContractFactory("SplitStreamPausable");
+                        pauseContract = SplitStreamPausable.attach(contractAddress);
+                    }
+                    if (holdContract) {
+                        const SplitStreamHeld = await hre.ethers.getContractFactory("SplitStreamHeld");
+                        holdContract = SplitStreamHeld.attach(contractAddress);
+                    }
+                    if (backupContract) {
+                        const SplitStreamRecoverable = await hre.ethers.getContractFactory("SplitStreamRecoverable");
+                        backupContract = SplitStreamRecoverable.attach(contractAddress);
+                    }
 
                     // Setup listeners again
                     const eventFilter = getEventFilter();
@@ -300,9 +756,11 @@ async function main() {
             process.exit(1);
         }
 
-        // Validate contract address
-        if (!hre.ethers.isAddress(contractAddress)) {
-            console.error(`${colors.red}❌ Error: Invalid contract address format: ${contractAddress}${colors.reset}\n`);
+        // Verify the address is a SplitStream on this network
+        try {
+            await assertSplitStream(contractAddress, hre.ethers.provider);
+        } catch (error) {
+            console.error(`${colors.red}❌ Error: ${error.message}${colors.reset}\n`);
             process.exit(1);
         }
 
@@ -325,15 +783,30 @@ async function main() {
         const SplitStream = await hre.ethers.getContractFactory("SplitStream");
         contract = SplitStream.attach(contractAddress);
 
-        // Verify contract exists
-        const code = await provider.getCode(contractAddress);
-        if (code === "0x") {
-            console.error(`${colors.red}❌ Error: No contract found at address ${contractAddress}${colors.reset}`);
-            console.log('   This address may not be deployed on this network.\n');
-            process.exit(1);
+        console.log(`${colors.green}✅ Contract connected successfully${colors.reset}\n`);
+
+        // Alert straight away if the guardian has already paused releases
+        const SplitStreamPausable = await hre.ethers.getContractFactory("SplitStreamPausable");
+        pauseContract = SplitStreamPausable.attach(contractAddress);
+        if (!await displayPauseStatus(pauseContract)) {
+            pauseContract = null;
         }
 
-        console.log(`${colors.green}✅ Contract connected successfully${colors.reset}\n`);
+        // Show when the deposits still inside a hold window settle
+        const SplitStreamHeld = await hre.ethers.getContractFactory("SplitStreamHeld");
+        holdContract = SplitStreamHeld.attach(contractAddress);
+        if (!await displayHoldStatus(holdContract)) {
+            holdContract = null;
+        }
+
+        // Backup events only exist on splitters that support backups
+        if (await supportsInterface(contractAddress, provider, SPLITSTREAM_RECOVERABLE_INTERFACE_ID)) {
+            const SplitStreamRecoverable = await hre.ethers.getContractFactory("SplitStreamRecoverable");
+            backupContract = SplitStreamRecoverable.attach(contractAddress);
+        }
+
+        // Show past payee rotations before watching for new events
+        await displayRotationHistory(contract);
 
         // Setup event listeners
         await setupEventListeners(contract, eventFilter);
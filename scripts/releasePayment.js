@@ -1,15 +1,28 @@
 const hre = require("hardhat");
 const readline = require("readline");
+const { assertSplitStream } = require("../lib/interfaceDetection");
+const { decodeRevert } = require("../lib/revertDecoder");
+const { readSplitter } = require("../lib/lens");
 
 /**
  * Utility script to release payments to SplitStream payees
  * Usage: 
  *   Single payee: PAYEE_ADDRESS=0x... npx hardhat run scripts/releasePayment.js --network base
  *   All payees: RELEASE_ALL=true npx hardhat run scripts/releasePayment.js --network base
+ *   Paginated:  RELEASE_ALL=true BATCH_SIZE=50 npx hardhat run scripts/releasePayment.js --network base
+ *   ERC20 token: add TOKEN_ADDRESS=0x... to release a token instead of ETH
  * 
- * Set CONTRACT_ADDRESS environment variable
+ * Set CONTRACT_ADDRESS environment variable. Set LENS_ADDRESS to a deployed
+ * SplitStreamLens to read every payee in one call (see scripts/deployLens.js).
  */
 
+// Minimal ERC20 ABI for reading token metadata and balances
+const ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
 /**
  * Prompt user for confirmation
  */
@@ -28,72 +41,116 @@ async function promptConfirmation(message) {
 }
 
 /**
- * Get all payees from contract
+ * Describe the asset being released: ETH, or the ERC20 token at tokenAddress
  */
-async function getAllPayees(contract) {
-    const payees = [];
-    let index = 0;
+async function getAsset(tokenAddress) {
+    if (!tokenAddress) {
+        return { address: null, token: null, symbol: "ETH", decimals: 18 };
+    }
 
-    try {
-        while (true) {
-            const payeeAddress = await contract.payee(index);
-            payees.push(payeeAddress);
-            index++;
-        }
-    } catch (error) {
-        // Expected error when we've found all payees
+    const token = new hre.ethers.Contract(tokenAddress, ERC20_ABI, hre.ethers.provider);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+
+    return { address: tokenAddress, token, symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Format an amount of the given asset for display
+ */
+function formatAmount(amount, asset) {
+    return `${hre.ethers.formatUnits(amount, asset.decimals)} ${asset.symbol}`;
+}
+
+/**
+ * Get the contract's balance of the given asset
+ */
+async function getAssetBalance(contractAddress, asset) {
+    if (asset.token) {
+        return await asset.token.balanceOf(contractAddress);
     }
+    return await hre.ethers.provider.getBalance(contractAddress);
+}
 
-    return payees;
+/**
+ * Get total amount of the given asset released by the contract
+ */
+async function getTotalReleased(contract, asset) {
+    if (asset.address) {
+        return await contract["totalReleased(address)"](asset.address);
+    }
+    return await contract["totalReleased()"]();
 }
 
 /**
- * Calculate releasable amount for a payee
+ * Get all payees from contract, with their shares and amounts of the given asset
  */
-async function getReleasableAmount(contract, payeeAddress) {
-    const totalShares = await contract.totalShares();
-    const shares = await contract.shares(payeeAddress);
-    const released = await contract.released(payeeAddress);
-    const contractBalance = await hre.ethers.provider.getBalance(await contract.getAddress());
-    const totalReleased = await contract.totalReleased();
-    const totalReceived = contractBalance + totalReleased;
+async function getAllPayees(contractAddress, asset) {
+    const state = await readSplitter(contractAddress, hre.ethers.provider, {
+        lens: process.env.LENS_ADDRESS,
+        token: asset.address,
+    });
 
-    // Calculate total due
-    const totalDue = (totalReceived * shares) / totalShares;
+    return state.payees;
+}
 
-    // Calculate releasable (total due minus already released)
-    const releasable = totalDue - released;
+/**
+ * Get releasable amount for a payee
+ */
+async function getReleasableAmount(contract, payeeAddress, asset) {
+    const shares = await contract.shares(payeeAddress);
+    const released = asset.address
+        ? await contract["released(address,address)"](asset.address, payeeAddress)
+        : await contract["released(address)"](payeeAddress);
+    const releasable = asset.address
+        ? await contract["releasable(address,address)"](asset.address, payeeAddress)
+        : await contract["releasable(address)"](payeeAddress);
 
     return {
         shares,
         released,
         releasable,
-        totalDue
+        totalDue: released + releasable
     };
 }
 
+/**
+ * Get the address a payee's releases are sent to (the payee unless setRecipient was used)
+ */
+async function getRecipient(contract, payeeAddress) {
+    return await contract.recipient(payeeAddress);
+}
+
+/**
+ * Describe where a payee's funds go, for display
+ */
+function formatRecipient(payeeAddress, recipient) {
+    return recipient === payeeAddress ? `${recipient} (payee)` : `${recipient} (set by payee)`;
+}
+
 /**
  * Release payment to a single payee
  */
-async function releaseSinglePayee(contract, payeeAddress, showDetails = true) {
+async function releaseSinglePayee(contract, payeeAddress, asset, showDetails = true) {
     if (showDetails) {
         console.log(`\n🔍 Checking payee: ${payeeAddress}`);
     }
 
-    // Check if payee has shares
-    const shares = await contract.shares(payeeAddress);
-    if (shares === 0n) {
+    // Get releasable amount and where it will be sent
+    const info = await getReleasableAmount(contract, payeeAddress, asset);
+    const recipient = await getRecipient(contract, payeeAddress);
+
+    // Accounts without shares can still be owed funds, e.g. a SplitStreamWaterfall
+    // tranche recipient, so only reject accounts that were never paid and are owed nothing
+    if (info.shares === 0n && info.released === 0n && info.releasable === 0n) {
         console.log(`❌ Error: ${payeeAddress} is not a payee in this contract\n`);
         return null;
     }
 
-    // Get releasable amount
-    const info = await getReleasableAmount(contract, payeeAddress);
-
     if (showDetails) {
         console.log(`   Shares: ${info.shares}`);
-        console.log(`   Already Released: ${hre.ethers.formatEther(info.released)} ETH`);
-        console.log(`   Releasable Amount: ${hre.ethers.formatEther(info.releasable)} ETH`);
+        console.log(`   Already Released: ${formatAmount(info.released, asset)}`);
+        console.log(`   Releasable Amount: ${formatAmount(info.releasable, asset)}`);
+        console.log(`   Recipient: ${formatRecipient(payeeAddress, recipient)}`);
     }
 
     if (info.releasable === 0n) {
@@ -105,7 +162,10 @@ async function releaseSinglePayee(contract, payeeAddress, showDetails = true) {
 
     // Confirm release
     if (showDetails) {
-        console.log(`\n💰 Ready to release ${hre.ethers.formatEther(info.releasable)} ETH to ${payeeAddress}`);
+        console.log(`\n💰 Ready to release ${formatAmount(info.releasable, asset)} to ${recipient}`);
+        if (recipient !== payeeAddress) {
+            console.log(`   (payee ${payeeAddress} has redirected their payments)`);
+        }
         const confirmed = await promptConfirmation("Proceed with release?");
         if (!confirmed) {
             console.log("❌ Release cancelled by user.\n");
@@ -115,17 +175,94 @@ async function releaseSinglePayee(contract, payeeAddress, showDetails = true) {
 
     // Execute release
     console.log(`\n⏳ Releasing payment to ${payeeAddress}...`);
-    const tx = await contract.release(payeeAddress);
+    const tx = asset.address
+        ? await contract["release(address,address)"](asset.address, payeeAddress)
+        : await contract["release(address)"](payeeAddress);
     const receipt = await tx.wait();
 
     return {
         payeeAddress,
+        recipient,
         amount: info.releasable,
         receipt,
         previousReleased: info.released
     };
 }
 
+/**
+ * Release to all payees through the contract's batch functions.
+ * Uses a single releaseAll() transaction, or releaseRange() pages of batchSize payees.
+ */
+async function releaseAllPayees(contract, payees, asset, batchSize) {
+    // Snapshot prior releases so the summary can show running totals
+    const previousReleased = {};
+    for (const payee of payees) {
+        previousReleased[payee.account] = payee.released;
+    }
+
+    // Build [start, end) pages; a single page uses releaseAll()
+    const pageSize = batchSize > 0 ? batchSize : payees.length;
+    const pages = [];
+    for (let start = 0; start < payees.length; start += pageSize) {
+        pages.push([start, Math.min(start + pageSize, payees.length)]);
+    }
+
+    const eventName = asset.address ? "ERC20PaymentReleased" : "PaymentReleased";
+    const redirectEventName = asset.address ? "ERC20PaymentRedirected" : "PaymentRedirected";
+    const results = [];
+
+    for (let i = 0; i < pages.length; i++) {
+        const [start, end] = pages[i];
+        let tx;
+
+        if (pages.length === 1) {
+            console.log(`\n⏳ Releasing to all ${payees.length} payees in one transaction...`);
+            tx = asset.address
+                ? await contract["releaseAll(address)"](asset.address)
+                : await contract["releaseAll()"]();
+        } else {
+            console.log(`\n[${i + 1}/${pages.length}] ⏳ Releasing to payees ${start}-${end - 1}...`);
+            tx = asset.address
+                ? await contract["releaseRange(address,uint256,uint256)"](asset.address, start, end)
+                : await contract["releaseRange(uint256,uint256)"](start, end);
+        }
+
+        const receipt = await tx.wait();
+        const parsedLogs = receipt.logs
+            .map(log => contract.interface.parseLog(log))
+            .filter(parsed => parsed !== null);
+        let paid = 0;
+
+        // Payees with a recipient set also emit a redirect event naming the recipient
+        const recipients = {};
+        for (const parsed of parsedLogs) {
+            if (parsed.name === redirectEventName) {
+                recipients[parsed.args.account] = parsed.args.recipient;
+            }
+        }
+
+        // Collect one result per payee actually paid in this transaction
+        for (const parsed of parsedLogs) {
+            if (parsed.name !== eventName) {
+                continue;
+            }
+
+            results.push({
+                payeeAddress: parsed.args.to,
+                recipient: recipients[parsed.args.to] || parsed.args.to,
+                amount: parsed.args.amount,
+                receipt,
+                previousReleased: previousReleased[parsed.args.to] || 0n
+            });
+            paid++;
+        }
+
+        console.log(`✅ Paid ${paid} payee(s), skipped ${end - start - paid} with nothing due`);
+    }
+
+    return results;
+}
+
 async function main() {
     try {
         console.log("💸 SplitStream Payment Releaser\n");
@@ -137,13 +274,16 @@ async function main() {
             console.error("❌ Error: CONTRACT_ADDRESS not set");
             console.log("\n💡 Usage:");
             console.log("   Single: CONTRACT_ADDRESS=0x... PAYEE_ADDRESS=0x... npx hardhat run scripts/releasePayment.js --network base");
-            console.log("   All:    CONTRACT_ADDRESS=0x... RELEASE_ALL=true npx hardhat run scripts/releasePayment.js --network base\n");
+            console.log("   All:    CONTRACT_ADDRESS=0x... RELEASE_ALL=true npx hardhat run scripts/releasePayment.js --network base");
+            console.log("   Token:  add TOKEN_ADDRESS=0x... to either command to release an ERC20 token\n");
             process.exit(1);
         }
 
-        // Validate contract address
-        if (!hre.ethers.isAddress(contractAddress)) {
-            console.error(`❌ Error: Invalid contract address format: ${contractAddress}\n`);
+        // Verify the address is a SplitStream on this network
+        try {
+            await assertSplitStream(contractAddress, hre.ethers.provider);
+        } catch (error) {
+            console.error(`❌ Error: ${error.message}\n`);
             process.exit(1);
         }
 
@@ -164,6 +304,13 @@ async function main() {
             process.exit(1);
         }
 
+        // Get asset to release (ETH unless a token is given)
+        const tokenAddress = process.env.TOKEN_ADDRESS;
+        if (tokenAddress && !hre.ethers.isAddress(tokenAddress)) {
+            console.error(`❌ Error: Invalid token address format: ${tokenAddress}\n`);
+            process.exit(1);
+        }
+
         // Get network info
         const network = await hre.ethers.provider.getNetwork();
         const signer = (await hre.ethers.getSigners())[0];
@@ -174,6 +321,7 @@ async function main() {
         console.log(`Network:           ${hre.network.name} (Chain ID: ${network.chainId})`);
         console.log(`Caller:            ${signer.address}`);
         console.log(`Mode:              ${releaseAll ? 'Release to ALL payees' : 'Single payee release'}`);
+        console.log(`Asset:             ${tokenAddress ? tokenAddress : 'ETH'}`);
         if (!releaseAll) {
             console.log(`Payee Address:     ${payeeAddress}`);
         }
@@ -195,23 +343,18 @@ async function main() {
         const SplitStream = await hre.ethers.getContractFactory("SplitStream");
         const contract = SplitStream.attach(contractAddress);
 
-        // Verify contract exists
-        const code = await hre.ethers.provider.getCode(contractAddress);
-        if (code === "0x") {
-            console.error(`❌ Error: No contract found at address ${contractAddress}\n`);
-            process.exit(1);
-        }
+        const asset = await getAsset(tokenAddress);
 
         console.log("✅ Contract connected!\n");
 
         // Get contract state before
-        const contractBalanceBefore = await hre.ethers.provider.getBalance(contractAddress);
-        const totalReleasedBefore = await contract.totalReleased();
+        const contractBalanceBefore = await getAssetBalance(contractAddress, asset);
+        const totalReleasedBefore = await getTotalReleased(contract, asset);
 
         console.log("📊 Contract State Before");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        console.log(`Contract Balance:  ${hre.ethers.formatEther(contractBalanceBefore)} ETH`);
-        console.log(`Total Released:    ${hre.ethers.formatEther(totalReleasedBefore)} ETH`);
+        console.log(`Contract Balance:  ${formatAmount(contractBalanceBefore, asset)}`);
+        console.log(`Total Released:    ${formatAmount(totalReleasedBefore, asset)}`);
 
         let results = [];
 
@@ -219,8 +362,9 @@ async function main() {
             // Release to all payees
             console.log("\n🔄 Releasing to all payees...\n");
 
-            const payees = await getAllPayees(contract);
-            console.log(`Found ${payees.length} payee(s)\n`);
+            const payees = await getAllPayees(contractAddress, asset);
+            const due = payees.filter(payee => payee.releasable > 0n).length;
+            console.log(`Found ${payees.length} payee(s), ${due} with a payment due\n`);
 
             if (payees.length === 0) {
                 console.log("⚠️  No payees found in contract.\n");
@@ -235,22 +379,13 @@ async function main() {
                 process.exit(0);
             }
 
-            // Release to each payee
-            for (let i = 0; i < payees.length; i++) {
-                console.log(`\n[${i + 1}/${payees.length}] Processing ${payees[i]}...`);
-
-                const result = await releaseSinglePayee(contract, payees[i], false);
-                if (result) {
-                    results.push(result);
-                    console.log(`✅ Released ${hre.ethers.formatEther(result.amount)} ETH`);
-                } else {
-                    console.log(`⏭️  Skipped (no funds available)`);
-                }
-            }
+            // Release to every payee with a pending amount
+            const batchSize = parseInt(process.env.BATCH_SIZE || "0", 10);
+            results = await releaseAllPayees(contract, payees, asset, batchSize);
 
         } else {
             // Single payee release
-            const result = await releaseSinglePayee(contract, payeeAddress, true);
+            const result = await releaseSinglePayee(contract, payeeAddress, asset, true);
             if (result) {
                 results.push(result);
             }
@@ -267,38 +402,48 @@ async function main() {
 
         let totalReleased = 0n;
         let totalGasCost = 0n;
+        const receipts = new Map();
 
         for (let i = 0; i < results.length; i++) {
             const result = results[i];
-            const gasPrice = result.receipt.gasPrice || 0n;
-            const gasCost = result.receipt.gasUsed * gasPrice;
             totalReleased += result.amount;
-            totalGasCost += gasCost;
 
             console.log(`\n${i + 1}. Payee: ${result.payeeAddress}`);
-            console.log(`   Amount Released:     ${hre.ethers.formatEther(result.amount)} ETH`);
+            console.log(`   Paid To:             ${formatRecipient(result.payeeAddress, result.recipient)}`);
+            console.log(`   Amount Released:     ${formatAmount(result.amount, asset)}`);
             console.log(`   Transaction Hash:    ${result.receipt.hash}`);
             console.log(`   Block Number:        ${result.receipt.blockNumber}`);
-            console.log(`   Gas Used:            ${result.receipt.gasUsed.toString()}`);
-            console.log(`   Gas Cost:            ${hre.ethers.formatEther(gasCost)} ETH`);
-            console.log(`   Total Released Now:  ${hre.ethers.formatEther(result.previousReleased + result.amount)} ETH`);
+            console.log(`   Total Released Now:  ${formatAmount(result.previousReleased + result.amount, asset)}`);
+
+            receipts.set(result.receipt.hash, result.receipt);
+        }
+
+        // Batch releases share a receipt, so count gas once per transaction
+        console.log();
+        for (const receipt of receipts.values()) {
+            const gasPrice = receipt.gasPrice || 0n;
+            const gasCost = receipt.gasUsed * gasPrice;
+            totalGasCost += gasCost;
+
+            console.log(`⛽ ${receipt.hash.slice(0, 10)}...  Gas Used: ${receipt.gasUsed.toString()}  Gas Cost: ${hre.ethers.formatEther(gasCost)} ETH`);
         }
 
         // Get contract state after
-        const contractBalanceAfter = await hre.ethers.provider.getBalance(contractAddress);
-        const totalReleasedAfter = await contract.totalReleased();
+        const contractBalanceAfter = await getAssetBalance(contractAddress, asset);
+        const totalReleasedAfter = await getTotalReleased(contract, asset);
 
         console.log("\n📊 Contract State After");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        console.log(`Contract Balance:  ${hre.ethers.formatEther(contractBalanceAfter)} ETH`);
-        console.log(`Total Released:    ${hre.ethers.formatEther(totalReleasedAfter)} ETH`);
+        console.log(`Contract Balance:  ${formatAmount(contractBalanceAfter, asset)}`);
+        console.log(`Total Released:    ${formatAmount(totalReleasedAfter, asset)}`);
 
         console.log("\n📈 Comparison");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        console.log(`Balance Change:        -${hre.ethers.formatEther(contractBalanceBefore - contractBalanceAfter)} ETH`);
-        console.log(`Total Released:        ${hre.ethers.formatEther(totalReleased)} ETH`);
+        console.log(`Balance Change:        -${formatAmount(contractBalanceBefore - contractBalanceAfter, asset)}`);
+        console.log(`Total Released:        ${formatAmount(totalReleased, asset)}`);
         console.log(`Total Gas Cost:        ${hre.ethers.formatEther(totalGasCost)} ETH`);
-        console.log(`Transactions:          ${results.length}`);
+        console.log(`Payees Paid:           ${results.length}`);
+        console.log(`Transactions:          ${receipts.size}`);
 
         console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
         console.log("✅ Release completed successfully!\n");
@@ -312,11 +457,11 @@ async function main() {
         console.error("\n❌ Release failed!");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
 
-        if (error.message && error.message.includes("account has no shares")) {
-            console.error("Error: The specified address is not a payee in this contract\n");
-        } else if (error.message && error.message.includes("account is not due payment")) {
-            console.error("Error: No payment is due to this payee");
-            console.log("The payee may have already withdrawn all available funds.\n");
+        const revert = decodeRevert(error);
+
+        if (revert) {
+            console.error(`Contract Error: ${revert.message}`);
+            console.log(revert.hint ? `${revert.hint}\n` : "");
         } else if (error.code === "INSUFFICIENT_FUNDS") {
             console.error("Insufficient Funds: Not enough ETH for gas fees");
             console.log("Please ensure your wallet has enough ETH for gas.\n");
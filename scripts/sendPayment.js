@@ -1,5 +1,8 @@
 const hre = require("hardhat");
 const readline = require("readline");
+const { assertSplitStream } = require("../lib/interfaceDetection");
+const { decodeRevert } = require("../lib/revertDecoder");
+const { encodeReference } = require("../lib/paymentReference");
 
 /**
  * Utility script to send test payments to SplitStream contract
@@ -7,6 +10,9 @@ const readline = require("readline");
  *   AMOUNT=0.1 npx hardhat run scripts/sendPayment.js --network base
  *   Or just: npx hardhat run scripts/sendPayment.js (uses default 0.001 ETH)
  * 
+ * Optional environment variables:
+ *   REFERENCE   - Pay through pay() with an invoice or order ID
+ * 
  * Set CONTRACT_ADDRESS environment variable
  */
 
@@ -76,9 +82,11 @@ async function main() {
             process.exit(1);
         }
 
-        // Validate contract address
-        if (!hre.ethers.isAddress(contractAddress)) {
-            console.error(`❌ Error: Invalid contract address format: ${contractAddress}\n`);
+        // Verify the address is a SplitStream on this network
+        try {
+            await assertSplitStream(contractAddress, hre.ethers.provider);
+        } catch (error) {
+            console.error(`❌ Error: ${error.message}\n`);
             process.exit(1);
         }
 
@@ -86,6 +94,18 @@ async function main() {
         const amountEth = process.env.AMOUNT || DEFAULT_AMOUNT_ETH;
         const amount = hre.ethers.parseEther(amountEth);
 
+        // Get optional invoice reference
+        const reference = process.env.REFERENCE;
+        let encodedReference;
+        if (reference) {
+            try {
+                encodedReference = encodeReference(reference);
+            } catch (error) {
+                console.error(`❌ Error: ${error.message}\n`);
+                process.exit(1);
+            }
+        }
+
         // Get network and signer info
         const network = await hre.ethers.provider.getNetwork();
         const signer = (await hre.ethers.getSigners())[0];
@@ -97,7 +117,8 @@ async function main() {
         console.log(`Network:           ${hre.network.name} (Chain ID: ${network.chainId})`);
         console.log(`Sender:            ${signer.address}`);
         console.log(`Sender Balance:    ${hre.ethers.formatEther(signerBalance)} ETH`);
-        console.log(`Payment Amount:    ${amountEth} ETH\n`);
+        console.log(`Payment Amount:    ${amountEth} ETH`);
+        console.log(`Reference:         ${reference || "(none)"}\n`);
 
         // Safety check for large amounts
         if (parseFloat(amountEth) > parseFloat(LARGE_AMOUNT_THRESHOLD_ETH)) {
@@ -132,13 +153,6 @@ async function main() {
         const SplitStream = await hre.ethers.getContractFactory("SplitStream");
         const contract = SplitStream.attach(contractAddress);
 
-        // Verify contract exists
-        const code = await hre.ethers.provider.getCode(contractAddress);
-        if (code === "0x") {
-            console.error(`❌ Error: No contract found at address ${contractAddress}\n`);
-            process.exit(1);
-        }
-
         console.log("✅ Contract connected!\n");
 
         // Capture BEFORE state
@@ -173,10 +187,13 @@ async function main() {
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
         console.log(`Sending ${amountEth} ETH to contract...\n`);
 
-        const tx = await signer.sendTransaction({
-            to: contractAddress,
-            value: amount
-        });
+        // A reference is only logged when paying through pay()
+        const tx = encodedReference
+            ? await contract.connect(signer).pay(encodedReference, { value: amount })
+            : await signer.sendTransaction({
+                to: contractAddress,
+                value: amount
+            });
 
         console.log(`⏳ Transaction sent: ${tx.hash}`);
         console.log("   Waiting for confirmation...\n");
@@ -189,6 +206,9 @@ async function main() {
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
         console.log(`Transaction Hash:  ${receipt.hash}`);
         console.log(`Block Number:      ${receipt.blockNumber}`);
+        if (reference) {
+            console.log(`Reference:         ${reference} (${encodedReference})`);
+        }
         console.log(`Gas Used:          ${receipt.gasUsed.toString()}`);
 
         const gasPrice = receipt.gasPrice || tx.gasPrice;
@@ -255,7 +275,12 @@ async function main() {
         console.error("\n❌ Payment failed!");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
 
-        if (error.code === "INSUFFICIENT_FUNDS") {
+        const revert = decodeRevert(error);
+
+        if (revert) {
+            console.error(`Contract Error: ${revert.message}`);
+            console.log(revert.hint ? `${revert.hint}\n` : "");
+        } else if (error.code === "INSUFFICIENT_FUNDS") {
             console.error("Insufficient Funds: Not enough ETH to complete transaction");
             console.log("Please ensure your wallet has enough ETH for the payment plus gas fees.\n");
         } else if (error.code === "NETWORK_ERROR") {
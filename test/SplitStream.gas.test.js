@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { signRelease, submitRelease } = require("../lib/releaseAuthorization");
 
 describe("SplitStream Gas Benchmarks", function () {
     let owner, payee1, payee2, payee3, payee4, payee5;
@@ -83,28 +84,30 @@ describe("SplitStream Gas Benchmarks", function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             const splitStream = await SplitStream.deploy(
                 [payee1.address, payee2.address, payee3.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             const receipt = await splitStream.deploymentTransaction().wait();
 
             recordGas("Deploy with 3 payees", receipt.gasUsed, "Deployment");
             displayGasReport("Deploy with 3 payees", receipt.gasUsed);
 
-            expect(receipt.gasUsed).to.be.lessThan(1000000);
+            expect(receipt.gasUsed).to.be.lessThan(2090000);
         });
 
         it("Should measure gas for deploying with 5 payees", async function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             const splitStream = await SplitStream.deploy(
                 [payee1.address, payee2.address, payee3.address, payee4.address, payee5.address],
-                [25, 25, 20, 15, 15]
+                [25, 25, 20, 15, 15],
+                ethers.ZeroAddress
             );
             const receipt = await splitStream.deploymentTransaction().wait();
 
             recordGas("Deploy with 5 payees", receipt.gasUsed, "Deployment");
             displayGasReport("Deploy with 5 payees", receipt.gasUsed);
 
-            expect(receipt.gasUsed).to.be.lessThan(1100000);
+            expect(receipt.gasUsed).to.be.lessThan(2190000);
         });
 
         it("Should measure gas for deploying with 10 payees", async function () {
@@ -112,13 +115,13 @@ describe("SplitStream Gas Benchmarks", function () {
             const addresses = payees10.map(p => p.address);
             const shares = Array(10).fill(10); // Equal shares for simplicity
 
-            const splitStream = await SplitStream.deploy(addresses, shares);
+            const splitStream = await SplitStream.deploy(addresses, shares, ethers.ZeroAddress);
             const receipt = await splitStream.deploymentTransaction().wait();
 
             recordGas("Deploy with 10 payees", receipt.gasUsed, "Deployment");
             displayGasReport("Deploy with 10 payees", receipt.gasUsed);
 
-            expect(receipt.gasUsed).to.be.lessThan(1300000);
+            expect(receipt.gasUsed).to.be.lessThan(2450000);
         });
 
         it("Should measure gas for deploying with 20 payees", async function () {
@@ -131,13 +134,13 @@ describe("SplitStream Gas Benchmarks", function () {
             const addresses = payees20.map(p => p.address);
             const shares = Array(addresses.length).fill(5); // Equal shares for simplicity
 
-            const splitStream = await SplitStream.deploy(addresses, shares);
+            const splitStream = await SplitStream.deploy(addresses, shares, ethers.ZeroAddress);
             const receipt = await splitStream.deploymentTransaction().wait();
 
             recordGas("Deploy with 20 payees", receipt.gasUsed, "Deployment");
             displayGasReport("Deploy with 20 payees", receipt.gasUsed);
 
-            expect(receipt.gasUsed).to.be.lessThan(1700000);
+            expect(receipt.gasUsed).to.be.lessThan(2950000);
         });
 
         it("Should show deployment cost scaling", async function () {
@@ -171,6 +174,126 @@ describe("SplitStream Gas Benchmarks", function () {
         });
     });
 
+    describe("🧬 Clone Deployment Benchmarks", function () {
+        let cloneFactory;
+        const comparisons = [];
+
+        before(async function () {
+            const SplitStreamCloneFactory = await ethers.getContractFactory("SplitStreamCloneFactory");
+            cloneFactory = await SplitStreamCloneFactory.deploy(ethers.ZeroAddress);
+            const receipt = await cloneFactory.deploymentTransaction().wait();
+
+            recordGas("Deploy clone factory (one-off)", receipt.gasUsed, "Clone Deployment");
+            displayGasReport("Deploy clone factory + implementation (one-off)", receipt.gasUsed);
+        });
+
+        /**
+         * Deploys the same splitter with the constructor and as a clone,
+         * and records both gas costs
+         */
+        async function compareDeployment(addresses, shares) {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const splitStream = await SplitStream.deploy(addresses, shares, ethers.ZeroAddress);
+            const constructorReceipt = await splitStream.deploymentTransaction().wait();
+
+            const salt = ethers.id(`clone-benchmark-${addresses.length}`);
+            const cloneReceipt = await (await cloneFactory.createSplitStream(addresses, shares, salt)).wait();
+
+            const label = `${addresses.length} payees`;
+            recordGas(`Clone with ${label}`, cloneReceipt.gasUsed, "Clone Deployment");
+            displayGasReport(`Clone with ${label}`, cloneReceipt.gasUsed);
+            comparisons.push({
+                payees: addresses.length,
+                constructorGas: constructorReceipt.gasUsed,
+                cloneGas: cloneReceipt.gasUsed
+            });
+
+            return { constructorGas: constructorReceipt.gasUsed, cloneGas: cloneReceipt.gasUsed };
+        }
+
+        it("Should measure clone deployment with 3 payees", async function () {
+            const { constructorGas, cloneGas } = await compareDeployment(
+                [payee1.address, payee2.address, payee3.address],
+                [50, 30, 20]
+            );
+
+            expect(cloneGas).to.be.lessThan(constructorGas / 2n);
+            expect(cloneGas).to.be.lessThan(300000);
+        });
+
+        it("Should measure clone deployment with 5 payees", async function () {
+            const { constructorGas, cloneGas } = await compareDeployment(
+                [payee1.address, payee2.address, payee3.address, payee4.address, payee5.address],
+                [25, 25, 20, 15, 15]
+            );
+
+            expect(cloneGas).to.be.lessThan(constructorGas / 2n);
+            expect(cloneGas).to.be.lessThan(400000);
+        });
+
+        it("Should measure clone deployment with 10 payees", async function () {
+            const addresses = payees10.map(p => p.address);
+            const { constructorGas, cloneGas } = await compareDeployment(addresses, Array(10).fill(10));
+
+            expect(cloneGas).to.be.lessThan(constructorGas);
+            expect(cloneGas).to.be.lessThan(700000);
+        });
+
+        it("Should measure clone deployment with 20 payees", async function () {
+            if (payees20.length < 20) {
+                this.skip(); // Skip test if not enough signers available
+            }
+
+            const addresses = payees20.map(p => p.address);
+            const { constructorGas, cloneGas } = await compareDeployment(addresses, Array(addresses.length).fill(5));
+
+            expect(cloneGas).to.be.lessThan(constructorGas);
+            expect(cloneGas).to.be.lessThan(1100000);
+        });
+
+        it("Should measure the delegatecall overhead of releasing from a clone", async function () {
+            const addresses = [payee1.address, payee2.address, payee3.address];
+            const shares = [50, 30, 20];
+
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const splitStream = await SplitStream.deploy(addresses, shares, ethers.ZeroAddress);
+
+            const salt = ethers.id("clone-benchmark-release");
+            const cloneAddress = await cloneFactory.predictAddress(addresses, shares, salt);
+            await cloneFactory.createSplitStream(addresses, shares, salt);
+            const clone = await ethers.getContractAt("SplitStreamClone", cloneAddress);
+
+            for (const target of [splitStream, clone]) {
+                await owner.sendTransaction({ to: await target.getAddress(), value: ethers.parseEther("1") });
+            }
+
+            const directReceipt = await (await splitStream.release(payee1.address)).wait();
+            const cloneReceipt = await (await clone.release(payee1.address)).wait();
+            const overhead = cloneReceipt.gasUsed - directReceipt.gasUsed;
+
+            recordGas("Release from clone", cloneReceipt.gasUsed, "Clone Deployment");
+            console.log(`\n    🧬 Release overhead on a clone: ${overhead.toLocaleString()} gas per call`);
+
+            expect(overhead).to.be.lessThan(5000);
+        });
+
+        it("Should show constructor vs clone deployment costs", async function () {
+            console.log("\n    🧬 Constructor vs Clone Deployment:");
+            console.log("    ┌─────────────┬──────────────┬──────────────┬──────────┐");
+            console.log("    │ Payees      │ Constructor  │ Clone        │ Savings  │");
+            console.log("    ├─────────────┼──────────────┼──────────────┼──────────┤");
+
+            for (const { payees, constructorGas, cloneGas } of comparisons) {
+                const savings = `${(Number(constructorGas - cloneGas) * 100 / Number(constructorGas)).toFixed(1)}%`;
+
+                console.log(`    │ ${String(payees).padEnd(11)} │ ${constructorGas.toString().padEnd(12)} │ ${cloneGas.toString().padEnd(12)} │ ${savings.padEnd(8)} │`);
+            }
+            console.log("    └─────────────┴──────────────┴──────────────┴──────────┘");
+
+            expect(comparisons.length).to.be.greaterThan(0);
+        });
+    });
+
     describe("💸 Release Function Benchmarks", function () {
         let splitStream;
 
@@ -178,7 +301,8 @@ describe("SplitStream Gas Benchmarks", function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             splitStream = await SplitStream.deploy(
                 [payee1.address, payee2.address, payee3.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await splitStream.waitForDeployment();
         });
@@ -234,6 +358,25 @@ describe("SplitStream Gas Benchmarks", function () {
             expect(receipt.gasUsed).to.be.lessThan(90000);
         });
 
+        it("Should measure gas for a relayed release with signature", async function () {
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+
+            // Payee1 signs, owner relays and takes a fee
+            const release = await signRelease(payee1, splitStream, {
+                maxFee: ethers.parseEther("0.001")
+            });
+            const tx = await submitRelease(splitStream.connect(owner), release);
+            const receipt = await tx.wait();
+
+            recordGas("Relayed release with signature", receipt.gasUsed, "Release");
+            displayGasReport("Relayed release (releaseWithSig)", receipt.gasUsed);
+
+            expect(receipt.gasUsed).to.be.lessThan(150000);
+        });
+
         it("Should compare first release vs subsequent releases (warming effects)", async function () {
             // Send 3 ETH to contract
             await owner.sendTransaction({
@@ -327,6 +470,143 @@ describe("SplitStream Gas Benchmarks", function () {
         });
     });
 
+    describe("📦 Batch Release Benchmarks", function () {
+        it("Should measure releaseAll with 3 payees", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const splitStream = await SplitStream.deploy(
+                [payee1.address, payee2.address, payee3.address],
+                [50, 30, 20],
+                ethers.ZeroAddress
+            );
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("3")
+            });
+
+            const tx = await splitStream.releaseAll();
+            const receipt = await tx.wait();
+
+            recordGas("releaseAll with 3 payees", receipt.gasUsed, "Batch Release");
+            displayGasReport("releaseAll (3 payees)", receipt.gasUsed);
+
+            // Cheaper than three separate release transactions
+            expect(receipt.gasUsed).to.be.lessThan(3n * 90000n);
+        });
+
+        it("Should measure releaseAll with 10 payees", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const addresses = payees10.map(p => p.address);
+            const splitStream = await SplitStream.deploy(addresses, Array(addresses.length).fill(10), ethers.ZeroAddress);
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("10")
+            });
+
+            const tx = await splitStream.releaseAll();
+            const receipt = await tx.wait();
+
+            recordGas(`releaseAll with ${addresses.length} payees`, receipt.gasUsed, "Batch Release");
+            displayGasReport(`releaseAll (${addresses.length} payees)`, receipt.gasUsed);
+
+            console.log(`    📊 Gas per payee: ~${(receipt.gasUsed / BigInt(addresses.length)).toLocaleString()} gas`);
+
+            expect(receipt.gasUsed).to.be.lessThan(BigInt(addresses.length) * 90000n);
+        });
+
+        it("Should measure distribute with 10 payees", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const addresses = payees10.map(p => p.address);
+            const splitStream = await SplitStream.deploy(addresses, Array(addresses.length).fill(10), ethers.ZeroAddress);
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("10")
+            });
+
+            const tx = await splitStream.distribute();
+            const receipt = await tx.wait();
+
+            recordGas(`distribute with ${addresses.length} payees`, receipt.gasUsed, "Batch Release");
+            displayGasReport(`distribute (${addresses.length} payees)`, receipt.gasUsed);
+
+            // Same storage writes as releaseAll; sends are capped at the stipend
+            expect(receipt.gasUsed).to.be.lessThan(BigInt(addresses.length) * 90000n);
+        });
+
+        it("Should compare releaseAll with individual releases", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const payees = [payee1, payee2, payee3, payee4, payee5];
+            const addresses = payees.map(p => p.address);
+            const shares = [25, 25, 20, 15, 15];
+
+            // Strategy 1: one release transaction per payee
+            const individual = await SplitStream.deploy(addresses, shares, ethers.ZeroAddress);
+            await owner.sendTransaction({ to: await individual.getAddress(), value: ethers.parseEther("5") });
+
+            let individualGas = 0n;
+            for (const payee of payees) {
+                const receipt = await (await individual.release(payee.address)).wait();
+                individualGas += receipt.gasUsed;
+            }
+
+            // Strategy 2: one releaseAll transaction
+            const batched = await SplitStream.deploy(addresses, shares, ethers.ZeroAddress);
+            await owner.sendTransaction({ to: await batched.getAddress(), value: ethers.parseEther("5") });
+
+            const batchReceipt = await (await batched.releaseAll()).wait();
+
+            recordGas("5 individual releases", individualGas, "Batch Release Comparison");
+            recordGas("releaseAll with 5 payees", batchReceipt.gasUsed, "Batch Release Comparison");
+
+            const savings = individualGas - batchReceipt.gasUsed;
+            const savingsPercent = (Number(savings) / Number(individualGas) * 100).toFixed(1);
+
+            console.log(`\n    📦 Batch vs Individual Releases (5 payees):`);
+            console.log(`    Individual: ${individualGas.toLocaleString()} gas (5 transactions)`);
+            console.log(`    releaseAll: ${batchReceipt.gasUsed.toLocaleString()} gas (1 transaction)`);
+            console.log(`    Savings:    ${savings.toLocaleString()} gas (${savingsPercent}%)`);
+
+            expect(batchReceipt.gasUsed).to.be.lessThan(individualGas);
+        });
+
+        it("Should measure paginated releaseRange", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const addresses = payees10.map(p => p.address);
+            const splitStream = await SplitStream.deploy(addresses, Array(addresses.length).fill(10), ethers.ZeroAddress);
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("10")
+            });
+
+            const pageSize = 5;
+            for (let start = 0; start < addresses.length; start += pageSize) {
+                const end = Math.min(start + pageSize, addresses.length);
+                const receipt = await (await splitStream.releaseRange(start, end)).wait();
+
+                recordGas(`releaseRange(${start}, ${end})`, receipt.gasUsed, "Batch Release");
+                displayGasReport(`releaseRange (payees ${start}-${end - 1})`, receipt.gasUsed);
+            }
+
+            expect(await ethers.provider.getBalance(await splitStream.getAddress())).to.equal(0);
+        });
+
+        it("Should measure releaseAll when no payee is due", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const splitStream = await SplitStream.deploy(
+                [payee1.address, payee2.address, payee3.address],
+                [50, 30, 20],
+                ethers.ZeroAddress
+            );
+
+            const tx = await splitStream.releaseAll();
+            const receipt = await tx.wait();
+
+            recordGas("releaseAll with nothing due", receipt.gasUsed, "Batch Release");
+            displayGasReport("releaseAll (nothing due)", receipt.gasUsed);
+
+            expect(receipt.gasUsed).to.be.lessThan(60000);
+        });
+    });
+
     describe("📥 Payment Reception Benchmarks", function () {
         let splitStream;
 
@@ -334,7 +614,8 @@ describe("SplitStream Gas Benchmarks", function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             splitStream = await SplitStream.deploy(
                 [payee1.address, payee2.address, payee3.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await splitStream.waitForDeployment();
         });
@@ -397,7 +678,8 @@ describe("SplitStream Gas Benchmarks", function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             const splitStream2 = await SplitStream.deploy(
                 [payee1.address, payee2.address, payee3.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await splitStream2.waitForDeployment();
 
@@ -428,7 +710,8 @@ describe("SplitStream Gas Benchmarks", function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             splitStream = await SplitStream.deploy(
                 [payee1.address, payee2.address, payee3.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await splitStream.waitForDeployment();
 
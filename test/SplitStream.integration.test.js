@@ -15,7 +15,8 @@ describe("SplitStream - Integration Tests", function () {
             // Deploy contract with team structure: Lead (50%), Developer (30%), Designer (20%)
             const teamSplitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await teamSplitter.waitForDeployment();
 
@@ -54,7 +55,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle mid-month withdrawals and end-of-month balancing", async function () {
             const teamSplitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await teamSplitter.waitForDeployment();
 
@@ -90,7 +92,8 @@ describe("SplitStream - Integration Tests", function () {
             // Content creators: Writer (40%), Editor (35%), Marketer (25%)
             const creatorSplitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [40, 35, 25]
+                [40, 35, 25],
+                ethers.ZeroAddress
             );
             await creatorSplitter.waitForDeployment();
 
@@ -150,7 +153,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle irregular payment patterns over time", async function () {
             const creatorSplitter = await SplitStream.deploy(
                 [alice.address, bob.address],
-                [60, 40]
+                [60, 40],
+                ethers.ZeroAddress
             );
             await creatorSplitter.waitForDeployment();
 
@@ -190,7 +194,8 @@ describe("SplitStream - Integration Tests", function () {
             // DAO treasury distribution: Community (45%), Development (35%), Operations (20%)
             const daoSplitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [45, 35, 20]
+                [45, 35, 20],
+                ethers.ZeroAddress
             );
             await daoSplitter.waitForDeployment();
 
@@ -215,7 +220,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle quarterly DAO distributions", async function () {
             const daoSplitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [45, 35, 20]
+                [45, 35, 20],
+                ethers.ZeroAddress
             );
             await daoSplitter.waitForDeployment();
 
@@ -260,7 +266,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle many small payments over time with periodic withdrawals", async function () {
             const streamSplitter = await SplitStream.deploy(
                 [alice.address, bob.address],
-                [50, 50]
+                [50, 50],
+                ethers.ZeroAddress
             );
             await streamSplitter.waitForDeployment();
 
@@ -294,7 +301,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle streaming with withdrawal frequency differences", async function () {
             const streamSplitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await streamSplitter.waitForDeployment();
 
@@ -335,7 +343,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle funds received before payees are aware", async function () {
             const splitter = await SplitStream.deploy(
                 [alice.address, bob.address],
-                [70, 30]
+                [70, 30],
+                ethers.ZeroAddress
             );
             await splitter.waitForDeployment();
 
@@ -362,7 +371,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle one payee never withdrawing while others do", async function () {
             const splitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [40, 40, 20]
+                [40, 40, 20],
+                ethers.ZeroAddress
             );
             await splitter.waitForDeployment();
 
@@ -392,7 +402,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should allow delayed withdrawal years later with correct accounting", async function () {
             const splitter = await SplitStream.deploy(
                 [alice.address, bob.address],
-                [50, 50]
+                [50, 50],
+                ethers.ZeroAddress
             );
             await splitter.waitForDeployment();
 
@@ -432,7 +443,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle multiple payment cycles with different amounts", async function () {
             const splitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await splitter.waitForDeployment();
 
@@ -469,7 +481,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle variable payment amounts with consistent distribution percentages", async function () {
             const splitter = await SplitStream.deploy(
                 [alice.address, bob.address],
-                [75, 25]
+                [75, 25],
+                ethers.ZeroAddress
             );
             await splitter.waitForDeployment();
 
@@ -508,7 +521,8 @@ describe("SplitStream - Integration Tests", function () {
         it("Should handle staggered withdrawal patterns across payees", async function () {
             const splitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [40, 35, 25]
+                [40, 35, 25],
+                ethers.ZeroAddress
             );
             await splitter.waitForDeployment();
 
@@ -555,7 +569,8 @@ describe("SplitStream - Integration Tests", function () {
             // Real-world: Startup with founders and advisors
             const splitter = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [60, 25, 15] // Founder, Co-founder, Advisor
+                [60, 25, 15], // Founder, Co-founder, Advisor
+                ethers.ZeroAddress
             );
             await splitter.waitForDeployment();
 
@@ -602,12 +617,118 @@ describe("SplitStream - Integration Tests", function () {
         });
     });
 
+    describe("Payee Leaves the Team", function () {
+        let SplitStreamRenounceable;
+
+        beforeEach(async function () {
+            SplitStreamRenounceable = await ethers.getContractFactory("SplitStreamRenounceable");
+        });
+
+        it("Should pay out a departing payee and split later rounds among the others", async function () {
+            const teamSplitter = await SplitStreamRenounceable.deploy(
+                [alice.address, bob.address, charlie.address],
+                [50, 30, 20],
+                ethers.ZeroAddress
+            );
+            await teamSplitter.waitForDeployment();
+            const splitterAddress = await teamSplitter.getAddress();
+
+            // Round 1: everyone is on the team, only Alice withdraws
+            await owner.sendTransaction({ to: splitterAddress, value: ethers.parseEther("10") });
+            await teamSplitter.release(alice.address);
+
+            // Bob leaves between rounds and is paid his 30% of round 1
+            await expect(teamSplitter.connect(bob)["renounceShares()"]())
+                .to.changeEtherBalance(bob, ethers.parseEther("3"));
+
+            // Round 1 entitlements of the others do not change
+            expect(await teamSplitter.releasable(alice.address)).to.equal(0);
+            expect(await teamSplitter.releasable(charlie.address)).to.equal(ethers.parseEther("2"));
+
+            // Rounds 2 and 3 are split 50/20 between the two left
+            await donor1.sendTransaction({ to: splitterAddress, value: ethers.parseEther("7") });
+            await teamSplitter.release(alice.address);
+            await donor2.sendTransaction({ to: splitterAddress, value: ethers.parseEther("14") });
+
+            await teamSplitter.releaseAll();
+
+            expect(await teamSplitter.released(alice.address)).to.equal(ethers.parseEther("20"));
+            expect(await teamSplitter.released(bob.address)).to.equal(ethers.parseEther("3"));
+            expect(await teamSplitter.released(charlie.address)).to.equal(ethers.parseEther("8"));
+            expect(await teamSplitter.totalReleased()).to.equal(ethers.parseEther("31"));
+            expect(await ethers.provider.getBalance(splitterAddress)).to.equal(0);
+        });
+
+        it("Should keep unclaimed earnings of the remaining payees when someone leaves", async function () {
+            const teamSplitter = await SplitStreamRenounceable.deploy(
+                [alice.address, bob.address, charlie.address],
+                [40, 40, 20],
+                ethers.ZeroAddress
+            );
+            await teamSplitter.waitForDeployment();
+            const splitterAddress = await teamSplitter.getAddress();
+
+            // Nobody withdraws for three rounds
+            for (let round = 0; round < 3; round++) {
+                await owner.sendTransaction({ to: splitterAddress, value: ethers.parseEther("5") });
+            }
+
+            await teamSplitter.connect(charlie)["renounceShares()"]();
+
+            expect(await teamSplitter.released(charlie.address)).to.equal(ethers.parseEther("3"));
+            expect(await teamSplitter.releasable(alice.address)).to.equal(ethers.parseEther("6"));
+            expect(await teamSplitter.releasable(bob.address)).to.equal(ethers.parseEther("6"));
+
+            // Then Bob leaves too, after one more round
+            await owner.sendTransaction({ to: splitterAddress, value: ethers.parseEther("4") });
+            await expect(teamSplitter.connect(bob)["renounceShares()"]())
+                .to.changeEtherBalance(bob, ethers.parseEther("8"));
+
+            // Alice receives everything from now on
+            await owner.sendTransaction({ to: splitterAddress, value: ethers.parseEther("1") });
+            await expect(teamSplitter.release(alice.address))
+                .to.changeEtherBalance(alice, ethers.parseEther("9"));
+            expect(await ethers.provider.getBalance(splitterAddress)).to.equal(0);
+        });
+
+        it("Should settle ERC20 revenue of a departing payee across rounds", async function () {
+            const teamSplitter = await SplitStreamRenounceable.deploy(
+                [alice.address, bob.address, charlie.address],
+                [50, 30, 20],
+                ethers.ZeroAddress
+            );
+            await teamSplitter.waitForDeployment();
+            const splitterAddress = await teamSplitter.getAddress();
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const usdcAddress = await usdc.getAddress();
+
+            await usdc.mint(splitterAddress, ethers.parseUnits("1000", 6));
+            await owner.sendTransaction({ to: splitterAddress, value: ethers.parseEther("1") });
+            await teamSplitter["release(address,address)"](usdcAddress, charlie.address);
+
+            await teamSplitter.connect(bob)["renounceShares(address[])"]([usdcAddress]);
+            expect(await usdc.balanceOf(bob.address)).to.equal(ethers.parseUnits("300", 6));
+
+            await usdc.mint(splitterAddress, ethers.parseUnits("700", 6));
+            await teamSplitter["releaseAll(address)"](usdcAddress);
+            await teamSplitter.releaseAll();
+
+            expect(await usdc.balanceOf(alice.address)).to.equal(ethers.parseUnits("1000", 6));
+            expect(await usdc.balanceOf(charlie.address)).to.equal(ethers.parseUnits("400", 6));
+            expect(await usdc.balanceOf(splitterAddress)).to.equal(0);
+            expect(await ethers.provider.getBalance(splitterAddress)).to.equal(0);
+        });
+    });
+
     describe("Complex Real-World Scenario", function () {
         it("Should handle full year of varied operations for a small business", async function () {
             // Small business: Owner (50%), Developer (30%), Designer (20%)
             const business = await SplitStream.deploy(
                 [alice.address, bob.address, charlie.address],
-                [50, 30, 20]
+                [50, 30, 20],
+                ethers.ZeroAddress
             );
             await business.waitForDeployment();
 
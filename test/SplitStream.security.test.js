@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signRelease, submitRelease, toReleaseArgs } = require("../lib/releaseAuthorization");
 
 describe("SplitStream - Security Tests", function () {
     let splitStream;
@@ -13,7 +15,8 @@ describe("SplitStream - Security Tests", function () {
         const SplitStream = await ethers.getContractFactory("SplitStream");
         splitStream = await SplitStream.deploy(
             [payee1.address, payee2.address, payee3.address],
-            [50, 30, 20]
+            [50, 30, 20],
+            ethers.ZeroAddress
         );
         await splitStream.waitForDeployment();
     });
@@ -35,7 +38,7 @@ describe("SplitStream - Security Tests", function () {
             // (no payment due since already released)
             await expect(
                 splitStream.release(payee1.address)
-            ).to.be.revertedWith("SplitStream: account is not due payment");
+            ).to.be.revertedWithCustomError(splitStream, "NothingDue");
         });
 
         it("Should maintain correct state even with multiple sequential releases", async function () {
@@ -62,9 +65,10 @@ describe("SplitStream - Security Tests", function () {
             await expect(
                 SplitStream.deploy(
                     [ethers.ZeroAddress, payee2.address, payee3.address],
-                    [50, 30, 20]
+                    [50, 30, 20],
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("SplitStream: account is the zero address");
+            ).to.be.revertedWithCustomError(SplitStream, "ZeroAddressPayee");
         });
 
         it("Should reject zero address in any payee position", async function () {
@@ -74,17 +78,19 @@ describe("SplitStream - Security Tests", function () {
             await expect(
                 SplitStream.deploy(
                     [payee1.address, ethers.ZeroAddress, payee3.address],
-                    [50, 30, 20]
+                    [50, 30, 20],
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("SplitStream: account is the zero address");
+            ).to.be.revertedWithCustomError(SplitStream, "ZeroAddressPayee");
 
             // Test zero address at position 2
             await expect(
                 SplitStream.deploy(
                     [payee1.address, payee2.address, ethers.ZeroAddress],
-                    [50, 30, 20]
+                    [50, 30, 20],
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("SplitStream: account is the zero address");
+            ).to.be.revertedWithCustomError(SplitStream, "ZeroAddressPayee");
         });
 
         it("Should reject release to zero address", async function () {
@@ -95,7 +101,7 @@ describe("SplitStream - Security Tests", function () {
 
             await expect(
                 splitStream.release(ethers.ZeroAddress)
-            ).to.be.revertedWith("SplitStream: account has no shares");
+            ).to.be.revertedWithCustomError(splitStream, "NoShares");
         });
     });
 
@@ -106,7 +112,8 @@ describe("SplitStream - Security Tests", function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             const largeSplitter = await SplitStream.deploy(
                 [payee1.address, payee2.address],
-                [largeShares, largeShares]
+                [largeShares, largeShares],
+                ethers.ZeroAddress
             );
             await largeSplitter.waitForDeployment();
 
@@ -135,7 +142,7 @@ describe("SplitStream - Security Tests", function () {
             // No funds sent - attempting release should fail gracefully
             await expect(
                 splitStream.release(payee1.address)
-            ).to.be.revertedWith("SplitStream: account is not due payment");
+            ).to.be.revertedWithCustomError(splitStream, "NothingDue");
         });
     });
 
@@ -213,7 +220,8 @@ describe("SplitStream - Security Tests", function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             const minShareSplitter = await SplitStream.deploy(
                 [payee1.address, payee2.address, payee3.address],
-                [1, 1, 1]
+                [1, 1, 1],
+                ethers.ZeroAddress
             );
             await minShareSplitter.waitForDeployment();
 
@@ -230,7 +238,8 @@ describe("SplitStream - Security Tests", function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             const unevenSplitter = await SplitStream.deploy(
                 [payee1.address, payee2.address],
-                [99, 1]
+                [99, 1],
+                ethers.ZeroAddress
             );
             await unevenSplitter.waitForDeployment();
 
@@ -251,16 +260,18 @@ describe("SplitStream - Security Tests", function () {
             await expect(
                 SplitStream.deploy(
                     [payee1.address, payee2.address, payee3.address],
-                    [50, 0, 20]
+                    [50, 0, 20],
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("SplitStream: shares are 0");
+            ).to.be.revertedWithCustomError(SplitStream, "ZeroShares");
         });
 
         it("Should work with single payee (100% share)", async function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             const singlePayeeSplitter = await SplitStream.deploy(
                 [payee1.address],
-                [100]
+                [100],
+                ethers.ZeroAddress
             );
             await singlePayeeSplitter.waitForDeployment();
 
@@ -286,7 +297,7 @@ describe("SplitStream - Security Tests", function () {
             }
 
             const SplitStream = await ethers.getContractFactory("SplitStream");
-            const multiPayeeSplitter = await SplitStream.deploy(payees, shares);
+            const multiPayeeSplitter = await SplitStream.deploy(payees, shares, ethers.ZeroAddress);
             await multiPayeeSplitter.waitForDeployment();
 
             // Verify deployment succeeded
@@ -305,7 +316,7 @@ describe("SplitStream - Security Tests", function () {
             }
 
             const SplitStream = await ethers.getContractFactory("SplitStream");
-            const multiPayeeSplitter = await SplitStream.deploy(payees, shares);
+            const multiPayeeSplitter = await SplitStream.deploy(payees, shares, ethers.ZeroAddress);
             await multiPayeeSplitter.waitForDeployment();
 
             expect(await multiPayeeSplitter.totalShares()).to.equal(100);
@@ -381,7 +392,7 @@ describe("SplitStream - Security Tests", function () {
             // Second attempt should fail
             await expect(
                 splitStream.connect(attacker).release(payee1.address)
-            ).to.be.revertedWith("SplitStream: account is not due payment");
+            ).to.be.revertedWithCustomError(splitStream, "NothingDue");
 
             // Verify only received correct amount
             expect(await splitStream.released(payee1.address)).to.equal(ethers.parseEther("5"));
@@ -394,9 +405,10 @@ describe("SplitStream - Security Tests", function () {
             await expect(
                 SplitStream.deploy(
                     [payee1.address, payee1.address, payee2.address],
-                    [50, 30, 20]
+                    [50, 30, 20],
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("SplitStream: account already has shares");
+            ).to.be.revertedWithCustomError(SplitStream, "DuplicatePayee");
         });
 
         it("Should detect duplicates anywhere in the payees array", async function () {
@@ -404,9 +416,10 @@ describe("SplitStream - Security Tests", function () {
             await expect(
                 SplitStream.deploy(
                     [payee1.address, payee2.address, payee1.address],
-                    [50, 30, 20]
+                    [50, 30, 20],
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("SplitStream: account already has shares");
+            ).to.be.revertedWithCustomError(SplitStream, "DuplicatePayee");
         });
     });
 
@@ -433,4 +446,532 @@ describe("SplitStream - Security Tests", function () {
             expect(await splitStream.released(attacker.address)).to.equal(0);
         });
     });
+
+    describe("Clone Initialization Protection", function () {
+        let cloneFactory;
+        let clone;
+        const salt = ethers.id("security-clone");
+
+        beforeEach(async function () {
+            const SplitStreamCloneFactory = await ethers.getContractFactory("SplitStreamCloneFactory");
+            cloneFactory = await SplitStreamCloneFactory.deploy(ethers.ZeroAddress);
+            await cloneFactory.waitForDeployment();
+
+            const payees = [payee1.address, payee2.address, payee3.address];
+            const cloneAddress = await cloneFactory.predictAddress(payees, [50, 30, 20], salt);
+            await cloneFactory.createSplitStream(payees, [50, 30, 20], salt);
+            clone = await ethers.getContractAt("SplitStreamClone", cloneAddress);
+        });
+
+        it("Should reject initializing a clone a second time", async function () {
+            await expect(
+                clone.connect(attacker).initialize([attacker.address], [100])
+            ).to.be.revertedWithCustomError(clone, "InvalidInitialization");
+
+            // Original configuration is untouched
+            expect(await clone.totalShares()).to.equal(100);
+            expect(await clone.payeeCount()).to.equal(3);
+            expect(await clone.shares(attacker.address)).to.equal(0);
+        });
+
+        it("Should reject initialization of the implementation contract", async function () {
+            const implementation = await ethers.getContractAt(
+                "SplitStreamClone",
+                await cloneFactory.implementation()
+            );
+
+            await expect(
+                implementation.connect(attacker).initialize([attacker.address], [100])
+            ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+            expect(await implementation.payeeCount()).to.equal(0);
+        });
+
+        it("Should not let an attacker redirect funds by re-initializing a funded clone", async function () {
+            await owner.sendTransaction({
+                to: await clone.getAddress(),
+                value: ethers.parseEther("10")
+            });
+
+            await expect(
+                clone.connect(attacker).initialize([attacker.address], [1])
+            ).to.be.revertedWithCustomError(clone, "InvalidInitialization");
+
+            await expect(clone.release(attacker.address))
+                .to.be.revertedWithCustomError(clone, "NoShares");
+            await expect(clone.release(payee1.address))
+                .to.changeEtherBalance(payee1, ethers.parseEther("5"));
+        });
+
+        it("Should initialize clones atomically so they cannot be front-run", async function () {
+            const payees = [payee1.address, payee2.address];
+            const freshSalt = ethers.id("security-clone-2");
+            const predicted = await cloneFactory.predictAddress(payees, [50, 50], freshSalt);
+
+            // Nothing exists at the predicted address that an attacker could initialize
+            expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+            await cloneFactory.connect(attacker).createSplitStream(payees, [50, 50], freshSalt);
+            const fresh = await ethers.getContractAt("SplitStreamClone", predicted);
+
+            // Whoever deploys it, the clone gets exactly the predicted configuration
+            expect(await fresh.shares(payee1.address)).to.equal(50);
+            expect(await fresh.shares(attacker.address)).to.equal(0);
+            await expect(
+                fresh.connect(attacker).initialize([attacker.address], [100])
+            ).to.be.revertedWithCustomError(fresh, "InvalidInitialization");
+        });
+
+        it("Should validate payees when initializing a clone", async function () {
+            await expect(
+                cloneFactory.createSplitStream([payee1.address, payee1.address], [50, 50], salt)
+            ).to.be.revertedWithCustomError(clone, "DuplicatePayee");
+
+            await expect(
+                cloneFactory.createSplitStream([ethers.ZeroAddress], [100], salt)
+            ).to.be.revertedWithCustomError(clone, "ZeroAddressPayee");
+
+            await expect(
+                cloneFactory.createSplitStream([], [], salt)
+            ).to.be.revertedWithCustomError(clone, "NoPayees");
+        });
+    });
+
+    describe("Signed Release Protection", function () {
+        const fee = ethers.parseEther("0.1");
+
+        beforeEach(async function () {
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("10")
+            });
+        });
+
+        it("Should not pay twice when the relayer re-enters on its fee", async function () {
+            const ReentrantRelayer = await ethers.getContractFactory("ReentrantRelayer");
+            const relayer = await ReentrantRelayer.deploy(await splitStream.getAddress());
+            const relayerAddress = await relayer.getAddress();
+
+            const release = await signRelease(payee1, splitStream, { maxFee: fee });
+
+            await expect(relayer.relay(...toReleaseArgs(release)))
+                .to.changeEtherBalances(
+                    [payee1, relayerAddress, splitStream],
+                    [ethers.parseEther("4.9"), fee, ethers.parseEther("-5")]
+                );
+
+            expect(await splitStream.released(payee1.address)).to.equal(ethers.parseEther("5"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should not accept a signature for another splitter with the same payees", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const other = await SplitStream.deploy(
+                [payee1.address, payee2.address, payee3.address],
+                [50, 30, 20],
+                ethers.ZeroAddress
+            );
+            await owner.sendTransaction({ to: await other.getAddress(), value: ethers.parseEther("10") });
+
+            const release = await signRelease(payee1, splitStream, { maxFee: fee });
+
+            await expect(
+                other.connect(attacker).releaseWithSig(...toReleaseArgs(release))
+            ).to.be.revertedWithCustomError(other, "InvalidSignature");
+        });
+
+        it("Should not let a relayer redirect the payment to itself", async function () {
+            const release = await signRelease(payee1, splitStream, { maxFee: fee });
+            const args = toReleaseArgs(release);
+            args[1] = attacker.address;
+
+            await expect(
+                splitStream.connect(attacker).releaseWithSig(...args)
+            ).to.be.revertedWithCustomError(splitStream, "InvalidSignature");
+        });
+
+        it("Should invalidate signatures of a transferred payee slot", async function () {
+            const release = await signRelease(payee1, splitStream, { maxFee: fee });
+
+            await splitStream.connect(payee1).transferPayee(attacker.address);
+
+            await expect(
+                submitRelease(splitStream.connect(owner), release)
+            ).to.be.revertedWithCustomError(splitStream, "NoShares");
+        });
+
+        it("Should reject malformed signatures", async function () {
+            const release = await signRelease(payee1, splitStream, { maxFee: fee });
+
+            await expect(
+                submitRelease(splitStream.connect(attacker), { ...release, signature: "0x1234" })
+            ).to.be.revertedWithCustomError(splitStream, "InvalidSignature");
+        });
+    });
+
+    describe("Push Distribution Protection", function () {
+        const Mode = { Accept: 0, Revert: 1, BurnGas: 2, ReturnBomb: 3 };
+        let payeeContract;
+        let pushSplitter;
+
+        beforeEach(async function () {
+            const MockPayee = await ethers.getContractFactory("MockPayee");
+            payeeContract = await MockPayee.deploy(Mode.Revert);
+
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            pushSplitter = await SplitStream.deploy(
+                [payee1.address, await payeeContract.getAddress(), payee3.address],
+                [50, 30, 20],
+                ethers.ZeroAddress
+            );
+
+            await owner.sendTransaction({
+                to: await pushSplitter.getAddress(),
+                value: ethers.parseEther("10")
+            });
+        });
+
+        it("Should not let a reverting payee block the others", async function () {
+            await expect(pushSplitter.connect(attacker).distribute())
+                .to.changeEtherBalances(
+                    [payee1, payee3],
+                    [ethers.parseEther("5"), ethers.parseEther("2")]
+                );
+
+            expect(await pushSplitter.escrowed(await payeeContract.getAddress()))
+                .to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should bound the gas a gas-burning payee can consume", async function () {
+            await payeeContract.setMode(Mode.BurnGas);
+
+            const tx = await pushSplitter.connect(attacker).distribute();
+            const receipt = await tx.wait();
+
+            expect(receipt.gasUsed).to.be.lessThan(250000n);
+            expect(await pushSplitter.escrowed(await payeeContract.getAddress()))
+                .to.equal(ethers.parseEther("3"));
+            expect(await pushSplitter.released(payee3.address)).to.equal(ethers.parseEther("2"));
+        });
+
+        it("Should not copy a payee's return data", async function () {
+            await payeeContract.setMode(Mode.ReturnBomb);
+
+            const tx = await pushSplitter.connect(attacker).distribute();
+            const receipt = await tx.wait();
+
+            expect(receipt.gasUsed).to.be.lessThan(250000n);
+            expect(await pushSplitter.escrowed(await payeeContract.getAddress()))
+                .to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should revert instead of escrowing when the caller starves the stipend", async function () {
+            // Put the gas-burning payee last so the shortfall lands on its send
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const splitter = await SplitStream.deploy(
+                [payee1.address, payee3.address, await payeeContract.getAddress()],
+                [50, 20, 30],
+                ethers.ZeroAddress
+            );
+            await owner.sendTransaction({
+                to: await splitter.getAddress(),
+                value: ethers.parseEther("10")
+            });
+            await payeeContract.setMode(Mode.BurnGas);
+
+            const gasLimit = await splitter.connect(attacker).distribute.estimateGas();
+
+            await expect(
+                splitter.connect(attacker).distribute({ gasLimit: gasLimit - 10000n })
+            ).to.be.reverted;
+
+            expect(await splitter.escrowed(await payeeContract.getAddress())).to.equal(0);
+            expect(await splitter.releasable(await payeeContract.getAddress()))
+                .to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should let a contract payee claim its escrow once it can receive", async function () {
+            const payeeAddress = await payeeContract.getAddress();
+            await pushSplitter.distribute();
+
+            await payeeContract.setMode(Mode.Accept);
+            await expect(payeeContract.claimEscrow(await pushSplitter.getAddress(), payeeAddress))
+                .to.changeEtherBalance(payeeContract, ethers.parseEther("3"));
+
+            expect(await pushSplitter.escrowed(payeeAddress)).to.equal(0);
+            expect(await pushSplitter.totalReleased()).to.equal(ethers.parseEther("10"));
+        });
+
+        it("Should not let anyone else claim a payee's escrow", async function () {
+            await pushSplitter.distribute();
+
+            await expect(
+                pushSplitter.connect(attacker).claimEscrow(attacker.address)
+            ).to.be.revertedWithCustomError(pushSplitter, "NoEscrow");
+        });
+    });
+
+    describe("Guardian Abuse Limits", function () {
+        const DAY = 24n * 60n * 60n;
+        let pausable;
+        let guardian;
+
+        beforeEach(async function () {
+            [, , , , , guardian] = await ethers.getSigners();
+
+            const SplitStreamPausable = await ethers.getContractFactory("SplitStreamPausable");
+            pausable = await SplitStreamPausable.deploy(
+                [payee1.address, payee2.address, payee3.address],
+                [50, 30, 20],
+                guardian.address,
+                true,
+                ethers.ZeroAddress
+            );
+
+            await owner.sendTransaction({
+                to: await pausable.getAddress(),
+                value: ethers.parseEther("10")
+            });
+        });
+
+        it("Should only let the guardian pause and unpause", async function () {
+            await expect(
+                pausable.connect(attacker).pause(DAY, true)
+            ).to.be.revertedWithCustomError(pausable, "NotGuardian")
+                .withArgs(attacker.address);
+
+            await pausable.connect(guardian).pause(DAY, true);
+
+            await expect(
+                pausable.connect(payee1).unpause()
+            ).to.be.revertedWithCustomError(pausable, "NotGuardian");
+        });
+
+        it("Should cap the length of a pause", async function () {
+            const max = await pausable.MAX_PAUSE_DURATION();
+
+            await expect(
+                pausable.connect(guardian).pause(max + 1n, false)
+            ).to.be.revertedWithCustomError(pausable, "InvalidPauseDuration")
+                .withArgs(max + 1n);
+            await expect(
+                pausable.connect(guardian).pause(0, false)
+            ).to.be.revertedWithCustomError(pausable, "InvalidPauseDuration");
+        });
+
+        it("Should not let a running pause be extended", async function () {
+            await pausable.connect(guardian).pause(DAY, false);
+
+            await expect(
+                pausable.connect(guardian).pause(DAY, false)
+            ).to.be.revertedWithCustomError(pausable, "ReleasesPaused");
+        });
+
+        it("Should enforce a cooldown before pausing again after expiry", async function () {
+            await pausable.connect(guardian).pause(await pausable.MAX_PAUSE_DURATION(), false);
+            await time.increaseTo(await pausable.pausedUntil());
+
+            await expect(
+                pausable.connect(guardian).pause(DAY, false)
+            ).to.be.revertedWithCustomError(pausable, "PauseCooldown");
+
+            // Payees can withdraw during the cooldown
+            await expect(pausable.releaseAll())
+                .to.changeEtherBalance(payee1, ethers.parseEther("5"));
+
+            await time.increaseTo(await pausable.nextPauseAt());
+            await pausable.connect(guardian).pause(DAY, false);
+        });
+
+        it("Should not let an early unpause skip the cooldown", async function () {
+            await pausable.connect(guardian).pause(DAY, false);
+            await pausable.connect(guardian).unpause();
+
+            await expect(
+                pausable.connect(guardian).pause(DAY, false)
+            ).to.be.revertedWithCustomError(pausable, "PauseCooldown");
+        });
+
+        it("Should not give the guardian any claim on the funds", async function () {
+            await pausable.connect(guardian).pause(DAY, false);
+
+            expect(await pausable.shares(guardian.address)).to.equal(0);
+            await time.increase(DAY);
+
+            await expect(
+                pausable.release(guardian.address)
+            ).to.be.revertedWithCustomError(pausable, "NoShares");
+            await expect(pausable.release(payee1.address))
+                .to.changeEtherBalance(payee1, ethers.parseEther("5"));
+        });
+    });
+
+    describe("Keeper Fee Protection", function () {
+        let incentivized;
+
+        beforeEach(async function () {
+            // 1% keeper fee, at most 0.03 ETH per release
+            const SplitStreamIncentivized = await ethers.getContractFactory("SplitStreamIncentivized");
+            incentivized = await SplitStreamIncentivized.deploy(
+                [payee1.address, payee2.address, payee3.address],
+                [50, 30, 20],
+                100,
+                ethers.parseEther("0.03"),
+                ethers.ZeroAddress
+            );
+
+            await owner.sendTransaction({
+                to: await incentivized.getAddress(),
+                value: ethers.parseEther("10")
+            });
+        });
+
+        it("Should not pay twice when the keeper re-enters on its fee", async function () {
+            const ReentrantKeeper = await ethers.getContractFactory("ReentrantKeeper");
+            const keeper = await ReentrantKeeper.deploy(await incentivized.getAddress());
+            const keeperAddress = await keeper.getAddress();
+
+            // The whole 5 ETH is recorded before the fee is sent, so re-entering finds nothing due
+            const tx = keeper.keep(payee1.address);
+            await expect(tx).to.changeEtherBalances(
+                [payee1, keeperAddress, incentivized],
+                [ethers.parseEther("4.97"), ethers.parseEther("0.03"), ethers.parseEther("-5")]
+            );
+
+            const receipt = await (await tx).wait();
+            const fees = receipt.logs
+                .map(log => incentivized.interface.parseLog(log))
+                .filter(parsed => parsed !== null && parsed.name === "KeeperFeePaid");
+            expect(fees).to.have.length(1);
+            expect(fees[0].args.fee).to.equal(ethers.parseEther("0.03"));
+
+            expect(await incentivized.released(payee1.address)).to.equal(ethers.parseEther("5"));
+            expect(await incentivized.releasable(payee2.address)).to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should not charge a fee on batch releases", async function () {
+            await expect(incentivized.connect(attacker).releaseAll())
+                .to.changeEtherBalances(
+                    [attacker, payee1, payee2, payee3],
+                    [0, ethers.parseEther("5"), ethers.parseEther("3"), ethers.parseEther("2")]
+                );
+        });
+    });
+
+    describe("WETH Fallback", function () {
+        let weth;
+        let rejecting;
+        let rejectingAddress;
+        let splitter;
+
+        async function deploySplitter(wethAddress) {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const deployed = await SplitStream.deploy(
+                [rejectingAddress, payee2.address, payee3.address],
+                [50, 30, 20],
+                wethAddress
+            );
+
+            await owner.sendTransaction({
+                to: await deployed.getAddress(),
+                value: ethers.parseEther("10")
+            });
+            return deployed;
+        }
+
+        beforeEach(async function () {
+            const MockWETH = await ethers.getContractFactory("MockWETH");
+            weth = await MockWETH.deploy();
+
+            const MockPayee = await ethers.getContractFactory("MockPayee");
+            rejecting = await MockPayee.deploy(1); // Mode.Revert
+            rejectingAddress = await rejecting.getAddress();
+
+            splitter = await deploySplitter(await weth.getAddress());
+        });
+
+        it("Should revert and leave the accounting untouched without WETH", async function () {
+            const unwrapped = await deploySplitter(ethers.ZeroAddress);
+
+            expect(await unwrapped.weth()).to.equal(ethers.ZeroAddress);
+            await expect(unwrapped.release(rejectingAddress)).to.be.revertedWith("MockPayee: rejected");
+
+            expect(await unwrapped.released(rejectingAddress)).to.equal(0);
+            expect(await unwrapped.totalReleased()).to.equal(0);
+            expect(await unwrapped.releasable(rejectingAddress)).to.equal(ethers.parseEther("5"));
+            expect(await ethers.provider.getBalance(await unwrapped.getAddress())).to.equal(ethers.parseEther("10"));
+        });
+
+        it("Should pay a recipient that rejects ETH in WETH", async function () {
+            expect(await splitter.weth()).to.equal(await weth.getAddress());
+
+            const tx = splitter.release(rejectingAddress);
+            await expect(tx)
+                .to.emit(splitter, "PaymentWrapped")
+                .withArgs(rejectingAddress, rejectingAddress, ethers.parseEther("5"));
+            await expect(tx)
+                .to.emit(splitter, "PaymentReleased")
+                .withArgs(rejectingAddress, ethers.parseEther("5"));
+            await expect(tx).to.changeEtherBalances(
+                [splitter, rejecting, weth],
+                [ethers.parseEther("-5"), 0, ethers.parseEther("5")]
+            );
+
+            expect(await weth.balanceOf(rejectingAddress)).to.equal(ethers.parseEther("5"));
+            expect(await weth.balanceOf(await splitter.getAddress())).to.equal(0);
+            expect(await splitter.released(rejectingAddress)).to.equal(ethers.parseEther("5"));
+            expect(await splitter.totalReleased()).to.equal(ethers.parseEther("5"));
+            expect(await splitter.releasable(payee2.address)).to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should still send ETH to recipients that accept it", async function () {
+
+            const tx = splitter.release(payee2.address);
+            await expect(tx).to.changeEtherBalance(payee2, ethers.parseEther("3"));
+            await expect(tx).to.not.emit(splitter, "PaymentWrapped");
+            expect(await weth.totalSupply()).to.equal(0);
+        });
+
+        it("Should keep the split exact across both paths", async function () {
+            const splitterAddress = await splitter.getAddress();
+
+            await expect(splitter.releaseAll()).to.changeEtherBalances(
+                [payee2, payee3],
+                [ethers.parseEther("3"), ethers.parseEther("2")]
+            );
+            expect(await weth.balanceOf(rejectingAddress)).to.equal(ethers.parseEther("5"));
+            expect(await ethers.provider.getBalance(splitterAddress)).to.equal(0);
+            expect(await splitter.totalReleased()).to.equal(ethers.parseEther("10"));
+
+            await owner.sendTransaction({ to: splitterAddress, value: ethers.parseEther("1") });
+            await splitter.releaseAll();
+
+            expect(await weth.balanceOf(rejectingAddress)).to.equal(ethers.parseEther("5.5"));
+            expect(await splitter.released(payee2.address)).to.equal(ethers.parseEther("3.3"));
+            expect(await ethers.provider.getBalance(splitterAddress)).to.equal(0);
+        });
+
+        it("Should wrap payments redirected to a recipient that rejects ETH", async function () {
+            await splitter.connect(payee2).setRecipient(rejectingAddress);
+
+            const tx = splitter.release(payee2.address);
+            await expect(tx)
+                .to.emit(splitter, "PaymentRedirected")
+                .withArgs(payee2.address, rejectingAddress, ethers.parseEther("3"));
+            await expect(tx)
+                .to.emit(splitter, "PaymentWrapped")
+                .withArgs(payee2.address, rejectingAddress, ethers.parseEther("3"));
+
+            expect(await weth.balanceOf(rejectingAddress)).to.equal(ethers.parseEther("3"));
+            expect(await weth.balanceOf(payee2.address)).to.equal(0);
+        });
+
+        it("Should revert instead of wrapping when the send runs out of gas", async function () {
+            await rejecting.setMode(2); // Mode.BurnGas
+
+            await expect(splitter["release(address)"](rejectingAddress, { gasLimit: 1_000_000 }))
+                .to.be.revertedWithCustomError(splitter, "InsufficientGas");
+            expect(await weth.totalSupply()).to.equal(0);
+            expect(await splitter.releasable(rejectingAddress)).to.equal(ethers.parseEther("5"));
+        });
+    });
 });
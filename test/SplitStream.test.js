@@ -1,5 +1,17 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signRelease, submitRelease, toReleaseArgs } = require("../lib/releaseAuthorization");
+const { decodeRevert, formatRevert, ERROR_MESSAGES } = require("../lib/revertDecoder");
+const { encodeReference, decodeReference, findPayments } = require("../lib/paymentReference");
+const {
+    ISPLITSTREAM_CORE_FUNCTIONS,
+    ERC165_INTERFACE_ID,
+    SPLITSTREAM_INTERFACE_ID,
+    computeInterfaceId,
+    isSplitStream,
+    assertSplitStream
+} = require("../lib/interfaceDetection");
 
 describe("SplitStream", function () {
     let splitStream;
@@ -16,7 +28,8 @@ describe("SplitStream", function () {
         const SplitStream = await ethers.getContractFactory("SplitStream");
         splitStream = await SplitStream.deploy(
             [payee1.address, payee2.address, payee3.address],
-            [50, 30, 20]
+            [50, 30, 20],
+            ethers.ZeroAddress
         );
         await splitStream.waitForDeployment();
     });
@@ -43,15 +56,16 @@ describe("SplitStream", function () {
         it("Should revert when payees and shares arrays have different lengths", async function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             await expect(
-                SplitStream.deploy([payee1.address], [50, 30])
-            ).to.be.revertedWith("SplitStream: payees and shares length mismatch");
+                SplitStream.deploy([payee1.address], [50, 30], ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStream, "PayeesLengthMismatch")
+                .withArgs(1, 2);
         });
 
         it("Should revert when no payees are provided", async function () {
             const SplitStream = await ethers.getContractFactory("SplitStream");
             await expect(
-                SplitStream.deploy([], [])
-            ).to.be.revertedWith("SplitStream: no payees");
+                SplitStream.deploy([], [], ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStream, "NoPayees");
         });
 
         it("Should revert when a payee address is zero address", async function () {
@@ -59,9 +73,10 @@ describe("SplitStream", function () {
             await expect(
                 SplitStream.deploy(
                     [ethers.ZeroAddress, payee2.address, payee3.address],
-                    [50, 30, 20]
+                    [50, 30, 20],
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("SplitStream: account is the zero address");
+            ).to.be.revertedWithCustomError(SplitStream, "ZeroAddressPayee");
         });
 
         it("Should revert when shares amount is zero", async function () {
@@ -69,9 +84,11 @@ describe("SplitStream", function () {
             await expect(
                 SplitStream.deploy(
                     [payee1.address, payee2.address, payee3.address],
-                    [50, 0, 20]
+                    [50, 0, 20],
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("SplitStream: shares are 0");
+            ).to.be.revertedWithCustomError(SplitStream, "ZeroShares")
+                .withArgs(payee2.address);
         });
     });
 
@@ -127,13 +144,15 @@ describe("SplitStream", function () {
             // Second release should revert
             await expect(
                 splitStream.release(payee1.address)
-            ).to.be.revertedWith("SplitStream: account is not due payment");
+            ).to.be.revertedWithCustomError(splitStream, "NothingDue")
+                .withArgs(payee1.address);
         });
 
         it("Should revert when non-payee address tries to release", async function () {
             await expect(
                 splitStream.release(owner.address)
-            ).to.be.revertedWith("SplitStream: account has no shares");
+            ).to.be.revertedWithCustomError(splitStream, "NoShares")
+                .withArgs(owner.address);
         });
 
         it("Should increase totalReleased correctly after each release", async function () {
@@ -156,6 +175,953 @@ describe("SplitStream", function () {
         });
     });
 
+    describe("Releasable and Payee Count", function () {
+        it("Should return the number of payees", async function () {
+            expect(await splitStream.payeeCount()).to.equal(3);
+        });
+
+        it("Should return zero releasable before any payment", async function () {
+            expect(await splitStream.releasable(payee1.address)).to.equal(0);
+        });
+
+        it("Should return each payee's releasable share after a payment", async function () {
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.releasable(payee3.address)).to.equal(ethers.parseEther("0.2"));
+        });
+
+        it("Should reduce releasable to zero after release and grow with new payments", async function () {
+            const contractAddress = await splitStream.getAddress();
+            await owner.sendTransaction({ to: contractAddress, value: ethers.parseEther("1") });
+
+            await splitStream.release(payee1.address);
+            expect(await splitStream.releasable(payee1.address)).to.equal(0);
+
+            await owner.sendTransaction({ to: contractAddress, value: ethers.parseEther("1") });
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(ethers.parseEther("0.6"));
+        });
+
+        it("Should return zero releasable for non-payees", async function () {
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+
+            expect(await splitStream.releasable(owner.address)).to.equal(0);
+        });
+    });
+
+    describe("Batch Release", function () {
+        beforeEach(async function () {
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+        });
+
+        it("Should release to every payee with releaseAll", async function () {
+            await expect(splitStream.releaseAll()).to.changeEtherBalances(
+                [payee1, payee2, payee3],
+                [ethers.parseEther("0.5"), ethers.parseEther("0.3"), ethers.parseEther("0.2")]
+            );
+
+            expect(await splitStream.totalReleased()).to.equal(ethers.parseEther("1"));
+            expect(await ethers.provider.getBalance(await splitStream.getAddress())).to.equal(0);
+        });
+
+        it("Should emit PaymentReleased for each payee", async function () {
+            await expect(splitStream.releaseAll())
+                .to.emit(splitStream, "PaymentReleased").withArgs(payee1.address, ethers.parseEther("0.5"))
+                .and.to.emit(splitStream, "PaymentReleased").withArgs(payee2.address, ethers.parseEther("0.3"))
+                .and.to.emit(splitStream, "PaymentReleased").withArgs(payee3.address, ethers.parseEther("0.2"));
+        });
+
+        it("Should skip payees with nothing due instead of reverting", async function () {
+            await splitStream.release(payee1.address);
+
+            const tx = await splitStream.releaseAll();
+            const receipt = await tx.wait();
+            const releases = receipt.logs.filter(
+                log => log.topics[0] === splitStream.interface.getEvent("PaymentReleased").topicHash
+            );
+
+            expect(releases.length).to.equal(2);
+            expect(await splitStream.released(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream.released(payee2.address)).to.equal(ethers.parseEther("0.3"));
+        });
+
+        it("Should not revert when no payee is due", async function () {
+            await splitStream.releaseAll();
+            await expect(splitStream.releaseAll()).to.not.be.reverted;
+        });
+
+        it("Should release only payees inside the given range", async function () {
+            await splitStream.releaseRange(1, 3);
+
+            expect(await splitStream.released(payee1.address)).to.equal(0);
+            expect(await splitStream.released(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.released(payee3.address)).to.equal(ethers.parseEther("0.2"));
+        });
+
+        it("Should revert on an invalid range", async function () {
+            await expect(splitStream.releaseRange(2, 2))
+                .to.be.revertedWithCustomError(splitStream, "InvalidRange")
+                .withArgs(2, 2);
+            await expect(splitStream.releaseRange(0, 4))
+                .to.be.revertedWithCustomError(splitStream, "InvalidRange")
+                .withArgs(0, 4);
+        });
+
+        it("Should release every payee's ERC20 share with releaseAll(token)", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const tokenAddress = await token.getAddress();
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+
+            await splitStream["releaseAll(address)"](tokenAddress);
+
+            expect(await token.balanceOf(payee1.address)).to.equal(ethers.parseUnits("500", 6));
+            expect(await token.balanceOf(payee2.address)).to.equal(ethers.parseUnits("300", 6));
+            expect(await token.balanceOf(payee3.address)).to.equal(ethers.parseUnits("200", 6));
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+        });
+    });
+
+    describe("Push Distribution", function () {
+        let rejectingWallet;
+        let exchangeDeposit;
+
+        beforeEach(async function () {
+            [, , , , exchangeDeposit] = await ethers.getSigners();
+
+            const MockPayee = await ethers.getContractFactory("MockPayee");
+            rejectingWallet = await MockPayee.deploy(1); // Mode.Revert
+
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+        });
+
+        it("Should pay every payee in one call", async function () {
+            await expect(splitStream.distribute())
+                .to.changeEtherBalances(
+                    [payee1, payee2, payee3],
+                    [ethers.parseEther("0.5"), ethers.parseEther("0.3"), ethers.parseEther("0.2")]
+                );
+
+            expect(await splitStream.totalReleased()).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should emit PaymentReleased for each payee", async function () {
+            await expect(splitStream.distribute())
+                .to.emit(splitStream, "PaymentReleased")
+                .withArgs(payee1.address, ethers.parseEther("0.5"))
+                .and.to.emit(splitStream, "PaymentReleased")
+                .withArgs(payee3.address, ethers.parseEther("0.2"));
+        });
+
+        it("Should skip payees with nothing due", async function () {
+            await splitStream.release(payee1.address);
+
+            await expect(splitStream.distribute())
+                .to.changeEtherBalances(
+                    [payee1, payee2],
+                    [0, ethers.parseEther("0.3")]
+                );
+        });
+
+        it("Should push to each payee's recipient", async function () {
+            await splitStream.connect(payee2).setRecipient(exchangeDeposit.address);
+
+            await expect(splitStream.distribute())
+                .to.changeEtherBalance(exchangeDeposit, ethers.parseEther("0.3"));
+        });
+
+        it("Should hold a failed send in escrow and still pay the others", async function () {
+            const rejectingAddress = await rejectingWallet.getAddress();
+            await splitStream.connect(payee2).setRecipient(rejectingAddress);
+
+            const tx = splitStream.distribute();
+            await expect(tx)
+                .to.emit(splitStream, "DistributionFailed")
+                .withArgs(payee2.address, rejectingAddress, ethers.parseEther("0.3"));
+            await expect(tx).to.changeEtherBalances(
+                [payee1, payee3],
+                [ethers.parseEther("0.5"), ethers.parseEther("0.2")]
+            );
+
+            expect(await splitStream.escrowed(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.released(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(0);
+            expect(await splitStream.totalReleased()).to.equal(ethers.parseEther("0.7"));
+        });
+
+        it("Should keep splitting new funds correctly with a payment in escrow", async function () {
+            await splitStream.connect(payee2).setRecipient(await rejectingWallet.getAddress());
+            await splitStream.distribute();
+
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.releasable(payee3.address)).to.equal(ethers.parseEther("0.2"));
+        });
+
+        it("Should let the payee claim their escrow to any address", async function () {
+            await splitStream.connect(payee2).setRecipient(await rejectingWallet.getAddress());
+            await splitStream.distribute();
+
+            const tx = splitStream.connect(payee2).claimEscrow(exchangeDeposit.address);
+            await expect(tx)
+                .to.emit(splitStream, "PaymentRedirected")
+                .withArgs(payee2.address, exchangeDeposit.address, ethers.parseEther("0.3"));
+            await expect(tx).to.changeEtherBalance(exchangeDeposit, ethers.parseEther("0.3"));
+
+            expect(await splitStream.escrowed(payee2.address)).to.equal(0);
+            expect(await splitStream.totalReleased()).to.equal(ethers.parseEther("1"));
+            expect(await ethers.provider.getBalance(await splitStream.getAddress())).to.equal(0);
+        });
+
+        it("Should revert when there is nothing in escrow", async function () {
+            await expect(
+                splitStream.connect(payee2).claimEscrow(payee2.address)
+            ).to.be.revertedWithCustomError(splitStream, "NoEscrow")
+                .withArgs(payee2.address);
+        });
+
+        it("Should revert when claiming escrow to an invalid recipient", async function () {
+            await splitStream.connect(payee2).setRecipient(await rejectingWallet.getAddress());
+            await splitStream.distribute();
+
+            await expect(
+                splitStream.connect(payee2).claimEscrow(ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(splitStream, "InvalidRecipient")
+                .withArgs(ethers.ZeroAddress);
+        });
+
+        it("Should move escrow with a payee transfer", async function () {
+            await splitStream.connect(payee2).setRecipient(await rejectingWallet.getAddress());
+            await splitStream.distribute();
+
+            await splitStream.connect(payee2).transferPayee(exchangeDeposit.address);
+
+            expect(await splitStream.escrowed(payee2.address)).to.equal(0);
+            expect(await splitStream.escrowed(exchangeDeposit.address)).to.equal(ethers.parseEther("0.3"));
+            await expect(splitStream.connect(exchangeDeposit).claimEscrow(exchangeDeposit.address))
+                .to.changeEtherBalance(exchangeDeposit, ethers.parseEther("0.3"));
+        });
+    });
+
+    describe("ERC20 Payments", function () {
+        let token;
+        let tokenAddress;
+
+        beforeEach(async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.waitForDeployment();
+            tokenAddress = await token.getAddress();
+
+            // Fund the splitter with 1000 USDC
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+        });
+
+        it("Should return each payee's releasable token share", async function () {
+            expect(await splitStream["releasable(address,address)"](tokenAddress, payee1.address)).to.equal(ethers.parseUnits("500", 6));
+            expect(await splitStream["releasable(address,address)"](tokenAddress, payee2.address)).to.equal(ethers.parseUnits("300", 6));
+            expect(await splitStream["releasable(address,address)"](tokenAddress, payee3.address)).to.equal(ethers.parseUnits("200", 6));
+        });
+
+        it("Should release tokens to a payee and update token accounting", async function () {
+            await splitStream["release(address,address)"](tokenAddress, payee1.address);
+
+            expect(await token.balanceOf(payee1.address)).to.equal(ethers.parseUnits("500", 6));
+            expect(await splitStream["released(address,address)"](tokenAddress, payee1.address)).to.equal(ethers.parseUnits("500", 6));
+            expect(await splitStream["totalReleased(address)"](tokenAddress)).to.equal(ethers.parseUnits("500", 6));
+            expect(await splitStream["releasable(address,address)"](tokenAddress, payee1.address)).to.equal(0);
+        });
+
+        it("Should emit ERC20PaymentReleased event", async function () {
+            await expect(splitStream["release(address,address)"](tokenAddress, payee2.address))
+                .to.emit(splitStream, "ERC20PaymentReleased")
+                .withArgs(tokenAddress, payee2.address, ethers.parseUnits("300", 6));
+        });
+
+        it("Should keep token accounting separate from ETH", async function () {
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+
+            await splitStream["release(address,address)"](tokenAddress, payee1.address);
+
+            expect(await splitStream.released(payee1.address)).to.equal(0);
+            expect(await splitStream.totalReleased()).to.equal(0);
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+
+            await splitStream.release(payee1.address);
+            expect(await splitStream["released(address,address)"](tokenAddress, payee1.address)).to.equal(ethers.parseUnits("500", 6));
+        });
+
+        it("Should account for tokens received after a release", async function () {
+            await splitStream["release(address,address)"](tokenAddress, payee1.address);
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+
+            expect(await splitStream["releasable(address,address)"](tokenAddress, payee1.address)).to.equal(ethers.parseUnits("500", 6));
+            expect(await splitStream["releasable(address,address)"](tokenAddress, payee2.address)).to.equal(ethers.parseUnits("600", 6));
+        });
+
+        it("Should revert token release for account with no shares", async function () {
+            await expect(
+                splitStream["release(address,address)"](tokenAddress, owner.address)
+            ).to.be.revertedWithCustomError(splitStream, "NoShares");
+        });
+
+        it("Should revert token release when nothing is due", async function () {
+            await splitStream["release(address,address)"](tokenAddress, payee1.address);
+
+            await expect(
+                splitStream["release(address,address)"](tokenAddress, payee1.address)
+            ).to.be.revertedWithCustomError(splitStream, "NothingDue");
+        });
+    });
+
+    describe("Payment Recipients", function () {
+        let coldWallet;
+        let outsider;
+
+        beforeEach(async function () {
+            [, , , , coldWallet, outsider] = await ethers.getSigners();
+
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+        });
+
+        it("Should default the recipient to the payee itself", async function () {
+            expect(await splitStream.recipient(payee1.address)).to.equal(payee1.address);
+        });
+
+        it("Should set a recipient and emit RecipientSet", async function () {
+            await expect(splitStream.connect(payee1).setRecipient(coldWallet.address))
+                .to.emit(splitStream, "RecipientSet")
+                .withArgs(payee1.address, coldWallet.address);
+
+            expect(await splitStream.recipient(payee1.address)).to.equal(coldWallet.address);
+        });
+
+        it("Should send release(account) payments to the recipient", async function () {
+            await splitStream.connect(payee1).setRecipient(coldWallet.address);
+
+            // Anyone can trigger the release, the funds still go to the recipient
+            await expect(splitStream.connect(outsider).release(payee1.address))
+                .to.changeEtherBalances(
+                    [payee1, coldWallet],
+                    [0, ethers.parseEther("0.5")]
+                );
+
+            expect(await splitStream.released(payee1.address)).to.equal(ethers.parseEther("0.5"));
+        });
+
+        it("Should emit PaymentReleased for the payee and PaymentRedirected for the recipient", async function () {
+            await splitStream.connect(payee1).setRecipient(coldWallet.address);
+
+            await expect(splitStream.release(payee1.address))
+                .to.emit(splitStream, "PaymentReleased")
+                .withArgs(payee1.address, ethers.parseEther("0.5"))
+                .and.to.emit(splitStream, "PaymentRedirected")
+                .withArgs(payee1.address, coldWallet.address, ethers.parseEther("0.5"));
+        });
+
+        it("Should not emit PaymentRedirected when paying the payee directly", async function () {
+            await expect(splitStream.release(payee1.address))
+                .to.not.emit(splitStream, "PaymentRedirected");
+        });
+
+        it("Should honor recipients in batch releases", async function () {
+            await splitStream.connect(payee2).setRecipient(coldWallet.address);
+
+            await expect(splitStream.releaseAll())
+                .to.changeEtherBalances(
+                    [payee1, payee2, payee3, coldWallet],
+                    [ethers.parseEther("0.5"), 0, ethers.parseEther("0.2"), ethers.parseEther("0.3")]
+                );
+        });
+
+        it("Should honor recipients for ERC20 releases", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const tokenAddress = await token.getAddress();
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+
+            await splitStream.connect(payee1).setRecipient(coldWallet.address);
+
+            await expect(splitStream["release(address,address)"](tokenAddress, payee1.address))
+                .to.emit(splitStream, "ERC20PaymentRedirected")
+                .withArgs(tokenAddress, payee1.address, coldWallet.address, ethers.parseUnits("500", 6));
+
+            expect(await token.balanceOf(coldWallet.address)).to.equal(ethers.parseUnits("500", 6));
+            expect(await token.balanceOf(payee1.address)).to.equal(0);
+        });
+
+        it("Should clear the recipient with the zero address", async function () {
+            await splitStream.connect(payee1).setRecipient(coldWallet.address);
+            await splitStream.connect(payee1).setRecipient(ethers.ZeroAddress);
+
+            expect(await splitStream.recipient(payee1.address)).to.equal(payee1.address);
+            await expect(splitStream.release(payee1.address))
+                .to.changeEtherBalance(payee1, ethers.parseEther("0.5"));
+        });
+
+        it("Should revert when a non-payee sets a recipient", async function () {
+            await expect(
+                splitStream.connect(outsider).setRecipient(coldWallet.address)
+            ).to.be.revertedWithCustomError(splitStream, "NoShares")
+                .withArgs(outsider.address);
+        });
+
+        it("Should revert when the recipient is the contract itself", async function () {
+            await expect(
+                splitStream.connect(payee1).setRecipient(await splitStream.getAddress())
+            ).to.be.revertedWithCustomError(splitStream, "InvalidRecipient");
+        });
+
+        it("Should clear the recipient when the payee slot is transferred", async function () {
+            await splitStream.connect(payee1).setRecipient(coldWallet.address);
+            await splitStream.connect(payee1).transferPayee(outsider.address);
+
+            expect(await splitStream.recipient(outsider.address)).to.equal(outsider.address);
+            await expect(splitStream.release(outsider.address))
+                .to.changeEtherBalance(outsider, ethers.parseEther("0.5"));
+        });
+    });
+
+    describe("Release To", function () {
+        let exchangeDeposit;
+        let outsider;
+
+        beforeEach(async function () {
+            [, , , , exchangeDeposit, outsider] = await ethers.getSigners();
+
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+        });
+
+        it("Should send the caller's payment to the given address", async function () {
+            await expect(splitStream.connect(payee2)["releaseTo(address)"](exchangeDeposit.address))
+                .to.changeEtherBalances(
+                    [payee2, exchangeDeposit],
+                    [0, ethers.parseEther("0.3")]
+                );
+
+            expect(await splitStream.released(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(0);
+        });
+
+        it("Should emit PaymentReleased and PaymentRedirected", async function () {
+            await expect(splitStream.connect(payee2)["releaseTo(address)"](exchangeDeposit.address))
+                .to.emit(splitStream, "PaymentReleased")
+                .withArgs(payee2.address, ethers.parseEther("0.3"))
+                .and.to.emit(splitStream, "PaymentRedirected")
+                .withArgs(payee2.address, exchangeDeposit.address, ethers.parseEther("0.3"));
+        });
+
+        it("Should take precedence over a persistent recipient", async function () {
+            await splitStream.connect(payee2).setRecipient(outsider.address);
+
+            await expect(splitStream.connect(payee2)["releaseTo(address)"](exchangeDeposit.address))
+                .to.changeEtherBalances(
+                    [outsider, exchangeDeposit],
+                    [0, ethers.parseEther("0.3")]
+                );
+        });
+
+        it("Should release ERC20 tokens to the given address", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const tokenAddress = await token.getAddress();
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+
+            await expect(splitStream.connect(payee3)["releaseTo(address,address)"](tokenAddress, exchangeDeposit.address))
+                .to.emit(splitStream, "ERC20PaymentReleased")
+                .withArgs(tokenAddress, payee3.address, ethers.parseUnits("200", 6));
+
+            expect(await token.balanceOf(exchangeDeposit.address)).to.equal(ethers.parseUnits("200", 6));
+            expect(await splitStream["released(address,address)"](tokenAddress, payee3.address)).to.equal(ethers.parseUnits("200", 6));
+        });
+
+        it("Should revert when the caller is not a payee", async function () {
+            await expect(
+                splitStream.connect(outsider)["releaseTo(address)"](exchangeDeposit.address)
+            ).to.be.revertedWithCustomError(splitStream, "NoShares");
+        });
+
+        it("Should revert for the zero address or the contract itself", async function () {
+            await expect(
+                splitStream.connect(payee1)["releaseTo(address)"](ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(splitStream, "InvalidRecipient");
+
+            await expect(
+                splitStream.connect(payee1)["releaseTo(address)"](await splitStream.getAddress())
+            ).to.be.revertedWithCustomError(splitStream, "InvalidRecipient");
+        });
+
+        it("Should revert when nothing is due", async function () {
+            await splitStream.connect(payee1)["releaseTo(address)"](exchangeDeposit.address);
+
+            await expect(
+                splitStream.connect(payee1)["releaseTo(address)"](exchangeDeposit.address)
+            ).to.be.revertedWithCustomError(splitStream, "NothingDue");
+        });
+    });
+
+    describe("Payee Transfer", function () {
+        let newWallet;
+        let outsider;
+
+        beforeEach(async function () {
+            [, , , , newWallet, outsider] = await ethers.getSigners();
+
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+        });
+
+        it("Should move shares and the payee slot to the new address", async function () {
+            await splitStream.connect(payee2).transferPayee(newWallet.address);
+
+            expect(await splitStream.shares(newWallet.address)).to.equal(30);
+            expect(await splitStream.shares(payee2.address)).to.equal(0);
+            expect(await splitStream.payee(1)).to.equal(newWallet.address);
+            expect(await splitStream.payeeCount()).to.equal(3);
+            expect(await splitStream.totalShares()).to.equal(100);
+        });
+
+        it("Should emit PayeeTransferred", async function () {
+            await expect(splitStream.connect(payee2).transferPayee(newWallet.address))
+                .to.emit(splitStream, "PayeeTransferred")
+                .withArgs(payee2.address, newWallet.address);
+        });
+
+        it("Should carry over ETH release history so nothing is paid twice", async function () {
+            await splitStream.release(payee1.address);
+            await splitStream.connect(payee1).transferPayee(newWallet.address);
+
+            expect(await splitStream.released(newWallet.address)).to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream.releasable(newWallet.address)).to.equal(0);
+            expect(await splitStream.released(payee1.address)).to.equal(0);
+
+            // New payments are split to the new address
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+            await expect(splitStream.release(newWallet.address))
+                .to.changeEtherBalance(newWallet, ethers.parseEther("0.5"));
+        });
+
+        it("Should hand pending ETH to the new address", async function () {
+            await splitStream.connect(payee3).transferPayee(newWallet.address);
+
+            await expect(splitStream.release(newWallet.address))
+                .to.changeEtherBalance(newWallet, ethers.parseEther("0.2"));
+            await expect(splitStream.release(payee3.address))
+                .to.be.revertedWithCustomError(splitStream, "NoShares");
+        });
+
+        it("Should carry over ERC20 release history", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const tokenAddress = await token.getAddress();
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+
+            await splitStream["release(address,address)"](tokenAddress, payee1.address);
+            await splitStream.connect(payee1).transferPayee(newWallet.address);
+
+            expect(await splitStream["released(address,address)"](tokenAddress, newWallet.address)).to.equal(ethers.parseUnits("500", 6));
+            expect(await splitStream["releasable(address,address)"](tokenAddress, newWallet.address)).to.equal(0);
+            expect(await splitStream["released(address,address)"](tokenAddress, payee1.address)).to.equal(0);
+            expect(await splitStream["releasable(address,address)"](tokenAddress, payee1.address)).to.equal(0);
+
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("100", 6));
+            await splitStream["release(address,address)"](tokenAddress, newWallet.address);
+            expect(await token.balanceOf(newWallet.address)).to.equal(ethers.parseUnits("50", 6));
+        });
+
+        it("Should release to the new address in batch releases", async function () {
+            await splitStream.connect(payee2).transferPayee(newWallet.address);
+
+            await expect(splitStream.releaseAll())
+                .to.changeEtherBalances(
+                    [payee1, payee2, payee3, newWallet],
+                    [ethers.parseEther("0.5"), 0, ethers.parseEther("0.2"), ethers.parseEther("0.3")]
+                );
+        });
+
+        it("Should support rotating the same slot more than once", async function () {
+            await splitStream.release(payee1.address);
+            await splitStream.connect(payee1).transferPayee(newWallet.address);
+            await splitStream.connect(newWallet).transferPayee(payee1.address);
+
+            expect(await splitStream.payee(0)).to.equal(payee1.address);
+            expect(await splitStream.released(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream.releasable(payee1.address)).to.equal(0);
+            expect(await splitStream.shares(newWallet.address)).to.equal(0);
+        });
+
+        it("Should revert when the caller is not a payee", async function () {
+            await expect(
+                splitStream.connect(outsider).transferPayee(newWallet.address)
+            ).to.be.revertedWithCustomError(splitStream, "NoShares");
+        });
+
+        it("Should revert when the new address is already a payee", async function () {
+            await expect(
+                splitStream.connect(payee1).transferPayee(payee2.address)
+            ).to.be.revertedWithCustomError(splitStream, "DuplicatePayee")
+                .withArgs(payee2.address);
+
+            await expect(
+                splitStream.connect(payee1).transferPayee(payee1.address)
+            ).to.be.revertedWithCustomError(splitStream, "DuplicatePayee");
+        });
+
+        it("Should revert when the new address is the zero address", async function () {
+            await expect(
+                splitStream.connect(payee1).transferPayee(ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(splitStream, "ZeroAddressPayee");
+        });
+    });
+
+    describe("Signed Release", function () {
+        let relayer;
+        let exchangeDeposit;
+        const fee = ethers.parseEther("0.01");
+
+        beforeEach(async function () {
+            [, , , , relayer, exchangeDeposit] = await ethers.getSigners();
+
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+        });
+
+        it("Should pay the payee minus the fee and the fee to the relayer", async function () {
+            const release = await signRelease(payee2, splitStream, { maxFee: fee });
+
+            await expect(submitRelease(splitStream.connect(relayer), release))
+                .to.changeEtherBalances(
+                    [payee2, relayer],
+                    [ethers.parseEther("0.29"), fee]
+                );
+
+            expect(await splitStream.released(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(0);
+        });
+
+        it("Should emit ReleaseRelayed and account for the fee as a redirected release", async function () {
+            const release = await signRelease(payee2, splitStream, { maxFee: fee });
+
+            await expect(submitRelease(splitStream.connect(relayer), release))
+                .to.emit(splitStream, "ReleaseRelayed")
+                .withArgs(payee2.address, relayer.address, fee)
+                .and.to.emit(splitStream, "PaymentRedirected")
+                .withArgs(payee2.address, relayer.address, fee)
+                .and.to.emit(splitStream, "PaymentReleased")
+                .withArgs(payee2.address, ethers.parseEther("0.29"));
+        });
+
+        it("Should send the payment to the signed address", async function () {
+            const release = await signRelease(payee2, splitStream, {
+                to: exchangeDeposit.address,
+                maxFee: fee
+            });
+
+            await expect(submitRelease(splitStream.connect(relayer), release))
+                .to.changeEtherBalances(
+                    [payee2, exchangeDeposit],
+                    [0, ethers.parseEther("0.29")]
+                );
+        });
+
+        it("Should default to the payee's recipient", async function () {
+            await splitStream.connect(payee2).setRecipient(exchangeDeposit.address);
+            const release = await signRelease(payee2, splitStream, { maxFee: fee });
+
+            expect(release.message.to).to.equal(exchangeDeposit.address);
+            await expect(submitRelease(splitStream.connect(relayer), release))
+                .to.changeEtherBalance(exchangeDeposit, ethers.parseEther("0.29"));
+        });
+
+        it("Should allow a release with no fee", async function () {
+            const release = await signRelease(payee2, splitStream);
+
+            await expect(submitRelease(splitStream.connect(relayer), release))
+                .to.changeEtherBalances(
+                    [payee2, relayer],
+                    [ethers.parseEther("0.3"), 0]
+                );
+        });
+
+        it("Should increment the payee's nonce", async function () {
+            expect(await splitStream.nonces(payee2.address)).to.equal(0);
+
+            const release = await signRelease(payee2, splitStream, { maxFee: fee });
+            await submitRelease(splitStream.connect(relayer), release);
+
+            expect(await splitStream.nonces(payee2.address)).to.equal(1);
+            expect(await splitStream.nonces(payee1.address)).to.equal(0);
+        });
+
+        it("Should revert when the signature is reused", async function () {
+            const release = await signRelease(payee2, splitStream, { maxFee: fee });
+            await submitRelease(splitStream.connect(relayer), release);
+
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+
+            await expect(
+                submitRelease(splitStream.connect(relayer), release)
+            ).to.be.revertedWithCustomError(splitStream, "InvalidNonce")
+                .withArgs(payee2.address, 0);
+        });
+
+        it("Should revert after the deadline", async function () {
+            const deadline = BigInt(await time.latest()) + 60n;
+            const release = await signRelease(payee2, splitStream, { maxFee: fee, deadline });
+
+            await time.increaseTo(deadline + 1n);
+
+            await expect(
+                submitRelease(splitStream.connect(relayer), release)
+            ).to.be.revertedWithCustomError(splitStream, "SignatureExpired")
+                .withArgs(deadline);
+        });
+
+        it("Should revert when any signed field is changed", async function () {
+            const release = await signRelease(payee2, splitStream, { maxFee: fee });
+
+            const args = toReleaseArgs(release);
+            args[1] = relayer.address;
+            await expect(
+                splitStream.connect(relayer).releaseWithSig(...args)
+            ).to.be.revertedWithCustomError(splitStream, "InvalidSignature");
+
+            const raisedFee = toReleaseArgs(release);
+            raisedFee[2] = ethers.parseEther("0.2");
+            await expect(
+                splitStream.connect(relayer).releaseWithSig(...raisedFee)
+            ).to.be.revertedWithCustomError(splitStream, "InvalidSignature");
+        });
+
+        it("Should revert when the message is not signed by the payee", async function () {
+            const release = await signRelease(payee1, splitStream, {
+                account: payee2.address,
+                maxFee: fee
+            });
+
+            await expect(
+                submitRelease(splitStream.connect(relayer), release)
+            ).to.be.revertedWithCustomError(splitStream, "InvalidSignature");
+        });
+
+        it("Should revert when the fee is not less than the payment", async function () {
+            const release = await signRelease(payee2, splitStream, {
+                maxFee: ethers.parseEther("0.3")
+            });
+
+            await expect(
+                submitRelease(splitStream.connect(relayer), release)
+            ).to.be.revertedWithCustomError(splitStream, "FeeNotCovered")
+                .withArgs(ethers.parseEther("0.3"), ethers.parseEther("0.3"));
+        });
+
+        it("Should revert for accounts without shares", async function () {
+            const release = await signRelease(relayer, splitStream, { maxFee: fee });
+
+            await expect(
+                submitRelease(splitStream.connect(relayer), release)
+            ).to.be.revertedWithCustomError(splitStream, "NoShares")
+                .withArgs(relayer.address);
+        });
+    });
+
+    describe("Revert Decoding", function () {
+        async function revertOf(promise) {
+            try {
+                await promise;
+            } catch (error) {
+                return error;
+            }
+            throw new Error("Expected the call to revert");
+        }
+
+        it("Should decode a custom error with its arguments", async function () {
+            const error = await revertOf(splitStream.release(payee1.address));
+            const decoded = decodeRevert(error);
+
+            expect(decoded.name).to.equal("NothingDue");
+            expect(decoded.args.account).to.equal(payee1.address);
+            expect(decoded.message).to.equal(`No payment is due to ${payee1.address}`);
+            expect(decoded.hint).to.be.a("string");
+        });
+
+        it("Should decode reverts from a contract without the errors in its ABI", async function () {
+            const minimal = new ethers.Contract(
+                await splitStream.getAddress(),
+                ["function release(address account)"],
+                owner
+            );
+
+            const error = await revertOf(minimal.release(owner.address));
+            expect(formatRevert(error)).to.equal(`${owner.address} is not a payee of this splitter`);
+        });
+
+        it("Should decode reverts from gas estimation and static calls", async function () {
+            const estimate = await revertOf(splitStream.releaseRange.estimateGas(0, 4));
+            expect(formatRevert(estimate)).to.equal("Payee range [0, 4) is empty or out of bounds");
+
+            const call = await revertOf(splitStream.connect(owner).claimEscrow.staticCall(owner.address));
+            expect(decodeRevert(call).name).to.equal("NoEscrow");
+        });
+
+        it("Should fall back to the raw message for other errors", async function () {
+            const error = new Error("could not detect network");
+
+            expect(decodeRevert(error)).to.equal(null);
+            expect(formatRevert(error)).to.equal("could not detect network");
+        });
+
+        it("Should have a message for every error in the contract ABIs", async function () {
+            for (const name of [
+                "SplitStream",
+                "SplitStreamClone",
+                "SplitStreamVesting",
+                "SplitStreamPausable",
+                "SplitStreamWaterfall",
+                "SplitStreamCapped",
+                "SplitStreamGoverned",
+                "SplitStreamTokenized",
+                "SplitStreamHeld",
+                "SplitStreamIncentivized",
+                "SplitStreamRoyalties",
+                "SplitStreamRenounceable",
+                "SplitStreamRecoverable",
+                "SplitStreamLens"
+            ]) {
+                const factory = await ethers.getContractFactory(name);
+
+                factory.interface.forEachError((fragment) => {
+                    expect(ERROR_MESSAGES, `${name}.${fragment.name}`).to.have.property(fragment.name);
+                });
+            }
+        });
+    });
+
+    describe("Payment References", function () {
+        it("Should emit the reference with the payment", async function () {
+            const reference = encodeReference("INV-2024-001");
+            const tx = splitStream.pay(reference, { value: ethers.parseEther("1") });
+
+            await expect(tx).to.emit(splitStream, "PaymentReceived")
+                .withArgs(owner.address, ethers.parseEther("1"));
+            await expect(tx).to.emit(splitStream, "PaymentReference")
+                .withArgs(owner.address, reference, ethers.parseEther("1"));
+        });
+
+        it("Should split referenced payments like any other", async function () {
+            await splitStream.pay(encodeReference("INV-2024-001"), { value: ethers.parseEther("1") });
+
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            await expect(splitStream.release(payee2.address))
+                .to.changeEtherBalance(payee2, ethers.parseEther("0.3"));
+        });
+
+        it("Should find the payments made for an invoice", async function () {
+            await splitStream.pay(encodeReference("INV-1"), { value: ethers.parseEther("1") });
+            await splitStream.connect(payee3).pay(encodeReference("INV-2"), { value: ethers.parseEther("2") });
+            await splitStream.pay(encodeReference("INV-1"), { value: ethers.parseEther("0.5") });
+
+            const payments = await findPayments(splitStream, "INV-1");
+
+            expect(payments.map(p => p.amount)).to.deep.equal([ethers.parseEther("1"), ethers.parseEther("0.5")]);
+            expect(payments[0].from).to.equal(owner.address);
+            expect(payments[0].reference).to.equal("INV-1");
+        });
+
+        it("Should round-trip text references and pass hex references through", async function () {
+            const hash = ethers.id("order-7f3a");
+
+            expect(decodeReference(encodeReference("INV-2024-001"))).to.equal("INV-2024-001");
+            expect(encodeReference(hash)).to.equal(hash);
+            expect(decodeReference(hash)).to.equal(hash);
+            expect(() => encodeReference("x".repeat(32))).to.throw("longer than 31 bytes");
+        });
+    });
+
+    describe("Interface Detection", function () {
+        it("Should report ERC-165 and ISplitStream support", async function () {
+            expect(await splitStream.supportsInterface(ERC165_INTERFACE_ID)).to.equal(true);
+            expect(await splitStream.supportsInterface(SPLITSTREAM_INTERFACE_ID)).to.equal(true);
+            expect(await splitStream.supportsInterface("0xffffffff")).to.equal(false);
+            expect(await splitStream.supportsInterface("0x80ac58cd")).to.equal(false); // ERC-721
+        });
+
+        it("Should keep the core interface ID frozen", async function () {
+            // Changing a function of ISplitStreamCore would break detection of deployed splitters
+            expect(computeInterfaceId(ISPLITSTREAM_CORE_FUNCTIONS)).to.equal(SPLITSTREAM_INTERFACE_ID);
+            expect(SPLITSTREAM_INTERFACE_ID).to.equal("0xbe3b9f9f");
+        });
+
+        it("Should detect SplitStream variants", async function () {
+            const SplitStreamPausable = await ethers.getContractFactory("SplitStreamPausable");
+            const pausable = await SplitStreamPausable.deploy([payee1.address], [100], owner.address, false, ethers.ZeroAddress);
+
+            expect(await isSplitStream(await splitStream.getAddress(), ethers.provider)).to.equal(true);
+            expect(await isSplitStream(await pausable.getAddress(), ethers.provider)).to.equal(true);
+        });
+
+        it("Should not detect accounts and contracts that are not splitters", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+            expect(await isSplitStream(payee1.address, ethers.provider)).to.equal(false);
+            expect(await isSplitStream(await token.getAddress(), ethers.provider)).to.equal(false);
+            expect(await isSplitStream("0x1234", ethers.provider)).to.equal(false);
+        });
+
+        it("Should explain why an address is rejected", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const tokenAddress = await token.getAddress();
+
+            await expect(assertSplitStream("0x1234", ethers.provider))
+                .to.be.rejectedWith("Invalid contract address format");
+            await expect(assertSplitStream(payee1.address, ethers.provider))
+                .to.be.rejectedWith(`No contract found at ${payee1.address}`);
+            await expect(assertSplitStream(tokenAddress, ethers.provider))
+                .to.be.rejectedWith(`${tokenAddress} is not a SplitStream contract`);
+            await assertSplitStream(await splitStream.getAddress(), ethers.provider);
+        });
+    });
+
     describe("Receive Function", function () {
         it("Should receive ETH directly and increase contract balance", async function () {
             const contractAddress = await splitStream.getAddress();
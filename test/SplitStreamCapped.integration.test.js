@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SplitStreamCapped - Integration Tests", function () {
+    let SplitStreamCapped;
+    let owner, alice, bob, charlie, client1, client2;
+
+    beforeEach(async function () {
+        [owner, alice, bob, charlie, client1, client2] = await ethers.getSigners();
+        SplitStreamCapped = await ethers.getContractFactory("SplitStreamCapped");
+    });
+
+    describe("Fixed-Fee Collaborator", function () {
+        it("Should pay a collaborator up to their fee over monthly payments", async function () {
+            // Studio (50%), Partner (30%), Freelancer (20%) capped at a 3 ETH fee
+            const splitter = await SplitStreamCapped.deploy(
+                [alice.address, bob.address, charlie.address],
+                [50, 30, 20],
+                [0, 0, ethers.parseEther("3")],
+                ethers.ZeroAddress,
+                ethers.ZeroAddress
+            );
+            await splitter.waitForDeployment();
+
+            const monthlyRevenue = ethers.parseEther("5");
+
+            // Months 1-3: the freelancer gets their 20% (1 ETH per month)
+            for (let month = 1; month <= 3; month++) {
+                await client1.sendTransaction({ to: await splitter.getAddress(), value: monthlyRevenue });
+
+                await splitter.release(charlie.address);
+                expect(await splitter.released(charlie.address)).to.equal(ethers.parseEther("1") * BigInt(month));
+            }
+
+            expect(await splitter.remainingCap(charlie.address)).to.equal(0);
+
+            // Month 4: the freelancer is done, their 20% flows to the others 50/30
+            await client1.sendTransaction({ to: await splitter.getAddress(), value: monthlyRevenue });
+
+            expect(await splitter.releasable(charlie.address)).to.equal(0);
+            await expect(splitter.release(charlie.address))
+                .to.be.revertedWithCustomError(splitter, "NothingDue");
+
+            await splitter.releaseAll();
+
+            // 20 ETH received: 3 ETH to the freelancer, 17 ETH split 50/30
+            expect(await splitter.released(alice.address)).to.equal(ethers.parseEther("10.625"));
+            expect(await splitter.released(bob.address)).to.equal(ethers.parseEther("6.375"));
+            expect(await splitter.totalReleased()).to.equal(ethers.parseEther("20"));
+            expect(await ethers.provider.getBalance(await splitter.getAddress())).to.equal(0);
+        });
+
+        it("Should cap a payee mid-payment and redistribute the rest of that payment", async function () {
+            const splitter = await SplitStreamCapped.deploy(
+                [alice.address, bob.address],
+                [50, 50],
+                [ethers.parseEther("2"), 0],
+                ethers.ZeroAddress,
+                ethers.ZeroAddress
+            );
+            await splitter.waitForDeployment();
+
+            // The cap is reached partway through this payment
+            await client1.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("3") });
+            expect(await splitter.releasable(alice.address)).to.equal(ethers.parseEther("1.5"));
+
+            await client2.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("3") });
+            expect(await splitter.releasable(alice.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitter.releasable(bob.address)).to.equal(ethers.parseEther("4"));
+
+            await expect(splitter.releaseAll()).to.changeEtherBalances(
+                [alice, bob],
+                [ethers.parseEther("2"), ethers.parseEther("4")]
+            );
+        });
+    });
+
+    describe("Staggered Caps", function () {
+        it("Should redistribute as several payees hit their caps at different times", async function () {
+            // Two contractors with different fees, one uncapped owner
+            const splitter = await SplitStreamCapped.deploy(
+                [alice.address, bob.address, charlie.address],
+                [40, 40, 20],
+                [ethers.parseEther("2"), ethers.parseEther("5"), 0],
+                ethers.ZeroAddress,
+                ethers.ZeroAddress
+            );
+            await splitter.waitForDeployment();
+
+            // 5 ETH: alice reaches her cap exactly
+            await client1.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("5") });
+            await splitter.release(alice.address);
+            expect(await splitter.released(alice.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitter.releasable(bob.address)).to.equal(ethers.parseEther("2"));
+
+            // 6 ETH more: bob's 40/60 of the residual takes him past his cap
+            await client2.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("6") });
+            expect(await splitter.releasable(bob.address)).to.equal(ethers.parseEther("5"));
+            expect(await splitter.releasable(charlie.address)).to.equal(ethers.parseEther("4"));
+
+            // From now on everything goes to charlie
+            await client1.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("10") });
+            await splitter.releaseAll();
+
+            expect(await splitter.released(alice.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitter.released(bob.address)).to.equal(ethers.parseEther("5"));
+            expect(await splitter.released(charlie.address)).to.equal(ethers.parseEther("14"));
+        });
+
+        it("Should never pay out more than received with withdrawals at any point", async function () {
+            const splitter = await SplitStreamCapped.deploy(
+                [alice.address, bob.address, charlie.address],
+                [33, 33, 34],
+                [ethers.parseEther("1.1"), ethers.parseEther("2.3"), 0],
+                ethers.ZeroAddress,
+                ethers.ZeroAddress
+            );
+            await splitter.waitForDeployment();
+
+            const payments = ["0.7", "1.3", "0.05", "2.9", "0.33", "4"];
+            let received = 0n;
+
+            for (let i = 0; i < payments.length; i++) {
+                const amount = ethers.parseEther(payments[i]);
+                received += amount;
+                await client1.sendTransaction({ to: await splitter.getAddress(), value: amount });
+
+                // Different payees withdraw after different payments
+                const payee = [alice, bob, charlie][i % 3];
+                if ((await splitter.releasable(payee.address)) > 0n) {
+                    await splitter.release(payee.address);
+                }
+
+                expect(await splitter.totalReleased()).to.be.at.most(received);
+                expect(await splitter.released(alice.address)).to.be.at.most(ethers.parseEther("1.1"));
+                expect(await splitter.released(bob.address)).to.be.at.most(ethers.parseEther("2.3"));
+            }
+
+            await splitter.releaseAll();
+
+            expect(await splitter.released(alice.address)).to.equal(ethers.parseEther("1.1"));
+            expect(await splitter.released(bob.address)).to.equal(ethers.parseEther("2.3"));
+            expect(await ethers.provider.getBalance(await splitter.getAddress())).to.be.below(3n);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SplitStreamCapped", function () {
+    let SplitStreamCapped;
+    let splitStream;
+    let owner;
+    let payee1;
+    let payee2;
+    let payee3;
+
+    beforeEach(async function () {
+        [owner, payee1, payee2, payee3] = await ethers.getSigners();
+        SplitStreamCapped = await ethers.getContractFactory("SplitStreamCapped");
+
+        // payee1 is capped at 1 ETH, payee2 at 3 ETH, payee3 is uncapped
+        splitStream = await SplitStreamCapped.deploy(
+            [payee1.address, payee2.address, payee3.address],
+            [50, 30, 20],
+            [ethers.parseEther("1"), ethers.parseEther("3"), 0],
+            ethers.ZeroAddress,
+            ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+    });
+
+    async function pay(amount) {
+        await owner.sendTransaction({ to: await splitStream.getAddress(), value: ethers.parseEther(amount) });
+    }
+
+    describe("Deployment", function () {
+        it("Should store each payee's cap", async function () {
+            expect(await splitStream.cap(payee1.address)).to.equal(ethers.parseEther("1"));
+            expect(await splitStream.cap(payee3.address)).to.equal(0);
+            expect(await splitStream.capAsset()).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should revert when payees and caps lengths differ", async function () {
+            await expect(
+                SplitStreamCapped.deploy([payee1.address, payee2.address], [50, 50], [0], ethers.ZeroAddress, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamCapped, "CapsLengthMismatch").withArgs(2, 1);
+        });
+
+        it("Should revert when every payee is capped", async function () {
+            await expect(
+                SplitStreamCapped.deploy([payee1.address, payee2.address], [50, 50], [100, 100], ethers.ZeroAddress, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamCapped, "NoUncappedPayee");
+        });
+
+        it("Should apply the usual payee validation", async function () {
+            await expect(
+                SplitStreamCapped.deploy([payee1.address, payee1.address], [50, 50], [0, 0], ethers.ZeroAddress, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamCapped, "DuplicatePayee");
+        });
+    });
+
+    describe("Caps", function () {
+        it("Should split by shares while no payee is at its cap", async function () {
+            await pay("1");
+
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.releasable(payee3.address)).to.equal(ethers.parseEther("0.2"));
+            expect(await splitStream.remainingCap(payee1.address)).to.equal(ethers.parseEther("0.5"));
+        });
+
+        it("Should redistribute a capped payee's excess by the other payees' shares", async function () {
+            await pay("4");
+
+            // payee1 stops at 1 ETH; the other 3 ETH split 30/20
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("1"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(ethers.parseEther("1.8"));
+            expect(await splitStream.releasable(payee3.address)).to.equal(ethers.parseEther("1.2"));
+            expect(await splitStream.remainingCap(payee1.address)).to.equal(0);
+        });
+
+        it("Should cap out payees one after another", async function () {
+            await pay("10");
+
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("1"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(ethers.parseEther("3"));
+            expect(await splitStream.releasable(payee3.address)).to.equal(ethers.parseEther("6"));
+        });
+
+        it("Should report uncapped payees as having no limit", async function () {
+            expect(await splitStream.remainingCap(payee3.address)).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should split other assets by plain shares", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(await splitStream.getAddress(), 10000000n);
+
+            expect(await splitStream["releasable(address,address)"](await token.getAddress(), payee1.address))
+                .to.equal(5000000n);
+        });
+
+        it("Should apply the caps to an ERC20 cap asset", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const tokenAddress = await token.getAddress();
+            const capped = await SplitStreamCapped.deploy(
+                [payee1.address, payee2.address], [50, 50], [1000000n, 0], tokenAddress, ethers.ZeroAddress
+            );
+            await token.mint(await capped.getAddress(), 5000000n);
+
+            expect(await capped["releasable(address,address)"](tokenAddress, payee1.address)).to.equal(1000000n);
+            expect(await capped["releasable(address,address)"](tokenAddress, payee2.address)).to.equal(4000000n);
+
+            // ETH is not capped
+            await owner.sendTransaction({ to: await capped.getAddress(), value: ethers.parseEther("4") });
+            expect(await capped.releasable(payee1.address)).to.equal(ethers.parseEther("2"));
+        });
+
+        it("Should move the cap with the payee slot", async function () {
+            await pay("1");
+            await splitStream.release(payee1.address);
+            await splitStream.connect(payee1).transferPayee(owner.address);
+
+            expect(await splitStream.cap(owner.address)).to.equal(ethers.parseEther("1"));
+            expect(await splitStream.cap(payee1.address)).to.equal(0);
+            expect(await splitStream.remainingCap(owner.address)).to.equal(ethers.parseEther("0.5"));
+        });
+    });
+});
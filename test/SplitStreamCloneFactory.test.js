@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signRelease, submitRelease, toReleaseArgs } = require("../lib/releaseAuthorization");
+const { isSplitStream } = require("../lib/interfaceDetection");
+
+describe("SplitStreamCloneFactory", function () {
+    let cloneFactory;
+    let owner;
+    let payee1;
+    let payee2;
+    let payee3;
+    let payees;
+    const shares = [50, 30, 20];
+    const salt = ethers.id("client-project-1");
+
+    beforeEach(async function () {
+        [owner, payee1, payee2, payee3] = await ethers.getSigners();
+        payees = [payee1.address, payee2.address, payee3.address];
+
+        const SplitStreamCloneFactory = await ethers.getContractFactory("SplitStreamCloneFactory");
+        cloneFactory = await SplitStreamCloneFactory.deploy(ethers.ZeroAddress);
+        await cloneFactory.waitForDeployment();
+    });
+
+    describe("Clone Creation", function () {
+        it("Should deploy an EIP-1167 proxy to the implementation at the predicted address", async function () {
+            const predicted = await cloneFactory.predictAddress(payees, shares, salt);
+
+            await expect(cloneFactory.createSplitStream(payees, shares, salt))
+                .to.emit(cloneFactory, "SplitStreamCreated")
+                .withArgs(predicted, payees, shares, salt);
+
+            const implementation = (await cloneFactory.implementation()).slice(2).toLowerCase();
+            const code = await ethers.provider.getCode(predicted);
+            expect(code).to.equal(
+                `0x363d3d373d3d3d363d73${implementation}5af43d82803e903d91602b57fd5bf3`
+            );
+        });
+
+        it("Should predict different addresses for different shares", async function () {
+            const addressA = await cloneFactory.predictAddress(payees, [50, 30, 20], salt);
+            const addressB = await cloneFactory.predictAddress(payees, [40, 40, 20], salt);
+
+            expect(addressA).to.not.equal(addressB);
+        });
+
+        it("Should revert when deploying the same configuration twice", async function () {
+            await cloneFactory.createSplitStream(payees, shares, salt);
+
+            await expect(cloneFactory.createSplitStream(payees, shares, salt)).to.be.reverted;
+        });
+    });
+
+    describe("Clone Behaviour", function () {
+        let clone;
+
+        beforeEach(async function () {
+            const predicted = await cloneFactory.predictAddress(payees, shares, salt);
+            await cloneFactory.createSplitStream(payees, shares, salt);
+            clone = await ethers.getContractAt("SplitStreamClone", predicted);
+        });
+
+        it("Should be configured like a constructor-deployed SplitStream", async function () {
+            expect(await clone.totalShares()).to.equal(100);
+            expect(await clone.payeeCount()).to.equal(3);
+            expect(await clone.shares(payee2.address)).to.equal(30);
+            expect(await clone.payee(2)).to.equal(payee3.address);
+        });
+
+        it("Should wrap payments into the WETH the factory was deployed with", async function () {
+            const MockWETH = await ethers.getContractFactory("MockWETH");
+            const weth = await MockWETH.deploy();
+            const SplitStreamCloneFactory = await ethers.getContractFactory("SplitStreamCloneFactory");
+            const wrappingFactory = await SplitStreamCloneFactory.deploy(await weth.getAddress());
+
+            const predicted = await wrappingFactory.predictAddress(payees, shares, salt);
+            await wrappingFactory.createSplitStream(payees, shares, salt);
+
+            expect(await (await ethers.getContractAt("SplitStreamClone", predicted)).weth())
+                .to.equal(await weth.getAddress());
+            expect(await clone.weth()).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should be detected as a SplitStream, unlike the factory", async function () {
+            expect(await isSplitStream(await clone.getAddress(), ethers.provider)).to.equal(true);
+            expect(await isSplitStream(await cloneFactory.getAddress(), ethers.provider)).to.equal(false);
+        });
+
+        it("Should split ETH between payees", async function () {
+            await owner.sendTransaction({ to: await clone.getAddress(), value: ethers.parseEther("1") });
+
+            await expect(clone.release(payee1.address))
+                .to.changeEtherBalance(payee1, ethers.parseEther("0.5"));
+            await expect(clone.releaseAll())
+                .to.changeEtherBalances([payee2, payee3], [ethers.parseEther("0.3"), ethers.parseEther("0.2")]);
+        });
+
+        it("Should split ERC20 tokens between payees", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(await clone.getAddress(), 1000000n);
+
+            await clone["releaseAll(address)"](await token.getAddress());
+
+            expect(await token.balanceOf(payee1.address)).to.equal(500000n);
+            expect(await token.balanceOf(payee2.address)).to.equal(300000n);
+            expect(await token.balanceOf(payee3.address)).to.equal(200000n);
+        });
+
+        it("Should keep clone state separate from other clones", async function () {
+            const otherAddress = await cloneFactory.predictAddress([payee1.address], [1], salt);
+            await cloneFactory.createSplitStream([payee1.address], [1], salt);
+            const other = await ethers.getContractAt("SplitStreamClone", otherAddress);
+
+            expect(await other.totalShares()).to.equal(1);
+            expect(await clone.totalShares()).to.equal(100);
+            expect(await other.shares(payee2.address)).to.equal(0);
+        });
+
+        it("Should accept signed releases under the clone's own EIP-712 domain", async function () {
+            await owner.sendTransaction({ to: await clone.getAddress(), value: ethers.parseEther("1") });
+            const implementation = await ethers.getContractAt("SplitStreamClone", await cloneFactory.implementation());
+
+            expect(await clone.DOMAIN_SEPARATOR()).to.not.equal(await implementation.DOMAIN_SEPARATOR());
+
+            const release = await signRelease(payee1, clone, { maxFee: ethers.parseEther("0.01") });
+            await expect(submitRelease(clone.connect(owner), release))
+                .to.changeEtherBalance(payee1, ethers.parseEther("0.49"));
+
+            // Not valid on any other clone with the same payee
+            const otherAddress = await cloneFactory.predictAddress([payee1.address], [1], salt);
+            await cloneFactory.createSplitStream([payee1.address], [1], salt);
+            const other = await ethers.getContractAt("SplitStreamClone", otherAddress);
+            await owner.sendTransaction({ to: otherAddress, value: ethers.parseEther("1") });
+
+            await expect(other.releaseWithSig(...toReleaseArgs(release)))
+                .to.be.revertedWithCustomError(other, "InvalidSignature");
+        });
+    });
+});
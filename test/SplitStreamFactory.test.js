@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SplitStreamFactory", function () {
+    let factory;
+    let owner;
+    let payee1;
+    let payee2;
+    let payee3;
+    let payees;
+    const shares = [50, 30, 20];
+    const salt = ethers.id("client-project-1");
+
+    beforeEach(async function () {
+        [owner, payee1, payee2, payee3] = await ethers.getSigners();
+        payees = [payee1.address, payee2.address, payee3.address];
+
+        const SplitStreamFactory = await ethers.getContractFactory("SplitStreamFactory");
+        factory = await SplitStreamFactory.deploy(ethers.ZeroAddress);
+        await factory.waitForDeployment();
+    });
+
+    describe("Address Prediction", function () {
+        it("Should deploy the splitter at the predicted address", async function () {
+            const predicted = await factory.predictAddress(payees, shares, salt);
+
+            await factory.createSplitStream(payees, shares, salt);
+
+            const code = await ethers.provider.getCode(predicted);
+            expect(code).to.not.equal("0x");
+        });
+
+        it("Should match the address computed off-chain", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const deployTx = await SplitStream.getDeployTransaction(payees, shares, ethers.ZeroAddress);
+            const expected = ethers.getCreate2Address(
+                await factory.getAddress(),
+                salt,
+                ethers.keccak256(deployTx.data)
+            );
+
+            expect(await factory.predictAddress(payees, shares, salt)).to.equal(expected);
+        });
+
+        it("Should predict different addresses for different salts", async function () {
+            const addressA = await factory.predictAddress(payees, shares, ethers.id("a"));
+            const addressB = await factory.predictAddress(payees, shares, ethers.id("b"));
+
+            expect(addressA).to.not.equal(addressB);
+        });
+
+        it("Should predict different addresses for different shares", async function () {
+            const addressA = await factory.predictAddress(payees, [50, 30, 20], salt);
+            const addressB = await factory.predictAddress(payees, [40, 40, 20], salt);
+
+            expect(addressA).to.not.equal(addressB);
+        });
+    });
+
+    describe("Splitter Creation", function () {
+        it("Should emit SplitStreamCreated with the splitter configuration", async function () {
+            const predicted = await factory.predictAddress(payees, shares, salt);
+
+            await expect(factory.createSplitStream(payees, shares, salt))
+                .to.emit(factory, "SplitStreamCreated")
+                .withArgs(predicted, payees, shares, salt);
+        });
+
+        it("Should configure the splitter with the given payees and shares", async function () {
+            const predicted = await factory.predictAddress(payees, shares, salt);
+            await factory.createSplitStream(payees, shares, salt);
+
+            const splitStream = await ethers.getContractAt("SplitStream", predicted);
+            expect(await splitStream.totalShares()).to.equal(100);
+            expect(await splitStream.payeeCount()).to.equal(3);
+            expect(await splitStream.shares(payee1.address)).to.equal(50);
+            expect(await splitStream.payee(2)).to.equal(payee3.address);
+        });
+
+        it("Should split ETH sent to the predicted address before deployment", async function () {
+            const predicted = await factory.predictAddress(payees, shares, salt);
+
+            // Client pays before the splitter exists
+            await owner.sendTransaction({ to: predicted, value: ethers.parseEther("1") });
+
+            await factory.createSplitStream(payees, shares, salt);
+            const splitStream = await ethers.getContractAt("SplitStream", predicted);
+
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            await expect(splitStream.release(payee2.address)).to.changeEtherBalance(payee2, ethers.parseEther("0.3"));
+        });
+
+        it("Should revert when deploying the same configuration twice", async function () {
+            await factory.createSplitStream(payees, shares, salt);
+
+            await expect(factory.createSplitStream(payees, shares, salt)).to.be.reverted;
+        });
+
+        it("Should allow the same payees with a different salt", async function () {
+            await factory.createSplitStream(payees, shares, salt);
+
+            await expect(factory.createSplitStream(payees, shares, ethers.id("client-project-2")))
+                .to.emit(factory, "SplitStreamCreated");
+        });
+
+        it("Should revert with SplitStream validation errors", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+
+            await expect(
+                factory.createSplitStream([payee1.address], [50, 50], salt)
+            ).to.be.revertedWithCustomError(SplitStream, "PayeesLengthMismatch")
+                .withArgs(1, 2);
+
+            await expect(
+                factory.createSplitStream([payee1.address, payee1.address], [50, 50], salt)
+            ).to.be.revertedWithCustomError(SplitStream, "DuplicatePayee")
+                .withArgs(payee1.address);
+        });
+    });
+});
@@ -0,0 +1,302 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SplitStreamGoverned", function () {
+    let SplitStreamGoverned;
+    let splitStream;
+    let owner;
+    let alice;
+    let bob;
+    let charlie;
+    let dave;
+    const timelock = 2n * 24n * 60n * 60n;
+
+    beforeEach(async function () {
+        [owner, alice, bob, charlie, dave] = await ethers.getSigners();
+        SplitStreamGoverned = await ethers.getContractFactory("SplitStreamGoverned");
+
+        // 60% of the shares must vote for a proposal
+        splitStream = await SplitStreamGoverned.deploy(
+            [alice.address, bob.address, charlie.address], [50, 30, 20], 6000, timelock, ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+    });
+
+    async function pay(amount) {
+        await owner.sendTransaction({ to: await splitStream.getAddress(), value: ethers.parseEther(amount) });
+    }
+
+    // Proposes dropping charlie for dave, passes it with alice's and bob's votes and executes it
+    async function reallocate(tokens = []) {
+        await splitStream.connect(alice).propose(
+            [alice.address, bob.address, dave.address], [20, 30, 50], tokens
+        );
+        const proposalId = (await splitStream.proposalCount()) - 1n;
+        await splitStream.connect(alice).vote(proposalId);
+        await splitStream.connect(bob).vote(proposalId);
+        await time.increase(timelock);
+        await splitStream.execute(proposalId);
+        return proposalId;
+    }
+
+    describe("Deployment", function () {
+        it("Should store the quorum and timelock", async function () {
+            expect(await splitStream.quorumBps()).to.equal(6000);
+            expect(await splitStream.timelock()).to.equal(timelock);
+            expect(await splitStream.quorum()).to.equal(60);
+            expect(await splitStream.era()).to.equal(0);
+        });
+
+        it("Should revert for an invalid quorum", async function () {
+            await expect(
+                SplitStreamGoverned.deploy([alice.address], [100], 0, timelock, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamGoverned, "InvalidQuorum").withArgs(0);
+
+            await expect(
+                SplitStreamGoverned.deploy([alice.address], [100], 10001, timelock, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamGoverned, "InvalidQuorum").withArgs(10001);
+        });
+    });
+
+    describe("Proposals", function () {
+        it("Should record a proposal and emit ProposalCreated", async function () {
+            const payees = [alice.address, dave.address];
+
+            await expect(splitStream.connect(bob).propose(payees, [60, 40], []))
+                .to.emit(splitStream, "ProposalCreated")
+                .withArgs(0, bob.address, payees, [60, 40], []);
+
+            const proposal = await splitStream.proposal(0);
+            expect(proposal.proposer).to.equal(bob.address);
+            expect(proposal.payees).to.deep.equal(payees);
+            expect(proposal.votes).to.equal(0);
+            expect(await splitStream.state(0)).to.equal(0); // Active
+        });
+
+        it("Should only let payees with shares propose", async function () {
+            await expect(splitStream.connect(dave).propose([dave.address], [100], []))
+                .to.be.revertedWithCustomError(splitStream, "NoShares")
+                .withArgs(dave.address);
+        });
+
+        it("Should reject allocations that could not be executed", async function () {
+            await expect(splitStream.connect(alice).propose([alice.address, alice.address], [50, 50], []))
+                .to.be.revertedWithCustomError(splitStream, "DuplicatePayee");
+            await expect(splitStream.connect(alice).propose([alice.address], [0], []))
+                .to.be.revertedWithCustomError(splitStream, "ZeroShares");
+            await expect(splitStream.connect(alice).propose([alice.address], [50, 50], []))
+                .to.be.revertedWithCustomError(splitStream, "PayeesLengthMismatch");
+            await expect(splitStream.connect(alice).propose([], [], []))
+                .to.be.revertedWithCustomError(splitStream, "NoPayees");
+
+            const tokens = Array(17).fill(alice.address);
+            await expect(splitStream.connect(alice).propose([alice.address], [100], tokens))
+                .to.be.revertedWithCustomError(splitStream, "TooManyTokens").withArgs(17);
+        });
+
+        it("Should revert for unknown proposals", async function () {
+            await expect(splitStream.state(0))
+                .to.be.revertedWithCustomError(splitStream, "UnknownProposal").withArgs(0);
+        });
+    });
+
+    describe("Voting", function () {
+        beforeEach(async function () {
+            await splitStream.connect(alice).propose([alice.address, dave.address], [60, 40], []);
+        });
+
+        it("Should weigh votes by shares and queue the proposal at the quorum", async function () {
+            await expect(splitStream.connect(alice).vote(0))
+                .to.emit(splitStream, "VoteCast").withArgs(0, alice.address, 50)
+                .and.to.not.emit(splitStream, "ProposalQueued");
+
+            const tx = await splitStream.connect(charlie).vote(0);
+            const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+            await expect(tx).to.emit(splitStream, "ProposalQueued")
+                .withArgs(0, BigInt(timestamp) + timelock);
+
+            expect((await splitStream.proposal(0)).votes).to.equal(70);
+            expect(await splitStream.state(0)).to.equal(1); // Queued
+            expect(await splitStream.hasVoted(0, charlie.address)).to.equal(true);
+            expect(await splitStream.hasVoted(0, bob.address)).to.equal(false);
+        });
+
+        it("Should let each payee slot vote once", async function () {
+            await splitStream.connect(bob).vote(0);
+            await expect(splitStream.connect(bob).vote(0))
+                .to.be.revertedWithCustomError(splitStream, "AlreadyVoted")
+                .withArgs(0, bob.address);
+
+            // The vote moves with the slot
+            await splitStream.connect(bob).transferPayee(owner.address);
+            expect(await splitStream.hasVoted(0, owner.address)).to.equal(true);
+            await expect(splitStream.connect(owner).vote(0))
+                .to.be.revertedWithCustomError(splitStream, "AlreadyVoted");
+        });
+
+        it("Should only let payees with shares vote", async function () {
+            await expect(splitStream.connect(dave).vote(0))
+                .to.be.revertedWithCustomError(splitStream, "NoShares")
+                .withArgs(dave.address);
+        });
+    });
+
+    describe("Execution", function () {
+        beforeEach(async function () {
+            await splitStream.connect(alice).propose(
+                [alice.address, bob.address, dave.address], [20, 30, 50], []
+            );
+        });
+
+        it("Should only execute queued proposals after the timelock", async function () {
+            await expect(splitStream.execute(0))
+                .to.be.revertedWithCustomError(splitStream, "ProposalNotReady").withArgs(0, 0);
+
+            await splitStream.connect(alice).vote(0);
+            await splitStream.connect(bob).vote(0);
+            const eta = (await splitStream.proposal(0)).eta;
+
+            await expect(splitStream.execute(0))
+                .to.be.revertedWithCustomError(splitStream, "ProposalNotReady").withArgs(0, eta);
+
+            await time.increaseTo(eta);
+            await expect(splitStream.connect(dave).execute(0))
+                .to.emit(splitStream, "ProposalExecuted").withArgs(0, 1);
+        });
+
+        it("Should apply the new shares", async function () {
+            const proposalId = await reallocate();
+
+            expect(await splitStream.era()).to.equal(1);
+            expect(await splitStream.shares(alice.address)).to.equal(20);
+            expect(await splitStream.shares(charlie.address)).to.equal(0);
+            expect(await splitStream.shares(dave.address)).to.equal(50);
+            expect(await splitStream.totalShares()).to.equal(100);
+            expect(await splitStream.payeeCount()).to.equal(4);
+            expect(await splitStream.payee(3)).to.equal(dave.address);
+            expect(await splitStream.state(proposalId)).to.equal(2); // Executed
+        });
+
+        it("Should supersede the other proposals of the era", async function () {
+            await splitStream.connect(bob).propose([bob.address], [100], []);
+            await reallocate();
+
+            expect(await splitStream.state(1)).to.equal(3); // Superseded
+            await expect(splitStream.connect(bob).vote(1))
+                .to.be.revertedWithCustomError(splitStream, "ProposalNotActive").withArgs(1);
+            await expect(splitStream.execute(0))
+                .to.be.revertedWithCustomError(splitStream, "ProposalNotActive").withArgs(0);
+        });
+    });
+
+    describe("Settlement", function () {
+        it("Should settle ETH under the old shares at the switchover", async function () {
+            await pay("10");
+            await splitStream.release(alice.address);
+            await reallocate();
+
+            // Owed before the switchover
+            expect(await splitStream.releasable(alice.address)).to.equal(0);
+            expect(await splitStream.releasable(bob.address)).to.equal(ethers.parseEther("3"));
+            expect(await splitStream.releasable(charlie.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitStream.releasable(dave.address)).to.equal(0);
+
+            await pay("10");
+
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitStream.releasable(bob.address)).to.equal(ethers.parseEther("6"));
+            expect(await splitStream.releasable(charlie.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitStream.releasable(dave.address)).to.equal(ethers.parseEther("5"));
+
+            await expect(splitStream.releaseAll()).to.changeEtherBalances(
+                [alice, bob, charlie, dave],
+                [ethers.parseEther("2"), ethers.parseEther("6"), ethers.parseEther("2"), ethers.parseEther("5")]
+            );
+            expect(await ethers.provider.getBalance(await splitStream.getAddress())).to.equal(0);
+        });
+
+        it("Should settle listed tokens and split unlisted balances by the new shares", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const dai = await MockERC20.deploy("Dai Stablecoin", "DAI", 18);
+            const usdcAddress = await usdc.getAddress();
+            const daiAddress = await dai.getAddress();
+            const splitterAddress = await splitStream.getAddress();
+
+            await usdc.mint(splitterAddress, ethers.parseUnits("1000", 6));
+            await dai.mint(splitterAddress, ethers.parseEther("1000"));
+            await splitStream["release(address,address)"](daiAddress, bob.address);
+
+            await reallocate([usdcAddress]);
+
+            expect(await splitStream["releasable(address,address)"](usdcAddress, charlie.address))
+                .to.equal(ethers.parseUnits("200", 6));
+            expect(await splitStream["releasable(address,address)"](usdcAddress, dave.address)).to.equal(0);
+
+            // Of DAI, only bob's 300 was settled; the other 700 follows the new shares
+            expect(await splitStream["releasable(address,address)"](daiAddress, charlie.address)).to.equal(0);
+            expect(await splitStream["releasable(address,address)"](daiAddress, bob.address))
+                .to.equal(ethers.parseEther("210"));
+
+            await splitStream["releaseAll(address)"](daiAddress);
+            expect(await dai.balanceOf(alice.address)).to.equal(ethers.parseEther("140"));
+            expect(await dai.balanceOf(dave.address)).to.equal(ethers.parseEther("350"));
+            expect(await dai.balanceOf(splitterAddress)).to.equal(0);
+        });
+
+        it("Should start a payee that gave its slot away from an empty token ledger", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const dai = await MockERC20.deploy("Dai Stablecoin", "DAI", 18);
+            const daiAddress = await dai.getAddress();
+            const splitterAddress = await splitStream.getAddress();
+
+            await dai.mint(splitterAddress, ethers.parseEther("1000"));
+            await splitStream["release(address,address)"](daiAddress, charlie.address);
+            await splitStream.connect(charlie).transferPayee(dave.address);
+
+            // Brings charlie back next to dave, who keeps the slot's release history
+            await splitStream.connect(alice).propose(
+                [alice.address, bob.address, charlie.address], [40, 30, 30], []
+            );
+            await splitStream.connect(alice).vote(0);
+            await splitStream.connect(bob).vote(0);
+            await time.increase(timelock);
+            await splitStream.execute(0);
+
+            expect(await splitStream["released(address,address)"](daiAddress, dave.address))
+                .to.equal(ethers.parseEther("200"));
+            expect(await splitStream["released(address,address)"](daiAddress, charlie.address)).to.equal(0);
+            expect(await splitStream["releasable(address,address)"](daiAddress, charlie.address))
+                .to.equal(ethers.parseEther("240"));
+            expect(await splitStream["releasable(address,address)"](daiAddress, dave.address)).to.equal(0);
+
+            await splitStream["releaseAll(address)"](daiAddress);
+            expect(await dai.balanceOf(charlie.address)).to.equal(ethers.parseEther("440"));
+            expect(await dai.balanceOf(splitterAddress)).to.equal(0);
+        });
+
+        it("Should keep the accounting across several switchovers", async function () {
+            await pay("10");
+            await reallocate();
+            await pay("10");
+
+            // Back to alice and bob only
+            await splitStream.connect(dave).propose([alice.address, bob.address], [50, 50], []);
+            await splitStream.connect(dave).vote(1);
+            await splitStream.connect(bob).vote(1);
+            await time.increase(timelock);
+            await splitStream.execute(1);
+            await pay("10");
+
+            expect(await splitStream.shares(dave.address)).to.equal(0);
+            await splitStream.releaseAll();
+
+            expect(await splitStream.released(alice.address)).to.equal(ethers.parseEther("12"));
+            expect(await splitStream.released(bob.address)).to.equal(ethers.parseEther("11"));
+            expect(await splitStream.released(charlie.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitStream.released(dave.address)).to.equal(ethers.parseEther("5"));
+            expect(await ethers.provider.getBalance(await splitStream.getAddress())).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SplitStreamHeld", function () {
+    let SplitStreamHeld;
+    let splitStream;
+    let owner;
+    let alice;
+    let bob;
+    const holdPeriod = 7n * 24n * 60n * 60n;
+
+    beforeEach(async function () {
+        [owner, alice, bob] = await ethers.getSigners();
+        SplitStreamHeld = await ethers.getContractFactory("SplitStreamHeld");
+
+        splitStream = await SplitStreamHeld.deploy([alice.address, bob.address], [60, 40], holdPeriod, ethers.ZeroAddress);
+        await splitStream.waitForDeployment();
+    });
+
+    async function pay(amount) {
+        return owner.sendTransaction({ to: await splitStream.getAddress(), value: ethers.parseEther(amount) });
+    }
+
+    describe("Deployment", function () {
+        it("Should store the hold period", async function () {
+            expect(await splitStream.holdPeriod()).to.equal(holdPeriod);
+            expect(await splitStream.depositCount()).to.equal(0);
+            expect(await splitStream.pendingBalance()).to.equal(0);
+        });
+
+        it("Should hold ETH sent with the constructor", async function () {
+            const held = await SplitStreamHeld.deploy(
+                [alice.address], [100], holdPeriod, ethers.ZeroAddress, { value: ethers.parseEther("1") }
+            );
+
+            expect(await held.depositCount()).to.equal(1);
+            expect(await held.pendingBalance()).to.equal(ethers.parseEther("1"));
+            expect(await held.releasable(alice.address)).to.equal(0);
+        });
+    });
+
+    describe("Deposits", function () {
+        it("Should record each deposit with the time it settles", async function () {
+            const tx = await pay("1");
+            const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+
+            await expect(tx).to.emit(splitStream, "PaymentHeld")
+                .withArgs(0, ethers.parseEther("1"), BigInt(timestamp) + holdPeriod);
+            expect(await splitStream.settledAt(0)).to.equal(BigInt(timestamp) + holdPeriod);
+
+            const deposit = await splitStream.deposit(0);
+            expect(deposit.amount).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should hold referenced payments too", async function () {
+            await splitStream.pay(ethers.encodeBytes32String("INV-1"), { value: ethers.parseEther("2") });
+            expect(await splitStream.pendingBalance()).to.equal(ethers.parseEther("2"));
+        });
+
+        it("Should reject payments sent with only the transfer stipend", async function () {
+            const MockPayer = await ethers.getContractFactory("MockPayer");
+            const payer = await MockPayer.deploy();
+
+            await expect(payer.payWithTransfer(await splitStream.getAddress(), { value: ethers.parseEther("1") }))
+                .to.be.reverted;
+        });
+
+        it("Should revert for unknown deposits", async function () {
+            await expect(splitStream.settledAt(0))
+                .to.be.revertedWithCustomError(splitStream, "UnknownDeposit").withArgs(0);
+        });
+    });
+
+    describe("Settlement", function () {
+        it("Should keep deposits out of releasable until they settle", async function () {
+            await pay("10");
+
+            expect(await splitStream.pendingBalance()).to.equal(ethers.parseEther("10"));
+            expect(await splitStream.releasable(alice.address)).to.equal(0);
+            await expect(splitStream.release(alice.address))
+                .to.be.revertedWithCustomError(splitStream, "NothingDue");
+
+            await time.increaseTo(await splitStream.settledAt(0));
+
+            expect(await splitStream.pendingBalance()).to.equal(0);
+            await expect(splitStream.release(alice.address))
+                .to.changeEtherBalance(alice, ethers.parseEther("6"));
+        });
+
+        it("Should settle deposits one by one", async function () {
+            await pay("10");
+            await time.increase(holdPeriod / 2n);
+            await pay("5");
+            await time.increaseTo(await splitStream.settledAt(0));
+
+            expect(await splitStream.pendingBalance()).to.equal(ethers.parseEther("5"));
+            expect(await splitStream.releasable(bob.address)).to.equal(ethers.parseEther("4"));
+
+            await splitStream.releaseAll();
+            await time.increaseTo(await splitStream.settledAt(1));
+
+            expect(await splitStream.releasable(bob.address)).to.equal(ethers.parseEther("2"));
+            await splitStream.releaseAll();
+            expect(await ethers.provider.getBalance(await splitStream.getAddress())).to.equal(0);
+        });
+
+        it("Should not hold ERC20 tokens", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await usdc.mint(await splitStream.getAddress(), ethers.parseUnits("100", 6));
+
+            expect(await splitStream["releasable(address,address)"](await usdc.getAddress(), alice.address))
+                .to.equal(ethers.parseUnits("60", 6));
+        });
+
+        it("Should look past a bounded number of settled deposits at once", async function () {
+            const max = await splitStream.MAX_SETTLE_COUNT();
+            for (let i = 0n; i < max + 5n; i++) {
+                await pay("1");
+            }
+            await time.increaseTo(await splitStream.settledAt(max + 4n));
+
+            expect(await splitStream.pendingBalance()).to.equal(ethers.parseEther("5"));
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("0.6") * max);
+
+            await splitStream.release(alice.address);
+            expect(await splitStream.firstPending()).to.equal(max);
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should let anyone settle deposits in batches", async function () {
+            for (let i = 0; i < 3; i++) {
+                await pay("1");
+            }
+            await time.increaseTo(await splitStream.settledAt(2));
+
+            expect(await splitStream.connect(bob).settle.staticCall(2)).to.equal(2);
+            await splitStream.connect(bob).settle(2);
+            expect(await splitStream.firstPending()).to.equal(2);
+
+            await splitStream.connect(bob).settle(10);
+            expect(await splitStream.firstPending()).to.equal(3);
+            expect(await splitStream.pendingBalance()).to.equal(0);
+            expect(await splitStream.connect(bob).settle.staticCall(10)).to.equal(0);
+        });
+
+        it("Should release everything at once without a hold period", async function () {
+            const unheld = await SplitStreamHeld.deploy([alice.address, bob.address], [60, 40], 0, ethers.ZeroAddress);
+            await owner.sendTransaction({ to: await unheld.getAddress(), value: ethers.parseEther("1") });
+
+            expect(await unheld.pendingBalance()).to.equal(0);
+            expect(await unheld.releasable(alice.address)).to.equal(ethers.parseEther("0.6"));
+        });
+    });
+});
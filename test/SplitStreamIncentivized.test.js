@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { isProfitable, quoteReleases, keepSplitter } = require("../lib/keeper");
+
+describe("SplitStreamIncentivized", function () {
+    let SplitStreamIncentivized;
+    let splitStream;
+    let owner;
+    let alice;
+    let bob;
+    let keeper;
+    const keeperFeeBps = 50n;
+    const keeperFeeCap = ethers.parseEther("0.01");
+
+    beforeEach(async function () {
+        [owner, alice, bob, keeper] = await ethers.getSigners();
+        SplitStreamIncentivized = await ethers.getContractFactory("SplitStreamIncentivized");
+
+        splitStream = await SplitStreamIncentivized.deploy(
+            [alice.address, bob.address], [60, 40], keeperFeeBps, keeperFeeCap, ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+    });
+
+    async function pay(amount) {
+        await owner.sendTransaction({ to: await splitStream.getAddress(), value: ethers.parseEther(amount) });
+    }
+
+    describe("Deployment", function () {
+        it("Should store the keeper fee and cap", async function () {
+            expect(await splitStream.keeperFeeBps()).to.equal(keeperFeeBps);
+            expect(await splitStream.keeperFeeCap()).to.equal(keeperFeeCap);
+            expect(await splitStream.MAX_KEEPER_FEE_BPS()).to.equal(500);
+        });
+
+        it("Should reject a fee above the maximum", async function () {
+            await expect(
+                SplitStreamIncentivized.deploy([alice.address], [100], 501, keeperFeeCap, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamIncentivized, "KeeperFeeTooHigh").withArgs(501);
+        });
+    });
+
+    describe("Keeper Fee", function () {
+        it("Should pay the keeper out of the payee's payment", async function () {
+            await pay("1");
+            const fee = ethers.parseEther("0.6") * keeperFeeBps / 10000n;
+            expect(await splitStream.keeperFee(alice.address)).to.equal(fee);
+
+            const tx = splitStream.connect(keeper).release(alice.address);
+            await expect(tx).to.changeEtherBalances(
+                [alice, keeper],
+                [ethers.parseEther("0.6") - fee, fee]
+            );
+            await expect(tx).to.emit(splitStream, "KeeperFeePaid").withArgs(alice.address, keeper.address, fee);
+            await expect(tx).to.emit(splitStream, "PaymentRedirected").withArgs(alice.address, keeper.address, fee);
+
+            expect(await splitStream.released(alice.address)).to.equal(ethers.parseEther("0.6"));
+            expect(await splitStream.releasable(bob.address)).to.equal(ethers.parseEther("0.4"));
+        });
+
+        it("Should cap the fee of large releases", async function () {
+            await pay("100");
+            expect(await splitStream.keeperFee(alice.address)).to.equal(keeperFeeCap);
+
+            await expect(splitStream.connect(keeper).release(alice.address))
+                .to.changeEtherBalances([alice, keeper], [ethers.parseEther("60") - keeperFeeCap, keeperFeeCap]);
+        });
+
+        it("Should keep self-releases free", async function () {
+            await pay("1");
+
+            const tx = splitStream.connect(alice).release(alice.address);
+            await expect(tx).to.changeEtherBalance(alice, ethers.parseEther("0.6"));
+            await expect(tx).to.not.emit(splitStream, "KeeperFeePaid");
+        });
+
+        it("Should pay the rest to the payee's recipient", async function () {
+            const [, , , , coldWallet] = await ethers.getSigners();
+            await splitStream.connect(alice).setRecipient(coldWallet.address);
+            await pay("1");
+            const fee = ethers.parseEther("0.6") * keeperFeeBps / 10000n;
+
+            await expect(splitStream.connect(keeper).release(alice.address))
+                .to.changeEtherBalances([coldWallet, keeper, alice], [ethers.parseEther("0.6") - fee, fee, 0]);
+        });
+
+        it("Should not charge a fee on ERC20 releases", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await usdc.mint(await splitStream.getAddress(), ethers.parseUnits("100", 6));
+
+            await splitStream.connect(keeper)["release(address,address)"](await usdc.getAddress(), alice.address);
+            expect(await usdc.balanceOf(alice.address)).to.equal(ethers.parseUnits("60", 6));
+            expect(await usdc.balanceOf(keeper.address)).to.equal(0);
+        });
+
+        it("Should pay no fee when none is set", async function () {
+            const unpaid = await SplitStreamIncentivized.deploy([alice.address, bob.address], [60, 40], 0, keeperFeeCap, ethers.ZeroAddress);
+            await owner.sendTransaction({ to: await unpaid.getAddress(), value: ethers.parseEther("1") });
+
+            expect(await unpaid.keeperFee(alice.address)).to.equal(0);
+            await expect(unpaid.connect(keeper).release(alice.address))
+                .to.changeEtherBalances([alice, keeper], [ethers.parseEther("0.6"), 0]);
+        });
+    });
+
+    describe("Keeper Bot", function () {
+        // Alice's release pays 0.003 ETH, Bob's 0.002 ETH; at 20 gwei the gas costs about 0.002 ETH
+        const gasPrice = ethers.parseUnits("20", "gwei");
+
+        beforeEach(async function () {
+            await pay("1");
+        });
+
+        it("Should compare the fee with the gas cost plus a margin", function () {
+            expect(isProfitable(121n, 100n, 2000n)).to.equal(true);
+            expect(isProfitable(120n, 100n, 2000n)).to.equal(false);
+            expect(isProfitable(101n, 100n, 0n)).to.equal(true);
+        });
+
+        it("Should quote every payee with a fee, except the keeper itself", async function () {
+            const quotes = await quoteReleases(await splitStream.getAddress(), alice, { gasPrice });
+
+            expect(quotes.map(q => q.account)).to.deep.equal([bob.address]);
+            expect(quotes[0].fee).to.equal(await splitStream.keeperFee(bob.address));
+            expect(quotes[0].gasCost).to.equal(quotes[0].gasLimit * gasPrice);
+        });
+
+        it("Should only release payees whose fee covers the gas", async function () {
+            const splitterAddress = await splitStream.getAddress();
+            const quotes = await quoteReleases(splitterAddress, keeper, { gasPrice });
+            expect(quotes.map(q => q.profitable)).to.deep.equal([true, false]);
+
+            const results = await keepSplitter(splitterAddress, keeper, { gasPrice });
+
+            expect(results.map(r => r.account)).to.deep.equal([alice.address]);
+            expect(results[0].fee).to.equal(ethers.parseEther("0.003"));
+            expect(await splitStream.releasable(alice.address)).to.equal(0);
+            expect(await splitStream.releasable(bob.address)).to.equal(ethers.parseEther("0.4"));
+        });
+
+        it("Should report a payee whose release reverts and still release the others", async function () {
+            const MockPayee = await ethers.getContractFactory("MockPayee");
+            const rejecting = await MockPayee.deploy(1); // Mode.Revert
+            const rejectingAddress = await rejecting.getAddress();
+
+            const mixed = await SplitStreamIncentivized.deploy(
+                [rejectingAddress, alice.address], [50, 50], keeperFeeBps, keeperFeeCap, ethers.ZeroAddress
+            );
+            const mixedAddress = await mixed.getAddress();
+            await owner.sendTransaction({ to: mixedAddress, value: ethers.parseEther("1") });
+
+            const quotes = await quoteReleases(mixedAddress, keeper, { gasPrice });
+            expect(quotes.map(q => q.account)).to.deep.equal([rejectingAddress, alice.address]);
+            expect(quotes[0].error).to.be.an("error");
+            expect(quotes[0].profitable).to.equal(false);
+
+            const results = await keepSplitter(mixedAddress, keeper, { gasPrice });
+
+            expect(results.map(r => r.account)).to.deep.equal([rejectingAddress, alice.address]);
+            expect(results[0].error).to.be.an("error");
+            expect(results[1].fee).to.equal(ethers.parseEther("0.0025"));
+            expect(await mixed.releasable(alice.address)).to.equal(0);
+        });
+
+        it("Should skip splitters without a keeper fee", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const plain = await SplitStream.deploy([alice.address, bob.address], [60, 40], ethers.ZeroAddress);
+            await owner.sendTransaction({ to: await plain.getAddress(), value: ethers.parseEther("1") });
+
+            expect(await quoteReleases(await plain.getAddress(), keeper, { gasPrice })).to.deep.equal([]);
+            expect(await keepSplitter(await plain.getAddress(), keeper, { gasPrice })).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { readSplitter, readSplitters } = require("../lib/lens");
+
+describe("SplitStreamLens", function () {
+    let lens;
+    let splitStream;
+    let incentivized;
+    let token;
+    let owner;
+    let alice;
+    let bob;
+    let carol;
+    let wallet;
+
+    beforeEach(async function () {
+        [owner, alice, bob, carol, wallet] = await ethers.getSigners();
+
+        const SplitStreamLens = await ethers.getContractFactory("SplitStreamLens");
+        lens = await SplitStreamLens.deploy();
+
+        const SplitStream = await ethers.getContractFactory("SplitStream");
+        splitStream = await SplitStream.deploy([alice.address, bob.address, carol.address], [50, 30, 20], ethers.ZeroAddress);
+
+        const SplitStreamIncentivized = await ethers.getContractFactory("SplitStreamIncentivized");
+        incentivized = await SplitStreamIncentivized.deploy([alice.address, bob.address], [60, 40], 50, ethers.parseEther("0.01"), ethers.ZeroAddress);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+        await owner.sendTransaction({ to: await splitStream.getAddress(), value: ethers.parseEther("1") });
+        await owner.sendTransaction({ to: await incentivized.getAddress(), value: ethers.parseEther("2") });
+        await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+    });
+
+    describe("Splitter State", function () {
+        it("Should read the ETH totals and every payee", async function () {
+            await splitStream.release(alice.address);
+            await splitStream.connect(bob).setRecipient(wallet.address);
+
+            const state = await lens.getState(await splitStream.getAddress(), ethers.ZeroAddress);
+
+            expect(state.splitter).to.equal(await splitStream.getAddress());
+            expect(state.token).to.equal(ethers.ZeroAddress);
+            expect(state.balance).to.equal(ethers.parseEther("0.5"));
+            expect(state.totalShares).to.equal(100);
+            expect(state.totalReleased).to.equal(ethers.parseEther("0.5"));
+            expect(state.totalReceived).to.equal(ethers.parseEther("1"));
+
+            expect(state.payees.map(p => p.account)).to.deep.equal([alice.address, bob.address, carol.address]);
+            expect(state.payees.map(p => p.shares)).to.deep.equal([50n, 30n, 20n]);
+            expect(state.payees.map(p => p.released)).to.deep.equal([ethers.parseEther("0.5"), 0n, 0n]);
+            expect(state.payees.map(p => p.releasable))
+                .to.deep.equal([0n, ethers.parseEther("0.3"), ethers.parseEther("0.2")]);
+            expect(state.payees.map(p => p.recipient)).to.deep.equal([alice.address, wallet.address, carol.address]);
+        });
+
+        it("Should read ERC20 amounts when given a token", async function () {
+            const tokenAddress = await token.getAddress();
+            await splitStream["release(address,address)"](tokenAddress, bob.address);
+
+            const state = await lens.getState(await splitStream.getAddress(), tokenAddress);
+
+            expect(state.token).to.equal(tokenAddress);
+            expect(state.balance).to.equal(ethers.parseUnits("700", 6));
+            expect(state.totalReleased).to.equal(ethers.parseUnits("300", 6));
+            expect(state.totalReceived).to.equal(ethers.parseUnits("1000", 6));
+            expect(state.payees.map(p => p.releasable))
+                .to.deep.equal([ethers.parseUnits("500", 6), 0n, ethers.parseUnits("200", 6)]);
+        });
+
+        it("Should read several splitters of different variants at once", async function () {
+            const splitters = [await splitStream.getAddress(), await incentivized.getAddress()];
+
+            const states = await lens.getStates(splitters, ethers.ZeroAddress);
+
+            expect(states.map(s => s.splitter)).to.deep.equal(splitters);
+            expect(states[1].balance).to.equal(ethers.parseEther("2"));
+            expect(states[1].payees.map(p => p.releasable))
+                .to.deep.equal([ethers.parseEther("1.2"), ethers.parseEther("0.8")]);
+        });
+
+        it("Should revert if any splitter is not a SplitStream", async function () {
+            await expect(
+                lens.getStates([await splitStream.getAddress(), await token.getAddress()], ethers.ZeroAddress)
+            ).to.be.reverted;
+        });
+    });
+
+    describe("Payee Pages", function () {
+        it("Should read a range of payees", async function () {
+            const payees = await lens.getPayees(await splitStream.getAddress(), ethers.ZeroAddress, 1, 3);
+
+            expect(payees.map(p => p.account)).to.deep.equal([bob.address, carol.address]);
+            expect(payees[0].releasable).to.equal(ethers.parseEther("0.3"));
+        });
+
+        it("Should revert on an empty or out of bounds range", async function () {
+            const splitterAddress = await splitStream.getAddress();
+
+            await expect(lens.getPayees(splitterAddress, ethers.ZeroAddress, 2, 2))
+                .to.be.revertedWithCustomError(lens, "InvalidRange").withArgs(2, 2);
+            await expect(lens.getPayees(splitterAddress, ethers.ZeroAddress, 0, 4))
+                .to.be.revertedWithCustomError(lens, "InvalidRange").withArgs(0, 4);
+        });
+    });
+
+    describe("Lens Library", function () {
+        it("Should read the same state with and without a lens", async function () {
+            await splitStream.release(carol.address);
+            const splitters = [await splitStream.getAddress(), await incentivized.getAddress()];
+
+            const withLens = await readSplitters(splitters, ethers.provider, { lens: await lens.getAddress() });
+            const direct = await readSplitters(splitters, ethers.provider);
+
+            expect(withLens).to.deep.equal(direct);
+            expect(direct[0].address).to.equal(splitters[0]);
+            expect(direct[0].token).to.equal(null);
+            expect(direct[0].totalReleased).to.equal(ethers.parseEther("0.2"));
+            expect(direct[0].payees[2]).to.deep.equal({
+                account: carol.address,
+                shares: 20n,
+                released: ethers.parseEther("0.2"),
+                releasable: 0n,
+                recipient: carol.address,
+            });
+        });
+
+        it("Should read a single splitter in a token", async function () {
+            const tokenAddress = await token.getAddress();
+            const options = { lens: await lens.getAddress(), token: tokenAddress };
+
+            const state = await readSplitter(await splitStream.getAddress(), ethers.provider, options);
+
+            expect(state.token).to.equal(tokenAddress);
+            expect(state.balance).to.equal(ethers.parseUnits("1000", 6));
+            expect(state).to.deep.equal(
+                await readSplitter(await splitStream.getAddress(), ethers.provider, { token: tokenAddress })
+            );
+        });
+    });
+});
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signRelease, submitRelease } = require("../lib/releaseAuthorization");
+
+describe("SplitStreamPausable", function () {
+    let splitStream;
+    let owner;
+    let payee1;
+    let payee2;
+    let payee3;
+    let guardian;
+    const DAY = 24n * 60n * 60n;
+
+    beforeEach(async function () {
+        [owner, payee1, payee2, payee3, guardian] = await ethers.getSigners();
+
+        const SplitStreamPausable = await ethers.getContractFactory("SplitStreamPausable");
+        splitStream = await SplitStreamPausable.deploy(
+            [payee1.address, payee2.address, payee3.address],
+            [50, 30, 20],
+            guardian.address,
+            true,
+            ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+
+        await owner.sendTransaction({
+            to: await splitStream.getAddress(),
+            value: ethers.parseEther("1")
+        });
+    });
+
+    describe("Deployment", function () {
+        it("Should set the guardian and start unpaused", async function () {
+            expect(await splitStream.guardian()).to.equal(guardian.address);
+            expect(await splitStream.canPauseDeposits()).to.equal(true);
+            expect(await splitStream.paused()).to.equal(false);
+            expect(await splitStream.depositsPaused()).to.equal(false);
+            expect(await splitStream.pausedUntil()).to.equal(0);
+        });
+
+        it("Should revert with a zero guardian", async function () {
+            const SplitStreamPausable = await ethers.getContractFactory("SplitStreamPausable");
+
+            await expect(
+                SplitStreamPausable.deploy([payee1.address], [100], ethers.ZeroAddress, false, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamPausable, "ZeroAddressGuardian");
+        });
+
+        it("Should apply the usual payee validation", async function () {
+            const SplitStreamPausable = await ethers.getContractFactory("SplitStreamPausable");
+
+            await expect(
+                SplitStreamPausable.deploy([payee1.address, payee1.address], [50, 50], guardian.address, false, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamPausable, "DuplicatePayee");
+        });
+    });
+
+    describe("Pause", function () {
+        it("Should pause releases until the given time", async function () {
+            const tx = await splitStream.connect(guardian).pause(DAY, false);
+            const until = BigInt(await time.latest()) + DAY;
+
+            await expect(tx).to.emit(splitStream, "Paused").withArgs(guardian.address, until, false);
+            expect(await splitStream.paused()).to.equal(true);
+            expect(await splitStream.pausedUntil()).to.equal(until);
+        });
+
+        it("Should block every kind of release while paused", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+            const release = await signRelease(payee1, splitStream);
+
+            await splitStream.connect(guardian).pause(DAY, false);
+
+            await expect(splitStream.release(payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "ReleasesPaused");
+            await expect(splitStream["release(address,address)"](await token.getAddress(), payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "ReleasesPaused");
+            await expect(splitStream.connect(payee1)["releaseTo(address)"](payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "ReleasesPaused");
+            await expect(splitStream.releaseAll())
+                .to.be.revertedWithCustomError(splitStream, "ReleasesPaused");
+            await expect(splitStream.distribute())
+                .to.be.revertedWithCustomError(splitStream, "ReleasesPaused");
+            await expect(submitRelease(splitStream.connect(owner), release))
+                .to.be.revertedWithCustomError(splitStream, "ReleasesPaused");
+        });
+
+        it("Should keep accepting deposits unless asked to reject them", async function () {
+            await splitStream.connect(guardian).pause(DAY, false);
+
+            await expect(owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            })).to.emit(splitStream, "PaymentReceived");
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should reject deposits when the pause covers them", async function () {
+            await splitStream.connect(guardian).pause(DAY, true);
+
+            expect(await splitStream.depositsPaused()).to.equal(true);
+            await expect(owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            })).to.be.revertedWithCustomError(splitStream, "DepositsPaused");
+            await expect(splitStream.pay(ethers.ZeroHash, { value: ethers.parseEther("1") }))
+                .to.be.revertedWithCustomError(splitStream, "DepositsPaused");
+        });
+
+        it("Should only reject deposits if enabled at deployment", async function () {
+            const SplitStreamPausable = await ethers.getContractFactory("SplitStreamPausable");
+            const fixed = await SplitStreamPausable.deploy([payee1.address], [100], guardian.address, false, ethers.ZeroAddress);
+
+            expect(await fixed.canPauseDeposits()).to.equal(false);
+            await expect(fixed.connect(guardian).pause(DAY, true))
+                .to.be.revertedWithCustomError(fixed, "DepositPausingDisabled");
+        });
+
+        it("Should let payees rotate keys and recipients while paused", async function () {
+            const [, , , , , newWallet] = await ethers.getSigners();
+            await splitStream.connect(guardian).pause(DAY, false);
+
+            await splitStream.connect(payee2).setRecipient(newWallet.address);
+            await splitStream.connect(payee1).transferPayee(newWallet.address);
+
+            expect(await splitStream.shares(newWallet.address)).to.equal(50);
+        });
+
+        it("Should resume releases when the pause ends on its own", async function () {
+            await splitStream.connect(guardian).pause(DAY, true);
+            await time.increase(DAY);
+
+            expect(await splitStream.paused()).to.equal(false);
+            expect(await splitStream.depositsPaused()).to.equal(false);
+            await expect(splitStream.release(payee1.address))
+                .to.changeEtherBalance(payee1, ethers.parseEther("0.5"));
+        });
+    });
+
+    describe("Stipend Payers", function () {
+        let payer;
+
+        beforeEach(async function () {
+            const MockPayer = await ethers.getContractFactory("MockPayer");
+            payer = await MockPayer.deploy();
+        });
+
+        it("Should accept transfer and send payments when deposits cannot be paused", async function () {
+            const SplitStreamPausable = await ethers.getContractFactory("SplitStreamPausable");
+            const fixed = await SplitStreamPausable.deploy([payee1.address], [100], guardian.address, false, ethers.ZeroAddress);
+            const fixedAddress = await fixed.getAddress();
+
+            await payer.payWithTransfer(fixedAddress, { value: ethers.parseEther("1") });
+            await payer.payWithSend(fixedAddress, { value: ethers.parseEther("1") });
+
+            expect(await fixed.releasable(payee1.address)).to.equal(ethers.parseEther("2"));
+        });
+
+        it("Should reject transfer payments when deposits can be paused", async function () {
+            await expect(payer.payWithTransfer(await splitStream.getAddress(), { value: ethers.parseEther("1") }))
+                .to.be.reverted;
+        });
+    });
+
+    describe("Unpause", function () {
+        it("Should let the guardian end a pause early", async function () {
+            await splitStream.connect(guardian).pause(DAY, true);
+
+            await expect(splitStream.connect(guardian).unpause())
+                .to.emit(splitStream, "Unpaused")
+                .withArgs(guardian.address);
+
+            expect(await splitStream.paused()).to.equal(false);
+            await expect(splitStream.releaseAll())
+                .to.changeEtherBalance(payee2, ethers.parseEther("0.3"));
+        });
+
+        it("Should revert when not paused", async function () {
+            await expect(
+                splitStream.connect(guardian).unpause()
+            ).to.be.revertedWithCustomError(splitStream, "NotPaused");
+        });
+    });
+});
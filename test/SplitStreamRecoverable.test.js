@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    SPLITSTREAM_INTERFACE_ID,
+    SPLITSTREAM_RECOVERABLE_INTERFACE_ID,
+    supportsInterface
+} = require("../lib/interfaceDetection");
+
+describe("SplitStreamRecoverable", function () {
+    let splitStream;
+    let owner;
+    let payee1;
+    let payee2;
+    let payee3;
+    let backup;
+
+    beforeEach(async function () {
+        [owner, payee1, payee2, payee3, backup] = await ethers.getSigners();
+
+        const SplitStreamRecoverable = await ethers.getContractFactory("SplitStreamRecoverable");
+        splitStream = await SplitStreamRecoverable.deploy(
+            [payee1.address, payee2.address, payee3.address],
+            [50, 30, 20],
+            ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+
+        await owner.sendTransaction({
+            to: await splitStream.getAddress(),
+            value: ethers.parseEther("1")
+        });
+    });
+
+    describe("Backup Beneficiary", function () {
+        const inactivityPeriod = 180n * 24n * 60n * 60n;
+
+        it("Should register a backup and emit BackupSet", async function () {
+            const tx = await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+
+            await expect(tx).to.emit(splitStream, "BackupSet")
+                .withArgs(payee1.address, backup.address, inactivityPeriod);
+
+            const [beneficiary, period, claimableAt] = await splitStream.backup(payee1.address);
+            expect(beneficiary).to.equal(backup.address);
+            expect(period).to.equal(inactivityPeriod);
+            expect(claimableAt).to.equal(BigInt(timestamp) + inactivityPeriod);
+        });
+
+        it("Should clear the backup with the zero address", async function () {
+            await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            await expect(splitStream.connect(payee1).setBackup(ethers.ZeroAddress, 0))
+                .to.emit(splitStream, "BackupSet").withArgs(payee1.address, ethers.ZeroAddress, 0);
+
+            expect((await splitStream.backup(payee1.address)).beneficiary).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should reject invalid backups", async function () {
+            await expect(splitStream.connect(backup).setBackup(payee1.address, inactivityPeriod))
+                .to.be.revertedWithCustomError(splitStream, "NoShares").withArgs(backup.address);
+            await expect(splitStream.connect(payee1).setBackup(payee1.address, inactivityPeriod))
+                .to.be.revertedWithCustomError(splitStream, "InvalidBackup").withArgs(payee1.address);
+            await expect(splitStream.connect(payee1).setBackup(await splitStream.getAddress(), inactivityPeriod))
+                .to.be.revertedWithCustomError(splitStream, "InvalidBackup");
+            await expect(splitStream.connect(payee1).setBackup(backup.address, 0))
+                .to.be.revertedWithCustomError(splitStream, "ZeroInactivityPeriod");
+        });
+
+        it("Should let the backup claim the slot after the inactivity period", async function () {
+            await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            await time.increase(inactivityPeriod);
+
+            const tx = splitStream.connect(backup).claimSlot(payee1.address);
+            await expect(tx).to.emit(splitStream, "PayeeTransferred").withArgs(payee1.address, backup.address);
+            await expect(tx).to.emit(splitStream, "SlotClaimed").withArgs(payee1.address, backup.address);
+
+            expect(await splitStream.payee(0)).to.equal(backup.address);
+            expect(await splitStream.shares(backup.address)).to.equal(50);
+            expect((await splitStream.backup(payee1.address)).beneficiary).to.equal(ethers.ZeroAddress);
+            await expect(splitStream.release(backup.address))
+                .to.changeEtherBalance(backup, ethers.parseEther("0.5"));
+        });
+
+        it("Should only let the backup claim, and only once the period has passed", async function () {
+            const tx = await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+
+            await expect(splitStream.connect(payee2).claimSlot(payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "NotBackup")
+                .withArgs(payee1.address, payee2.address);
+            await expect(splitStream.connect(backup).claimSlot(payee2.address))
+                .to.be.revertedWithCustomError(splitStream, "NotBackup");
+
+            await time.increase(inactivityPeriod / 2n);
+            await expect(splitStream.connect(backup).claimSlot(payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "PayeeStillActive")
+                .withArgs(payee1.address, BigInt(timestamp) + inactivityPeriod);
+        });
+
+        it("Should restart the inactivity period on a heartbeat", async function () {
+            await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            await time.increase(inactivityPeriod - 60n);
+
+            await expect(splitStream.connect(payee1).heartbeat())
+                .to.emit(splitStream, "Heartbeat").withArgs(payee1.address);
+            await time.increase(120n);
+
+            await expect(splitStream.connect(backup).claimSlot(payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "PayeeStillActive");
+        });
+
+        it("Should count the payee's own releases as activity, but not releases by others", async function () {
+            await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            await splitStream.connect(payee2).setBackup(backup.address, inactivityPeriod);
+            await time.increase(inactivityPeriod - 60n);
+
+            await expect(splitStream.connect(payee1).release(payee1.address))
+                .to.emit(splitStream, "Heartbeat").withArgs(payee1.address);
+            await expect(splitStream.connect(owner).release(payee2.address))
+                .to.not.emit(splitStream, "Heartbeat");
+            await time.increase(120n);
+
+            await expect(splitStream.connect(backup).claimSlot(payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "PayeeStillActive");
+            await splitStream.connect(backup).claimSlot(payee2.address);
+            expect(await splitStream.payee(1)).to.equal(backup.address);
+        });
+
+        it("Should keep the slot when the payee returns before the claim", async function () {
+            await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            await time.increase(inactivityPeriod);
+
+            // The window is open, but the payee's heartbeat lands first
+            await splitStream.connect(payee1).heartbeat();
+            await expect(splitStream.connect(backup).claimSlot(payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "PayeeStillActive");
+            expect(await splitStream.payee(0)).to.equal(payee1.address);
+        });
+
+        it("Should give the slot to the backup when the claim lands first", async function () {
+            await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            await time.increase(inactivityPeriod);
+
+            await splitStream.connect(backup).claimSlot(payee1.address);
+
+            // The returning payee no longer holds the slot
+            await expect(splitStream.connect(payee1).heartbeat())
+                .to.be.revertedWithCustomError(splitStream, "NoShares").withArgs(payee1.address);
+            await expect(splitStream.release(payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "NoShares");
+        });
+
+        it("Should clear the backup when the payee transfers their slot", async function () {
+            await splitStream.connect(payee1).setBackup(backup.address, inactivityPeriod);
+            await splitStream.connect(payee1).transferPayee(owner.address);
+
+            expect((await splitStream.backup(owner.address)).beneficiary).to.equal(ethers.ZeroAddress);
+            await time.increase(inactivityPeriod);
+            await expect(splitStream.connect(backup).claimSlot(payee1.address))
+                .to.be.revertedWithCustomError(splitStream, "NotBackup");
+        });
+    });
+
+    describe("Interface Detection", function () {
+        it("Should report the backup interface next to ISplitStream", async function () {
+            const splitterAddress = await splitStream.getAddress();
+
+            expect(await supportsInterface(splitterAddress, ethers.provider, SPLITSTREAM_INTERFACE_ID)).to.equal(true);
+            expect(await supportsInterface(splitterAddress, ethers.provider, SPLITSTREAM_RECOVERABLE_INTERFACE_ID))
+                .to.equal(true);
+        });
+
+        it("Should not be reported by splitters without backups", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const plain = await SplitStream.deploy([payee1.address], [100], ethers.ZeroAddress);
+
+            expect(await plain.supportsInterface(SPLITSTREAM_RECOVERABLE_INTERFACE_ID)).to.equal(false);
+        });
+    });
+});
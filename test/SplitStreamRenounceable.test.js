@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    SPLITSTREAM_INTERFACE_ID,
+    SPLITSTREAM_RENOUNCEABLE_INTERFACE_ID,
+    supportsInterface
+} = require("../lib/interfaceDetection");
+
+describe("SplitStreamRenounceable", function () {
+    let splitStream;
+    let owner;
+    let payee1;
+    let payee2;
+    let payee3;
+    let newWallet;
+
+    beforeEach(async function () {
+        [owner, payee1, payee2, payee3, newWallet] = await ethers.getSigners();
+
+        const SplitStreamRenounceable = await ethers.getContractFactory("SplitStreamRenounceable");
+        splitStream = await SplitStreamRenounceable.deploy(
+            [payee1.address, payee2.address, payee3.address],
+            [50, 30, 20],
+            ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+
+        await owner.sendTransaction({
+            to: await splitStream.getAddress(),
+            value: ethers.parseEther("1")
+        });
+    });
+
+    describe("Share Renunciation", function () {
+        it("Should release what the payee is owed and remove their shares", async function () {
+            const tx = splitStream.connect(payee2)["renounceShares()"]();
+
+            await expect(tx).to.emit(splitStream, "SharesRenounced").withArgs(payee2.address, 30);
+            await expect(tx).to.changeEtherBalance(payee2, ethers.parseEther("0.3"));
+
+            expect(await splitStream.shares(payee2.address)).to.equal(0);
+            expect(await splitStream.totalShares()).to.equal(70);
+            expect(await splitStream.renounced(payee2.address)).to.equal(true);
+            expect(await splitStream.renounced(payee1.address)).to.equal(false);
+            expect(await splitStream.payee(1)).to.equal(payee2.address);
+            expect(await splitStream.released(payee2.address)).to.equal(ethers.parseEther("0.3"));
+        });
+
+        it("Should keep the entitlements of the remaining payees", async function () {
+            await splitStream.release(payee1.address);
+            await splitStream.connect(payee2)["renounceShares()"]();
+
+            expect(await splitStream.releasable(payee1.address)).to.equal(0);
+            expect(await splitStream.releasable(payee3.address)).to.equal(ethers.parseEther("0.2"));
+        });
+
+        it("Should split later payments among the remaining payees", async function () {
+            await splitStream.connect(payee2)["renounceShares()"]();
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("0.7")
+            });
+
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("1"));
+            expect(await splitStream.releasable(payee3.address)).to.equal(ethers.parseEther("0.4"));
+            expect(await splitStream.releasable(payee2.address)).to.equal(0);
+
+            await expect(splitStream.releaseAll()).to.changeEtherBalances(
+                [payee1, payee2, payee3],
+                [ethers.parseEther("1"), 0, ethers.parseEther("0.4")]
+            );
+            await expect(splitStream.release(payee2.address))
+                .to.be.revertedWithCustomError(splitStream, "NothingDue");
+        });
+
+        it("Should settle the listed tokens and forfeit the others", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            const dai = await MockERC20.deploy("Dai Stablecoin", "DAI", 18);
+            const splitterAddress = await splitStream.getAddress();
+            await usdc.mint(splitterAddress, ethers.parseUnits("1000", 6));
+            await dai.mint(splitterAddress, ethers.parseEther("1000"));
+
+            await splitStream.connect(payee2)["renounceShares(address[])"]([await usdc.getAddress()]);
+
+            expect(await usdc.balanceOf(payee2.address)).to.equal(ethers.parseUnits("300", 6));
+            expect(await dai.balanceOf(payee2.address)).to.equal(0);
+
+            // The unsettled DAI goes to the remaining payees
+            const daiAddress = await dai.getAddress();
+            expect(await splitStream["releasable(address,address)"](daiAddress, payee1.address))
+                .to.equal(ethers.parseEther("1000") * 50n / 70n);
+            expect(await splitStream["releasable(address,address)"](await usdc.getAddress(), payee1.address))
+                .to.equal(ethers.parseUnits("500", 6));
+        });
+
+        it("Should keep a renounced address from taking a payee slot", async function () {
+            await splitStream.connect(payee2)["renounceShares()"]();
+
+            await expect(splitStream.connect(payee1).transferPayee(payee2.address))
+                .to.be.revertedWithCustomError(splitStream, "DuplicatePayee")
+                .withArgs(payee2.address);
+            await expect(splitStream.connect(payee2).transferPayee(newWallet.address))
+                .to.be.revertedWithCustomError(splitStream, "NoShares")
+                .withArgs(payee2.address);
+        });
+
+        it("Should revert when the caller has no shares", async function () {
+            await expect(splitStream.connect(newWallet)["renounceShares()"]())
+                .to.be.revertedWithCustomError(splitStream, "NoShares")
+                .withArgs(newWallet.address);
+
+            await splitStream.connect(payee2)["renounceShares()"]();
+            await expect(splitStream.connect(payee2)["renounceShares()"]())
+                .to.be.revertedWithCustomError(splitStream, "NoShares");
+        });
+
+        it("Should revert for the last shareholder", async function () {
+            await splitStream.connect(payee2)["renounceShares()"]();
+            await splitStream.connect(payee3)["renounceShares()"]();
+
+            await expect(splitStream.connect(payee1)["renounceShares()"]())
+                .to.be.revertedWithCustomError(splitStream, "LastShareholder")
+                .withArgs(payee1.address);
+            expect(await splitStream.releasable(payee1.address)).to.equal(ethers.parseEther("0.5"));
+        });
+    });
+
+    describe("Interface Detection", function () {
+        it("Should report the renounce interface next to ISplitStream", async function () {
+            const splitterAddress = await splitStream.getAddress();
+
+            expect(await supportsInterface(splitterAddress, ethers.provider, SPLITSTREAM_INTERFACE_ID)).to.equal(true);
+            expect(await supportsInterface(splitterAddress, ethers.provider, SPLITSTREAM_RENOUNCEABLE_INTERFACE_ID))
+                .to.equal(true);
+        });
+
+        it("Should not be reported by splitters without renouncing", async function () {
+            const SplitStream = await ethers.getContractFactory("SplitStream");
+            const plain = await SplitStream.deploy([payee1.address], [100], ethers.ZeroAddress);
+
+            expect(await plain.supportsInterface(SPLITSTREAM_RENOUNCEABLE_INTERFACE_ID)).to.equal(false);
+        });
+    });
+});
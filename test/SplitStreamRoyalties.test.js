@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SplitStreamRoyalties", function () {
+    let royalties;
+    let cloneFactory;
+    let collection;
+    let marketplace;
+    let owner;
+    let artist1;
+    let artist2;
+    let seller;
+    let buyer;
+    let payees;
+    const shares = [70, 30];
+    const royaltyBps = 500n; // 5%
+
+    beforeEach(async function () {
+        [owner, artist1, artist2, seller, buyer] = await ethers.getSigners();
+        payees = [artist1.address, artist2.address];
+
+        const SplitStreamCloneFactory = await ethers.getContractFactory("SplitStreamCloneFactory");
+        cloneFactory = await SplitStreamCloneFactory.deploy(ethers.ZeroAddress);
+
+        const SplitStreamRoyalties = await ethers.getContractFactory("SplitStreamRoyalties");
+        royalties = await SplitStreamRoyalties.deploy(await cloneFactory.getAddress());
+
+        const MockRoyaltyCollection = await ethers.getContractFactory("MockRoyaltyCollection");
+        collection = await MockRoyaltyCollection.deploy();
+
+        const MockMarketplace = await ethers.getContractFactory("MockMarketplace");
+        marketplace = await MockMarketplace.deploy();
+
+        await collection.mint(seller.address, 1);
+        await collection.connect(seller).setApprovalForAll(await marketplace.getAddress(), true);
+    });
+
+    async function createSplitter() {
+        const collectionAddress = await collection.getAddress();
+        const predicted = await royalties.predictRoyaltySplitter(collectionAddress, payees, shares, royaltyBps);
+        await royalties.createRoyaltySplitter(collectionAddress, payees, shares, royaltyBps);
+        await collection.setDefaultRoyalty(predicted, royaltyBps);
+        return ethers.getContractAt("SplitStreamClone", predicted);
+    }
+
+    describe("Royalty Splitter Creation", function () {
+        it("Should deploy a splitter at the predicted address and emit its config", async function () {
+            const collectionAddress = await collection.getAddress();
+            const predicted = await royalties.predictRoyaltySplitter(collectionAddress, payees, shares, royaltyBps);
+
+            await expect(royalties.createRoyaltySplitter(collectionAddress, payees, shares, royaltyBps))
+                .to.emit(royalties, "RoyaltySplitterCreated")
+                .withArgs(collectionAddress, predicted, royaltyBps, payees, shares);
+
+            const splitter = await ethers.getContractAt("SplitStreamClone", predicted);
+            expect(await splitter.shares(artist1.address)).to.equal(70);
+
+            const config = await royalties.royaltyConfig(collectionAddress);
+            expect(config.splitter).to.equal(predicted);
+            expect(config.royaltyBps).to.equal(royaltyBps);
+        });
+
+        it("Should give each collection its own splitter", async function () {
+            const MockRoyaltyCollection = await ethers.getContractFactory("MockRoyaltyCollection");
+            const other = await MockRoyaltyCollection.deploy();
+
+            const a = await royalties.predictRoyaltySplitter(await collection.getAddress(), payees, shares, royaltyBps);
+            const b = await royalties.predictRoyaltySplitter(await other.getAddress(), payees, shares, royaltyBps);
+
+            expect(a).to.not.equal(b);
+        });
+
+        it("Should only let the collection owner configure it", async function () {
+            const collectionAddress = await collection.getAddress();
+
+            await expect(
+                royalties.connect(artist1).createRoyaltySplitter(collectionAddress, payees, shares, royaltyBps)
+            ).to.be.revertedWithCustomError(royalties, "NotCollectionOwner")
+                .withArgs(collectionAddress, artist1.address);
+
+            // Accounts without owner() cannot be configured by anyone else
+            await expect(
+                royalties.createRoyaltySplitter(seller.address, payees, shares, royaltyBps)
+            ).to.be.revertedWithCustomError(royalties, "NotCollectionOwner");
+        });
+
+        it("Should reject royalties above 100%", async function () {
+            await expect(
+                royalties.createRoyaltySplitter(await collection.getAddress(), payees, shares, 10001)
+            ).to.be.revertedWithCustomError(royalties, "RoyaltyTooHigh").withArgs(10001);
+        });
+
+        it("Should reuse a splitter already cloned through the factory", async function () {
+            const collectionAddress = await collection.getAddress();
+            const predicted = await royalties.predictRoyaltySplitter(collectionAddress, payees, shares, royaltyBps);
+            const salt = ethers.keccak256(
+                ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint96"], [collectionAddress, royaltyBps])
+            );
+            await cloneFactory.createSplitStream(payees, shares, salt);
+
+            await royalties.createRoyaltySplitter(collectionAddress, payees, shares, royaltyBps);
+
+            expect((await royalties.royaltyConfig(collectionAddress)).splitter).to.equal(predicted);
+        });
+    });
+
+    describe("Royalty Info", function () {
+        it("Should quote the royalty of a sale", async function () {
+            const splitter = await createSplitter();
+
+            const [receiver, amount] = await royalties.royaltyInfo(await collection.getAddress(), ethers.parseEther("2"));
+
+            expect(receiver).to.equal(await splitter.getAddress());
+            expect(amount).to.equal(ethers.parseEther("0.1"));
+            expect(await collection.royaltyInfo(1, ethers.parseEther("2"))).to.deep.equal([receiver, amount]);
+        });
+
+        it("Should revert for collections without a splitter", async function () {
+            await expect(royalties.royaltyInfo(seller.address, 100))
+                .to.be.revertedWithCustomError(royalties, "NoRoyaltySplitter").withArgs(seller.address);
+        });
+    });
+
+    describe("Marketplace Payouts", function () {
+        it("Should split ETH royalties paid by a marketplace", async function () {
+            const splitter = await createSplitter();
+
+            const sale = marketplace.connect(buyer).buy(await collection.getAddress(), 1, {
+                value: ethers.parseEther("10")
+            });
+            await expect(sale).to.emit(splitter, "PaymentReceived")
+                .withArgs(await marketplace.getAddress(), ethers.parseEther("0.5"));
+            await expect(sale).to.changeEtherBalance(seller, ethers.parseEther("9.5"));
+
+            await expect(splitter.releaseAll()).to.changeEtherBalances(
+                [artist1, artist2],
+                [ethers.parseEther("0.35"), ethers.parseEther("0.15")]
+            );
+        });
+
+        it("Should split ERC20 royalties paid by a marketplace", async function () {
+            const splitter = await createSplitter();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+            await weth.mint(buyer.address, ethers.parseEther("4"));
+            await weth.connect(buyer).approve(await marketplace.getAddress(), ethers.parseEther("4"));
+
+            await marketplace.connect(buyer).buyWithToken(
+                await collection.getAddress(), 1, await weth.getAddress(), ethers.parseEther("4")
+            );
+
+            const wethAddress = await weth.getAddress();
+            expect(await splitter["releasable(address,address)"](wethAddress, artist1.address))
+                .to.equal(ethers.parseEther("0.14"));
+            await splitter["releaseAll(address)"](wethAddress);
+            expect(await weth.balanceOf(artist2.address)).to.equal(ethers.parseEther("0.06"));
+        });
+
+        it("Should accumulate royalties across sales", async function () {
+            const splitter = await createSplitter();
+            const collectionAddress = await collection.getAddress();
+
+            await marketplace.connect(buyer).buy(collectionAddress, 1, { value: ethers.parseEther("1") });
+            await collection.connect(buyer).setApprovalForAll(await marketplace.getAddress(), true);
+            await marketplace.connect(seller).buy(collectionAddress, 1, { value: ethers.parseEther("3") });
+
+            expect(await splitter.releasable(artist1.address)).to.equal(ethers.parseEther("0.14"));
+            expect(await splitter.releasable(artist2.address)).to.equal(ethers.parseEther("0.06"));
+        });
+    });
+});
@@ -0,0 +1,308 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SplitStreamTokenized", function () {
+    let SplitStreamTokenized;
+    let splitStream;
+    let usdc;
+    let owner;
+    let alice;
+    let bob;
+    let charlie;
+    let dave;
+
+    beforeEach(async function () {
+        [owner, alice, bob, charlie, dave] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+        SplitStreamTokenized = await ethers.getContractFactory("SplitStreamTokenized");
+        splitStream = await SplitStreamTokenized.deploy(
+            "Revenue Share", "REV",
+            [alice.address, bob.address, charlie.address], [50, 30, 20],
+            [await usdc.getAddress()],
+            ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+    });
+
+    async function pay(amount) {
+        await owner.sendTransaction({ to: await splitStream.getAddress(), value: ethers.parseEther(amount) });
+    }
+
+    describe("Deployment", function () {
+        it("Should mint each payee their shares as tokens", async function () {
+            expect(await splitStream.name()).to.equal("Revenue Share");
+            expect(await splitStream.symbol()).to.equal("REV");
+            expect(await splitStream.decimals()).to.equal(0);
+            expect(await splitStream.totalSupply()).to.equal(100);
+            expect(await splitStream.balanceOf(alice.address)).to.equal(50);
+            expect(await splitStream.shares(alice.address)).to.equal(50);
+            expect(await splitStream.trackedTokens()).to.deep.equal([await usdc.getAddress()]);
+        });
+
+        it("Should apply the usual payee validation", async function () {
+            await expect(
+                SplitStreamTokenized.deploy("Revenue Share", "REV", [alice.address, alice.address], [50, 50], [], ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamTokenized, "DuplicatePayee");
+        });
+    });
+
+    describe("Transfers", function () {
+        it("Should keep shares() and payee() in step with the token balances", async function () {
+            await splitStream.connect(alice).transfer(dave.address, 20);
+
+            expect(await splitStream.shares(alice.address)).to.equal(30);
+            expect(await splitStream.shares(dave.address)).to.equal(20);
+            expect(await splitStream.totalShares()).to.equal(100);
+            expect(await splitStream.payeeCount()).to.equal(4);
+            expect(await splitStream.payee(3)).to.equal(dave.address);
+
+            // Sending more shares to an existing holder does not add a slot
+            await splitStream.connect(bob).transfer(dave.address, 10);
+            expect(await splitStream.payeeCount()).to.equal(4);
+        });
+
+        it("Should let the sender keep what accrued before the transfer", async function () {
+            await pay("10");
+            await splitStream.connect(alice).transfer(dave.address, 50);
+
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("5"));
+            expect(await splitStream.releasable(dave.address)).to.equal(0);
+
+            await pay("10");
+
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("5"));
+            expect(await splitStream.releasable(dave.address)).to.equal(ethers.parseEther("5"));
+            expect(await splitStream.releasable(bob.address)).to.equal(ethers.parseEther("6"));
+        });
+
+        it("Should pay the same whether the sender releases before or after the transfer", async function () {
+            await pay("10");
+            await splitStream.release(alice.address);
+            await splitStream.connect(alice).transfer(dave.address, 25);
+            await pay("10");
+
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("2.5"));
+            expect(await splitStream.releasable(dave.address)).to.equal(ethers.parseEther("2.5"));
+
+            // Transfer first, then release the accrued part
+            await splitStream.connect(bob).transfer(dave.address, 30);
+            await expect(splitStream.release(bob.address))
+                .to.changeEtherBalance(bob, ethers.parseEther("6"));
+            expect(await splitStream.releasable(dave.address)).to.equal(ethers.parseEther("2.5"));
+
+            await splitStream.releaseAll();
+            expect(await ethers.provider.getBalance(await splitStream.getAddress())).to.equal(0);
+        });
+
+        it("Should let a payee that sold every share release what they were owed", async function () {
+            await pay("10");
+            await splitStream.connect(charlie).transfer(dave.address, 20);
+
+            expect(await splitStream.shares(charlie.address)).to.equal(0);
+            await expect(splitStream.release(charlie.address))
+                .to.changeEtherBalance(charlie, ethers.parseEther("2"));
+
+            // And can receive shares again without a second slot
+            await splitStream.connect(dave).transfer(charlie.address, 5);
+            expect(await splitStream.shares(charlie.address)).to.equal(5);
+            expect(await splitStream.payeeCount()).to.equal(4);
+        });
+
+        it("Should drop holders that send every share from the payee list", async function () {
+            await pay("10");
+            await splitStream.connect(alice).transfer(dave.address, 50);
+
+            expect(await splitStream.payeeCount()).to.equal(3);
+            expect(await splitStream.payee(0)).to.equal(dave.address);
+
+            // Shares passed back and forth do not grow the list
+            for (let i = 0; i < 3; i++) {
+                await splitStream.connect(dave).transfer(alice.address, 50);
+                await splitStream.connect(alice).transfer(dave.address, 50);
+            }
+            expect(await splitStream.payeeCount()).to.equal(3);
+
+            // The batch releases skip alice, who can still release what accrued
+            await splitStream.releaseAll();
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("5"));
+            await expect(splitStream.release(alice.address))
+                .to.changeEtherBalance(alice, ethers.parseEther("5"));
+        });
+
+        it("Should move a holder's place in the payee list with transferPayee", async function () {
+            await splitStream.connect(bob).transferPayee(dave.address);
+            await splitStream.connect(dave).transfer(alice.address, 30);
+
+            expect(await splitStream.payeeCount()).to.equal(2);
+            expect(await splitStream.payee(1)).to.equal(charlie.address);
+        });
+
+        it("Should checkpoint transfers made through an allowance", async function () {
+            await pay("10");
+            await splitStream.connect(alice).approve(owner.address, 50);
+            await splitStream.transferFrom(alice.address, dave.address, 50);
+
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("5"));
+            expect(await splitStream.releasable(dave.address)).to.equal(0);
+        });
+
+        it("Should reject transfers to the splitter itself", async function () {
+            const splitterAddress = await splitStream.getAddress();
+            await expect(splitStream.connect(alice).transfer(splitterAddress, 10))
+                .to.be.revertedWithCustomError(splitStream, "ERC20InvalidReceiver")
+                .withArgs(splitterAddress);
+        });
+
+        it("Should move the tokens and checkpoints with transferPayee", async function () {
+            await pay("10");
+            await splitStream.connect(alice).transfer(dave.address, 50);
+            await splitStream.connect(alice).transferPayee(owner.address);
+
+            expect(await splitStream.balanceOf(owner.address)).to.equal(0);
+            expect(await splitStream.releasable(owner.address)).to.equal(ethers.parseEther("5"));
+
+            await splitStream.connect(dave).transferPayee(alice.address);
+            expect(await splitStream.balanceOf(alice.address)).to.equal(50);
+            expect(await splitStream.shares(alice.address)).to.equal(50);
+            expect(await splitStream.releasable(alice.address)).to.equal(0);
+        });
+    });
+
+    describe("ERC20 Tokens", function () {
+        it("Should checkpoint tracked tokens on transfers", async function () {
+            const usdcAddress = await usdc.getAddress();
+            await usdc.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+            await splitStream.connect(alice).transfer(dave.address, 50);
+            await usdc.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+
+            expect(await splitStream["releasable(address,address)"](usdcAddress, alice.address))
+                .to.equal(ethers.parseUnits("500", 6));
+            expect(await splitStream["releasable(address,address)"](usdcAddress, dave.address))
+                .to.equal(ethers.parseUnits("500", 6));
+        });
+
+        it("Should start a holder that gave its slot away from an empty token ledger", async function () {
+            const usdcAddress = await usdc.getAddress();
+            await usdc.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+            await splitStream["release(address,address)"](usdcAddress, alice.address);
+            await splitStream.connect(alice).transferPayee(dave.address);
+
+            // Alice holds shares again, while dave keeps the slot's release history
+            await splitStream.connect(dave).transfer(alice.address, 20);
+            expect(await splitStream["released(address,address)"](usdcAddress, dave.address))
+                .to.equal(ethers.parseUnits("500", 6));
+            expect(await splitStream["released(address,address)"](usdcAddress, alice.address)).to.equal(0);
+            expect(await splitStream["releasable(address,address)"](usdcAddress, alice.address)).to.equal(0);
+
+            await usdc.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+            expect(await splitStream["releasable(address,address)"](usdcAddress, alice.address))
+                .to.equal(ethers.parseUnits("200", 6));
+            expect(await splitStream["releasable(address,address)"](usdcAddress, dave.address))
+                .to.equal(ethers.parseUnits("300", 6));
+
+            await splitStream["release(address,address)"](usdcAddress, alice.address);
+            expect(await splitStream["released(address,address)"](usdcAddress, dave.address))
+                .to.equal(ethers.parseUnits("500", 6));
+        });
+
+        it("Should release nothing of untracked tokens until they are tracked", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const dai = await MockERC20.deploy("Dai Stablecoin", "DAI", 18);
+            const daiAddress = await dai.getAddress();
+
+            await dai.mint(await splitStream.getAddress(), ethers.parseEther("100"));
+            expect(await splitStream["releasable(address,address)"](daiAddress, alice.address)).to.equal(0);
+            await expect(splitStream["release(address,address)"](daiAddress, alice.address))
+                .to.be.revertedWithCustomError(splitStream, "NothingDue");
+
+            await expect(splitStream.connect(bob).trackToken(daiAddress))
+                .to.emit(splitStream, "TokenTracked").withArgs(daiAddress);
+            expect(await splitStream["releasable(address,address)"](daiAddress, alice.address))
+                .to.equal(ethers.parseEther("50"));
+        });
+
+        it("Should reject tracking a token twice or past the limit", async function () {
+            const usdcAddress = await usdc.getAddress();
+            await expect(splitStream.connect(alice).trackToken(usdcAddress))
+                .to.be.revertedWithCustomError(splitStream, "TokenAlreadyTracked").withArgs(usdcAddress);
+            await expect(splitStream.connect(alice).trackToken(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(splitStream, "TokenAlreadyTracked");
+
+            for (let i = 1; i < 16; i++) {
+                await splitStream.connect(alice).trackToken(ethers.toBeHex(i, 20));
+            }
+            await expect(splitStream.connect(alice).trackToken(ethers.toBeHex(16, 20)))
+                .to.be.revertedWithCustomError(splitStream, "TooManyTokens").withArgs(17);
+        });
+
+        it("Should only let shareholders track tokens", async function () {
+            await expect(splitStream.connect(owner).trackToken(ethers.toBeHex(1, 20)))
+                .to.be.revertedWithCustomError(splitStream, "NoShares").withArgs(owner.address);
+        });
+
+        it("Should not let a tracked token that reverts or burns gas block transfers", async function () {
+            const MockGriefingToken = await ethers.getContractFactory("MockGriefingToken");
+            for (const mode of [0, 1]) {
+                const griefer = await MockGriefingToken.deploy(mode);
+                await splitStream.connect(alice).trackToken(await griefer.getAddress());
+            }
+            await usdc.mint(await splitStream.getAddress(), ethers.parseUnits("100", 6));
+
+            await splitStream.connect(alice).transfer(dave.address, 50);
+
+            expect(await splitStream.shares(dave.address)).to.equal(50);
+            expect(await splitStream["releasable(address,address)"](await usdc.getAddress(), alice.address))
+                .to.equal(ethers.parseUnits("50", 6));
+        });
+    });
+
+    describe("Dust", function () {
+        beforeEach(async function () {
+            splitStream = await SplitStreamTokenized.deploy(
+                "Revenue Share", "REV",
+                [alice.address, bob.address, charlie.address], [1, 1, 1], [], ethers.ZeroAddress
+            );
+        });
+
+        it("Should leave at most one wei per holder and pay it out later", async function () {
+            const splitterAddress = await splitStream.getAddress();
+            await owner.sendTransaction({ to: splitterAddress, value: 10 });
+            await splitStream.releaseAll();
+
+            // 10 wei split three ways
+            expect(await ethers.provider.getBalance(splitterAddress)).to.equal(1);
+
+            await owner.sendTransaction({ to: splitterAddress, value: 2 });
+            await splitStream.releaseAll();
+            expect(await splitStream.released(alice.address)).to.equal(4);
+            expect(await ethers.provider.getBalance(splitterAddress)).to.equal(0);
+        });
+
+        it("Should never owe more than the balance after transfers", async function () {
+            const splitterAddress = await splitStream.getAddress();
+            await owner.sendTransaction({ to: splitterAddress, value: 10 });
+            await splitStream.connect(alice).transfer(dave.address, 1);
+            await owner.sendTransaction({ to: splitterAddress, value: 2 });
+            await splitStream.connect(bob).transfer(dave.address, 1);
+            await owner.sendTransaction({ to: splitterAddress, value: 7 });
+
+            const holders = [alice, bob, charlie, dave];
+            let owed = 0n;
+            for (const holder of holders) {
+                owed += await splitStream.releasable(holder.address);
+            }
+            const balance = await ethers.provider.getBalance(splitterAddress);
+            expect(owed).to.be.at.most(balance);
+            expect(balance - owed).to.be.below(holders.length);
+
+            // alice and bob sold every share, so releaseAll no longer lists them
+            await splitStream.releaseAll();
+            await splitStream.release(alice.address);
+            await splitStream.release(bob.address);
+            expect(await ethers.provider.getBalance(splitterAddress)).to.equal(balance - owed);
+        });
+    });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SplitStreamVesting", function () {
+    let splitStream;
+    let owner;
+    let payee1;
+    let payee2;
+    let payee3;
+    let start;
+    const duration = 1000n;
+
+    beforeEach(async function () {
+        [owner, payee1, payee2, payee3] = await ethers.getSigners();
+        start = BigInt(await time.latest()) + 100n;
+
+        // payee1: linear with a cliff, payee2: linear, payee3: cliff only
+        const SplitStreamVesting = await ethers.getContractFactory("SplitStreamVesting");
+        splitStream = await SplitStreamVesting.deploy(
+            [payee1.address, payee2.address, payee3.address],
+            [50, 30, 20],
+            [
+                { start, cliff: 250n, duration },
+                { start, cliff: 0n, duration },
+                { start, cliff: duration, duration }
+            ],
+            ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+
+        await owner.sendTransaction({
+            to: await splitStream.getAddress(),
+            value: ethers.parseEther("1")
+        });
+    });
+
+    describe("Deployment", function () {
+        it("Should store each payee's schedule", async function () {
+            const schedule = await splitStream.vestingSchedule(payee1.address);
+
+            expect(schedule.start).to.equal(start);
+            expect(schedule.cliff).to.equal(250);
+            expect(schedule.duration).to.equal(duration);
+            expect(await splitStream.shares(payee1.address)).to.equal(50);
+        });
+
+        it("Should revert when payees and schedules lengths differ", async function () {
+            const SplitStreamVesting = await ethers.getContractFactory("SplitStreamVesting");
+
+            await expect(
+                SplitStreamVesting.deploy([payee1.address, payee2.address], [50, 50], [
+                    { start, cliff: 0n, duration }
+                ], ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamVesting, "SchedulesLengthMismatch")
+                .withArgs(2, 1);
+        });
+
+        it("Should revert when a cliff is longer than the duration", async function () {
+            const SplitStreamVesting = await ethers.getContractFactory("SplitStreamVesting");
+
+            await expect(
+                SplitStreamVesting.deploy([payee1.address], [100], [
+                    { start, cliff: duration + 1n, duration }
+                ], ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamVesting, "CliffExceedsDuration")
+                .withArgs(payee1.address, duration + 1n, duration);
+        });
+
+        it("Should apply the usual payee validation", async function () {
+            const SplitStreamVesting = await ethers.getContractFactory("SplitStreamVesting");
+
+            await expect(
+                SplitStreamVesting.deploy([payee1.address, payee1.address], [50, 50], [
+                    { start, cliff: 0n, duration },
+                    { start, cliff: 0n, duration }
+                ], ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamVesting, "DuplicatePayee");
+        });
+    });
+
+    describe("Vested Amount", function () {
+        it("Should vest nothing before the start", async function () {
+            expect(await splitStream.vestedAmount(payee2.address, start - 1n)).to.equal(0);
+            expect(await splitStream.releasable(payee2.address)).to.equal(0);
+        });
+
+        it("Should vest linearly between start and end", async function () {
+            expect(await splitStream.vestedAmount(payee2.address, start)).to.equal(0);
+            expect(await splitStream.vestedAmount(payee2.address, start + 100n))
+                .to.equal(ethers.parseEther("0.03"));
+            expect(await splitStream.vestedAmount(payee2.address, start + 500n))
+                .to.equal(ethers.parseEther("0.15"));
+            expect(await splitStream.vestedAmount(payee2.address, start + duration))
+                .to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.vestedAmount(payee2.address, start + 10n * duration))
+                .to.equal(ethers.parseEther("0.3"));
+        });
+
+        it("Should vest nothing before the cliff, then catch up linearly", async function () {
+            expect(await splitStream.vestedAmount(payee1.address, start + 249n)).to.equal(0);
+            expect(await splitStream.vestedAmount(payee1.address, start + 250n))
+                .to.equal(ethers.parseEther("0.125"));
+            expect(await splitStream.vestedAmount(payee1.address, start + 750n))
+                .to.equal(ethers.parseEther("0.375"));
+        });
+
+        it("Should vest everything at once for a cliff-only schedule", async function () {
+            expect(await splitStream.vestedAmount(payee3.address, start + duration - 1n)).to.equal(0);
+            expect(await splitStream.vestedAmount(payee3.address, start + duration))
+                .to.equal(ethers.parseEther("0.2"));
+        });
+
+        it("Should vest ERC20 tokens on the same schedule", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(await splitStream.getAddress(), ethers.parseUnits("1000", 6));
+            const tokenAddress = await token.getAddress();
+
+            expect(await splitStream["vestedAmount(address,address,uint64)"](tokenAddress, payee2.address, start + 500n))
+                .to.equal(ethers.parseUnits("150", 6));
+            expect(await splitStream["vestedAmount(address,address,uint64)"](tokenAddress, payee1.address, start + 100n))
+                .to.equal(0);
+        });
+
+        it("Should return 0 for accounts without shares", async function () {
+            expect(await splitStream.vestedAmount(owner.address, start + duration)).to.equal(0);
+        });
+    });
+
+    describe("Release", function () {
+        it("Should revert while nothing is unlocked", async function () {
+            await expect(
+                splitStream.release(payee1.address)
+            ).to.be.revertedWithCustomError(splitStream, "NothingDue");
+        });
+
+        it("Should release only the unlocked part of the share", async function () {
+            await time.setNextBlockTimestamp(start + 400n);
+
+            await expect(splitStream.release(payee2.address))
+                .to.changeEtherBalance(payee2, ethers.parseEther("0.12"));
+            expect(await splitStream.released(payee2.address)).to.equal(ethers.parseEther("0.12"));
+        });
+
+        it("Should release the rest as it unlocks", async function () {
+            await time.setNextBlockTimestamp(start + 400n);
+            await splitStream.release(payee2.address);
+
+            await time.setNextBlockTimestamp(start + 900n);
+            await expect(splitStream.release(payee2.address))
+                .to.changeEtherBalance(payee2, ethers.parseEther("0.15"));
+
+            await time.increaseTo(start + duration);
+            await expect(splitStream.release(payee2.address))
+                .to.changeEtherBalance(payee2, ethers.parseEther("0.03"));
+        });
+
+        it("Should release nothing before the cliff and the accrued amount after it", async function () {
+            await time.increaseTo(start + 200n);
+            await expect(
+                splitStream.release(payee1.address)
+            ).to.be.revertedWithCustomError(splitStream, "NothingDue");
+
+            await time.setNextBlockTimestamp(start + 300n);
+            await expect(splitStream.release(payee1.address))
+                .to.changeEtherBalance(payee1, ethers.parseEther("0.15"));
+        });
+
+        it("Should unlock payments received mid-schedule by the vested fraction", async function () {
+            await time.setNextBlockTimestamp(start + 500n);
+            await splitStream.release(payee2.address);
+
+            await owner.sendTransaction({
+                to: await splitStream.getAddress(),
+                value: ethers.parseEther("1")
+            });
+
+            // Half of the new 0.3 ETH share is already vested
+            expect(await splitStream.vestedAmount(payee2.address, start + 500n))
+                .to.equal(ethers.parseEther("0.3"));
+            await time.setNextBlockTimestamp(start + 510n);
+            await expect(splitStream.release(payee2.address))
+                .to.changeEtherBalance(payee2, ethers.parseEther("0.156"));
+        });
+
+        it("Should skip locked payees in releaseAll", async function () {
+            await time.setNextBlockTimestamp(start + 500n);
+
+            await expect(splitStream.releaseAll())
+                .to.changeEtherBalances(
+                    [payee1, payee2, payee3],
+                    [ethers.parseEther("0.25"), ethers.parseEther("0.15"), 0]
+                );
+        });
+
+        it("Should pay every payee in full after the schedules end", async function () {
+            await time.increaseTo(start + duration);
+            await splitStream.releaseAll();
+
+            expect(await splitStream.released(payee1.address)).to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream.released(payee2.address)).to.equal(ethers.parseEther("0.3"));
+            expect(await splitStream.released(payee3.address)).to.equal(ethers.parseEther("0.2"));
+            expect(await ethers.provider.getBalance(await splitStream.getAddress())).to.equal(0);
+        });
+    });
+
+    describe("Payee Transfer", function () {
+        it("Should move the vesting schedule with the payee slot", async function () {
+            const [, , , , newWallet] = await ethers.getSigners();
+
+            await time.setNextBlockTimestamp(start + 400n);
+            await splitStream.connect(payee2).release(payee2.address);
+            await splitStream.connect(payee2).transferPayee(newWallet.address);
+
+            const schedule = await splitStream.vestingSchedule(newWallet.address);
+            expect(schedule.duration).to.equal(duration);
+            expect((await splitStream.vestingSchedule(payee2.address)).duration).to.equal(0);
+
+            await time.setNextBlockTimestamp(start + 600n);
+            await expect(splitStream.release(newWallet.address))
+                .to.changeEtherBalance(newWallet, ethers.parseEther("0.06"));
+        });
+    });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SplitStreamWaterfall", function () {
+    let SplitStreamWaterfall;
+    let owner;
+    let contractor;
+    let ops;
+    let alice;
+    let bob;
+    let tranches;
+    const period = 30n * 24n * 60n * 60n;
+
+    beforeEach(async function () {
+        [owner, contractor, ops, alice, bob] = await ethers.getSigners();
+        SplitStreamWaterfall = await ethers.getContractFactory("SplitStreamWaterfall");
+
+        // First 2 ETH to the contractor, next 1 ETH to ops, the rest 60/40
+        tranches = [
+            { recipient: contractor.address, cap: ethers.parseEther("2") },
+            { recipient: ops.address, cap: ethers.parseEther("1") }
+        ];
+    });
+
+    async function deploy(periodLength = 0n) {
+        const splitStream = await SplitStreamWaterfall.deploy(
+            [alice.address, bob.address], [60, 40], tranches, periodLength, ethers.ZeroAddress
+        );
+        await splitStream.waitForDeployment();
+        return splitStream;
+    }
+
+    async function pay(splitStream, amount) {
+        return owner.sendTransaction({ to: await splitStream.getAddress(), value: ethers.parseEther(amount) });
+    }
+
+    describe("Deployment", function () {
+        it("Should add tranche recipients as payees without shares", async function () {
+            const splitStream = await deploy();
+
+            expect(await splitStream.trancheCount()).to.equal(2);
+            expect((await splitStream.tranche(0)).recipient).to.equal(contractor.address);
+            expect(await splitStream.payeeCount()).to.equal(4);
+            expect(await splitStream.payee(2)).to.equal(contractor.address);
+            expect(await splitStream.shares(contractor.address)).to.equal(0);
+            expect(await splitStream.totalShares()).to.equal(100);
+        });
+
+        it("Should add a recipient once when it holds shares or several tranches", async function () {
+            tranches = [
+                { recipient: alice.address, cap: 100n },
+                { recipient: contractor.address, cap: 100n },
+                { recipient: contractor.address, cap: 100n }
+            ];
+            const splitStream = await deploy();
+
+            expect(await splitStream.payeeCount()).to.equal(3);
+        });
+
+        it("Should revert for invalid tranches", async function () {
+            tranches = [{ recipient: contractor.address, cap: 0n }];
+            await expect(deploy()).to.be.revertedWithCustomError(SplitStreamWaterfall, "ZeroTrancheCap").withArgs(0);
+
+            tranches = [{ recipient: ethers.ZeroAddress, cap: 100n }];
+            await expect(deploy()).to.be.revertedWithCustomError(SplitStreamWaterfall, "ZeroAddressPayee");
+
+            tranches = Array(17).fill({ recipient: contractor.address, cap: 100n });
+            await expect(deploy()).to.be.revertedWithCustomError(SplitStreamWaterfall, "TooManyTranches").withArgs(17);
+        });
+
+        it("Should apply the usual payee validation", async function () {
+            await expect(
+                SplitStreamWaterfall.deploy([alice.address], [0], tranches, 0, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(SplitStreamWaterfall, "ZeroShares");
+        });
+    });
+
+    describe("Allocation", function () {
+        let splitStream;
+
+        beforeEach(async function () {
+            splitStream = await deploy();
+        });
+
+        it("Should fill the tranches in order before the residual", async function () {
+            await pay(splitStream, "1.5");
+
+            expect(await splitStream.releasable(contractor.address)).to.equal(ethers.parseEther("1.5"));
+            expect(await splitStream.releasable(ops.address)).to.equal(0);
+            expect(await splitStream.releasable(alice.address)).to.equal(0);
+
+            await pay(splitStream, "4.5");
+
+            const [trancheAmounts, residual] = await splitStream.allocation();
+            expect(trancheAmounts).to.deep.equal([ethers.parseEther("2"), ethers.parseEther("1")]);
+            expect(residual).to.equal(ethers.parseEther("3"));
+
+            expect(await splitStream.releasable(contractor.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitStream.releasable(ops.address)).to.equal(ethers.parseEther("1"));
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("1.8"));
+            expect(await splitStream.releasable(bob.address)).to.equal(ethers.parseEther("1.2"));
+        });
+
+        it("Should pay a recipient its tranche and its share of the residual", async function () {
+            tranches = [{ recipient: alice.address, cap: ethers.parseEther("1") }];
+            splitStream = await deploy();
+            await pay(splitStream, "2");
+
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("1.6"));
+        });
+
+        it("Should release each payee's entitlement", async function () {
+            await pay(splitStream, "6");
+
+            await expect(splitStream.releaseAll()).to.changeEtherBalances(
+                [contractor, ops, alice, bob],
+                [ethers.parseEther("2"), ethers.parseEther("1"), ethers.parseEther("1.8"), ethers.parseEther("1.2")]
+            );
+
+            await pay(splitStream, "1");
+            expect(await splitStream.releasable(contractor.address)).to.equal(0);
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("0.6"));
+        });
+
+        it("Should allocate ERC20 tokens through the same tranches", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+            const tokenAddress = await token.getAddress();
+            await token.mint(await splitStream.getAddress(), ethers.parseEther("2.5"));
+
+            expect(await splitStream["releasable(address,address)"](tokenAddress, contractor.address))
+                .to.equal(ethers.parseEther("2"));
+            expect(await splitStream["releasable(address,address)"](tokenAddress, ops.address))
+                .to.equal(ethers.parseEther("0.5"));
+            expect(await splitStream["releasable(address,address)"](tokenAddress, alice.address)).to.equal(0);
+
+            // ETH is allocated separately
+            expect(await splitStream.releasable(contractor.address)).to.equal(0);
+        });
+
+        it("Should move tranches with the payee slot", async function () {
+            await pay(splitStream, "1");
+            await splitStream.connect(contractor).transferPayee(owner.address);
+
+            expect((await splitStream.tranche(0)).recipient).to.equal(owner.address);
+            expect(await splitStream.releasable(owner.address)).to.equal(ethers.parseEther("1"));
+            await expect(splitStream.release(contractor.address))
+                .to.be.revertedWithCustomError(splitStream, "NoShares");
+        });
+
+        it("Should not record periods with lifetime caps", async function () {
+            await time.increase(period);
+            await expect(splitStream.checkpoint()).to.not.emit(splitStream, "PeriodClosed");
+            expect(await splitStream.currentPeriod()).to.equal(0);
+        });
+    });
+
+    describe("Periods", function () {
+        let splitStream;
+
+        beforeEach(async function () {
+            splitStream = await deploy(period);
+        });
+
+        it("Should refill the tranches each period", async function () {
+            await pay(splitStream, "3");
+            await time.increase(period);
+
+            await expect(pay(splitStream, "3.5"))
+                .to.emit(splitStream, "PeriodClosed")
+                .withArgs(ethers.ZeroAddress, 0, ethers.parseEther("3"));
+
+            expect(await splitStream.releasable(contractor.address)).to.equal(ethers.parseEther("4"));
+            expect(await splitStream.releasable(ops.address)).to.equal(ethers.parseEther("2"));
+            expect(await splitStream.releasable(alice.address)).to.equal(ethers.parseEther("0.3"));
+
+            const [openIndex, received] = await splitStream.openPeriod();
+            expect(openIndex).to.equal(1);
+            expect(received).to.equal(ethers.parseEther("3.5"));
+        });
+
+        it("Should not carry unused caps over", async function () {
+            await pay(splitStream, "1");
+            await time.increase(period);
+            await pay(splitStream, "5");
+
+            const [trancheAmounts, residual] = await splitStream.allocation();
+            expect(trancheAmounts).to.deep.equal([ethers.parseEther("3"), ethers.parseEther("1")]);
+            expect(residual).to.equal(ethers.parseEther("2"));
+        });
+
+        it("Should keep entitlements when a period is closed", async function () {
+            await pay(splitStream, "5");
+            await splitStream.release(contractor.address);
+            await time.increase(period);
+
+            const before = await splitStream.releasable(alice.address);
+            await splitStream.checkpoint();
+
+            expect(await splitStream.releasable(alice.address)).to.equal(before);
+            expect(await splitStream.releasable(contractor.address)).to.equal(0);
+        });
+
+        it("Should count ERC20 receipts toward the period they are checkpointed in", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+            const tokenAddress = await token.getAddress();
+            const splitterAddress = await splitStream.getAddress();
+
+            await token.mint(splitterAddress, ethers.parseEther("3"));
+            await time.increase(period);
+            await expect(splitStream["checkpoint(address)"](tokenAddress))
+                .to.emit(splitStream, "PeriodClosed")
+                .withArgs(tokenAddress, 0, ethers.parseEther("3"));
+            await token.mint(splitterAddress, ethers.parseEther("3"));
+
+            expect(await splitStream["releasable(address,address)"](tokenAddress, contractor.address))
+                .to.equal(ethers.parseEther("4"));
+            const [trancheAmounts, residual] = await splitStream["allocation(address)"](tokenAddress);
+            expect(trancheAmounts).to.deep.equal([ethers.parseEther("4"), ethers.parseEther("2")]);
+            expect(residual).to.equal(0);
+        });
+    });
+});